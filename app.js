@@ -1,5 +1,4 @@
-import {SparticPeer, SparticSession} from './index.js'
-import crypto from 'hypercore-crypto'
+import {SparticPeer} from './index.js'
 
 let p = new SparticPeer()
 await p.ready
@@ -45,34 +44,21 @@ for (let i = 0; i < PEER_COUNT; i++) {
   flushPromises.push(peers[i].flush())
 }
 await Promise.all(flushPromises)
-console.log('Starting ticks')
+console.log('Starting rounds')
 
-let tickNumber = 0
-
-function tick() {
-  for (let i = 0; i < PEER_COUNT; i++) {
-    // Exchange data for all the peers
-    peers[i].sendSessionMessages(GROUP_ID)
-    
-    if (sessions[i].readyToParticipate()) {
-      // If we need to send a block of data, make a block of data
-      let block = Buffer.alloc(SparticSession.BLOCK_SIZE)
-      // And send it
-      sessions[i].participateInRound(block)
-    }
-    
-    let result = sessions[i].popResult()
-    if (result) {
-      console.log('Peer ' + i + ' sees result: ', result)
-    }
-     
+for (let i = 0; i < PEER_COUNT; i++) {
+  // Run rounds on the shared clock, sending zeroes when we have nothing to say
+  let stack = peers[i].startRounds(GROUP_ID, {interval: 10000})
+  sessions[i].on('message', (message) => {
+    console.log('Peer ' + i + ' sees message: ', message)
+  })
+  stack.timer.on('tick', () => {
     // Log how all the peers are doing
     peers[i].logStatus()
-  }
-  tickNumber++
-  setTimeout(tick, 10000)
+  })
 }
 
-setTimeout(tick, 10000)
+// Or pipe a tool through the group
+process.stdin.pipe(new SessionStream(sessions[0])).pipe(process.stdout)
 
 */
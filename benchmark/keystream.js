@@ -0,0 +1,103 @@
+import os from 'os'
+
+import crypto from 'hypercore-crypto'
+
+import SynchronizedKeystream from '../src/synchronized_keystream.js'
+import KeystreamPool from '../src/keystream_pool.js'
+import xor_all from '../src/xor_all.js'
+
+/// Benchmark for how many rounds per second one member can do, for different
+/// group sizes and block sizes.
+///
+/// Each round, a member makes its keystream for the round (the XOR of one
+/// pairwise keystream per other member) and XORs together everyone's blocks.
+/// Network time isn't counted.
+///
+/// Run with: npm run bench
+/// Or pick sizes with: node benchmark/keystream.js --groups 4,16 --blocks 4096
+
+/// How long to run each case for, in milliseconds
+const DURATION = 1000
+
+/// Parse a comma-separated list of numbers from the command line, or use the
+/// default
+function list_arg(name, fallback) {
+  let index = process.argv.indexOf('--' + name)
+  if (index == -1) {
+    return fallback
+  }
+  return process.argv[index + 1].split(',').map(Number)
+}
+
+/// Make a keystream for a member of a group of the given size
+function make_keystream(group_size, options) {
+  let secrets = []
+  for (let i = 0; i < group_size - 1; i++) {
+    secrets.push(crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE))
+  }
+  return new SynchronizedKeystream(secrets, options)
+}
+
+/// Make the other members' blocks, which we XOR with ours every round
+function make_blocks(group_size, block_size) {
+  let blocks = []
+  for (let i = 0; i < group_size - 1; i++) {
+    blocks.push(crypto.randomBytes(block_size))
+  }
+  return blocks
+}
+
+/// Run rounds on the main thread for a while and return rounds per second
+function bench_inline(group_size, block_size) {
+  let keystream = make_keystream(group_size, {ratchetInterval: 64})
+  let blocks = make_blocks(group_size, block_size)
+  let start = Date.now()
+  let rounds = 0
+  while (Date.now() - start < DURATION) {
+    xor_all([keystream.read(rounds, block_size)].concat(blocks))
+    rounds++
+  }
+  return rounds * 1000 / (Date.now() - start)
+}
+
+/// Run rounds with the next round's keystream being made in the pool while
+/// we XOR the current one, and return rounds per second
+async function bench_pool(pool, group_size, block_size) {
+  let keystream = make_keystream(group_size, {ratchetInterval: 64, pool: pool})
+  let blocks = make_blocks(group_size, block_size)
+  let start = Date.now()
+  let rounds = 0
+  let next = keystream.prefetch(0, block_size)
+  while (Date.now() - start < DURATION) {
+    await next
+    let ours = keystream.read(rounds, block_size)
+    next = keystream.prefetch(rounds + 1, block_size)
+    xor_all([ours].concat(blocks))
+    rounds++
+  }
+  await next
+  return rounds * 1000 / (Date.now() - start)
+}
+
+async function main() {
+  let groups = list_arg('groups', [4, 8, 16, 32, 64])
+  let blocks = list_arg('blocks', [1024, 4096, 16384])
+  let workers = list_arg('workers', [Math.max(1, os.cpus().length - 1)])[0]
+
+  console.log('Rounds per second for one member, ' + os.cpus().length + ' CPUs, ' + workers + ' pool workers')
+  console.log(['group', 'block', 'inline', 'pool'].map((s) => s.padStart(8)).join(''))
+  let pool = new KeystreamPool(workers)
+  try {
+    for (let group_size of groups) {
+      for (let block_size of blocks) {
+        let inline = bench_inline(group_size, block_size)
+        let pooled = await bench_pool(pool, group_size, block_size)
+        console.log([group_size, block_size, inline.toFixed(0), pooled.toFixed(0)].map((s) => String(s).padStart(8)).join(''))
+      }
+    }
+  } finally {
+    await pool.close()
+  }
+}
+
+main()
@@ -0,0 +1,9 @@
+#!/usr/bin/env node
+import SparticCli from './src/cli.js'
+
+let cli = new SparticCli()
+process.on('SIGINT', () => {
+  cli.stop()
+})
+// The network may keep the process alive after we are done with it
+process.exit(await cli.run(process.argv.slice(2)))
@@ -15,6 +15,7 @@ import (
     "github.com/libp2p/go-libp2p/p2p/host/routed"
     "github.com/libp2p/go-libp2p/p2p/protocol/ping"
     dht "github.com/libp2p/go-libp2p-kad-dht"
+    "github.com/libp2p/go-libp2p-kad-dht/dual"
     multiaddr "github.com/multiformats/go-multiaddr"
     "github.com/ipfs/go-ds-leveldb"
     ds "github.com/ipfs/go-datastore"
@@ -52,31 +53,65 @@ func loadOrMakeKey(ctx context.Context, store ds.Datastore) (crypto.PrivKey, err
     return privKey, nil
 }
 
+/// Get the peers to bootstrap the DHT from. These are the public bootstrap
+/// nodes, unless GOTEST_BOOTSTRAP is set to a comma-separated list of
+/// multiaddrs, which can point at a private DHT of JS LibP2PSwarm nodes.
+func getBootstrapPeers() ([]peer.AddrInfo, error) {
+    list := os.Getenv("GOTEST_BOOTSTRAP")
+    if list == "" {
+        return dht.GetDefaultBootstrapPeerAddrInfos(), nil
+    }
+    peers := []peer.AddrInfo{}
+    for _, target := range strings.Split(list, ",") {
+        peerInfo, err := parsePeer(strings.TrimSpace(target))
+        if err != nil {
+            return nil, fmt.Errorf("could not parse bootstrap peer: %w", err)
+        }
+        peers = append(peers, *peerInfo)
+    }
+    return peers, nil
+}
+
 /// Make a libp2p host with all the cool features we want.
 /// Loads key from the given data store, and uses it for the DHT.
 /// Registers with bootstrap peers under our peer ID.
-func makeNode(ctx context.Context, store ds.Batching) (host.Host, *dht.IpfsDHT, error) {
+func makeNode(ctx context.Context, store ds.Batching) (host.Host, *dual.DHT, error) {
     // Load our key
     privKey, err := loadOrMakeKey(ctx, store)
     if err != nil {
         return nil, nil, fmt.Errorf("could not load or make key: %w", err)
     }
 
-    // Start a libp2p node with that key
+    bootstrapPeers, err := getBootstrapPeers()
+    if err != nil {
+        return nil, nil, err
+    }
+
+    // Start a libp2p node with that key.
+    // Also listen on WebSockets, which is all JS nodes speak by default.
     baseNode, err := libp2p.New(
         libp2p.Identity(privKey),
         libp2p.NATPortMap(),
+        libp2p.ListenAddrStrings(
+            "/ip4/0.0.0.0/tcp/0",
+            "/ip4/0.0.0.0/tcp/0/ws",
+            "/ip4/0.0.0.0/udp/0/quic-v1",
+        ),
     )
     if err != nil {
         return nil, nil, fmt.Errorf("could not make base node: %w", err)
     }
     
-    // Make a DHT around the node
-    dhtInstance, err := dht.New(ctx, baseNode,
-        // Bootstrap with the default peers
-        dht.BootstrapPeersFunc(dht.GetDefaultBootstrapPeerAddrInfos),
-        dht.Datastore(store),
-
+    // Make a DHT around the node.
+    // Use both the public DHT and the one for private networks, like the JS
+    // nodes do, so we can find each other on a LAN too.
+    dhtInstance, err := dual.New(ctx, baseNode,
+        dual.DHTOption(
+            dht.BootstrapPeers(bootstrapPeers...),
+            dht.Datastore(store),
+        ),
+        // Always answer queries on the private network
+        dual.LanDHTOption(dht.Mode(dht.ModeServer)),
     )
     if err != nil {
         return nil, nil, fmt.Errorf("could not make DHT: %w", err)
@@ -87,7 +122,7 @@ func makeNode(ctx context.Context, store ds.Batching) (host.Host, *dht.IpfsDHT,
     
     // Manually bootstrap
     // We *must* connect to several real nodes or the DHT will just immediately fail to come up.
-    for _, bootstrapAddr := range dht.GetDefaultBootstrapPeerAddrInfos() {
+    for _, bootstrapAddr := range bootstrapPeers {
         node.Peerstore().AddAddrs(bootstrapAddr.ID, bootstrapAddr.Addrs, peerstore.PermanentAddrTTL)
         if err := node.Connect(ctx, bootstrapAddr); err != nil {
             fmt.Println("Failed to dial bootstrap peer", bootstrapAddr)
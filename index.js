@@ -1,5 +1,26 @@
 export { default as SparticPeer } from './src/spartic_peer.js'
 export { default as SparticSession } from './src/spartic_session.js'
+export { default as AggregatorSession } from './src/aggregator_session.js'
+export { default as SessionStream } from './src/session_stream.js'
+export { default as SlotScheduler } from './src/slot_scheduler.js'
+export { default as MessageFramer } from './src/message_framer.js'
+export { default as BlameProtocol } from './src/blame_protocol.js'
+export { default as PseudonymProtocol } from './src/pseudonym_protocol.js'
+export { default as PollProtocol } from './src/poll_protocol.js'
+export { default as FileTransfer } from './src/file_transfer.js'
+export { default as ErasureCode } from './src/erasure_code.js'
+export { default as RoundTimer } from './src/round_timer.js'
+export { default as MembershipChange } from './src/membership_change.js'
+export { default as GroupDescriptor } from './src/group_descriptor.js'
+export { default as KeystreamPool } from './src/keystream_pool.js'
+export { default as WireProtocol } from './src/wire_protocol.js'
+export { default as PeerPolicy } from './src/peer_policy.js'
+export { default as SparticCli } from './src/cli.js'
+export { default as SessionStore } from './src/session_store.js'
+export { default as IdentityStore } from './src/identity_store.js'
+export { default as Swarm } from './src/swarm.js'
+export { default as LibP2PSwarm } from './src/libp2p_swarm.js'
+export { default as LoopbackSwarm, LoopbackNetwork } from './src/loopback_swarm.js'
 
 
 
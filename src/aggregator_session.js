@@ -0,0 +1,410 @@
+import b4a from 'b4a'
+
+import GroupSession from './group_session.js'
+import SparticSession from './spartic_session.js'
+import SynchronizedKeystream from './synchronized_keystream.js'
+import PairwiseHandshake from './pairwise_handshake.js'
+import xor_all from './xor_all.js'
+
+/**
+ * Represents a SparticPeer's job as one of the aggregators of a group.
+ *
+ * In a group with aggregators, members don't send their blocks to each
+ * other. Each member is assigned one aggregator (see
+ * SparticSession.aggregatorFor()), and sends it its block. Each aggregator
+ * does authenticated key agreement with every member, and makes its own
+ * keystream from what it shares with all of them, the same way members make
+ * theirs from what they share with the aggregators. So all the members' and
+ * aggregators' keystreams still cancel out.
+ *
+ * Once an aggregator has the blocks of all its members for a round, it XORs
+ * them together with its keystream, and sends that partial result to the
+ * other aggregators. Once it has everyone's partial results, it XORs them
+ * together into the round's result, and sends that to its members. So each
+ * member sends and gets one block a round, and only the aggregators, of which
+ * there should be few, swap blocks with each other.
+ *
+ * An aggregator never learns who wrote what, because every member's block is
+ * also covered by keystream it shares with the other aggregators. So as long
+ * as one aggregator is honest, the others can't unmask anyone, even working
+ * together and with some of the members. A dishonest aggregator can still
+ * hold up rounds, or hand its members a wrong result.
+ *
+ * Aggregators don't write anything into rounds themselves, and there is
+ * nothing to run on top of them; their rounds go as fast as the members send
+ * blocks. They wait as long as it takes for a round, like members in a group
+ * with aggregators do.
+ *
+ * MUST be protected from messages from peers not in the group. Use
+ * hasMember() to check. Keys, message queues and rounds are kept track of
+ * the same way as for a SparticSession, by GroupSession.
+ *
+ * Emits:
+ * 'round' with {sequenceNumber, result} when a round is done.
+ * 'protocolError' with {pubkey, code, sequenceNumber, message} when a peer
+ * sends us something we can't use. The code is one of SparticSession.ERRORS.
+ * 'outgoing' when there are new messages for peers to pop and send.
+ */
+export default class AggregatorSession extends GroupSession {
+
+  /// What version of exportState() output do we make?
+  static get STATE_VERSION() {
+    return 1
+  }
+
+  /// What message types do aggregators take?
+  static get MESSAGE_TYPES() {
+    return ['hello', 'auth', 'block', 'sync']
+  }
+
+  /// Make a new AggregatorSession, given the public keys of all the members
+  /// of the group, and of all its aggregators, including us.
+  ///
+  /// Options must contain our identity "keyPair" ({publicKey, secretKey}
+  /// ed25519 buffers) and the "groupId" of the group, which the key agreement
+  /// is bound to.
+  ///
+  /// Options can set "ratchetInterval", which must be the same as the
+  /// members', and "keystreamPool", as for a SparticSession.
+  constructor(members, aggregators, options) {
+    super()
+    if (!options || !options.keyPair) {
+      throw new Error('An identity keyPair is required to make an aggregator')
+    }
+    this.keyPair = options.keyPair
+    this.groupId = options.groupId
+    this.ratchetInterval = options.ratchetInterval
+    this.keystreamPool = options.keystreamPool || null
+
+    // Everyone in the group, in key order
+    this.members = members.map((pubkey) => this.rememberKey(pubkey)).sort(b4a.compare)
+    // All the aggregators, in key order, with our own key as ours
+    this.aggregators = aggregators.map((pubkey) => {
+      return b4a.equals(pubkey, this.keyPair.publicKey) ? this.keyPair.publicKey : this.rememberKey(pubkey)
+    }).sort(b4a.compare)
+    if (this.aggregators.indexOf(this.keyPair.publicKey) == -1) {
+      throw new Error('We are not one of the aggregators')
+    }
+    // The other aggregators, who we swap partial results with
+    this.otherAggregators = this.aggregators.filter((pubkey) => pubkey !== this.keyPair.publicKey)
+    // The members who send us their blocks
+    this.assigned = this.members.filter((pubkey) => {
+      return SparticSession.aggregatorFor(pubkey, this.members, this.aggregators) === this.keyPair.publicKey
+    })
+    // Everyone we talk to
+    this.otherPubkeys = this.members.concat(this.otherAggregators)
+
+    // Our key agreement with each member, by pubkey hex string. Groups with
+    // aggregators have only the one epoch.
+    this.handshakes = new Map()
+    for (let pubkey of this.members) {
+      this.handshakes.set(pubkey.toString('hex'), new PairwiseHandshake(this.groupId, this.keyPair, pubkey, 0))
+    }
+    // Our keystream, once we have keys with everyone
+    this.keystream = null
+
+    // The round we are putting together, and the one after, which our
+    // members can get to once we hand them a result, and the other
+    // aggregators once they have everyone's partial results
+    this.currentRound = this.makeRound(0)
+    this.nextRound = this.makeRound(1)
+    // What we sent for recently finished rounds, by sequence number, as
+    // {partial, result}
+    this.history = new Map()
+
+    for (let pubkey of this.members) {
+      this.queueMessage(pubkey, ['hello', 0, this.handshakes.get(pubkey.toString('hex')).getHello()])
+    }
+  }
+
+  /// Report the status of the aggregator as a human-readable string
+  getStatus() {
+    if (!this.keystream) {
+      let missingPeers = 0
+      let failedPeers = 0
+      for (let handshake of this.handshakes.values()) {
+        if (handshake.failed) {
+          failedPeers++
+        } else if (!handshake.isDone()) {
+          missingPeers++
+        }
+      }
+      if (failedPeers > 0) {
+        return 'FAILED: ' + failedPeers + ' peers could not authenticate'
+      }
+      return 'SETUP: Awaiting authenticated key agreement with ' + missingPeers + ' peers'
+    }
+    let round = this.currentRound
+    if (!round.partial) {
+      let missing = this.assigned.filter((pubkey) => !round.blocks.has(pubkey))
+      return 'AGGREGATING: In round ' + round.sequenceNumber + ', waiting on blocks from ' + missing.length + ' of ' +
+        this.assigned.length + ' members'
+    }
+    let missing = this.otherAggregators.filter((pubkey) => !round.partials.has(pubkey))
+    return 'AGGREGATING: In round ' + round.sequenceNumber + ', waiting on ' + missing.length + ' other aggregators'
+  }
+
+  /// Make a new empty round object for the given sequence number
+  makeRound(sequenceNumber) {
+    return {
+      sequenceNumber: sequenceNumber,
+      // Blocks from our members, by pubkey
+      blocks: new Map(),
+      // Partial results from the other aggregators, by pubkey
+      partials: new Map(),
+      // Our own partial result, once we have all our members' blocks
+      partial: null
+    }
+  }
+
+  /// Handle receipt of an ephemeral key from a member
+  receiveHello(pubkey, epoch, ephemeralKey) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return
+    }
+    let handshake = this.handshakes.get(pubkey.toString('hex'))
+    if (!handshake || epoch != 0) {
+      this.protocolError(pubkey, SparticSession.ERRORS.WRONG_EPOCH, null, 'hello is for an unacceptable epoch')
+      return
+    }
+    let signature
+    try {
+      signature = handshake.receiveHello(ephemeralKey)
+    } catch (e) {
+      this.protocolError(pubkey, SparticSession.ERRORS.HANDSHAKE, null, e.message)
+      return
+    }
+    // Prove our identity to them
+    this.queueMessage(pubkey, ['auth', epoch, signature])
+  }
+
+  /// Handle receipt of a transcript signature from a member
+  receiveAuth(pubkey, epoch, signature) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return
+    }
+    let handshake = this.handshakes.get(pubkey.toString('hex'))
+    if (!handshake || epoch != 0) {
+      this.protocolError(pubkey, SparticSession.ERRORS.WRONG_EPOCH, null, 'auth is for an unacceptable epoch')
+      return
+    }
+    try {
+      handshake.receiveAuth(signature)
+    } catch (e) {
+      this.protocolError(pubkey, SparticSession.ERRORS.HANDSHAKE, null, e.message)
+      return
+    }
+    this.checkKeysDone()
+  }
+
+  /// Set up our keystream once we have keys with every member, and get going
+  /// on any blocks that beat it here
+  checkKeysDone() {
+    if (this.keystream) {
+      return
+    }
+    let secrets = []
+    for (let pubkey of this.members) {
+      let handshake = this.handshakes.get(pubkey.toString('hex'))
+      if (!handshake.isDone()) {
+        return
+      }
+      secrets.push(handshake.sharedSecret)
+    }
+    this.keystream = new SynchronizedKeystream(secrets, {
+      ratchetInterval: this.ratchetInterval,
+      pool: this.keystreamPool
+    })
+    for (let handshake of this.handshakes.values()) {
+      // The keystream has its own copies
+      handshake.wipe()
+    }
+    this.checkRoundDone()
+  }
+
+  /// Handle receipt of a block from one of our members, or a partial result
+  /// from another aggregator
+  receiveBlock(pubkey, sequenceNumber, block) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return
+    }
+    let fromAggregator = this.otherAggregators.indexOf(pubkey) != -1
+    if (!fromAggregator && this.assigned.indexOf(pubkey) == -1) {
+      this.protocolError(pubkey, SparticSession.ERRORS.UNSUPPORTED, sequenceNumber, 'blocks go to the member\'s own aggregator')
+      return
+    }
+    let round = this.roundFor(sequenceNumber)
+    if (!round) {
+      this.protocolError(pubkey, SparticSession.ERRORS.WRONG_ROUND, sequenceNumber, 'block is for an unacceptable round')
+      return
+    }
+    let blocks = fromAggregator ? round.partials : round.blocks
+    if (blocks.has(pubkey)) {
+      this.protocolError(pubkey, SparticSession.ERRORS.DUPLICATE, sequenceNumber, 'block is already here')
+      return
+    }
+    if (block.length != SparticSession.BLOCK_SIZE) {
+      this.protocolError(pubkey, SparticSession.ERRORS.WRONG_SIZE, sequenceNumber, 'block is the wrong size')
+      return
+    }
+    blocks.set(pubkey, block)
+    this.checkRoundDone()
+  }
+
+  /// Send our partial result for the current round once all our members'
+  /// blocks are in, and finish the round once everyone's partial results are
+  /// in
+  checkRoundDone() {
+    let round = this.currentRound
+    if (!this.keystream) {
+      return
+    }
+    if (!round.partial) {
+      if (this.assigned.some((pubkey) => !round.blocks.has(pubkey))) {
+        // Still waiting on a member
+        return
+      }
+      // Cover our members' blocks with our keystream, which takes out what
+      // every member shares with us
+      let blocks = [this.keystream.read(round.sequenceNumber, SparticSession.BLOCK_SIZE)]
+      for (let pubkey of this.assigned) {
+        blocks.push(round.blocks.get(pubkey))
+      }
+      round.partial = xor_all(blocks)
+      for (let pubkey of this.otherAggregators) {
+        this.queueMessage(pubkey, ['block', round.sequenceNumber, round.partial])
+      }
+    }
+    if (this.otherAggregators.some((pubkey) => !round.partials.has(pubkey))) {
+      // Still waiting on another aggregator
+      return
+    }
+    let blocks = [round.partial]
+    for (let pubkey of this.otherAggregators) {
+      blocks.push(round.partials.get(pubkey))
+    }
+    let result = xor_all(blocks)
+    for (let pubkey of this.assigned) {
+      this.queueMessage(pubkey, ['result', round.sequenceNumber, result])
+    }
+    this.keepHistory(round.sequenceNumber, {partial: round.partial, result: result})
+
+    this.currentRound = this.nextRound
+    this.nextRound = this.makeRound(this.currentRound.sequenceNumber + 1)
+    // Get a head start on the next round's keystream, which takes a stream
+    // for every member
+    this.keystream.prefetch(this.currentRound.sequenceNumber, SparticSession.BLOCK_SIZE).catch(() => {})
+    this.emit('round', {sequenceNumber: round.sequenceNumber, result: result})
+
+    // Another aggregator may have beaten us to the next round
+    this.checkRoundDone()
+  }
+
+  /// Get the peers we trade round numbers with: our own members and the
+  /// other aggregators
+  syncPeers() {
+    return this.assigned.concat(this.otherAggregators)
+  }
+
+  /// Send a peer who says they are on the given round the result or partial
+  /// result they might have missed
+  catchUp(pubkey, sequenceNumber) {
+    if (this.assigned.indexOf(pubkey) != -1) {
+      // They might have lost the result for the round they are on
+      let past = this.history.get(sequenceNumber)
+      if (past) {
+        this.queueMessage(pubkey, ['result', sequenceNumber, past.result])
+      }
+    } else if (this.otherAggregators.indexOf(pubkey) != -1) {
+      // They might have lost our partial result for the round they are on,
+      // and we might have already sent the one after
+      for (let wanted of [sequenceNumber, sequenceNumber + 1]) {
+        let past = this.history.get(wanted)
+        let round = this.roundFor(wanted)
+        let partial = past ? past.partial : (round && round.partial)
+        if (partial) {
+          this.queueMessage(pubkey, ['block', wanted, partial])
+        }
+      }
+    }
+  }
+
+  /// Get everything needed to bring the aggregator back with importState(),
+  /// as a plain object of numbers, strings, buffers, lists and plain objects,
+  /// in the same spirit as SparticSession.exportState(). It includes the
+  /// current keys, so it must be kept secret.
+  exportState() {
+    let exportRound = (round) => ({
+      sequenceNumber: round.sequenceNumber,
+      blocks: Array.from(round.blocks.entries()),
+      partials: Array.from(round.partials.entries()),
+      partial: round.partial
+    })
+    let history = []
+    for (let [sequenceNumber, past] of this.history.entries()) {
+      history.push({sequenceNumber: sequenceNumber, partial: past.partial, result: past.result})
+    }
+    return {
+      version: this.constructor.STATE_VERSION,
+      role: 'aggregator',
+      groupId: this.groupId,
+      publicKey: this.keyPair.publicKey,
+      ratchetInterval: this.ratchetInterval,
+      members: this.members,
+      aggregators: this.aggregators,
+      handshakes: Array.from(this.handshakes.values()).map((h) => h.exportState()),
+      keystream: this.keystream ? this.keystream.exportState() : null,
+      currentRound: exportRound(this.currentRound),
+      nextRound: exportRound(this.nextRound),
+      history: history,
+      queues: Array.from(this.queues.entries())
+    }
+  }
+
+  /// Bring back an aggregator from what exportState() gave us. Options are as
+  /// for the constructor, and must have the same identity "keyPair". The
+  /// restored aggregator asks everyone which round they are on, to catch up.
+  /// Throws if the state can't be used.
+  static importState(state, options) {
+    if (state.version != this.STATE_VERSION || state.role != 'aggregator') {
+      throw new Error('Aggregator state version ' + state.version + ' is not supported')
+    }
+    if (!options || !options.keyPair || !b4a.equals(options.keyPair.publicKey, state.publicKey)) {
+      throw new Error('Aggregator state belongs to a different identity')
+    }
+    let session = new this(state.members, state.aggregators, Object.assign({}, options, {
+      groupId: state.groupId,
+      ratchetInterval: state.ratchetInterval
+    }))
+    let keyMap = (pairs) => new Map(pairs.map(([pubkey, value]) => [session.rememberKey(pubkey), value]))
+    let importRound = (round) => {
+      let imported = session.makeRound(round.sequenceNumber)
+      imported.blocks = keyMap(round.blocks)
+      imported.partials = keyMap(round.partials)
+      imported.partial = round.partial
+      return imported
+    }
+
+    for (let handshake of state.handshakes) {
+      session.handshakes.set(handshake.theirPublicKey.toString('hex'), PairwiseHandshake.importState(handshake, session.groupId, session.keyPair))
+    }
+    if (state.keystream) {
+      session.keystream = SynchronizedKeystream.importState(state.keystream, session.keystreamPool)
+    }
+    session.currentRound = importRound(state.currentRound)
+    session.nextRound = importRound(state.nextRound)
+    for (let past of state.history) {
+      session.history.set(past.sequenceNumber, {partial: past.partial, result: past.result})
+    }
+    // Forget the hellos the constructor queued, and use what we had
+    for (let [pubkey, messages] of state.queues) {
+      session.queues.set(session.rememberKey(pubkey), messages.slice())
+    }
+
+    session.resync()
+    return session
+  }
+}
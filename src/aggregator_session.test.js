@@ -0,0 +1,141 @@
+import SparticSession from './spartic_session.js'
+import AggregatorSession from './aggregator_session.js'
+import { make_aggregated_group, pump } from './test_group.js'
+
+const GROUP_ID = 'aggregated'
+
+/// Get a message with a byte set for the given member and round
+function make_message(member, round) {
+  let message = Buffer.alloc(SparticSession.BLOCK_SIZE)
+  message[member] = round + 1
+  return message
+}
+
+/// Have every member send its message for the given round
+function run_round(group, round) {
+  group.members.forEach((member, i) => member.participateInRound(make_message(i, round)))
+  pump(group.members.concat(group.aggregators))
+}
+
+describe('AggregatorSession', () => {
+
+  it('runs rounds for dozens of members through a few aggregators', () => {
+    const MEMBERS = 30
+    const AGGREGATORS = 3
+    let group = make_aggregated_group(MEMBERS, AGGREGATORS, GROUP_ID)
+    let everyone = group.members.concat(group.aggregators)
+    pump(everyone)
+
+    // Each member only has keys with the aggregators, and each aggregator
+    // with every member
+    expect(group.members[0].epochs[0].keystream.keysFor(0).length).toEqual(AGGREGATORS)
+    expect(group.aggregators[0].keystream.keysFor(0).length).toEqual(MEMBERS)
+    // The members are spread over the aggregators
+    for (let aggregator of group.aggregators) {
+      expect(aggregator.assigned.length).toEqual(MEMBERS / AGGREGATORS)
+    }
+
+    // Count the blocks everyone sends
+    let blocks = new Map(everyone.map((session) => [session, 0]))
+    for (let session of everyone) {
+      let queue = session.queueMessage.bind(session)
+      session.queueMessage = (pubkey, message) => {
+        if (message[0] == 'block') {
+          blocks.set(session, blocks.get(session) + 1)
+        }
+        queue(pubkey, message)
+      }
+    }
+    let finished = []
+    group.aggregators[0].on('round', (round) => finished.push(round.sequenceNumber))
+
+    for (let round = 0; round < 3; round++) {
+      expect(group.members.every((member) => member.readyToParticipate())).toBeTruthy()
+      run_round(group, round)
+      for (let member of group.members) {
+        let result = member.popResult()
+        for (let i = 0; i < MEMBERS; i++) {
+          expect(result[i]).toEqual(round + 1)
+        }
+        expect(result.subarray(MEMBERS).every((byte) => byte == 0)).toBeTruthy()
+      }
+    }
+    expect(finished).toEqual([0, 1, 2])
+
+    // A block a round from each member to its aggregator, and a partial
+    // result a round from each aggregator to each other one
+    for (let member of group.members) {
+      expect(blocks.get(member)).toEqual(3)
+    }
+    for (let aggregator of group.aggregators) {
+      expect(blocks.get(aggregator)).toEqual(3 * (AGGREGATORS - 1))
+    }
+  })
+
+  it('sends missed results again, even after restarts', () => {
+    let group = make_aggregated_group(6, 2, GROUP_ID)
+    pump(group.members.concat(group.aggregators))
+
+    // The first member loses its first result
+    let forgetful = group.members[0]
+    let receive = forgetful.receiveResult.bind(forgetful)
+    let lost = 0
+    forgetful.receiveResult = (pubkey, sequenceNumber, result) => {
+      if (lost++ == 0) {
+        return
+      }
+      receive(pubkey, sequenceNumber, result)
+    }
+    run_round(group, 0)
+    expect(forgetful.popResult()).toBeNull()
+    for (let member of group.members.slice(1)) {
+      expect(member.popResult()[0]).toEqual(1)
+    }
+
+    // It and its aggregator restart, and catch up
+    let index = group.aggregators.findIndex((aggregator) => aggregator.keyPair.publicKey === forgetful.upstream)
+    let old = group.aggregators[index]
+    group.aggregators[index] = AggregatorSession.importState(old.exportState(), {keyPair: old.keyPair})
+    group.aggregators[index].publicKey = old.publicKey
+    group.members[0] = SparticSession.importState(forgetful.exportState(), {keyPair: forgetful.keyPair})
+    group.members[0].publicKey = forgetful.publicKey
+
+    pump(group.members.concat(group.aggregators))
+    expect(group.members[0].popResult()[0]).toEqual(1)
+
+    run_round(group, 1)
+    for (let member of group.members) {
+      let result = member.popResult()
+      expect(result[0]).toEqual(2)
+      expect(result[5]).toEqual(2)
+    }
+  })
+
+  it('refuses what groups with aggregators cannot do', () => {
+    let group = make_aggregated_group(4, 2, GROUP_ID)
+    let everyone = group.members.concat(group.aggregators)
+    pump(everyone)
+    let member = group.members[0]
+
+    let options = {keyPair: member.keyPair, groupId: GROUP_ID, aggregators: member.aggregators}
+    expect(() => new SparticSession([], Object.assign({commitBlocks: true}, options))).toThrow(/commit mode/)
+    expect(() => new SparticSession([], Object.assign({stallPolicy: SparticSession.STALL_DROP}, options))).toThrow(/wait/)
+    expect(() => member.proposeMembership([])).toThrow(/cannot change members/)
+
+    run_round(group, 0)
+    expect(() => member.startBlame(0, 0, 5)).toThrow(/only aggregators see/)
+
+    let errors = []
+    member.on('protocolError', (error) => errors.push(error.code))
+    let other = member.aggregators.find((pubkey) => pubkey !== member.upstream)
+    member.receiveResult(other, 1, Buffer.alloc(SparticSession.BLOCK_SIZE))
+    expect(errors).toEqual([SparticSession.ERRORS.UNSUPPORTED])
+
+    let aggregator = group.aggregators.find((a) => a.keyPair.publicKey.equals(other))
+    let aggregatorErrors = []
+    aggregator.on('protocolError', (error) => aggregatorErrors.push(error.code))
+    aggregator.receiveBlock(member.keyPair.publicKey, 1, Buffer.alloc(SparticSession.BLOCK_SIZE))
+    expect(aggregatorErrors).toEqual([SparticSession.ERRORS.UNSUPPORTED])
+  })
+
+})
@@ -0,0 +1,201 @@
+import { EventEmitter } from 'events'
+
+import ostruct from 'objectstruct'
+import b4a from 'b4a'
+
+import MessageFramer from './message_framer.js'
+import SlotScheduler from './slot_scheduler.js'
+
+/// Anonymous accusation that a slot we owned in a round was jammed.
+/// Sent through the session itself, so nobody knows who sent it.
+const AccusationEncoding = ostruct({
+  /// What round was jammed?
+  sequenceNumber: 'integer',
+  /// What slot did we own in that round?
+  slotIndex: 'integer',
+  /// Which bit of the block did we write a 0 to that came out as a 1?
+  bitOffset: 'integer',
+  /// The secret behind the footprint we reserved the slot with, to prove we
+  /// owned it
+  secret: 'bytes'
+})
+
+/**
+ * Runs a Dissent-style blame protocol on top of a session, its SlotScheduler
+ * and its MessageFramer, so that a member who jams rounds can be found and
+ * thrown out.
+ *
+ * When a write into a slot we own is disrupted, we look for a witness bit
+ * where we wrote a 0 and a 1 came out, and anonymously accuse the round at
+ * that bit on the blame channel. The accusation carries the secret behind the
+ * footprint we reserved the slot with, to prove we owned the slot. That
+ * matters, because accusing a bit where the owner wrote a 1 would expose the
+ * owner. Once our accusation is out, though, everyone knows the secret, so
+ * only the first accusation about each slot of each round counts, and any
+ * more are ignored.
+ *
+ * Everyone who sees a valid accusation has the session reveal its pairwise
+ * keystream bits at just that bit of just that round, and the session works
+ * out who wrote there. Culprits are evicted BLAME_ROUNDS rounds after the
+ * round the accusation came out in, which all members agree on.
+ *
+ * Accusations have to come out while the round they are about is still in
+ * everyone's history. A jammer can keep us backing off for a while, so we
+ * only keep our newest accusation waiting to go out, and drop older ones.
+ *
+ * Listen for 'verdict' and 'evicted' on the session to find out what happened.
+ *
+ * Emits:
+ * 'accused' with the sequence number and bit offset when we make an
+ * accusation.
+ * 'invalid' with a reason when an accusation on the blame channel doesn't
+ * check out.
+ */
+export default class BlameProtocol extends EventEmitter {
+
+  /// How many rounds after an accusation comes out does an eviction take
+  /// effect? Must leave time for everyone's reveals to arrive.
+  static get BLAME_ROUNDS() {
+    return 4
+  }
+
+  /// How are accusations encoded?
+  static get AccusationEncoding() {
+    return AccusationEncoding
+  }
+
+  /// Make a new BlameProtocol for the given session, with the SlotScheduler
+  /// and MessageFramer running on it.
+  constructor(session, scheduler, framer) {
+    super()
+    this.session = session
+    this.scheduler = scheduler
+    this.framer = framer
+
+    // Recent round results by sequence number, so we can check footprints
+    this.results = new Map()
+    // Slots that have been accused already, as sets of slot indexes by the
+    // sequence number of the round accused
+    this.accused = new Map()
+    // Message ID of our accusation that hasn't gone out yet, if any
+    this.pendingAccusation = null
+
+    this.scheduler.on('round', (round) => {
+      this.results.set(round.sequenceNumber, round.result)
+      this.results.delete(round.sequenceNumber - this.session.constructor.HISTORY_ROUNDS)
+      this.accused.delete(round.sequenceNumber - this.session.constructor.HISTORY_ROUNDS)
+    })
+    this.scheduler.on('disrupted', (sequenceNumber, slotIndex, expected, actual, secret) => {
+      this.accuse(sequenceNumber, slotIndex, expected, actual, secret)
+    })
+    this.scheduler.on('sent', (data) => {
+      if (this.pendingAccusation && b4a.equals(data.subarray(0, MessageFramer.MESSAGE_ID_SIZE), this.pendingAccusation)) {
+        // It got out
+        this.pendingAccusation = null
+      }
+    })
+    this.framer.on('control', (channel, message, sequenceNumber) => {
+      if (channel == MessageFramer.CHANNELS.BLAME) {
+        this.receiveAccusation(message, sequenceNumber)
+      }
+    })
+  }
+
+  /// Accuse a round where our write into a slot was disrupted. Returns true
+  /// if we could find a witness bit to accuse.
+  accuse(sequenceNumber, slotIndex, expected, actual, secret) {
+    let witness = this.constructor.findWitnessBit(expected, actual)
+    if (witness == null) {
+      // They only flipped our 1s to 0s, and we can't point at those without
+      // giving ourselves away.
+      return false
+    }
+    let bitOffset = this.scheduler.slotOffset(slotIndex) * 8 + witness
+    if (this.pendingAccusation) {
+      // This one is newer, so it has a better chance of getting out in time
+      this.framer.cancel(this.pendingAccusation)
+    }
+    this.pendingAccusation = this.framer.send(AccusationEncoding.encode({
+      sequenceNumber: sequenceNumber,
+      slotIndex: slotIndex,
+      bitOffset: bitOffset,
+      secret: secret
+    }), MessageFramer.CHANNELS.BLAME)
+    this.emit('accused', sequenceNumber, bitOffset)
+    return true
+  }
+
+  /// Handle an accusation that came out of the given round
+  receiveAccusation(message, sequenceNumber) {
+    let accusation
+    try {
+      accusation = AccusationEncoding.decode(message)
+    } catch (e) {
+      accusation = null
+    }
+    if (!accusation) {
+      this.emit('invalid', 'accusation could not be decoded')
+      return
+    }
+
+    if (sequenceNumber - accusation.sequenceNumber > this.session.constructor.HISTORY_ROUNDS - this.constructor.BLAME_ROUNDS) {
+      this.emit('invalid', 'accusation is too old')
+      return
+    }
+    let reservation = this.results.get(accusation.sequenceNumber - 1)
+    let result = this.results.get(accusation.sequenceNumber)
+    if (!reservation || !result) {
+      this.emit('invalid', 'accusation is for a round we do not have')
+      return
+    }
+    if (accusation.slotIndex >= this.scheduler.slotCount) {
+      this.emit('invalid', 'accusation is for a slot that does not exist')
+      return
+    }
+    let footprint = SlotScheduler.footprintFor(accusation.secret)
+    if (!b4a.equals(this.scheduler.readFootprint(reservation, accusation.slotIndex), footprint)) {
+      this.emit('invalid', 'accuser did not own the slot')
+      return
+    }
+    // The owner's accusation gave away the secret, so anyone could repeat it
+    // at a bit where the owner wrote a 1, and frame them
+    let accusedSlots = this.accused.get(accusation.sequenceNumber) || new Set()
+    if (accusedSlots.has(accusation.slotIndex)) {
+      this.emit('invalid', 'slot was already accused')
+      return
+    }
+    accusedSlots.add(accusation.slotIndex)
+    this.accused.set(accusation.sequenceNumber, accusedSlots)
+    let slotStart = this.scheduler.slotOffset(accusation.slotIndex) * 8
+    if (accusation.bitOffset < slotStart || accusation.bitOffset >= slotStart + this.scheduler.slotSize * 8) {
+      this.emit('invalid', 'accused bit is not in the slot')
+      return
+    }
+    if (!(result[Math.floor(accusation.bitOffset / 8)] & (0x80 >> (accusation.bitOffset % 8)))) {
+      this.emit('invalid', 'accused bit was not set')
+      return
+    }
+
+    try {
+      this.session.startBlame(accusation.sequenceNumber, accusation.bitOffset, sequenceNumber + this.constructor.BLAME_ROUNDS)
+    } catch (e) {
+      this.emit('invalid', e.message)
+    }
+  }
+
+  /// Find a bit (counting from the most significant bit of the first byte)
+  /// where expected has a 0 and actual has a 1, or null if there isn't one.
+  static findWitnessBit(expected, actual) {
+    for (let i = 0; i < expected.length; i++) {
+      let flipped = actual[i] & ~expected[i]
+      if (flipped) {
+        for (let bit = 0; bit < 8; bit++) {
+          if (flipped & (0x80 >> bit)) {
+            return i * 8 + bit
+          }
+        }
+      }
+    }
+    return null
+  }
+}
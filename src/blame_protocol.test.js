@@ -0,0 +1,112 @@
+import crypto from 'hypercore-crypto'
+import SlotScheduler from './slot_scheduler.js'
+import MessageFramer from './message_framer.js'
+import BlameProtocol from './blame_protocol.js'
+import { make_group, make_framed_group, pump } from './test_group.js'
+
+const GROUP_ID = 5
+
+describe('BlameProtocol', () => {
+
+  it('finds and evicts a member who jams rounds', () => {
+    const PEERS = 4
+    const JAMMER = PEERS - 1
+
+    let sessions = make_group(PEERS, GROUP_ID)
+    pump(sessions)
+
+    let schedulers = sessions.map((s) => new SlotScheduler(s, {slotCount: 4}))
+    let framers = schedulers.map((s) => new MessageFramer(s))
+    let blames = sessions.map((s, i) => new BlameProtocol(s, schedulers[i], framers[i]))
+
+    // The jammer XORs garbage over the data slots in some rounds
+    let jammer = sessions[JAMMER]
+    let honest_participate = jammer.participateInRound.bind(jammer)
+    jammer.participateInRound = (message) => {
+      if (crypto.randomBytes(1)[0] & 1) {
+        let garbage = crypto.randomBytes(message.length)
+        garbage.fill(0, 0, schedulers[JAMMER].reservationSize)
+        for (let i = 0; i < message.length; i++) {
+          message[i] ^= garbage[i]
+        }
+      }
+      honest_participate(message)
+    }
+
+    let verdicts = []
+    let evicted = []
+    for (let i = 0; i < JAMMER; i++) {
+      sessions[i].on('verdict', (verdict) => verdicts.push(verdict))
+      sessions[i].on('evicted', (pubkey) => evicted.push([i, pubkey]))
+    }
+    let received = []
+    framers[1].on('message', (message) => received.push(message.toString()))
+
+    for (let i = 0; i < 10; i++) {
+      framers[0].send(Buffer.from('hello, group ' + i))
+    }
+
+    for (let round = 0; round < 1000 && (received.length < 10 || evicted.length < JAMMER); round++) {
+      if (schedulers[0].pending.length == 0) {
+        // Keep giving the jammer something to jam until it is caught
+        framers[0].send(Buffer.from('still here'))
+      }
+      for (let scheduler of schedulers) {
+        scheduler.tick()
+      }
+      pump(sessions)
+    }
+
+    expect(verdicts.length).toBeGreaterThan(0)
+    for (let verdict of verdicts) {
+      expect(verdict.culprits.length).toEqual(1)
+      expect(verdict.culprits[0].equals(sessions[JAMMER].publicKey)).toBeTruthy()
+    }
+    for (let i = 0; i < JAMMER; i++) {
+      expect(evicted.some(([j, pubkey]) => j == i && pubkey.equals(sessions[JAMMER].publicKey))).toBeTruthy()
+      expect(sessions[i].otherPubkeys.length).toEqual(PEERS - 2)
+    }
+    expect(received).toContain('hello, group 9')
+  })
+
+  it('only takes the first accusation about a slot, and survives ones that do not decode', () => {
+    let group = make_framed_group(3, GROUP_ID, 4)
+    let scheduler = group.schedulers[1]
+    let blame = new BlameProtocol(group.sessions[1], scheduler, group.framers[1])
+    let started = []
+    group.sessions[1].startBlame = (...args) => started.push(args)
+    let invalid = []
+    blame.on('invalid', (reason) => invalid.push(reason))
+
+    // Someone reserved slot 2 in round 9, and everything in round 10 is set
+    let secret = crypto.randomBytes(SlotScheduler.FOOTPRINT_SECRET_SIZE)
+    let reservation = Buffer.alloc(scheduler.blockSize)
+    SlotScheduler.footprintFor(secret).copy(reservation, 2 * SlotScheduler.FOOTPRINT_SIZE)
+    blame.results.set(9, reservation)
+    blame.results.set(10, Buffer.alloc(scheduler.blockSize, 0xff))
+
+    let accusation = (bit) => BlameProtocol.AccusationEncoding.encode({
+      sequenceNumber: 10,
+      slotIndex: 2,
+      bitOffset: scheduler.slotOffset(2) * 8 + bit,
+      secret: secret
+    })
+    blame.receiveAccusation(accusation(3), 11)
+    expect(started.length).toEqual(1)
+    // Now the secret is out, and someone points at another bit
+    blame.receiveAccusation(accusation(5), 12)
+    expect(started.length).toEqual(1)
+    expect(invalid).toEqual(['slot was already accused'])
+
+    blame.receiveAccusation(accusation(3).subarray(0, 1), 12)
+    blame.receiveAccusation(Buffer.alloc(0), 12)
+    expect(started.length).toEqual(1)
+    expect(invalid.slice(1)).toEqual(['accusation could not be decoded', 'accusation could not be decoded'])
+  })
+
+  it('finds witness bits only where a 0 became a 1', () => {
+    expect(BlameProtocol.findWitnessBit(Buffer.from([0xFF, 0x00]), Buffer.from([0x00, 0x20]))).toEqual(10)
+    expect(BlameProtocol.findWitnessBit(Buffer.from([0xFF]), Buffer.from([0x0F]))).toEqual(null)
+  })
+
+})
@@ -0,0 +1,121 @@
+import ostruct from 'objectstruct'
+import b4a from 'b4a'
+
+/// Get how many bytes a value takes up in the given encoding
+function length_of(encoding, value) {
+  return encoding.length || encoding.encodingLength(value)
+}
+
+/// Make an encoding for an object with the given fields, each already
+/// compiled, laid out the same as objectstruct lays it out
+function object_encoding(parts) {
+  let encodingLength = (value) => {
+    value = value || {}
+    return parts.reduce((total, [name, part]) => total + length_of(part, value[name]), 0)
+  }
+  let encode = (value, buffer, offset) => {
+    value = value || {}
+    if (!buffer) {
+      buffer = b4a.alloc(encodingLength(value))
+    }
+    offset = offset | 0
+    let start = offset
+    for (let [name, part] of parts) {
+      part.encode(value[name], buffer, offset)
+      offset += part.encode.bytes
+    }
+    encode.bytes = offset - start
+    return buffer
+  }
+  let decode = (buffer, offset) => {
+    offset = offset | 0
+    let start = offset
+    let value = {}
+    for (let [name, part] of parts) {
+      value[name] = part.decode(buffer, offset)
+      if (value[name] === undefined) {
+        decode.bytes = 0
+        return undefined
+      }
+      offset += part.decode.bytes
+    }
+    decode.bytes = offset - start
+    return value
+  }
+  return {encode: encode, decode: decode, encodingLength: encodingLength}
+}
+
+/// Make an encoding for a list of items in the given encoding, laid out the
+/// same as objectstruct lays it out: a varint byte count, then the items.
+/// Unlike objectstruct's, decoding fails if an item doesn't decode or runs
+/// past the byte count, instead of going around forever.
+function array_encoding(item) {
+  let count = ostruct('integer')
+  let contentLength = (value) => value.reduce((total, entry) => total + length_of(item, entry), 0)
+  let encodingLength = (value) => {
+    let size = contentLength(value || [])
+    return count.encodingLength(size) + size
+  }
+  let encode = (value, buffer, offset) => {
+    value = value || []
+    if (!Array.isArray(value)) {
+      throw new Error('Can only encode arrays')
+    }
+    if (!buffer) {
+      buffer = b4a.alloc(encodingLength(value))
+    }
+    offset = offset | 0
+    let start = offset
+    count.encode(contentLength(value), buffer, offset)
+    offset += count.encode.bytes
+    for (let entry of value) {
+      item.encode(entry, buffer, offset)
+      offset += item.encode.bytes
+    }
+    encode.bytes = offset - start
+    return buffer
+  }
+  let decode = (buffer, offset) => {
+    offset = offset | 0
+    let start = offset
+    let size = count.decode(buffer, offset)
+    if (size === undefined) {
+      decode.bytes = 0
+      return undefined
+    }
+    offset += count.decode.bytes
+    let end = offset + size
+    if (end > buffer.length) {
+      decode.bytes = 0
+      return undefined
+    }
+    let value = []
+    while (offset < end) {
+      let entry = item.decode(buffer, offset)
+      let used = item.decode.bytes
+      if (entry === undefined || !(used > 0) || offset + used > end) {
+        decode.bytes = 0
+        return undefined
+      }
+      value.push(entry)
+      offset += used
+    }
+    decode.bytes = offset - start
+    return value
+  }
+  return {encode: encode, decode: decode, encodingLength: encodingLength}
+}
+
+/// Compile an objectstruct schema into an encoding that puts the same bytes
+/// on the wire, but is safe to decode from people we don't trust: lists that
+/// don't add up fail to decode instead of hanging. Use this instead of
+/// objectstruct for anything with a list in it that comes off the network.
+export default function checked_struct(schema) {
+  if (Array.isArray(schema)) {
+    return array_encoding(checked_struct(schema[0]))
+  }
+  if (typeof schema === 'object' && schema) {
+    return object_encoding(Object.keys(schema).map((name) => [name, checked_struct(schema[name])]))
+  }
+  return ostruct(schema)
+}
@@ -0,0 +1,459 @@
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+import readline from 'readline'
+import { parseArgs, format } from 'util'
+
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+
+import SparticPeer from './spartic_peer.js'
+import IdentityStore from './identity_store.js'
+import RoundTimer from './round_timer.js'
+import LoopbackSwarm, { LoopbackNetwork } from './loopback_swarm.js'
+
+/// Command line options every command takes, for parseArgs()
+const OPTIONS = {
+  /// Print JSON lines instead of text
+  json: {type: 'boolean', default: false},
+  /// Directory to keep identities and sessions in
+  dir: {type: 'string'},
+  /// Name of the identity to use
+  identity: {type: 'string'},
+  /// File holding the passphrase the identity and sessions are encrypted
+  /// under. There's no option for the passphrase itself, since anyone who
+  /// can list processes or read the shell history would see it.
+  'passphrase-file': {type: 'string'},
+  /// Milliseconds between rounds
+  interval: {type: 'string'},
+  /// Make a group that commits to blocks before sending them
+  commit: {type: 'boolean', default: false},
+  /// Stop chatting after this many messages
+  count: {type: 'string'},
+  /// Milliseconds to spend connecting before reporting status
+  wait: {type: 'string'},
+  /// Never contact public infrastructure
+  offline: {type: 'boolean', default: false},
+  /// Addresses of peers to find the rest of the network through
+  bootstrap: {type: 'string', multiple: true},
+  /// Send the peer's logs to stderr
+  verbose: {type: 'boolean', default: false},
+  /// Show usage
+  help: {type: 'boolean', short: 'h', default: false}
+}
+
+/// Turn a command line option into a whole number, or throw if it isn't one
+function parse_number(name, value) {
+  if (!/^[0-9]+$/.test(value)) {
+    throw new Error('--' + name + ' must be a whole number, not ' + value)
+  }
+  return parseInt(value, 10)
+}
+
+/// Turn a public key hex string from the command line into a buffer, or throw
+/// if it isn't one
+function parse_key(value) {
+  if (!/^[0-9a-fA-F]{64}$/.test(value)) {
+    throw new Error('Not a public key: ' + value)
+  }
+  return b4a.from(value, 'hex')
+}
+
+/// Make message text safe to print on a terminal, by replacing control
+/// characters, which another member could use to mess with our screen
+function printable(text) {
+  return text.replace(/[\u0000-\u001f\u007f-\u009f]/g, '\ufffd')
+}
+
+/**
+ * The spartic command line application: anonymous group chat over Spartic
+ * groups.
+ *
+ * Commands are:
+ * "id" to show our identity's public key, making the identity if needed.
+ * "group create [member keys...]" to make a group and print its invitation.
+ * "group join <invitation>" to join a group someone else made.
+ * "chat <group ID>" to chat in a group: each line read is sent as an
+ * anonymous message, and each message out of the group is printed as a line.
+ * "status" to report on our connections and groups.
+ *
+ * Identities and sessions are kept encrypted in the "--dir" directory, or
+ * SPARTIC_DIR, or ~/.spartic, under the passphrase from SPARTIC_PASSPHRASE,
+ * or the first line of the "--passphrase-file" file. With "--json", everything printed is a JSON object on a
+ * line of its own, and errors are too, so scripts can drive it.
+ *
+ * Input, output and the network can be swapped out, so it can run in the same
+ * process as other peers, over a LoopbackNetwork.
+ */
+export default class SparticCli {
+
+  /// What is the environment variable for the data directory?
+  static get DIR_VARIABLE() {
+    return 'SPARTIC_DIR'
+  }
+
+  /// What is the environment variable for the passphrase?
+  static get PASSPHRASE_VARIABLE() {
+    return 'SPARTIC_PASSPHRASE'
+  }
+
+  /// How to use the command
+  static get USAGE() {
+    return [
+      'Usage: spartic <command> [options]',
+      '',
+      'Commands:',
+      '  id                          Show our public key, making an identity if needed',
+      '  group create [key...]       Make a group with the members with the given keys',
+      '  group join <invitation>     Join a group from an invitation',
+      '  chat <group ID>             Chat anonymously in a group, a line at a time',
+      '  status                      Show our connections and groups',
+      '',
+      'Options:',
+      '  --json                      Print JSON lines, for scripts',
+      '  --dir <path>                Where to keep identities and sessions (' + this.DIR_VARIABLE + ')',
+      '  --identity <name>           Which identity to use',
+      '  --passphrase-file <path>    File with what they are encrypted under (or ' + this.PASSPHRASE_VARIABLE + ')',
+      '  --interval <ms>             Time between rounds, for group create and chat',
+      '  --commit                    Commit to blocks before sending them, for group create',
+      '  --count <n>                 Stop chatting after this many messages',
+      '  --wait <ms>                 Connect for this long before showing status',
+      '  --offline                   Never contact public infrastructure',
+      '  --bootstrap <address>       Find the network through this address',
+      '  --verbose                   Log what the peer is doing to stderr'
+    ].join('\n')
+  }
+
+  /// Make a new SparticCli.
+  /// Options can have the "stdin", "stdout" and "stderr" streams to use,
+  /// which default to the process's, and the "env" to read variables from.
+  /// They can have a LoopbackNetwork "network" to connect over instead of
+  /// libp2p. They can also have "storeOptions" for the IdentityStore and
+  /// SessionStore, like "opsLimit" and "memLimit".
+  constructor(options) {
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    this.stdin = options.stdin || process.stdin
+    this.stdout = options.stdout || process.stdout
+    this.stderr = options.stderr || process.stderr
+    this.env = options.env || process.env
+    this.network = options.network || null
+    this.storeOptions = options.storeOptions || {}
+
+    // Whether we are printing JSON
+    this.json = false
+    // Call to stop a running chat
+    this.stopChat = null
+  }
+
+  /// Run the command with the given arguments, not including the program
+  /// name. Returns a Promise for the exit code.
+  async run(argv) {
+    // Know how to report errors even if the rest can't be parsed
+    this.json = argv.includes('--json')
+    let parsed
+    try {
+      parsed = parseArgs({args: argv, options: OPTIONS, allowPositionals: true})
+    } catch (e) {
+      this.error(e.message)
+      return 2
+    }
+    let values = parsed.values
+    let [command, ...args] = parsed.positionals
+    if (values.help || command == 'help') {
+      this.stdout.write(this.constructor.USAGE + '\n')
+      return 0
+    }
+    if (!command) {
+      this.stderr.write(this.constructor.USAGE + '\n')
+      return 2
+    }
+    try {
+      if (command == 'id') {
+        await this.id(values)
+      } else if (command == 'group' && args[0] == 'create') {
+        await this.createGroup(values, args.slice(1))
+      } else if (command == 'group' && args[0] == 'join' && args.length == 2) {
+        await this.joinGroup(values, args[1])
+      } else if (command == 'chat' && args.length == 1) {
+        await this.chat(values, args[0])
+      } else if (command == 'status' && args.length == 0) {
+        await this.status(values)
+      } else {
+        this.error('Unknown command: ' + parsed.positionals.join(' ') + '\n\n' + this.constructor.USAGE)
+        return 2
+      }
+    } catch (e) {
+      this.error(e.message)
+      return 1
+    }
+    return 0
+  }
+
+  /// Stop a running chat, as if input had ended and everything we sent was
+  /// out
+  stop() {
+    if (this.stopChat) {
+      this.stopChat()
+    }
+  }
+
+  /// Print a result: the given object as JSON, or the given lines of text
+  print(value, lines) {
+    if (this.json) {
+      this.stdout.write(JSON.stringify(value) + '\n')
+    } else {
+      for (let line of lines) {
+        this.stdout.write(line + '\n')
+      }
+    }
+  }
+
+  /// Tell the user something on the side, as a JSON notice or text on stderr
+  notice(value, text) {
+    if (this.json) {
+      this.stdout.write(JSON.stringify(value) + '\n')
+    } else {
+      this.stderr.write(text + '\n')
+    }
+  }
+
+  /// Report an error, as JSON or text on stderr
+  error(message) {
+    if (this.json) {
+      this.stderr.write(JSON.stringify({type: 'error', message: message}) + '\n')
+    } else {
+      this.stderr.write('spartic: ' + message + '\n')
+    }
+  }
+
+  /// Get the directory to keep everything in
+  directory(values) {
+    return values.dir || this.env[this.constructor.DIR_VARIABLE] || path.join(os.homedir(), '.spartic')
+  }
+
+  /// Get the passphrase to encrypt everything under, or throw if there isn't
+  /// one
+  async passphrase(values) {
+    if (values['passphrase-file'] != null) {
+      let text = await fs.readFile(values['passphrase-file'], 'utf8')
+      return text.split(/\r?\n/)[0]
+    }
+    let passphrase = this.env[this.constructor.PASSPHRASE_VARIABLE]
+    if (passphrase == null) {
+      throw new Error('A passphrase is needed: set ' + this.constructor.PASSPHRASE_VARIABLE + ' or pass --passphrase-file')
+    }
+    return passphrase
+  }
+
+  /// Get our identity as {name, seed, created}, making it if needed
+  async loadIdentity(values) {
+    let store = new IdentityStore(path.join(this.directory(values), 'identities'),
+      Object.assign({}, this.storeOptions, {passphrase: await this.passphrase(values)}))
+    let name = IdentityStore.checkName(values.identity)
+    let seed = await store.load(name)
+    let created = !seed
+    if (created) {
+      seed = await store.create(name)
+    }
+    return {name: name, seed: seed, created: created}
+  }
+
+  /// Make a SparticPeer for our identity, with our saved sessions.
+  /// If online is false, it is on a network of its own, and never talks to
+  /// anyone; that is enough to set up groups.
+  async makePeer(values, online) {
+    let identity = await this.loadIdentity(values)
+    let log = this.logger(values)
+    let options = {
+      seed: identity.seed,
+      log: log,
+      storage: Object.assign({}, this.storeOptions, {
+        // Each identity has its own sessions
+        directory: path.join(this.directory(values), 'sessions', b4a.toString(b4a.from(identity.name), 'hex')),
+        passphrase: await this.passphrase(values)
+      })
+    }
+    if (!online) {
+      options.swarm = new LoopbackSwarm({network: new LoopbackNetwork(), seed: identity.seed, log: log})
+    } else if (this.network) {
+      options.swarm = new LoopbackSwarm({network: this.network, seed: identity.seed, log: log})
+    } else {
+      options.offline = values.offline
+      if (values.bootstrap) {
+        options.bootstrap = values.bootstrap
+      }
+    }
+    let peer = new SparticPeer(options)
+    await peer.ready
+    return peer
+  }
+
+  /// Get the function the peer logs with: to stderr with --verbose, since
+  /// stdout is for what the command prints, and nowhere otherwise
+  logger(values) {
+    if (!values.verbose) {
+      return () => {}
+    }
+    return (...args) => {
+      this.stderr.write(format(...args) + '\n')
+    }
+  }
+
+  /// Get the round interval from the options, or null if not set
+  interval(values) {
+    if (values.interval == null) {
+      return null
+    }
+    let interval = parse_number('interval', values.interval)
+    if (interval < RoundTimer.MIN_INTERVAL || interval > RoundTimer.MAX_INTERVAL) {
+      throw new Error('--interval must be from ' + RoundTimer.MIN_INTERVAL + ' to ' + RoundTimer.MAX_INTERVAL)
+    }
+    return interval
+  }
+
+  /// Show our public key, making our identity if needed
+  async id(values) {
+    let identity = await this.loadIdentity(values)
+    let publicKey = b4a.toString(crypto.keyPair(identity.seed).publicKey, 'hex')
+    this.print({type: 'id', identity: identity.name, publicKey: publicKey, created: identity.created}, [publicKey])
+  }
+
+  /// Make a group of us and the members with the given public key hex
+  /// strings, and print its invitation
+  async createGroup(values, memberKeys) {
+    let members = memberKeys.map(parse_key)
+    let interval = this.interval(values)
+    let peer = await this.makePeer(values, false)
+    try {
+      let descriptor = peer.describeGroup(members, {
+        interval: interval == null ? RoundTimer.DEFAULT_INTERVAL : interval,
+        commitBlocks: values.commit
+      })
+      peer.createSession(descriptor)
+      await peer.saveSession(descriptor.groupId)
+      this.print({
+        type: 'group',
+        groupId: descriptor.groupId,
+        invitation: descriptor.toInvitation(),
+        members: descriptor.members.map((key) => b4a.toString(key, 'hex'))
+      }, [descriptor.toInvitation()])
+    } finally {
+      await peer.close()
+    }
+  }
+
+  /// Join the group from the given invitation, and print its ID
+  async joinGroup(values, invitation) {
+    let peer = await this.makePeer(values, false)
+    try {
+      let session = peer.createSession(invitation)
+      let descriptor = peer.getDescriptor(session.groupId)
+      await peer.saveSession(session.groupId)
+      this.print({
+        type: 'group',
+        groupId: descriptor.groupId,
+        members: descriptor.members.map((key) => b4a.toString(key, 'hex'))
+      }, [descriptor.groupId])
+    } finally {
+      await peer.close()
+    }
+  }
+
+  /// Chat in the group with the given ID: send each line of input as an
+  /// anonymous message, and print each message out of the group. Stops when
+  /// "--count" messages have come out, or else when input ends and
+  /// everything we sent is out, or when stop() is called.
+  async chat(values, groupId) {
+    let count = values.count == null ? null : parse_number('count', values.count)
+    let interval = this.interval(values)
+    let peer = await this.makePeer(values, true)
+    let input = null
+    try {
+      let session = peer.getSession(groupId)
+      if (!session) {
+        throw new Error('Not in group ' + groupId + '; join it first')
+      }
+      let addresses = (await peer.listen()) || []
+      this.notice({type: 'listening', groupId: session.groupId, addresses: addresses.map(String)},
+        'Chatting in ' + session.groupId + ' as ' + peer.getName() + (addresses.length ? ', reachable at ' + addresses.join(' ') : ''))
+      peer.startRounds(groupId, interval == null ? {} : {interval: interval})
+
+      await new Promise((resolve) => {
+        // How many of our messages haven't come out yet
+        let pending = 0
+        // How many messages have come out
+        let seen = 0
+        let ended = false
+        let check = () => {
+          if (count != null ? seen >= count : ended && pending == 0) {
+            resolve()
+          }
+        }
+        this.stopChat = resolve
+
+        session.on('message', (message, info) => {
+          let text = b4a.toString(message)
+          this.print({type: 'message', groupId: session.groupId, sequenceNumber: info.sequenceNumber, ours: info.ours, text: text},
+            ['[' + info.sequenceNumber + '] ' + (info.ours ? '(you) ' : '') + printable(text)])
+          if (info.ours && pending > 0) {
+            pending--
+          }
+          seen++
+          check()
+        })
+        session.on('stalled', (stall) => {
+          this.notice({type: 'stalled', groupId: session.groupId, sequenceNumber: stall.sequenceNumber},
+            session.getStatus())
+        })
+
+        input = readline.createInterface({input: this.stdin, crlfDelay: Infinity})
+        input.on('line', (line) => {
+          if (line.length == 0) {
+            return
+          }
+          session.send(b4a.from(line))
+          pending++
+        })
+        input.on('SIGINT', () => {
+          this.stop()
+        })
+        input.on('close', () => {
+          ended = true
+          check()
+        })
+      })
+    } finally {
+      this.stopChat = null
+      if (input) {
+        input.close()
+      }
+      await peer.close()
+    }
+  }
+
+  /// Show our connections and groups. With "--wait", get online and connect
+  /// for that long first.
+  async status(values) {
+    let wait = values.wait == null ? 0 : parse_number('wait', values.wait)
+    let peer = await this.makePeer(values, wait > 0)
+    try {
+      if (wait > 0) {
+        await peer.listen()
+        // Give up waiting for everyone to connect after a while
+        let timeout
+        await Promise.race([peer.flush(), new Promise((resolve) => {
+          timeout = setTimeout(resolve, wait)
+        })])
+        clearTimeout(timeout)
+      }
+      let status = peer.getStatus()
+      this.print(Object.assign({type: 'status'}, status),
+        ['Public key ' + status.publicKey].concat(SparticPeer.describeStatus(status)))
+    } finally {
+      await peer.close()
+    }
+  }
+}
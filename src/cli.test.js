@@ -0,0 +1,138 @@
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+import { PassThrough, Readable } from 'stream'
+import sodium from 'sodium-universal'
+import crypto from 'hypercore-crypto'
+import SparticCli from './cli.js'
+import GroupDescriptor from './group_descriptor.js'
+import { LoopbackNetwork } from './loopback_swarm.js'
+
+/// Passphrase hashing limits that keep the tests quick
+const FAST = {
+  opsLimit: sodium.crypto_pwhash_OPSLIMIT_MIN,
+  memLimit: sodium.crypto_pwhash_MEMLIMIT_MIN
+}
+
+/// Run the CLI with the given arguments and input lines, on the given
+/// network, and get {code, output, errors}, where output is the JSON lines it
+/// printed. The passphrase comes from the environment unless env says
+/// otherwise.
+async function run_cli(network, directory, args, lines, env) {
+  let stdout = new PassThrough()
+  let stderr = new PassThrough()
+  let printed = []
+  stdout.on('data', (data) => printed.push(data.toString()))
+  let errors = []
+  stderr.on('data', (data) => errors.push(data.toString()))
+  let cli = new SparticCli({
+    stdin: Readable.from((lines || []).map((line) => line + '\n')),
+    stdout: stdout,
+    stderr: stderr,
+    env: Object.assign({SPARTIC_DIR: directory, SPARTIC_PASSPHRASE: 'correct horse'}, env),
+    network: network,
+    storeOptions: FAST
+  })
+  let code = await cli.run(args.concat(['--json']))
+  let output = printed.join('').split('\n').filter((line) => line.length > 0).map((line) => JSON.parse(line))
+  return {code: code, output: output, errors: errors.join('')}
+}
+
+describe('SparticCli', () => {
+
+  let directory = null
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'spartic-cli-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(directory, {recursive: true, force: true})
+  })
+
+  it('makes a group and chats in it over loopback', async () => {
+    let network = new LoopbackNetwork()
+    let dirs = [path.join(directory, 'a'), path.join(directory, 'b')]
+
+    let ids = []
+    for (let dir of dirs) {
+      let result = await run_cli(network, dir, ['id'])
+      expect(result.code).toEqual(0)
+      expect(result.output[0].created).toBeTruthy()
+      ids.push(result.output[0].publicKey)
+    }
+    // The identity sticks around
+    let again = await run_cli(network, dirs[0], ['id'])
+    expect(again.output[0]).toEqual({type: 'id', identity: 'default', publicKey: ids[0], created: false})
+
+    let created = await run_cli(network, dirs[0], ['group', 'create', ids[1], '--interval', '100'])
+    expect(created.code).toEqual(0)
+    let group = created.output[0]
+    expect(group.members.sort()).toEqual(ids.slice().sort())
+
+    let joined = await run_cli(network, dirs[1], ['group', 'join', group.invitation])
+    expect(joined.code).toEqual(0)
+    expect(joined.output[0].groupId).toEqual(group.groupId)
+
+    let [alice, bob] = await Promise.all([
+      run_cli(network, dirs[0], ['chat', group.groupId], ['hello from nobody in particular']),
+      run_cli(network, dirs[1], ['chat', group.groupId, '--count', '1', '--verbose'], [])
+    ])
+    expect(alice.code).toEqual(0)
+    expect(bob.code).toEqual(0)
+    // The peer's logs go to stderr only when asked for, and never to stdout
+    expect(alice.errors).toEqual('')
+    expect(bob.errors).toMatch(/Got all shared keys for epoch 0/)
+    let said = alice.output.filter((line) => line.type == 'message')
+    expect(said.map((line) => [line.text, line.ours])).toEqual([['hello from nobody in particular', true]])
+    let heard = bob.output.filter((line) => line.type == 'message')
+    expect(heard.map((line) => [line.text, line.ours])).toEqual([['hello from nobody in particular', false]])
+
+    let status = await run_cli(network, dirs[1], ['status'])
+    expect(status.code).toEqual(0)
+    expect(status.output[0].publicKey).toEqual(ids[1])
+    expect(status.output[0].sessions.map((session) => session.groupId)).toEqual([group.groupId])
+  })
+
+  it('takes the passphrase from a file, and never from the command line', async () => {
+    let network = new LoopbackNetwork()
+    let made = await run_cli(network, directory, ['id'])
+    expect(made.code).toEqual(0)
+
+    let file = path.join(directory, 'passphrase')
+    await fs.writeFile(file, 'correct horse\n')
+    let loaded = await run_cli(network, directory, ['id', '--passphrase-file', file], [], {SPARTIC_PASSPHRASE: undefined})
+    expect(loaded.code).toEqual(0)
+    expect(loaded.output[0]).toEqual(Object.assign({}, made.output[0], {created: false}))
+
+    let missing = await run_cli(network, directory, ['id'], [], {SPARTIC_PASSPHRASE: undefined})
+    expect(missing.code).toEqual(1)
+    expect(JSON.parse(missing.errors).message).toMatch(/--passphrase-file/)
+
+    let argv = await run_cli(network, directory, ['id', '--passphrase', 'correct horse'])
+    expect(argv.code).toEqual(2)
+  })
+
+  it('reports errors as JSON', async () => {
+    let network = new LoopbackNetwork()
+    let result = await run_cli(network, directory, ['group', 'join', 'spartic1:nonsense'])
+    expect(result.code).toEqual(1)
+    expect(JSON.parse(result.errors).message).toMatch(/not properly signed/)
+
+    // Including ones with a member list that runs past the end
+    let descriptor = GroupDescriptor.create([crypto.keyPair().publicKey], crypto.keyPair(), {blockSize: 4096, interval: 1000})
+    let corrupted = descriptor.encode()
+    corrupted[corrupted.lastIndexOf(descriptor.members[1]) - 1] = 0x7f
+    result = await run_cli(network, directory, ['group', 'join', GroupDescriptor.INVITATION_PREFIX + corrupted.toString('base64url')])
+    expect(result.code).toEqual(1)
+    expect(JSON.parse(result.errors).message).toMatch(/not properly signed/)
+
+    result = await run_cli(network, directory, ['chat', 'nowhere'])
+    expect(result.code).toEqual(1)
+    expect(JSON.parse(result.errors).message).toMatch(/join it first/)
+
+    result = await run_cli(network, directory, ['frobnicate'])
+    expect(result.code).toEqual(2)
+  })
+
+})
@@ -0,0 +1,177 @@
+import b4a from 'b4a'
+
+/// Logarithms and exponentials in GF(2^8), with the polynomial x^8 + x^4 +
+/// x^3 + x^2 + 1 and generator 2. Exponentials go around twice, so products
+/// don't need a modulus.
+const GF_EXP = new Uint8Array(512)
+const GF_LOG = new Uint8Array(256)
+{
+  let x = 1
+  for (let i = 0; i < 255; i++) {
+    GF_EXP[i] = x
+    GF_LOG[x] = i
+    x <<= 1
+    if (x & 0x100) {
+      x ^= 0x11d
+    }
+  }
+  for (let i = 255; i < 512; i++) {
+    GF_EXP[i] = GF_EXP[i - 255]
+  }
+}
+
+/// Multiply two field elements
+function gf_mul(a, b) {
+  if (a == 0 || b == 0) {
+    return 0
+  }
+  return GF_EXP[GF_LOG[a] + GF_LOG[b]]
+}
+
+/// Get the multiplicative inverse of a nonzero field element
+function gf_inv(a) {
+  return GF_EXP[255 - GF_LOG[a]]
+}
+
+/// XOR a buffer times a field element into another buffer
+function mul_add(target, source, factor) {
+  if (factor == 0) {
+    return
+  }
+  let logFactor = GF_LOG[factor]
+  for (let i = 0; i < source.length; i++) {
+    if (source[i] != 0) {
+      target[i] ^= GF_EXP[GF_LOG[source[i]] + logFactor]
+    }
+  }
+}
+
+/// Invert a square matrix of field elements, given as a list of rows, by
+/// Gauss-Jordan elimination. Returns null if it isn't invertible.
+function invert_matrix(matrix) {
+  let n = matrix.length
+  let rows = matrix.map((row, i) => {
+    let augmented = new Uint8Array(2 * n)
+    augmented.set(row)
+    augmented[n + i] = 1
+    return augmented
+  })
+  for (let column = 0; column < n; column++) {
+    let pivot = column
+    while (pivot < n && rows[pivot][column] == 0) {
+      pivot++
+    }
+    if (pivot == n) {
+      return null
+    }
+    [rows[column], rows[pivot]] = [rows[pivot], rows[column]]
+    let scale = gf_inv(rows[column][column])
+    for (let i = 0; i < 2 * n; i++) {
+      rows[column][i] = gf_mul(rows[column][i], scale)
+    }
+    for (let row = 0; row < n; row++) {
+      if (row != column && rows[row][column] != 0) {
+        let factor = rows[row][column]
+        for (let i = 0; i < 2 * n; i++) {
+          rows[row][i] ^= gf_mul(rows[column][i], factor)
+        }
+      }
+    }
+  }
+  return rows.map((row) => row.slice(n))
+}
+
+/**
+ * Systematic Reed-Solomon erasure code over GF(2^8), built from a Cauchy
+ * matrix.
+ *
+ * A stripe of some number of equal-sized data chunks gets some number of
+ * parity chunks of the same size. The data chunks and parity chunks are
+ * numbered together, data first, and the data can be rebuilt from any of
+ * them at all, as long as there are as many as there were data chunks.
+ *
+ * The code only fixes chunks that are missing, not ones that are wrong, so
+ * check what comes out against a hash.
+ */
+export default class ErasureCode {
+
+  /// What is the most data and parity chunks a stripe can have together?
+  static get MAX_CHUNKS() {
+    return 256
+  }
+
+  /// Get the coefficient that data chunk j is multiplied by in parity chunk
+  /// i, for stripes with the given number of data chunks
+  static coefficient(dataCount, i, j) {
+    // A Cauchy matrix, 1 / (x_i + y_j), with x_i = dataCount + i and y_j = j
+    // all different, so any square part of it can be inverted
+    return gf_inv((dataCount + i) ^ j)
+  }
+
+  /// Make the given number of parity chunks for a list of equal-sized data
+  /// chunks
+  static encode(dataChunks, parityCount) {
+    let dataCount = dataChunks.length
+    if (dataCount + parityCount > this.MAX_CHUNKS) {
+      throw new Error('A stripe can have at most ' + this.MAX_CHUNKS + ' chunks')
+    }
+    let parity = []
+    for (let i = 0; i < parityCount; i++) {
+      let chunk = b4a.alloc(dataChunks[0].length)
+      for (let j = 0; j < dataCount; j++) {
+        mul_add(chunk, dataChunks[j], this.coefficient(dataCount, i, j))
+      }
+      parity.push(chunk)
+    }
+    return parity
+  }
+
+  /// Rebuild the data chunks of a stripe with the given number of data
+  /// chunks from the chunks we have, given as a Map from chunk number to
+  /// chunk. Returns the list of data chunks, or null if we don't have enough.
+  static decode(chunks, dataCount) {
+    let have = Array.from(chunks.keys()).sort((a, b) => a - b)
+    if (have.length < dataCount) {
+      return null
+    }
+    // Use data chunks where we have them, since they need no work
+    have = have.slice(0, dataCount)
+    let missing = []
+    for (let j = 0; j < dataCount; j++) {
+      if (!chunks.has(j)) {
+        missing.push(j)
+      }
+    }
+    let data = []
+    for (let j = 0; j < dataCount; j++) {
+      data.push(chunks.get(j) || null)
+    }
+    if (missing.length == 0) {
+      return data
+    }
+    // Each chunk we have is its row of the generator matrix times the data
+    let matrix = have.map((index) => {
+      let row = new Uint8Array(dataCount)
+      if (index < dataCount) {
+        row[index] = 1
+      } else {
+        for (let j = 0; j < dataCount; j++) {
+          row[j] = this.coefficient(dataCount, index - dataCount, j)
+        }
+      }
+      return row
+    })
+    let inverse = invert_matrix(matrix)
+    if (!inverse) {
+      return null
+    }
+    for (let j of missing) {
+      let chunk = b4a.alloc(chunks.get(have[0]).length)
+      for (let k = 0; k < dataCount; k++) {
+        mul_add(chunk, chunks.get(have[k]), inverse[j][k])
+      }
+      data[j] = chunk
+    }
+    return data
+  }
+}
@@ -0,0 +1,36 @@
+import crypto from 'hypercore-crypto'
+import ErasureCode from './erasure_code.js'
+
+describe('ErasureCode', () => {
+
+  it('rebuilds data from any chunks, as long as there are enough', () => {
+    for (let [dataCount, parityCount] of [[1, 1], [5, 3], [32, 8]]) {
+      let data = []
+      for (let i = 0; i < dataCount; i++) {
+        data.push(crypto.randomBytes(24))
+      }
+      let all = data.concat(ErasureCode.encode(data, parityCount))
+      expect(all.length).toEqual(dataCount + parityCount)
+
+      // Lose as many chunks as there is parity, preferring data chunks
+      let lost = new Set()
+      for (let i = 0; lost.size < parityCount; i += 2) {
+        lost.add(i % all.length)
+      }
+      let have = new Map()
+      all.forEach((chunk, i) => {
+        if (!lost.has(i)) {
+          have.set(i, chunk)
+        }
+      })
+      let rebuilt = ErasureCode.decode(have, dataCount)
+      expect(rebuilt.length).toEqual(dataCount)
+      rebuilt.forEach((chunk, i) => expect(chunk.equals(data[i])).toBeTruthy())
+
+      // One more is too many
+      have.delete(Array.from(have.keys())[0])
+      expect(ErasureCode.decode(have, dataCount)).toEqual(null)
+    }
+  })
+
+})
@@ -0,0 +1,408 @@
+import { Readable } from 'stream'
+
+import ostruct from 'objectstruct'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+
+import ErasureCode from './erasure_code.js'
+import MessageFramer from './message_framer.js'
+
+/// Anonymous announcement of a file that is about to be sent.
+/// Sent through the session itself, so nobody knows who sent it.
+const AnnouncementEncoding = ostruct({
+  /// Random ID of the file
+  fileId: 'bytes',
+  /// How many bytes long is it?
+  size: 'integer',
+  /// Hash of the whole file, to check it against once it is put back together
+  hash: 'bytes',
+  /// How many bytes are in each chunk? The last data chunk is padded out
+  /// with zeroes.
+  chunkSize: 'integer',
+  /// How many data chunks are in each stripe? The last stripe may have fewer.
+  stripeChunks: 'integer',
+  /// How many parity chunks does each stripe get?
+  parityChunks: 'integer'
+})
+
+/// One chunk of a file.
+/// Sent through the session itself, so nobody knows who sent it.
+const ChunkEncoding = ostruct({
+  /// Which file is it part of?
+  fileId: 'bytes',
+  /// Which chunk is it? Counts through each stripe's data chunks and then
+  /// its parity chunks, and then on to the next stripe.
+  index: 'integer',
+  /// The chunk itself
+  data: 'bytes'
+})
+
+/// Get how many data chunks a file of the given size has
+function data_chunk_count(size, chunkSize) {
+  return Math.max(1, Math.ceil(size / chunkSize))
+}
+
+/// Get how many data chunks are in the given stripe of a file with the given
+/// number of data chunks. The last stripe may have fewer than the rest.
+function stripe_size(dataChunks, stripeChunks, stripe) {
+  return Math.min(stripeChunks, dataChunks - stripe * stripeChunks)
+}
+
+/**
+ * Sends files to a session's group, and puts together files that come out of
+ * it, on the file and chunk channels of the session's MessageFramer.
+ *
+ * A file is split into chunks that each fit in one slot, and the chunks into
+ * stripes. Each stripe gets some extra parity chunks from an ErasureCode, so
+ * it can be rebuilt from any of its chunks, as long as there are as many as
+ * it has data chunks. So some chunks can be lost, like to rounds that were
+ * dropped or messages that were given up on, without losing the file.
+ * Before the chunks, the sender anonymously announces the file's size,
+ * layout and hash, and the file is only handed over if it matches the hash.
+ *
+ * Files are kept in memory, both while they come in and once they are done,
+ * until receiveFile() hands them over or discardFile() drops them. Files
+ * announced as bigger than "maxFileSize", or with chunks of another size or
+ * stripes bigger than ours, are ignored. Stripes are only set up once chunks for them come
+ * out. At most "maxOpenFiles" files are held at once, and the oldest are
+ * given up on to make room for new ones.
+ *
+ * Everything is reported through the session, which emits:
+ * 'fileOffered' with {fileId, size, hash, ours} when a file is announced.
+ * 'fileProgress' with {fileId, ours, chunks, needed} each time a chunk we
+ * can use comes out, where chunks is how many we have and needed is how many
+ * it takes to rebuild the file. Our own chunks come out too, so this shows
+ * how sending is going as well.
+ * 'fileReceived' with {fileId, size, hash, ours} when a file is put back
+ * together and matches its hash.
+ * 'fileFailed' with {fileId, ours, reason} when a file can't be put back
+ * together or doesn't match its hash.
+ */
+export default class FileTransfer {
+
+  /// How many bytes is a file ID?
+  static get FILE_ID_SIZE() {
+    return 16
+  }
+
+  /// How many data chunks go in each stripe?
+  static get STRIPE_CHUNKS() {
+    return 32
+  }
+
+  /// How many parity chunks does each stripe get, for each data chunk?
+  static get PARITY_RATIO() {
+    return 0.25
+  }
+
+  /// How big are chunks when we don't know the size of a slot?
+  static get DEFAULT_CHUNK_SIZE() {
+    return 128
+  }
+
+  /// How many bytes of each frame does a chunk's encoding take up, besides
+  /// the chunk itself, at most?
+  static get CHUNK_OVERHEAD() {
+    return 32
+  }
+
+  /// How big can a file be by default, in bytes?
+  static get MAX_FILE_SIZE() {
+    return 64 * 1024 * 1024
+  }
+
+  /// How many files can we be putting together or holding on to at once, by
+  /// default?
+  static get MAX_OPEN_FILES() {
+    return 16
+  }
+
+  /// How are file announcements encoded?
+  static get AnnouncementEncoding() {
+    return AnnouncementEncoding
+  }
+
+  /// Make a new FileTransfer for the given session.
+  /// Options can have the "maxFileSize" to accept, the "maxOpenFiles" to hold
+  /// at once, and the "parityRatio" of parity chunks to data chunks to send.
+  constructor(session, options) {
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    this.session = session
+    this.maxFileSize = options.maxFileSize || this.constructor.MAX_FILE_SIZE
+    this.maxOpenFiles = options.maxOpenFiles || this.constructor.MAX_OPEN_FILES
+    this.parityRatio = options.parityRatio != null ? options.parityRatio : this.constructor.PARITY_RATIO
+
+    // Files we are putting together or have put together, by file ID hex
+    // string, oldest first, as {fileId, size, hash, chunkSize, stripeChunks,
+    // parityChunks, ours, stripes, stripeCount, stripesDone, chunks, needed,
+    // state, data, error}. Stripes is a Map from stripe number to {dataCount,
+    // chunks, done}, for the stripes any chunks have come out for, where
+    // chunks is a Map from chunk number in the stripe to chunk. State is
+    // 'receiving', 'received', 'failed' or 'done', once the data is handed
+    // over or discarded.
+    this.files = new Map()
+    // Streams waiting for files to be received, by file ID hex string
+    this.readers = new Map()
+    // File ID hex strings of files we sent
+    this.sent = new Set()
+  }
+
+  /// Get how big to make chunks, so each fits in one slot
+  chunkSize() {
+    if (!this.session.framer) {
+      return this.constructor.DEFAULT_CHUNK_SIZE
+    }
+    return Math.max(1, this.session.framer.payloadSize - this.constructor.CHUNK_OVERHEAD)
+  }
+
+  /// Send the contents of a readable stream, or a buffer, to the group as a
+  /// file. Returns a Promise for the file ID, once it is all queued.
+  async sendFile(source) {
+    let content
+    if (source instanceof Uint8Array) {
+      content = b4a.from(source)
+    } else {
+      let parts = []
+      let length = 0
+      for await (let part of source) {
+        part = b4a.from(part)
+        length += part.length
+        if (length > this.maxFileSize) {
+          throw new Error('File is bigger than ' + this.maxFileSize + ' bytes')
+        }
+        parts.push(part)
+      }
+      content = b4a.concat(parts)
+    }
+    if (content.length > this.maxFileSize) {
+      throw new Error('File is bigger than ' + this.maxFileSize + ' bytes')
+    }
+
+    let fileId = crypto.randomBytes(this.constructor.FILE_ID_SIZE)
+    let chunkSize = this.chunkSize()
+    let stripeChunks = this.constructor.STRIPE_CHUNKS
+    let parityChunks = Math.ceil(stripeChunks * this.parityRatio)
+    this.sent.add(b4a.toString(fileId, 'hex'))
+    this.session.sendFrame(AnnouncementEncoding.encode({
+      fileId: fileId,
+      size: content.length,
+      hash: crypto.hash(content),
+      chunkSize: chunkSize,
+      stripeChunks: stripeChunks,
+      parityChunks: parityChunks
+    }), MessageFramer.CHANNELS.FILE)
+
+    let start = 0
+    let index = 0
+    let dataChunkCount = data_chunk_count(content.length, chunkSize)
+    for (let stripe = 0; stripe * stripeChunks < dataChunkCount; stripe++) {
+      let dataCount = stripe_size(dataChunkCount, stripeChunks, stripe)
+      let dataChunks = []
+      for (let i = 0; i < dataCount; i++) {
+        // Pad out the last chunk
+        let chunk = b4a.alloc(chunkSize)
+        b4a.copy(content.subarray(start, start + chunkSize), chunk)
+        dataChunks.push(chunk)
+        start += chunkSize
+      }
+      for (let chunk of dataChunks.concat(ErasureCode.encode(dataChunks, parityChunks))) {
+        this.session.sendFrame(ChunkEncoding.encode({fileId: fileId, index: index, data: chunk}), MessageFramer.CHANNELS.CHUNK)
+        index++
+      }
+      // Skip any numbers the last stripe doesn't use
+      index += stripeChunks - dataCount
+    }
+    return fileId
+  }
+
+  /// Get a readable stream of the file with the given ID, once it has been
+  /// received. It can be called before the file is announced. The stream
+  /// errors if the file fails. Each file can only be received once.
+  receiveFile(fileId) {
+    let key = b4a.toString(fileId, 'hex')
+    if (this.readers.has(key)) {
+      throw new Error('Already receiving file ' + key)
+    }
+    let file = this.files.get(key)
+    if (file && file.state == 'done') {
+      throw new Error('File ' + key + ' was already received or discarded')
+    }
+    let stream = new Readable({
+      read() {
+        // Data shows up when the file is done
+      }
+    })
+    this.readers.set(key, stream)
+    if (file && file.state != 'receiving') {
+      process.nextTick(() => this.handOver(file))
+    }
+    return stream
+  }
+
+  /// Stop putting together or holding on to the file with the given ID
+  discardFile(fileId) {
+    let key = b4a.toString(fileId, 'hex')
+    let file = this.files.get(key)
+    if (file) {
+      file.state = 'done'
+      file.stripes = null
+      file.data = null
+    }
+    let reader = this.readers.get(key)
+    if (reader) {
+      this.readers.delete(key)
+      reader.destroy(new Error('File ' + key + ' was discarded'))
+    }
+  }
+
+  /// Handle a message that came out of the group on one of our channels
+  receive(channel, message) {
+    if (channel == MessageFramer.CHANNELS.FILE) {
+      this.receiveAnnouncement(message)
+    } else if (channel == MessageFramer.CHANNELS.CHUNK) {
+      this.receiveChunk(message)
+    }
+  }
+
+  /// Handle a file announcement
+  receiveAnnouncement(message) {
+    let announcement
+    try {
+      announcement = AnnouncementEncoding.decode(message)
+    } catch (e) {
+      announcement = null
+    }
+    if (!announcement || announcement.fileId.length != this.constructor.FILE_ID_SIZE ||
+      announcement.hash.length != crypto.hash(b4a.alloc(0)).length ||
+      announcement.chunkSize != this.chunkSize() || announcement.stripeChunks < 1 ||
+      announcement.stripeChunks > this.constructor.STRIPE_CHUNKS ||
+      announcement.stripeChunks + announcement.parityChunks > ErasureCode.MAX_CHUNKS) {
+      // Not something we can use
+      return
+    }
+    let key = b4a.toString(announcement.fileId, 'hex')
+    if (this.files.has(key) || announcement.size > this.maxFileSize) {
+      return
+    }
+    this.limitOpenFiles()
+    let needed = data_chunk_count(announcement.size, announcement.chunkSize)
+    let file = Object.assign(announcement, {
+      ours: this.sent.delete(key),
+      stripes: new Map(),
+      stripeCount: Math.ceil(needed / announcement.stripeChunks),
+      stripesDone: 0,
+      chunks: 0,
+      needed: needed,
+      state: 'receiving',
+      data: null,
+      error: null
+    })
+    this.files.set(key, file)
+    this.session.emit('fileOffered', {fileId: file.fileId, size: file.size, hash: file.hash, ours: file.ours})
+  }
+
+  /// Give up on the oldest files we are putting together or holding on to,
+  /// until there is room for one more
+  limitOpenFiles() {
+    let open = Array.from(this.files.values()).filter((file) => file.state == 'receiving' || file.state == 'received')
+    for (let i = 0; i <= open.length - this.maxOpenFiles; i++) {
+      this.failFile(open[i], 'was given up on to make room for newer files')
+    }
+  }
+
+  /// Handle a chunk of a file
+  receiveChunk(message) {
+    let chunk
+    try {
+      chunk = ChunkEncoding.decode(message)
+    } catch (e) {
+      chunk = null
+    }
+    if (!chunk) {
+      return
+    }
+    let file = this.files.get(b4a.toString(chunk.fileId, 'hex'))
+    if (!file || file.state != 'receiving' || chunk.data.length != file.chunkSize) {
+      return
+    }
+    let perStripe = file.stripeChunks + file.parityChunks
+    let stripeNumber = Math.floor(chunk.index / perStripe)
+    if (stripeNumber >= file.stripeCount) {
+      return
+    }
+    let stripe = file.stripes.get(stripeNumber)
+    if (!stripe) {
+      stripe = {dataCount: stripe_size(file.needed, file.stripeChunks, stripeNumber), chunks: new Map(), done: null}
+      file.stripes.set(stripeNumber, stripe)
+    }
+    let number = chunk.index % perStripe
+    if (stripe.done || number >= stripe.dataCount + file.parityChunks || stripe.chunks.has(number)) {
+      return
+    }
+    stripe.chunks.set(number, chunk.data)
+    file.chunks++
+    this.session.emit('fileProgress', {fileId: file.fileId, ours: file.ours, chunks: file.chunks, needed: file.needed})
+
+    if (stripe.chunks.size >= stripe.dataCount) {
+      stripe.done = ErasureCode.decode(stripe.chunks, stripe.dataCount)
+      stripe.chunks = null
+      if (!stripe.done) {
+        this.failFile(file, 'could not be rebuilt')
+        return
+      }
+      file.stripesDone++
+    }
+    if (file.stripesDone == file.stripeCount) {
+      this.finishFile(file)
+    }
+  }
+
+  /// Put a file back together once every stripe is rebuilt, and check it
+  finishFile(file) {
+    let parts = []
+    for (let i = 0; i < file.stripeCount; i++) {
+      parts = parts.concat(file.stripes.get(i).done)
+    }
+    let data = b4a.concat(parts).subarray(0, file.size)
+    file.stripes = null
+    if (data.length != file.size || !b4a.equals(crypto.hash(data), file.hash)) {
+      this.failFile(file, 'does not match its hash')
+      return
+    }
+    file.state = 'received'
+    file.data = data
+    this.session.emit('fileReceived', {fileId: file.fileId, size: file.size, hash: file.hash, ours: file.ours})
+    this.handOver(file)
+  }
+
+  /// Give up on a file for the given reason
+  failFile(file, reason) {
+    file.state = 'failed'
+    file.stripes = null
+    file.data = null
+    file.error = new Error('File ' + b4a.toString(file.fileId, 'hex') + ' ' + reason)
+    this.session.emit('fileFailed', {fileId: file.fileId, ours: file.ours, reason: file.error.message})
+    this.handOver(file)
+  }
+
+  /// Give a finished file to whoever is waiting for it, if anyone
+  handOver(file) {
+    let key = b4a.toString(file.fileId, 'hex')
+    let reader = this.readers.get(key)
+    if (!reader) {
+      return
+    }
+    this.readers.delete(key)
+    if (file.state == 'failed') {
+      reader.destroy(file.error)
+    } else {
+      reader.push(file.data)
+      reader.push(null)
+    }
+    file.state = 'done'
+    file.data = null
+  }
+}
@@ -0,0 +1,143 @@
+import { Readable } from 'stream'
+import crypto from 'hypercore-crypto'
+import MessageFramer from './message_framer.js'
+import FileTransfer from './file_transfer.js'
+import { make_framed_group, run_until } from './test_group.js'
+
+const GROUP_ID = 8
+
+/// Set up a group with framers attached to its sessions, and get {sessions,
+/// schedulers, framers}
+function make_file_group(count) {
+  let group = make_framed_group(count, GROUP_ID, 4)
+  group.sessions.forEach((s, i) => s.attachFramer(group.framers[i]))
+  return group
+}
+
+/// Change what the framer sends on the chunk channel, with a function from
+/// the chunk message and how many came before to the message to send, or
+/// null to lose it
+function tamper_chunks(framer, change) {
+  let honest_send = framer.send.bind(framer)
+  let count = 0
+  framer.send = (message, channel) => {
+    if (channel == MessageFramer.CHANNELS.CHUNK) {
+      message = change(message, count++)
+      if (message == null) {
+        return crypto.randomBytes(MessageFramer.MESSAGE_ID_SIZE)
+      }
+    }
+    return honest_send(message, channel)
+  }
+}
+
+/// Read a whole stream into a buffer
+async function read_all(stream) {
+  let parts = []
+  for await (let part of stream) {
+    parts.push(part)
+  }
+  return Buffer.concat(parts)
+}
+
+describe('FileTransfer', () => {
+
+  it('sends a file that survives losing some chunks', async () => {
+    let group = make_file_group(3)
+    // Lose every fifth chunk
+    tamper_chunks(group.framers[0], (message, count) => count % 5 == 4 ? null : message)
+
+    let offered = []
+    let progress = []
+    let received = []
+    group.sessions[1].on('fileOffered', (offer) => offered.push(offer))
+    group.sessions[1].on('fileProgress', (update) => progress.push(update))
+    group.sessions[1].on('fileReceived', (file) => received.push(file))
+    let sent = []
+    group.sessions[0].on('fileReceived', (file) => sent.push(file))
+
+    let content = crypto.randomBytes(3000)
+    let fileId = await group.sessions[0].sendFile(Readable.from([content.subarray(0, 1000), content.subarray(1000)]))
+    let stream = group.sessions[1].receiveFile(fileId)
+
+    run_until(group, () => received.length > 0 && sent.length > 0)
+
+    expect(offered.length).toEqual(1)
+    expect(offered[0].size).toEqual(content.length)
+    expect(offered[0].ours).toBeFalsy()
+    expect(progress.length).toBeGreaterThan(0)
+    let last = progress[progress.length - 1]
+    expect(last.chunks).toEqual(last.needed)
+    expect(received[0].fileId.equals(fileId)).toBeTruthy()
+    expect(sent[0].ours).toBeTruthy()
+    expect((await read_all(stream)).equals(content)).toBeTruthy()
+    // It was handed over, so it is gone
+    expect(() => group.sessions[1].receiveFile(fileId)).toThrow(/already received/)
+  })
+
+  it('refuses a file that does not match its hash', async () => {
+    let group = make_file_group(2)
+    // Change the last byte of the first chunk, which is all file and no
+    // padding
+    tamper_chunks(group.framers[0], (message, count) => {
+      if (count == 0) {
+        message = Buffer.from(message)
+        message[message.length - 1] ^= 1
+      }
+      return message
+    })
+
+    let failed = []
+    group.sessions[1].on('fileFailed', (failure) => failed.push(failure))
+    let fileId = await group.sessions[0].sendFile(crypto.randomBytes(3000))
+    let stream = group.sessions[1].receiveFile(fileId)
+
+    run_until(group, () => failed.length > 0)
+
+    expect(failed[0].reason).toMatch(/does not match its hash/)
+    await expect(read_all(stream)).rejects.toThrow(/does not match its hash/)
+  })
+
+  it('only holds files laid out like ours, and only so many', () => {
+    let group = make_file_group(2)
+    let files = group.sessions[1].files
+    let offered = []
+    let failed = []
+    group.sessions[1].on('fileOffered', (offer) => offered.push(offer))
+    group.sessions[1].on('fileFailed', (failure) => failed.push(failure))
+
+    /// Hand over an announcement that looks like it came out of the group
+    let announce = (changes) => {
+      let announcement = Object.assign({
+        fileId: crypto.randomBytes(FileTransfer.FILE_ID_SIZE),
+        size: 3000,
+        hash: crypto.hash(Buffer.alloc(0)),
+        chunkSize: files.chunkSize(),
+        stripeChunks: FileTransfer.STRIPE_CHUNKS,
+        parityChunks: 8
+      }, changes)
+      files.receive(MessageFramer.CHANNELS.FILE, FileTransfer.AnnouncementEncoding.encode(announcement))
+      return announcement.fileId
+    }
+
+    announce({chunkSize: 1})
+    announce({stripeChunks: FileTransfer.STRIPE_CHUNKS + 1})
+    expect(offered.length).toEqual(0)
+
+    // A big file doesn't get anything set up for it until chunks come out
+    let big = announce({size: files.maxFileSize})
+    expect(offered.length).toEqual(1)
+    expect(files.files.get(big.toString('hex')).stripes.size).toEqual(0)
+
+    for (let i = 1; i < files.maxOpenFiles; i++) {
+      announce({})
+    }
+    expect(failed.length).toEqual(0)
+    announce({})
+    expect(offered.length).toEqual(files.maxOpenFiles + 1)
+    expect(failed.length).toEqual(1)
+    expect(failed[0].fileId.equals(big)).toBeTruthy()
+    expect(failed[0].reason).toMatch(/make room/)
+  })
+
+})
@@ -0,0 +1,181 @@
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+import checked_struct from './checked_struct.js'
+
+/// The signed body of a group descriptor
+const DescriptorEncoding = checked_struct({
+  /// What is the group's random ID, as a hex string?
+  groupId: 'string',
+  /// Everyone in the group, sorted
+  members: ['bytes'],
+  /// How big is each round's block, in bytes?
+  blockSize: 'integer',
+  /// How often do rounds happen, in milliseconds?
+  interval: 'integer',
+  /// Does the group commit to blocks before sending them?
+  commitBlocks: 'bool',
+  /// Who made the group?
+  creator: 'bytes'
+})
+
+/// A descriptor along with its creator's signature
+const SignedDescriptorEncoding = checked_struct({
+  /// The encoded descriptor body
+  body: 'bytes',
+  /// The creator's signature over the body
+  signature: 'bytes'
+})
+
+/// Return a sorted copy of a list of public keys, without duplicates
+function sort_keys(keys) {
+  let sorted = keys.slice().sort(b4a.compare)
+  return sorted.filter((key, i) => i == 0 || !b4a.equals(key, sorted[i - 1]))
+}
+
+/// Return true if a list of keys contains the given key
+function has_key(keys, key) {
+  return keys.some((k) => b4a.equals(k, key))
+}
+
+/**
+ * Everything needed to start a group, signed by whoever made it: a random
+ * group ID, the public keys of the members, and the session parameters.
+ *
+ * The creator hands it out to the other members, either as bytes or as an
+ * invitation token they can paste in, and each of them gives it to
+ * SparticPeer.createSession(). So nobody has to agree on a group ID or
+ * collect everyone's keys by hand.
+ */
+export default class GroupDescriptor {
+
+  /// How many random bytes are in a group ID?
+  static get ID_SIZE() {
+    return 16
+  }
+
+  /// What do invitation tokens start with?
+  static get INVITATION_PREFIX() {
+    return 'spartic1:'
+  }
+
+  /// Make a new GroupDescriptor from its parts. Use create(), decode() or
+  /// fromInvitation() instead of calling this directly.
+  constructor(body, signature) {
+    this.groupId = body.groupId
+    this.members = body.members
+    this.blockSize = body.blockSize
+    this.interval = body.interval
+    this.commitBlocks = body.commitBlocks
+    this.creator = body.creator
+
+    // Encoded body, which is what is signed
+    this.body = DescriptorEncoding.encode(body)
+    this.signature = signature
+    // Hash of the body, to tell descriptors apart
+    this.hash = crypto.hash(this.body)
+  }
+
+  /// Make and sign a descriptor for a new group with a random ID. Members is
+  /// a list of the other members' public keys; the creator is always a
+  /// member. Options must have the "blockSize" and "interval", and can have
+  /// "commitBlocks".
+  static create(members, keyPair, options) {
+    let body = {
+      groupId: b4a.toString(crypto.randomBytes(this.ID_SIZE), 'hex'),
+      members: sort_keys(members.concat([keyPair.publicKey])),
+      blockSize: options.blockSize,
+      interval: options.interval,
+      commitBlocks: !!options.commitBlocks,
+      creator: keyPair.publicKey
+    }
+    let descriptor = new this(body, b4a.alloc(0))
+    descriptor.signature = crypto.sign(descriptor.body, keyPair.secretKey)
+    return descriptor
+  }
+
+  /// Parse a descriptor from bytes. Returns null if it can't be parsed or
+  /// isn't properly signed by one of its members.
+  static decode(buffer) {
+    let signed
+    let body
+    try {
+      signed = SignedDescriptorEncoding.decode(buffer)
+      body = signed && DescriptorEncoding.decode(signed.body)
+    } catch (e) {
+      return null
+    }
+    if (!body) {
+      return null
+    }
+    let descriptor = new this(body, signed.signature)
+    if (!b4a.equals(descriptor.body, signed.body)) {
+      // Not canonically encoded
+      return null
+    }
+    if (!descriptor.verify()) {
+      return null
+    }
+    return descriptor
+  }
+
+  /// Parse a descriptor from an invitation token. Returns null if it isn't a
+  /// token for a properly signed descriptor.
+  static fromInvitation(token) {
+    token = String(token).trim()
+    if (!token.startsWith(this.INVITATION_PREFIX)) {
+      return null
+    }
+    return this.decode(b4a.from(token.substring(this.INVITATION_PREFIX.length), 'base64url'))
+  }
+
+  /// Turn the signed descriptor into bytes
+  encode() {
+    return SignedDescriptorEncoding.encode({body: this.body, signature: this.signature})
+  }
+
+  /// Turn the signed descriptor into an invitation token string that can be
+  /// pasted in by a member
+  toInvitation() {
+    return this.constructor.INVITATION_PREFIX + b4a.toString(this.encode(), 'base64url')
+  }
+
+  /// Returns true if the fields still match what was signed, the member list
+  /// is sorted, and the signature is the creator's, who is a member.
+  verify() {
+    let body = {
+      groupId: this.groupId,
+      members: this.members,
+      blockSize: this.blockSize,
+      interval: this.interval,
+      commitBlocks: this.commitBlocks,
+      creator: this.creator
+    }
+    let encoded
+    try {
+      encoded = DescriptorEncoding.encode(body)
+    } catch (e) {
+      return false
+    }
+    if (!b4a.equals(encoded, this.body)) {
+      return false
+    }
+    let sorted = sort_keys(this.members)
+    if (sorted.length != this.members.length || !sorted.every((k, i) => b4a.equals(k, this.members[i]))) {
+      return false
+    }
+    if (!has_key(this.members, this.creator)) {
+      return false
+    }
+    return crypto.verify(this.body, this.signature, this.creator)
+  }
+
+  /// Returns true if the given key is in the group
+  includes(pubkey) {
+    return has_key(this.members, pubkey)
+  }
+
+  /// Get the members other than the one with the given key
+  othersThan(pubkey) {
+    return this.members.filter((k) => !b4a.equals(k, pubkey))
+  }
+}
@@ -0,0 +1,79 @@
+import crypto from 'hypercore-crypto'
+import GroupDescriptor from './group_descriptor.js'
+
+describe('GroupDescriptor', () => {
+
+  it('round-trips through bytes and invitation tokens', () => {
+    let creator = crypto.keyPair()
+    let others = [crypto.keyPair().publicKey, crypto.keyPair().publicKey]
+    let descriptor = GroupDescriptor.create(others, creator, {blockSize: 4096, interval: 1000, commitBlocks: true})
+    expect(descriptor.groupId.length).toEqual(GroupDescriptor.ID_SIZE * 2)
+    expect(descriptor.members.length).toEqual(3)
+    expect(descriptor.includes(creator.publicKey)).toBeTruthy()
+    expect(descriptor.othersThan(others[0]).length).toEqual(2)
+
+    for (let copy of [GroupDescriptor.decode(descriptor.encode()), GroupDescriptor.fromInvitation(descriptor.toInvitation())]) {
+      expect(copy.groupId).toEqual(descriptor.groupId)
+      expect(copy.interval).toEqual(1000)
+      expect(copy.commitBlocks).toBeTruthy()
+      expect(copy.hash.equals(descriptor.hash)).toBeTruthy()
+    }
+
+    // Every group gets its own ID
+    expect(GroupDescriptor.create(others, creator, {blockSize: 4096, interval: 1000}).groupId).not.toEqual(descriptor.groupId)
+  })
+
+  it('rejects descriptors that are not signed by a member', () => {
+    let creator = crypto.keyPair()
+    let outsider = crypto.keyPair()
+    let descriptor = GroupDescriptor.create([crypto.keyPair().publicKey], creator, {blockSize: 4096, interval: 1000})
+
+    // Changed after signing
+    descriptor.interval = 10
+    expect(descriptor.verify()).toBeFalsy()
+    expect(GroupDescriptor.decode(descriptor.encode())).not.toBeNull()
+
+    // Signed by someone else
+    let forged = new GroupDescriptor({
+      groupId: descriptor.groupId,
+      members: descriptor.members,
+      blockSize: 4096,
+      interval: 1000,
+      commitBlocks: false,
+      creator: outsider.publicKey
+    }, Buffer.alloc(0))
+    forged.signature = crypto.sign(forged.body, outsider.secretKey)
+    expect(GroupDescriptor.decode(forged.encode())).toBeNull()
+
+    // Not signed at all
+    let unsigned = new GroupDescriptor({
+      groupId: descriptor.groupId,
+      members: descriptor.members,
+      blockSize: 4096,
+      interval: 1000,
+      commitBlocks: false,
+      creator: creator.publicKey
+    }, Buffer.alloc(64))
+    expect(GroupDescriptor.decode(unsigned.encode())).toBeNull()
+
+    expect(GroupDescriptor.fromInvitation('spartic1:garbage')).toBeNull()
+    expect(GroupDescriptor.fromInvitation('not a token')).toBeNull()
+  })
+
+  it('rejects invitations with member lists that do not add up', () => {
+    let creator = crypto.keyPair()
+    let descriptor = GroupDescriptor.create([crypto.keyPair().publicKey], creator, {blockSize: 4096, interval: 1000})
+
+    // The last member's key claims to run past the end of the descriptor
+    let overrun = descriptor.encode()
+    overrun[overrun.lastIndexOf(descriptor.members[1]) - 1] = 0x7f
+    expect(GroupDescriptor.decode(overrun)).toBeNull()
+    expect(GroupDescriptor.fromInvitation(GroupDescriptor.INVITATION_PREFIX + overrun.toString('base64url'))).toBeNull()
+
+    // The member list claims more bytes than its keys take up
+    let long = descriptor.encode()
+    long[long.indexOf(descriptor.members[0]) - 2] = 0x60
+    expect(GroupDescriptor.decode(long)).toBeNull()
+  })
+
+})
@@ -0,0 +1,191 @@
+import { EventEmitter } from 'events'
+
+/**
+ * The plumbing shared by everything that takes part in a group's rounds:
+ * SparticSession for members, and AggregatorSession for aggregators.
+ *
+ * Keeps one copy of each public key we know about, and a queue of messages
+ * for each peer, which whoever is sending our messages pops off with
+ * popMessage(). Tracks the round we are putting together and the one after,
+ * as round objects the subclass makes with makeRound(), and keeps what we
+ * need from recently finished rounds in the history. Trades round numbers
+ * with peers with resync() and receiveSync(), and leaves it to the subclass's
+ * catchUp() to send them whatever they missed.
+ *
+ * Subclasses set "otherPubkeys" to the peers whose messages we listen to.
+ *
+ * Emits:
+ * 'protocolError' with {pubkey, code, sequenceNumber, message} when a peer
+ * sends us something we can't use. The code is one of SparticSession.ERRORS.
+ * 'outgoing' when there are new messages for peers to pop and send.
+ */
+export default class GroupSession extends EventEmitter {
+
+  /// How many finished rounds do we keep in the history?
+  static get HISTORY_ROUNDS() {
+    return 4
+  }
+
+  /// Set up the key and queue tracking. Subclasses do the rest.
+  constructor() {
+    super()
+
+    // Peers can hand us different Buffer objects for the same key, so we keep
+    // one copy of each key we know about, by hex string, and use that
+    // everywhere.
+    this.keys = new Map()
+
+    // Holds queued messages for each other peer.
+    // Messages are either ['hello', epoch, ephemeral public key]
+    // Or ['auth', epoch, transcript signature]
+    // Or ['commit', sequence number, block hash]
+    // Or ['block', sequence number, block]
+    // Or ['result', sequence number, result], from aggregators to members
+    // Or ['reveal', sequence number, bit offset, [{publicKey, bits}]]
+    // Or ['membership', encoded signed proposal]
+    // Or ['approval', proposal hash, signature]
+    // Or ['sync', sequence number, true if we want their sequence number back]
+    // Or ['error', code, message, sequence number or null]
+    this.queues = new Map()
+    // Set while we are about to emit 'outgoing' for newly queued messages
+    this.outgoingScheduled = false
+
+    // The round we are putting together and the one after, once we have them
+    this.currentRound = null
+    this.nextRound = null
+    // What we need from recently finished rounds, by sequence number
+    this.history = new Map()
+  }
+
+  /// Get our copy of the given public key, remembering it if it is new
+  rememberKey(pubkey) {
+    let key = pubkey.toString('hex')
+    if (!this.keys.has(key)) {
+      this.keys.set(key, pubkey)
+      this.queues.set(pubkey, [])
+    }
+    return this.keys.get(key)
+  }
+
+  /// Get our copy of the given public key, or null if we don't know it
+  canonicalKey(pubkey) {
+    return this.keys.get(pubkey.toString('hex')) || null
+  }
+
+  /// Returns true if the given public key belongs to a peer we are in a group
+  /// with now or will be soon, whose messages we should listen to.
+  hasMember(pubkey) {
+    let key = this.canonicalKey(pubkey)
+    return key != null && this.otherPubkeys.indexOf(key) != -1
+  }
+
+  /// Get the sequence number of the round we are on, or null if we haven't
+  /// been added to the group yet
+  roundNumber() {
+    if (this.currentRound) {
+      return this.currentRound.sequenceNumber
+    }
+    return this.nextRound ? this.nextRound.sequenceNumber : null
+  }
+
+  /// Get the round object for the given sequence number, if it is the current
+  /// or next round, or null otherwise.
+  roundFor(sequenceNumber) {
+    for (let round of [this.currentRound, this.nextRound]) {
+      if (round && round.sequenceNumber == sequenceNumber) {
+        return round
+      }
+    }
+    return null
+  }
+
+  /// Keep what we need from the finished round with the given sequence
+  /// number, and forget the round that has been kept longest
+  keepHistory(sequenceNumber, record) {
+    this.history.set(sequenceNumber, record)
+    this.history.delete(sequenceNumber - this.constructor.HISTORY_ROUNDS)
+  }
+
+  /// Report that a peer sent us something we can't use, to them and to
+  /// whoever is listening to us. Code is one of SparticSession.ERRORS, and
+  /// sequenceNumber is the round it was about, or null.
+  protocolError(pubkey, code, sequenceNumber, message) {
+    this.queueMessage(pubkey, ['error', code, message, sequenceNumber])
+    this.emit('protocolError', {pubkey: pubkey, code: code, sequenceNumber: sequenceNumber, message: message})
+  }
+
+  /// Get the peers we trade round numbers with
+  syncPeers() {
+    return this.otherPubkeys
+  }
+
+  /// Tell everyone which round we are on, and ask them which round they are
+  /// on, so we can each send the other anything they missed. Restored
+  /// sessions do this automatically.
+  resync() {
+    let sequenceNumber = this.roundNumber()
+    if (sequenceNumber == null) {
+      return
+    }
+    for (let pubkey of this.syncPeers()) {
+      this.queueMessage(pubkey, ['sync', sequenceNumber, true])
+    }
+  }
+
+  /// Handle a peer telling us which round they are on, and whether they want
+  /// to know which round we are on.
+  receiveSync(pubkey, sequenceNumber, reply) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return
+    }
+    let ours = this.roundNumber()
+    if (ours == null) {
+      return
+    }
+    if (reply) {
+      this.queueMessage(pubkey, ['sync', ours, false])
+    }
+    this.catchUp(pubkey, sequenceNumber, ours)
+  }
+
+  /// Send a peer who says they are on the given round anything they might
+  /// have missed, given that we are on the round ours
+  catchUp(pubkey, sequenceNumber, ours) {
+    // Subclasses know what they sent
+  }
+
+  /// Queue a message for the given peer pubkey, and let whoever is sending
+  /// our messages know, once for everything queued at the same time.
+  queueMessage(pubkey, message) {
+    this.queues.get(pubkey).push(message)
+    if (!this.outgoingScheduled) {
+      this.outgoingScheduled = true
+      queueMicrotask(() => {
+        this.outgoingScheduled = false
+        this.emit('outgoing')
+      })
+    }
+  }
+
+  /// Get the next queued message for the given peer pubkey, or null
+  /// Message is:
+  /// ['error', code, message, sequenceNumber] | ['block', sequenceNumber, data] |
+  /// ['result', sequenceNumber, result] |
+  /// ['commit', sequenceNumber, commitment] |
+  /// ['reveal', sequenceNumber, bitOffset, contributions] |
+  /// ['membership', proposal] | ['approval', proposalHash, signature] |
+  /// ['hello', epoch, ephemeralKey] | ['auth', epoch, signature] |
+  /// ['sync', sequenceNumber, reply]
+  popMessage(pubkey) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return null
+    }
+    if (this.queues.get(pubkey).length > 0) {
+      return this.queues.get(pubkey).shift()
+    } else {
+      return null
+    }
+  }
+}
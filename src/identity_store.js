@@ -0,0 +1,271 @@
+import fs from 'fs/promises'
+import path from 'path'
+import sodium from 'sodium-universal'
+import ostruct from 'objectstruct'
+import b4a from 'b4a'
+
+/// The on-disk format of a saved identity: its seed, encrypted under a key
+/// made from a passphrase.
+const SavedIdentityEncoding = ostruct({
+  /// What kind of file is this? Always FORMAT.
+  format: 'string',
+  /// What version of the file format is this?
+  version: 'integer',
+  /// Salt for hashing the passphrase
+  salt: 'bytes',
+  /// Argon2id work limits for hashing the passphrase
+  opsLimit: 'integer',
+  memLimit: 'integer',
+  /// Nonce for the encryption
+  nonce: 'bytes',
+  /// The encrypted and authenticated seed
+  ciphertext: 'bytes'
+})
+
+/**
+ * Keeps the identity seeds of SparticPeers and Swarms on disk, encrypted under
+ * a passphrase, so a node keeps the same public key, and so its place in its
+ * groups, across restarts.
+ *
+ * Identities have names, so one machine can have several. Each is one file,
+ * named after the identity, holding the 32-byte seed the swarm makes its
+ * keypair from. Pass the seed as the "seed" option when making a SparticPeer
+ * or Swarm.
+ *
+ * Identities can be exported, to move them to another machine, and imported.
+ * An exported identity is the same encrypted format as the file, optionally
+ * under a different passphrase.
+ */
+export default class IdentityStore {
+
+  /// What do saved identity files say they are?
+  static get FORMAT() {
+    return 'spartic-identity'
+  }
+
+  /// What version of the file format do we write?
+  static get VERSION() {
+    return 1
+  }
+
+  /// What do saved identity file names end with?
+  static get EXTENSION() {
+    return '.identity'
+  }
+
+  /// What identity do we use when not given a name?
+  static get DEFAULT_NAME() {
+    return 'default'
+  }
+
+  /// How long is an identity seed?
+  static get SEED_SIZE() {
+    return 32
+  }
+
+  /// Make a new IdentityStore that keeps identities in the given directory,
+  /// which is made if needed.
+  ///
+  /// Options must contain a "passphrase" string. "opsLimit" and "memLimit"
+  /// can set how hard it is to hash, and default to libsodium's interactive
+  /// limits.
+  constructor(directory, options) {
+    if (!options || options.passphrase == null) {
+      throw new Error('A passphrase is required to store identities')
+    }
+    this.directory = directory
+    this.passphrase = options.passphrase
+    this.opsLimit = options.opsLimit || sodium.crypto_pwhash_OPSLIMIT_INTERACTIVE
+    this.memLimit = options.memLimit || sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE
+  }
+
+  /// Get the path to the file for the identity with the given name
+  pathFor(name) {
+    return path.join(this.directory, b4a.toString(b4a.from(this.constructor.checkName(name)), 'hex') + this.constructor.EXTENSION)
+  }
+
+  /// Get the name to use for an identity, given what the caller passed.
+  /// Throws if it can't be a name.
+  static checkName(name) {
+    if (name == null) {
+      return this.DEFAULT_NAME
+    }
+    if (typeof name != 'string' || name.length == 0) {
+      throw new Error('Identity names must be non-empty strings')
+    }
+    return name
+  }
+
+  /// Make the encryption key for the given passphrase and header fields
+  async getKey(passphrase, header) {
+    let key = b4a.alloc(sodium.crypto_secretbox_KEYBYTES)
+    await new Promise((resolve, reject) => {
+      sodium.crypto_pwhash_async(key, b4a.from(passphrase), header.salt,
+        header.opsLimit, header.memLimit, sodium.crypto_pwhash_ALG_ARGON2ID13,
+        (err) => err ? reject(err) : resolve())
+    })
+    return key
+  }
+
+  /// Encrypt a seed into the bytes of a saved identity file, under the given
+  /// passphrase or our own.
+  async seal(seed, passphrase) {
+    let header = {
+      format: this.constructor.FORMAT,
+      version: this.constructor.VERSION,
+      salt: b4a.alloc(sodium.crypto_pwhash_SALTBYTES),
+      opsLimit: this.opsLimit,
+      memLimit: this.memLimit,
+      nonce: b4a.alloc(sodium.crypto_secretbox_NONCEBYTES)
+    }
+    sodium.randombytes_buf(header.salt)
+    sodium.randombytes_buf(header.nonce)
+    let key = await this.getKey(passphrase == null ? this.passphrase : passphrase, header)
+    header.ciphertext = b4a.alloc(seed.length + sodium.crypto_secretbox_MACBYTES)
+    sodium.crypto_secretbox_easy(header.ciphertext, seed, header.nonce, key)
+    sodium.sodium_memzero(key)
+    return SavedIdentityEncoding.encode(header)
+  }
+
+  /// Decrypt the bytes of a saved identity file into a seed, with the given
+  /// passphrase or our own.
+  /// Throws if it isn't a saved identity we can read.
+  async open(data, passphrase) {
+    let header
+    try {
+      header = SavedIdentityEncoding.decode(data)
+    } catch (e) {
+      header = null
+    }
+    if (!header || header.format != this.constructor.FORMAT) {
+      throw new Error('Not a saved identity')
+    }
+    if (header.version != this.constructor.VERSION) {
+      throw new Error('Saved identity version ' + header.version + ' is not supported')
+    }
+    if (header.ciphertext.length != this.constructor.SEED_SIZE + sodium.crypto_secretbox_MACBYTES) {
+      throw new Error('Saved identity is the wrong size')
+    }
+    let key = await this.getKey(passphrase == null ? this.passphrase : passphrase, header)
+    let seed = b4a.alloc(this.constructor.SEED_SIZE)
+    let opened = sodium.crypto_secretbox_open_easy(seed, header.ciphertext, header.nonce, key)
+    sodium.sodium_memzero(key)
+    if (!opened) {
+      throw new Error('Saved identity could not be decrypted; wrong passphrase?')
+    }
+    return seed
+  }
+
+  /// Save the given seed as the identity with the given name. Refuses to
+  /// replace an identity that is already there, since that would lose it for
+  /// good.
+  async save(name, seed) {
+    let file = this.pathFor(name)
+    let data = await this.seal(seed)
+    await fs.mkdir(this.directory, {recursive: true})
+    // Write it next to where it goes, then put it in place only if nothing
+    // is there
+    let temporary = file + '.tmp'
+    await fs.writeFile(temporary, data, {mode: 0o600})
+    try {
+      await fs.link(temporary, file)
+    } catch (e) {
+      if (e.code == 'EEXIST') {
+        throw new Error('Identity ' + this.constructor.checkName(name) + ' already exists')
+      }
+      throw e
+    } finally {
+      await fs.rm(temporary, {force: true})
+    }
+  }
+
+  /// Get the seed for the identity with the given name, or return null if
+  /// there isn't one.
+  async load(name) {
+    let data
+    try {
+      data = await fs.readFile(this.pathFor(name))
+    } catch (e) {
+      if (e.code == 'ENOENT') {
+        return null
+      }
+      throw e
+    }
+    return await this.open(data)
+  }
+
+  /// Make a new identity with the given name, and return its seed.
+  /// Throws if there already is one.
+  async create(name) {
+    let seed = b4a.alloc(this.constructor.SEED_SIZE)
+    sodium.randombytes_buf(seed)
+    await this.save(name, seed)
+    return seed
+  }
+
+  /// Get the seed for the identity with the given name, making it if it
+  /// doesn't exist yet.
+  async loadOrCreate(name) {
+    let seed = await this.load(name)
+    if (seed) {
+      return seed
+    }
+    try {
+      return await this.create(name)
+    } catch (e) {
+      // Someone else may have just made it
+      seed = await this.load(name)
+      if (seed) {
+        return seed
+      }
+      throw e
+    }
+  }
+
+  /// List the names of all the saved identities
+  async list() {
+    let names
+    try {
+      names = await fs.readdir(this.directory)
+    } catch (e) {
+      if (e.code == 'ENOENT') {
+        return []
+      }
+      throw e
+    }
+    let identities = []
+    for (let name of names) {
+      if (name.endsWith(this.constructor.EXTENSION)) {
+        let hex = name.substring(0, name.length - this.constructor.EXTENSION.length)
+        identities.push(b4a.toString(b4a.from(hex, 'hex')))
+      }
+    }
+    return identities.sort()
+  }
+
+  /// Get the identity with the given name as bytes that can be imported into
+  /// another IdentityStore, encrypted under the given passphrase or our own.
+  /// Throws if there is no such identity.
+  async export(name, passphrase) {
+    let seed = await this.load(name)
+    if (!seed) {
+      throw new Error('No identity ' + this.constructor.checkName(name))
+    }
+    let data = await this.seal(seed, passphrase)
+    sodium.sodium_memzero(seed)
+    return data
+  }
+
+  /// Save an identity exported with export() under the given name. It was
+  /// exported under the given passphrase or our own. Returns the seed.
+  async import(name, data, passphrase) {
+    let seed = await this.open(data, passphrase)
+    await this.save(name, seed)
+    return seed
+  }
+
+  /// Delete the identity with the given name, if any
+  async remove(name) {
+    await fs.rm(this.pathFor(name), {force: true})
+  }
+}
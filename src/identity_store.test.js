@@ -0,0 +1,67 @@
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+import sodium from 'sodium-universal'
+import IdentityStore from './identity_store.js'
+import LoopbackSwarm, { LoopbackNetwork } from './loopback_swarm.js'
+
+/// Passphrase hashing limits that keep the tests quick
+const FAST = {
+  opsLimit: sodium.crypto_pwhash_OPSLIMIT_MIN,
+  memLimit: sodium.crypto_pwhash_MEMLIMIT_MIN
+}
+
+describe('IdentityStore', () => {
+
+  let directory = null
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'spartic-identities-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(directory, {recursive: true, force: true})
+  })
+
+  it('keeps the same identity across restarts', async () => {
+    let network = new LoopbackNetwork()
+    let store = new IdentityStore(directory, Object.assign({passphrase: 'correct horse'}, FAST))
+    let first = new LoopbackSwarm({network, seed: await store.loadOrCreate()})
+
+    // Come back with a new store, like after a restart
+    let reloaded = new IdentityStore(directory, {passphrase: 'correct horse'})
+    let second = new LoopbackSwarm({network, seed: await reloaded.loadOrCreate()})
+    expect(second.getKey()).toEqual(first.getKey())
+    expect(await reloaded.list()).toEqual([IdentityStore.DEFAULT_NAME])
+
+    let wrong = new IdentityStore(directory, {passphrase: 'battery staple'})
+    await expect(wrong.load()).rejects.toThrow(/decrypted/)
+  })
+
+  it('keeps several named identities apart', async () => {
+    let store = new IdentityStore(directory, Object.assign({passphrase: 'correct horse'}, FAST))
+    let work = await store.create('work')
+    let home = await store.create('home')
+    expect(work.equals(home)).toBeFalsy()
+    await expect(store.create('work')).rejects.toThrow(/exists/)
+    expect((await store.load('work')).equals(work)).toBeTruthy()
+    expect(await store.load('club')).toBeNull()
+    expect(await store.list()).toEqual(['home', 'work'])
+
+    await store.remove('home')
+    expect(await store.list()).toEqual(['work'])
+  })
+
+  it('exports and imports identities between machines', async () => {
+    let store = new IdentityStore(path.join(directory, 'here'), Object.assign({passphrase: 'correct horse'}, FAST))
+    let seed = await store.create('work')
+    let exported = await store.export('work', 'for the move')
+
+    let elsewhere = new IdentityStore(path.join(directory, 'there'), Object.assign({passphrase: 'battery staple'}, FAST))
+    await expect(elsewhere.import('work', exported)).rejects.toThrow(/decrypted/)
+    expect((await elsewhere.import('work', exported, 'for the move')).equals(seed)).toBeTruthy()
+    // And it is kept under the new store's own passphrase
+    expect((await new IdentityStore(path.join(directory, 'there'), {passphrase: 'battery staple'}).load('work')).equals(seed)).toBeTruthy()
+  })
+
+})
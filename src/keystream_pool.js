@@ -0,0 +1,146 @@
+import { Worker } from 'worker_threads'
+
+import sodium from 'sodium-universal'
+import b4a from 'b4a'
+
+import xor_all from './xor_all.js'
+
+/// Make the XOR of the xsalsa20 keystreams for all the given keys on this
+/// thread, the same way a worker would
+function generate_here(nonce, keys, length) {
+  let data = b4a.alloc(length)
+  for (let key of keys) {
+    sodium.crypto_stream_xor(data, data, nonce, key)
+  }
+  return data
+}
+
+/**
+ * A pool of worker threads for generating SynchronizedKeystream output ahead
+ * of time, for groups big enough that making a round's keystream on the main
+ * thread gets in the way.
+ *
+ * Each request's keys are split up between the workers, which each XOR
+ * together the keystreams for their share, and then we XOR the shares. Copies
+ * of the keys are sent to the workers for each request, and wiped there once
+ * used.
+ *
+ * Pass one to SynchronizedKeystream as the "pool" option (or to SparticSession
+ * as "keystreamPool"), and call close() when done with it, or the workers
+ * will keep the process alive.
+ *
+ * A worker that crashes fails what it was working on, and is replaced. If
+ * workers keep crashing, the pool stops replacing them, and makes keystream
+ * on the main thread once it has none left.
+ */
+export default class KeystreamPool {
+
+  /// How many crashed workers do we replace before doing without?
+  static get MAX_RESTARTS() {
+    return 8
+  }
+
+  /// Make a new KeystreamPool with the given number of worker threads
+  constructor(size) {
+    if (!(size >= 1)) {
+      throw new Error('A KeystreamPool needs at least one worker')
+    }
+    this.workers = []
+    // Requests waiting for results, by ID, as {resolve, reject, worker}
+    this.requests = new Map()
+    this.nextId = 0
+    // How many crashed workers we have replaced
+    this.restarts = 0
+    this.closed = false
+
+    for (let i = 0; i < size; i++) {
+      this.workers.push(this.startWorker())
+    }
+  }
+
+  /// Start a worker thread, which gets replaced if it crashes
+  startWorker() {
+    let worker = new Worker(new URL('./keystream_worker.js', import.meta.url))
+    worker.on('message', (message) => {
+      let request = this.requests.get(message.id)
+      if (request) {
+        this.requests.delete(message.id)
+        request.resolve(b4a.from(message.data.buffer, message.data.byteOffset, message.data.byteLength))
+      }
+    })
+    worker.on('error', (error) => {
+      this.replaceWorker(worker, error)
+    })
+    worker.on('exit', (code) => {
+      this.replaceWorker(worker, new Error('Keystream worker exited with code ' + code))
+    })
+    return worker
+  }
+
+  /// Fail everything the given worker was doing, because it crashed with the
+  /// given error, and replace it if we haven't had to too often
+  replaceWorker(worker, error) {
+    let index = this.workers.indexOf(worker)
+    if (this.closed || index == -1) {
+      // We shut it down, or already dealt with it
+      return
+    }
+    for (let [id, request] of this.requests.entries()) {
+      if (request.worker === worker) {
+        // Nothing that was waiting on this worker is going to finish
+        this.requests.delete(id)
+        request.reject(error)
+      }
+    }
+    if (this.restarts < this.constructor.MAX_RESTARTS) {
+      this.restarts++
+      this.workers[index] = this.startWorker()
+    } else {
+      this.workers.splice(index, 1)
+    }
+  }
+
+  /// Generate the XOR of the xsalsa20 keystreams for all the given keys, with
+  /// the given nonce, out to the given length. Returns a promise for the
+  /// buffer.
+  generate(nonce, keys, length) {
+    if (this.closed) {
+      return Promise.reject(new Error('KeystreamPool is closed'))
+    }
+    if (this.workers.length == 0) {
+      // They all kept crashing
+      return Promise.resolve(generate_here(nonce, keys, length))
+    }
+    let shares = []
+    let perWorker = Math.ceil(keys.length / this.workers.length)
+    for (let i = 0; i < this.workers.length && i * perWorker < keys.length; i++) {
+      shares.push(this.request(this.workers[i], nonce, keys.slice(i * perWorker, (i + 1) * perWorker), length))
+    }
+    if (shares.length == 0) {
+      // No keys means no keystream
+      return Promise.resolve(b4a.alloc(length))
+    }
+    return Promise.all(shares).then(xor_all)
+  }
+
+  /// Send one worker its share of the keys
+  request(worker, nonce, keys, length) {
+    let id = this.nextId++
+    return new Promise((resolve, reject) => {
+      this.requests.set(id, {resolve: resolve, reject: reject, worker: worker})
+      worker.postMessage({id: id, nonce: nonce, keys: keys, length: length})
+    })
+  }
+
+  /// Shut down all the workers
+  async close() {
+    this.closed = true
+    let workers = this.workers
+    this.workers = []
+    for (let request of this.requests.values()) {
+      request.reject(new Error('KeystreamPool is closed'))
+    }
+    this.requests.clear()
+    await Promise.all(workers.map((worker) => worker.terminate()))
+  }
+}
@@ -0,0 +1,17 @@
+import { parentPort } from 'worker_threads'
+
+import sodium from 'sodium-universal'
+import b4a from 'b4a'
+
+/// Worker thread for a KeystreamPool. Gets {id, nonce, keys, length} messages
+/// and sends back {id, data} with the XOR of the xsalsa20 keystreams for all
+/// the keys.
+parentPort.on('message', (message) => {
+  let data = b4a.alloc(message.length)
+  for (let key of message.keys) {
+    sodium.crypto_stream_xor(data, data, message.nonce, key)
+    // We don't keep key material around
+    sodium.sodium_memzero(key)
+  }
+  parentPort.postMessage({id: message.id, data: data}, [data.buffer])
+})
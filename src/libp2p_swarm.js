@@ -1,42 +1,98 @@
+import { Duplex } from 'stream'
+
 import { createLibp2p } from 'libp2p'
-import { generateKeyPairFromSeed } from '@libp2p/crypto/keys'
+import { generateKeyPairFromSeed, unmarshalPublicKey, supportedKeys } from '@libp2p/crypto/keys'
 import { createFromPrivKey } from '@libp2p/peer-id-factory'
+import { peerIdFromKeys } from '@libp2p/peer-id'
+import { multiaddr } from '@multiformats/multiaddr'
 import { webSockets } from '@libp2p/websockets'
+import { tcp } from '@libp2p/tcp'
 import { noise } from '@chainsafe/libp2p-noise'
+import { yamux } from '@chainsafe/libp2p-yamux'
 import { mplex } from '@libp2p/mplex'
+import { kadDHT } from '@libp2p/kad-dht'
+import { CID } from 'multiformats/cid'
+import * as Digest from 'multiformats/hashes/digest'
 
 import { bootstrap } from '@libp2p/bootstrap'
 import { mdns } from '@libp2p/mdns'
-
-import { EventEmitter } from 'events'
+import { isPrivate } from '@libp2p/utils/multiaddr/is-private'
+import { pipe } from 'it-pipe'
+import { pushable } from 'it-pushable'
+import * as lp from 'it-length-prefixed'
 
 import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
 
-/**
- * Represents information about a peer (i.e. its key Buffer)
- */
-class LibP2PPeerInfo {
-  constructor(publicKey) {
-    this.publicKey = publicKey
-  }
+import Swarm, { PeerInfo } from './swarm.js'
+
+/// Turn a libp2p stream into a duplex stream of whole messages, by
+/// length-prefixing each one.
+function frame_stream(stream) {
+  let outgoing = pushable()
+  let framed = new Duplex({
+    objectMode: true,
+    read() {
+      // Data only shows up when the other end sends it
+    },
+    write(data, encoding, callback) {
+      outgoing.push(data)
+      callback()
+    },
+    final(callback) {
+      outgoing.end()
+      callback()
+    },
+    destroy(err, callback) {
+      outgoing.end()
+      if (err) {
+        stream.abort(err)
+      } else {
+        stream.close()
+      }
+      callback(err)
+    }
+  })
+  pipe(outgoing, lp.encode(), stream.sink).catch((err) => {
+    framed.destroy(err)
+  })
+  pipe(stream.source, lp.decode(), async (source) => {
+    for await (let message of source) {
+      framed.push(b4a.from(message.subarray()))
+    }
+    framed.push(null)
+  }).catch((err) => {
+    framed.destroy(err)
+  })
+  return framed
 }
 
 /**
- * Hyperswarm-like peer class that runs on LibP2P.
+ * Hyperswarm-like Swarm that runs on LibP2P.
  *
- * Will have a this.keyPair with a {publicKey, privateKey} keypair.
+ * The keyPair is the same key the LibP2P peer ID is made from, so a peer's
+ * public key is all we need to find it. We find peers through mDNS on the
+ * local network and through the bootstrap nodes, or at addresses we are told
+ * about. Otherwise we look them up by peer ID in the Kademlia DHT, which we
+ * join through the bootstrap nodes. We also put provider records for the
+ * hashes of our topics in the DHT, and look up who else provides them, so
+ * topics work across networks. The DHT is the same one the Go libp2p nodes
+ * use, both the public one and the one for private networks, so we can find
+ * them and they can find us.
  *
- * Will fire a 'connection' event with a duplex stream and a peer info, when a
- * peer connects.
+ * In offline mode we never contact public infrastructure: there are no
+ * default bootstrap nodes, we don't ask the router to forward ports for us,
+ * and we refuse to dial any address that isn't on a private network. That
+ * way nobody outside the group's networks learns that we run the
+ * application.
  *
- * Has a joinPeer method which attempts to find and connect to the peer with
- * the given public key, and a joinTopic method which attempts to connect to
- * all peers also interested in the topic.
- *
- * Has a flush() method that returns a Promise that resolves when all joinPeer
- * peers are found. 
+ * Connections are streams of a libp2p protocol named after the application
+ * identifier. We only keep one with each peer: if both of us dial at once,
+ * both sides keep the one dialed by the peer with the lower key. To find
+ * peers interested in a topic, we ask the peers we come across which topics
+ * they are in, using another protocol; topics are only ever sent hashed.
  */
-export default class LibP2PSwarm extends EventEmitter {
+export default class LibP2PSwarm extends Swarm {
 
   /**
    * Get the identifier string at which to find all peers using the
@@ -56,6 +112,45 @@ export default class LibP2PSwarm extends EventEmitter {
     ]
   }
 
+  /**
+   * Get how often, in milliseconds, to look up peers and topics we haven't
+   * found yet in the DHT, and announce our topics again
+   */
+  static get LOOKUP_INTERVAL() {
+    return 30000
+  }
+
+  /**
+   * Get the multicodec for the raw content ID we put topic hashes in
+   */
+  static get RAW_CODEC() {
+    return 0x55
+  }
+
+  /**
+   * Get the multihash code for the 32-byte BLAKE2b topic hashes
+   */
+  static get BLAKE2B_256_CODE() {
+    return 0xb220
+  }
+
+  /**
+   * Get the transports we use by default
+   */
+  static get DEFAULT_TRANSPORTS() {
+    return ['websockets']
+  }
+
+  /**
+   * Get the addresses we listen on by default, by transport name
+   */
+  static get DEFAULT_LISTEN_ADDRS() {
+    return {
+      websockets: ['/ip4/0.0.0.0/tcp/0/ws'],
+      tcp: ['/ip4/0.0.0.0/tcp/0']
+    }
+  }
+
   /**
    * Make a new swarm.
    * Options can contain a 32-byte buffer "seed"
@@ -64,89 +159,444 @@ export default class LibP2PSwarm extends EventEmitter {
    * Also takes an "identifier" option which is a string used to find other
    * instances of the application. If not specified, a default is used.
    *
+   * Also takes a "bootstrap" list of multiaddrs of nodes to find peers
+   * through, which can be empty, or false for none.
+   *
+   * Also takes a "transports" list of transport names to use, out of
+   * "websockets" and "tcp", and a "listen" list of multiaddrs to listen on,
+   * which defaults to a random port on all interfaces for each transport.
+   *
+   * Also takes an "mdns" option which can be false to not look for peers on
+   * the local network, and a "dht" option which can be false to not use the
+   * DHT. Set "dhtServer" to true to answer DHT queries from the public
+   * internet, which only makes sense for nodes reachable from it; on private
+   * networks we always answer. The "lookupInterval" option sets how often to
+   * retry DHT lookups, in milliseconds.
+   *
+   * Also takes an "offline" option which can be true to never contact public
+   * infrastructure. Then there are no default bootstrap nodes, and any
+   * bootstrap nodes given must be at private network addresses.
+   *
    * Construction is asynchronous and is not done until this.ready is resolved.
    */
   constructor(options) {
-    super()
+    super(options)
     if (!options) {
       // Default the options to something
       options = {}
     }
-    // Get or make a seed for our keypair
-    let seed = options.seed
-    if (!seed) {
-      seed = crypto.randomBytes(32)
-    }
+
+    this.offline = !!options.offline
     
     // Get or make a bootstrap list
     this.bootstrap = options.bootstrap
+    if (this.bootstrap === false || (!this.bootstrap && this.offline)) {
+      this.bootstrap = []
+    }
     if (!this.bootstrap) {
       this.bootstrap = this.constructor.DEFAULT_BOOTSTRAP_ADDRS
     }
+    if (this.offline) {
+      for (let address of this.bootstrap) {
+        if (!this.constructor.isLocalAddress(multiaddr(address))) {
+          throw new Error('Bootstrap address ' + address + ' is not on a private network, so it cannot be used offline')
+        }
+      }
+    }
+
+    // Get the transports to use, and where to listen on them
+    this.transports = options.transports || this.constructor.DEFAULT_TRANSPORTS
+    for (let transport of this.transports) {
+      if (!this.constructor.DEFAULT_LISTEN_ADDRS[transport]) {
+        throw new Error('Unknown transport ' + transport)
+      }
+    }
+    if (this.transports.length == 0) {
+      throw new Error('At least one transport is required')
+    }
+    this.listenAddresses = options.listen
+    if (!this.listenAddresses) {
+      this.listenAddresses = this.transports.flatMap((transport) => this.constructor.DEFAULT_LISTEN_ADDRS[transport])
+    }
+
+    // Whether to look for peers on the local network
+    this.mdns = options.mdns !== false
+    // Whether to find peers and topics through the DHT
+    this.dht = options.dht !== false
+    this.dhtServer = !!options.dhtServer
+    this.lookupInterval = options.lookupInterval || this.constructor.LOOKUP_INTERVAL
     
     // Get or make an app identifier string
     this.identifier = options.identifier
     if (!this.identifier) {
       this.identifier = this.constructor.IDENTIFIER_STRING
     }
+
+    // The libp2p node, once we are listening
+    this.node = null
+    // Addresses we have been told about for peers, by public key hex string
+    this.peerAddresses = new Map()
+    // Peers we are dialing now, by public key hex string
+    this.dialing = new Set()
+    // Peers we are deciding whether to dial, by public key hex string
+    this.considering = new Set()
+    // Who dialed each connection, as public key hex string, by the other
+    // peer's public key hex string
+    this.initiators = new Map()
+    // Hashes of topics we are interested in, as hex strings
+    this.topics = new Set()
+    // Timer for looking things up in the DHT again, while listening
+    this.lookupTimer = null
     
     // LibP2P key generation is all async
     this.ready = (async () => {
-      let privateKey = await generateKeyPairFromSeed('ed25519', seed)
+      let privateKey = await generateKeyPairFromSeed('ed25519', this.seed)
       this.peerId = await createFromPrivKey(privateKey)
-      this.keyPair = {privateKey: privateKey, publicKey: privateKey._publicKey}
     })()
   }
   
   /**
-   * Start listening for connections. Returns a Promise that resolves when we
-   * are ready for connections.
+   * Get the libp2p protocol that connections use
    */
-  async listen() {
+  getProtocol() {
+    return '/' + this.identifier + '/1.0.0'
+  }
+
+  /**
+   * Get the libp2p protocol that peers use to say which topics they are in
+   */
+  getTopicsProtocol() {
+    return '/' + this.identifier + '/topics/1.0.0'
+  }
+
+  /**
+   * Get the options to make our libp2p node with
+   */
+  async getNodeOptions() {
     await this.ready
-    
-    const node = await createLibp2p({
+
+    let transports = []
+    for (let transport of this.transports) {
+      if (transport == 'websockets') {
+        transports.push(webSockets())
+      } else if (transport == 'tcp') {
+        transports.push(tcp())
+      }
+    }
+
+    let peerDiscovery = []
+    if (this.mdns) {
+      peerDiscovery.push(mdns())
+    }
+    if (this.bootstrap.length > 0) {
+      peerDiscovery.push(bootstrap({
+        list: this.bootstrap,
+      }))
+    }
+
+    let options = {
       peerId: this.peerId,
-      transports: [webSockets()],
+      addresses: {
+        listen: this.listenAddresses
+      },
+      transports: transports,
       connectionEncryption: [noise()],
-      streamMuxers: [mplex()],
-      peerDiscovery: [
-        mdns(),
-        bootstrap({
-          list: this.bootstrap,
-        })
-      ]
+      // Go nodes only speak yamux
+      streamMuxers: [yamux(), mplex()],
+      peerDiscovery: peerDiscovery
+    }
+    if (this.dht) {
+      options.dht = kadDHT({clientMode: !this.dhtServer})
+    }
+    if (this.offline) {
+      // Don't ask the router to open ports for us
+      options.nat = {enabled: false}
+      options.connectionGater = {
+        // Don't dial anything that might be out on the internet, or that we
+        // would have to look up in public DNS
+        denyDialMultiaddr: async (peerId, address) => !this.constructor.isLocalAddress(address)
+      }
+    }
+    return options
+  }
+
+  /**
+   * Start listening for connections. Returns a Promise that resolves, when we
+   * are ready for connections, to the multiaddrs we can be reached at, as
+   * strings.
+   */
+  async listen() {
+    await this.ready
+    if (this.node) {
+      return this.getAddresses()
+    }
+    
+    const node = await createLibp2p(await this.getNodeOptions())
+    
+    await node.handle(this.getProtocol(), ({stream, connection}) => {
+      this.adoptStream(stream, connection.remotePeer, false)
+    })
+    await node.handle(this.getTopicsProtocol(), ({stream}) => {
+      // Tell them what we are interested in
+      pipe(Array.from(this.topics).map((topic) => b4a.from(topic, 'hex')), lp.encode(), stream.sink).catch(() => {})
     })
     
     node.addEventListener('peer:discovery', (evt) => {
       this.log('Discovered ', evt.detail.id.toString()) // Log discovered peer
+      this.considerPeer(evt.detail.id)
     })
 
     node.connectionManager.addEventListener('peer:connect', (evt) => {
       this.log('Connected to ', evt.detail.remotePeer.toString()) // Log connected peer
+      this.considerPeer(evt.detail.remotePeer)
     })
+
+    await node.start()
+    this.node = node
+
+    if (this.dht) {
+      // Join the DHT through the bootstrap nodes right away, like the Go node
+      // does, instead of waiting for them to be dialed in the background.
+      await Promise.all(this.bootstrap.map(async (address) => {
+        try {
+          await node.dial(multiaddr(address))
+        } catch (e) {
+          this.log('Could not connect to bootstrap node ', address, e.message)
+        }
+      }))
+      this.lookupTimer = setInterval(() => this.lookup(), this.lookupInterval)
+    }
+    this.lookup()
+    return this.getAddresses()
+  }
+
+  /**
+   * Get the multiaddrs we can be reached at, as strings, once listening
+   */
+  getAddresses() {
+    return this.node ? this.node.getMultiaddrs().map((address) => address.toString()) : []
   }
   
   /**
    * Try to connect directly to the given peer, by pubkey.
+   * Can also be given a list of multiaddrs the peer can be reached at.
    */
-  joinPeer(peerKey) {
+  joinPeer(peerKey, addresses) {
+    let key = peerKey.toString('hex')
+    this.wantedPeers.set(key, peerKey)
+    if (addresses) {
+      this.peerAddresses.set(key, addresses)
+    }
+    if (this.node) {
+      this.dial(peerKey)
+    }
   }
   
   /**
    * Try to connect to all other peers interested in the given topic.
    */
   joinTopic(topicString) {
+    let topic = this.hashTopic(topicString).toString('hex')
+    this.topics.add(topic)
+    if (this.node) {
+      for (let peerId of this.node.getPeers()) {
+        // Someone we already know might be in it
+        this.considerPeer(peerId)
+      }
+      if (this.dht) {
+        this.lookupTopic(topic)
+      }
+    }
   }
-  
+
   /**
-   * Return a Promise that resolves when all joinPeer peers are found.
+   * Stop listening and close all connections.
    */
-  flush() {
+  async close() {
+    if (this.lookupTimer) {
+      clearInterval(this.lookupTimer)
+      this.lookupTimer = null
+    }
+    await super.close()
+    if (this.node) {
+      await this.node.stop()
+      this.node = null
+    }
   }
-  
-  /// Log a message to the console, noting it came from this peer
-  log(...args) {
-    console.log('(LibP2PSwarm)', ...args)
+
+  /// Hash a topic string, so we don't tell everyone what it is
+  hashTopic(topicString) {
+    return crypto.hash(b4a.from(this.identifier + ':' + topicString))
+  }
+
+  /// Get the DHT key we put provider records under for a topic hash hex
+  /// string
+  topicToCID(topic) {
+    return CID.createV1(this.constructor.RAW_CODEC, Digest.create(this.constructor.BLAKE2B_256_CODE, b4a.from(topic, 'hex')))
+  }
+
+  /// Try again to reach all the peers we want and haven't got, and to find
+  /// others in our topics through the DHT
+  lookup() {
+    if (!this.node) {
+      return
+    }
+    for (let [key, peerKey] of this.wantedPeers) {
+      if (!this.connections.has(key)) {
+        this.dial(peerKey)
+      }
+    }
+    if (this.dht) {
+      for (let topic of this.topics) {
+        this.lookupTopic(topic)
+      }
+    }
+  }
+
+  /// Say in the DHT that we are in the topic with the given hash hex string,
+  /// and consider everyone else who says so.
+  async lookupTopic(topic) {
+    let cid = this.topicToCID(topic)
+    try {
+      await this.node.contentRouting.provide(cid)
+    } catch (e) {
+      this.log('Could not announce topic ', topic, e.message)
+    }
+    try {
+      for await (let provider of this.node.contentRouting.findProviders(cid)) {
+        this.considerPeer(provider.id)
+      }
+    } catch (e) {
+      this.log('Could not look up topic ', topic, e.message)
+    }
+  }
+
+  /// Connect to a peer we have come across, if we want to
+  async considerPeer(peerId) {
+    let peerKey = this.constructor.peerIdToKey(peerId)
+    if (!peerKey) {
+      // Not one of us
+      return
+    }
+    let key = peerKey.toString('hex')
+    if (key == this.getKey() || this.connections.has(key) || this.dialing.has(key) || this.considering.has(key)) {
+      return
+    }
+    this.considering.add(key)
+    try {
+      if (this.wantedPeers.has(key) || await this.sharesTopic(peerId)) {
+        await this.dial(peerKey)
+      }
+    } finally {
+      this.considering.delete(key)
+    }
+  }
+
+  /// Ask a peer which topics they are in, and return true if we are in any of
+  /// them too.
+  async sharesTopic(peerId) {
+    if (this.topics.size == 0) {
+      return false
+    }
+    try {
+      let stream = await this.node.dialProtocol(peerId, this.getTopicsProtocol())
+      let shared = false
+      await pipe(stream.source, lp.decode(), async (source) => {
+        for await (let topic of source) {
+          if (this.topics.has(b4a.toString(topic.subarray(), 'hex'))) {
+            shared = true
+          }
+        }
+      })
+      return shared
+    } catch (e) {
+      // They don't speak our protocol, or went away
+      return false
+    }
+  }
+
+  /// Open a connection to the given peer, by pubkey
+  async dial(peerKey) {
+    let key = peerKey.toString('hex')
+    if (this.connections.has(key) || this.dialing.has(key)) {
+      return
+    }
+    this.dialing.add(key)
+    try {
+      let peerId = await this.constructor.keyToPeerId(peerKey)
+      let addresses = this.peerAddresses.get(key)
+      if (addresses) {
+        await this.node.peerStore.addressBook.add(peerId, addresses.map((address) => multiaddr(address)))
+      }
+      if (this.dht && (await this.node.peerStore.addressBook.get(peerId)).length == 0) {
+        // Find out where they are. This remembers the addresses for dialing.
+        await this.node.peerRouting.findPeer(peerId)
+      }
+      let stream = await this.node.dialProtocol(peerId, this.getProtocol())
+      await this.adoptStream(stream, peerId, true)
+    } catch (e) {
+      // We will try again if we come across them
+      this.log('Could not connect to ', peerKey.toString('hex'), e.message)
+    } finally {
+      this.dialing.delete(key)
+    }
+  }
+
+  /// Start using a libp2p stream with a peer as our connection with them,
+  /// unless we already have a better one.
+  async adoptStream(stream, peerId, outbound) {
+    let peerKey = this.constructor.peerIdToKey(peerId)
+    if (!peerKey) {
+      stream.abort(new Error('Peer has no usable public key'))
+      return
+    }
+    let key = peerKey.toString('hex')
+    let initiator = outbound ? this.getKey() : key
+    let existing = this.connections.get(key)
+    if (existing) {
+      let existingInitiator = this.initiators.get(key)
+      if (existingInitiator == initiator || existingInitiator < initiator) {
+        // Keep what we have
+        stream.close()
+        return
+      }
+      // Drop the one we have, and let it finish closing before anyone hears
+      // about the new one
+      let closed = new Promise((resolve) => existing.once('close', resolve))
+      existing.destroy()
+      await closed
+      if (this.connections.has(key)) {
+        // Someone else got in first
+        stream.close()
+        return
+      }
+    }
+    this.initiators.set(key, initiator)
+    this.addConnection(frame_stream(stream), new PeerInfo(peerKey))
+  }
+
+  /// Returns true if the given multiaddr is on a private network (or this
+  /// machine), and so safe to dial in offline mode.
+  static isLocalAddress(address) {
+    let protocol = address.protoNames()[0]
+    if (protocol != 'ip4' && protocol != 'ip6') {
+      // Names would need looking up
+      return false
+    }
+    return isPrivate(address)
+  }
+
+  /// Get the libp2p peer ID for an ed25519 public key
+  static async keyToPeerId(publicKey) {
+    return await peerIdFromKeys(new supportedKeys.ed25519.Ed25519PublicKey(publicKey).bytes)
+  }
+
+  /// Get the ed25519 public key in a libp2p peer ID, or null if it doesn't
+  /// have one
+  static peerIdToKey(peerId) {
+    if (peerId.type != 'Ed25519' || !peerId.publicKey) {
+      return null
+    }
+    return b4a.from(unmarshalPublicKey(peerId.publicKey).marshal())
   }
 }
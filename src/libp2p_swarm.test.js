@@ -0,0 +1,205 @@
+import crypto from 'hypercore-crypto'
+import { multiaddr } from '@multiformats/multiaddr'
+import LibP2PSwarm from './libp2p_swarm.js'
+import SparticPeer from './spartic_peer.js'
+
+const GROUP_ID = 5
+
+/// The libp2p packages we depend on need Promise.withResolvers, which Node
+/// only has from version 22 on. On older Nodes `npm test` skips these tests
+/// entirely, so run it under Node 22 or newer after touching LibP2PSwarm.
+const describe_libp2p = typeof Promise.withResolvers == 'function' ? describe : describe.skip
+
+/// Options for swarms that stay on this machine and only find peers at
+/// addresses they are told about, so other tests' swarms can't wander in
+const LOCAL_OPTIONS = {offline: true, mdns: false, dht: false, listen: ['/ip4/127.0.0.1/tcp/0/ws']}
+
+/// Everything a test has opened, to close after it whether it passed or not
+let opened = []
+
+/// Start up a swarm or peer, and remember to close it after the test
+async function open(thing) {
+  opened.push(thing)
+  await thing.listen()
+  return thing
+}
+
+/// Make a swarm that only finds peers at addresses it is told about
+function make_swarm() {
+  return open(new LibP2PSwarm(LOCAL_OPTIONS))
+}
+
+/// Wait until the given function returns true
+function wait_until(test) {
+  return new Promise((resolve) => {
+    let check = () => {
+      if (test()) {
+        resolve()
+      } else {
+        setTimeout(check, 10)
+      }
+    }
+    check()
+  })
+}
+
+/// Make a DHT of swarms on this machine that only know about the first one,
+/// and don't look for each other any other way
+async function make_private_dht(count) {
+  let options = {offline: true, mdns: false, listen: ['/ip4/127.0.0.1/tcp/0/ws'], lookupInterval: 1000}
+  let hub = await open(new LibP2PSwarm({...options, bootstrap: false}))
+  let swarms = [hub]
+  for (let i = 1; i < count; i++) {
+    swarms.push(await open(new LibP2PSwarm({...options, bootstrap: hub.getAddresses()})))
+  }
+  return swarms
+}
+
+/// Get the next message on a connection stream
+function next_message(stream) {
+  return new Promise((resolve) => stream.once('data', resolve))
+}
+
+describe_libp2p('LibP2PSwarm', () => {
+
+  afterEach(async () => {
+    await Promise.all(opened.splice(0).map((thing) => thing.close()))
+  })
+
+  it('connects to a peer by key and carries whole messages', async () => {
+    let swarms = [await make_swarm(), await make_swarm()]
+    let accepted = new Promise((resolve) => swarms[1].once('connection', (stream, info) => resolve([stream, info])))
+    swarms[0].joinPeer(swarms[1].keyPair.publicKey, swarms[1].getAddresses())
+    await swarms[0].flush()
+    let [stream, info] = await accepted
+    expect(info.publicKey.equals(swarms[0].keyPair.publicKey)).toBeTruthy()
+
+    let ours = swarms[0].connections.get(swarms[1].getKey())
+    let received = next_message(stream)
+    ours.write(Buffer.from('one whole message'))
+    expect((await received).toString()).toEqual('one whole message')
+  }, 30000)
+
+  it('keeps one connection when both sides dial', async () => {
+    let swarms = [await make_swarm(), await make_swarm()]
+    swarms[0].joinPeer(swarms[1].keyPair.publicKey, swarms[1].getAddresses())
+    swarms[1].joinPeer(swarms[0].keyPair.publicKey, swarms[0].getAddresses())
+    await Promise.all(swarms.map((swarm) => swarm.flush()))
+    // Let any extra stream get closed
+    await new Promise((resolve) => setTimeout(resolve, 500))
+
+    let ends = [swarms[0].connections.get(swarms[1].getKey()), swarms[1].connections.get(swarms[0].getKey())]
+    let received = next_message(ends[1])
+    ends[0].write(Buffer.from('same stream'))
+    expect((await received).toString()).toEqual('same stream')
+  }, 30000)
+
+  it('connects to peers in the same topic', async () => {
+    let swarms = [await make_swarm(), await make_swarm(), await make_swarm()]
+    swarms[0].joinTopic('shared')
+    swarms[1].joinTopic('shared')
+    swarms[2].joinTopic('other')
+    let connected = new Promise((resolve) => swarms[1].once('connection', (stream, info) => resolve(info)))
+    // Run into each other without asking for a connection
+    await swarms[0].node.dial(multiaddr(swarms[1].getAddresses()[0]))
+    await swarms[0].node.dial(multiaddr(swarms[2].getAddresses()[0]))
+
+    let info = await connected
+    expect(info.publicKey.equals(swarms[0].keyPair.publicKey)).toBeTruthy()
+    await new Promise((resolve) => setTimeout(resolve, 500))
+    expect(swarms[2].connections.size).toEqual(0)
+  }, 30000)
+
+  it('listens where it is told and reports where it is', async () => {
+    let swarms = []
+    for (let i = 0; i < 2; i++) {
+      let swarm = await open(new LibP2PSwarm({offline: true, mdns: false, listen: ['/ip4/127.0.0.1/tcp/0/ws']}))
+      let addresses = swarm.getAddresses()
+      expect(addresses.length).toEqual(1)
+      expect(addresses[0]).toMatch(/^\/ip4\/127\.0\.0\.1\/tcp\/[1-9][0-9]*\/ws/)
+      swarms.push(swarm)
+    }
+    swarms[0].joinPeer(swarms[1].keyPair.publicKey, swarms[1].getAddresses())
+    await swarms[0].flush()
+  }, 30000)
+
+  it('finds peers by key alone through a private DHT', async () => {
+    let swarms = await make_private_dht(3)
+    let [, first, second] = swarms
+    let accepted = new Promise((resolve) => second.once('connection', (stream, info) => resolve(info)))
+    first.joinPeer(second.keyPair.publicKey)
+    await first.flush()
+    let info = await accepted
+    expect(info.publicKey.equals(first.keyPair.publicKey)).toBeTruthy()
+  }, 60000)
+
+  it('finds peers in a topic through a private DHT', async () => {
+    let swarms = await make_private_dht(3)
+    let [hub, first, second] = swarms
+    let connected = new Promise((resolve) => second.once('connection', (stream, info) => resolve(info)))
+    first.joinTopic('across networks')
+    second.joinTopic('across networks')
+
+    let info = await connected
+    expect(info.publicKey.equals(first.keyPair.publicKey)).toBeTruthy()
+    expect(hub.connections.size).toEqual(0)
+  }, 60000)
+
+  it('runs a SparticPeer group over libp2p', async () => {
+    let peers = []
+    for (let i = 0; i < 2; i++) {
+      let swarm = new LibP2PSwarm({...LOCAL_OPTIONS, log: () => {}})
+      peers.push(await open(new SparticPeer({swarm: swarm, log: () => {}})))
+    }
+    let sessions = peers.map((peer, i) => peer.createSession(GROUP_ID, [peers[1 - i].keyPair.publicKey]))
+    peers[0].swarm.joinPeer(peers[1].keyPair.publicKey, peers[1].swarm.getAddresses())
+    // Only start the clock once both sides have their keys, so no rounds
+    // are missed while the connection comes up
+    await wait_until(() => sessions.every((session) => session.getStatus().startsWith('RUNNING')))
+
+    let stacks = peers.map((peer) => peer.startRounds(GROUP_ID, {interval: 100}))
+    let received = new Promise((resolve) => stacks[1].framer.once('message', resolve))
+    stacks[0].framer.send(Buffer.from('over the wire'))
+    expect((await received).toString()).toEqual('over the wire')
+  }, 30000)
+
+})
+
+describe('LibP2PSwarm options', () => {
+
+  it('stays off public infrastructure when offline', async () => {
+    let swarm = new LibP2PSwarm({offline: true})
+    expect(swarm.bootstrap).toEqual([])
+    let options = await swarm.getNodeOptions()
+    expect(options.nat.enabled).toBeFalsy()
+    // Only mDNS is left for finding peers
+    expect(options.peerDiscovery.length).toEqual(1)
+
+    let peerId = await LibP2PSwarm.keyToPeerId(swarm.keyPair.publicKey)
+    let deny = (address) => options.connectionGater.denyDialMultiaddr(peerId, multiaddr(address))
+    expect(await deny('/ip4/192.168.1.5/tcp/4001/ws')).toBeFalsy()
+    expect(await deny('/ip4/127.0.0.1/tcp/4001')).toBeFalsy()
+    expect(await deny('/ip4/8.8.8.8/tcp/4001')).toBeTruthy()
+    expect(await deny('/dnsaddr/bootstrap.libp2p.io')).toBeTruthy()
+    expect(await deny('/dns4/example.com/tcp/443/wss')).toBeTruthy()
+
+    expect(() => new LibP2PSwarm({offline: true, bootstrap: LibP2PSwarm.DEFAULT_BOOTSTRAP_ADDRS})).toThrow()
+    expect(() => new LibP2PSwarm({offline: true, bootstrap: ['/ip4/10.0.0.1/tcp/4001/ws']})).not.toThrow()
+  })
+
+  it('turns discovery methods on and off', async () => {
+    let everything = await new LibP2PSwarm().getNodeOptions()
+    expect(everything.peerDiscovery.length).toEqual(2)
+    expect(everything.connectionGater).toBeUndefined()
+    expect(everything.dht).toBeDefined()
+    let nothing = await new LibP2PSwarm({mdns: false, bootstrap: false, dht: false}).getNodeOptions()
+    expect(nothing.peerDiscovery.length).toEqual(0)
+    expect(nothing.dht).toBeUndefined()
+  })
+
+  it('picks listen addresses for its transports', () => {
+    expect(new LibP2PSwarm().listenAddresses).toEqual(['/ip4/0.0.0.0/tcp/0/ws'])
+    expect(new LibP2PSwarm({transports: ['tcp', 'websockets']}).listenAddresses).toEqual(['/ip4/0.0.0.0/tcp/0', '/ip4/0.0.0.0/tcp/0/ws'])
+    expect(() => new LibP2PSwarm({transports: ['carrier-pigeon']})).toThrow()
+  })
+})
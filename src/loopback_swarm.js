@@ -0,0 +1,167 @@
+import { Duplex } from 'stream'
+
+import b4a from 'b4a'
+
+import Swarm, { PeerInfo } from './swarm.js'
+
+/// Make a connected pair of message-oriented duplex streams. Each buffer
+/// written to one comes out of the other.
+function make_pipe() {
+  let ends = []
+  for (let i = 0; i < 2; i++) {
+    ends.push(new Duplex({
+      objectMode: true,
+      read() {
+        // Data only shows up when the other end writes it
+      },
+      write(data, encoding, callback) {
+        ends[1 - i].push(b4a.from(data))
+        callback()
+      },
+      final(callback) {
+        ends[1 - i].push(null)
+        callback()
+      },
+      destroy(err, callback) {
+        if (!ends[1 - i].destroyed) {
+          // The connection is gone for both sides
+          ends[1 - i].destroy()
+        }
+        callback(err)
+      }
+    }))
+  }
+  return ends
+}
+
+/**
+ * An in-process network that LoopbackSwarms find each other on. Connects any
+ * two listening swarms when either wants the other by key, or they share a
+ * topic.
+ */
+export class LoopbackNetwork {
+  constructor() {
+    // Listening swarms, by public key hex string
+    this.swarms = new Map()
+    // Connected pairs of swarms, by both public key hex strings in order
+    this.connections = new Set()
+  }
+
+  /// Get the key for the connection between two swarms
+  static pairKey(a, b) {
+    return [a.getKey(), b.getKey()].sort().join(':')
+  }
+
+  /// Start letting a swarm connect
+  add(swarm) {
+    this.swarms.set(swarm.getKey(), swarm)
+    this.refresh()
+  }
+
+  /// Stop letting a swarm connect
+  remove(swarm) {
+    this.swarms.delete(swarm.getKey())
+  }
+
+  /// Make any connections that listening swarms want and don't have yet
+  refresh() {
+    let swarms = Array.from(this.swarms.values())
+    for (let i = 0; i < swarms.length; i++) {
+      for (let j = i + 1; j < swarms.length; j++) {
+        let a = swarms[i]
+        let b = swarms[j]
+        if (!this.connections.has(this.constructor.pairKey(a, b)) && (a.wants(b) || b.wants(a))) {
+          this.connect(a, b)
+        }
+      }
+    }
+  }
+
+  /// Connect two swarms
+  connect(a, b) {
+    let pair = this.constructor.pairKey(a, b)
+    this.connections.add(pair)
+    let [aEnd, bEnd] = make_pipe()
+    aEnd.on('close', () => {
+      // They can connect again later
+      this.connections.delete(pair)
+    })
+    a.addConnection(aEnd, new PeerInfo(b.keyPair.publicKey))
+    b.addConnection(bEnd, new PeerInfo(a.keyPair.publicKey))
+  }
+}
+
+/**
+ * Swarm that connects to other LoopbackSwarms on the same LoopbackNetwork, in
+ * the same process, without any real networking. Good for tests, and for
+ * trying out groups on one machine.
+ */
+export default class LoopbackSwarm extends Swarm {
+
+  /// Make a new LoopbackSwarm.
+  /// Options must contain the "network", a LoopbackNetwork to connect over.
+  /// Can also contain a 32-byte buffer "seed" for making the private key.
+  constructor(options) {
+    super(options)
+    if (!options || !options.network) {
+      throw new Error('A LoopbackNetwork is required to make a LoopbackSwarm')
+    }
+    this.network = options.network
+    this.listening = false
+
+    // Topics we are interested in
+    this.topics = new Set()
+  }
+
+  /// Returns true if we want to be connected to the given other swarm
+  wants(other) {
+    if (this.wantedPeers.has(other.getKey())) {
+      return true
+    }
+    for (let topic of this.topics) {
+      if (other.topics.has(topic)) {
+        return true
+      }
+    }
+    return false
+  }
+
+  /**
+   * Start listening for connections. Returns a Promise that resolves when we
+   * are ready for connections.
+   */
+  async listen() {
+    await this.ready
+    this.listening = true
+    this.network.add(this)
+  }
+
+  /**
+   * Try to connect directly to the given peer, by pubkey.
+   */
+  joinPeer(peerKey) {
+    this.wantedPeers.set(peerKey.toString('hex'), peerKey)
+    if (this.listening) {
+      this.network.refresh()
+    }
+  }
+
+  /**
+   * Try to connect to all other peers interested in the given topic.
+   */
+  joinTopic(topicString) {
+    this.topics.add(String(topicString))
+    if (this.listening) {
+      this.network.refresh()
+    }
+  }
+
+  /**
+   * Stop listening and close all connections.
+   */
+  async close() {
+    this.listening = false
+    this.network.remove(this)
+    await super.close()
+  }
+}
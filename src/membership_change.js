@@ -0,0 +1,189 @@
+import crypto from 'hypercore-crypto'
+import sodium from 'sodium-universal'
+import b4a from 'b4a'
+import checked_struct from './checked_struct.js'
+
+/// The signed body of a membership change proposal
+const ProposalEncoding = checked_struct({
+  /// What group is changing?
+  groupId: 'string',
+  /// What epoch number does the new member set get?
+  epoch: 'integer',
+  /// At what round does the new member set take over?
+  startRound: 'integer',
+  /// Everyone in the group before the change, sorted
+  previousMembers: ['bytes'],
+  /// Everyone in the group after the change, sorted
+  members: ['bytes'],
+  /// Who is proposing the change?
+  proposer: 'bytes'
+})
+
+/// A proposal along with its proposer's signature
+const SignedProposalEncoding = checked_struct({
+  /// The encoded proposal body
+  body: 'bytes',
+  /// The proposer's signature over the body
+  signature: 'bytes'
+})
+
+/// Return a sorted copy of a list of public keys
+function sort_keys(keys) {
+  return keys.slice().sort(b4a.compare)
+}
+
+/// Return true if a list of keys contains the given key
+function has_key(keys, key) {
+  return keys.some((k) => b4a.equals(k, key))
+}
+
+/// Return true if a list of keys is a nonempty list of public keys, sorted
+/// and without duplicates, like create() makes
+function valid_keys(keys) {
+  if (!Array.isArray(keys) || keys.length == 0) {
+    return false
+  }
+  return keys.every((key, i) => key.length == sodium.crypto_sign_PUBLICKEYBYTES &&
+    (i == 0 || b4a.compare(keys[i - 1], key) < 0))
+}
+
+/**
+ * A signed proposal to change who is in a group, starting a new epoch at a
+ * given round, along with the approvals it has collected.
+ *
+ * Every member who is in the group both before and after the change has to
+ * approve it, by signing the proposal's hash. New members don't have to
+ * approve (they agree by joining) and members who are leaving or have dropped
+ * out don't get a say.
+ */
+export default class MembershipChange {
+
+  /// What string do we mix into approval signatures?
+  static get APPROVAL_LABEL() {
+    return 'spartic-membership-approval-v1'
+  }
+
+  /// Make a new MembershipChange from its parts. Use create() or decode()
+  /// instead of calling this directly.
+  constructor(body, signature) {
+    this.groupId = body.groupId
+    this.epoch = body.epoch
+    this.startRound = body.startRound
+    this.previousMembers = body.previousMembers
+    this.members = body.members
+    this.proposer = body.proposer
+
+    // Encoded body, which is what is signed
+    this.body = ProposalEncoding.encode(body)
+    this.signature = signature
+    // Hash of the body, which is what is approved
+    this.hash = crypto.hash(this.body)
+
+    // Approval signatures we have, by approver pubkey hex string
+    this.approvals = new Map()
+  }
+
+  /// Make and sign a new proposal to change from the previous member set to
+  /// the new one. Member lists are full lists of public keys, including the
+  /// proposer if they are a member.
+  static create(groupId, epoch, startRound, previousMembers, members, keyPair) {
+    let body = {
+      groupId: String(groupId),
+      epoch: epoch,
+      startRound: startRound,
+      previousMembers: sort_keys(previousMembers),
+      members: sort_keys(members),
+      proposer: keyPair.publicKey
+    }
+    let change = new this(body, b4a.alloc(0))
+    change.signature = crypto.sign(change.body, keyPair.secretKey)
+    return change
+  }
+
+  /// Parse a proposal from the wire. Returns null if it can't be parsed or
+  /// isn't properly signed by a previous member.
+  static decode(buffer) {
+    let signed
+    let body
+    try {
+      signed = SignedProposalEncoding.decode(buffer)
+      body = signed && ProposalEncoding.decode(signed.body)
+    } catch (e) {
+      return null
+    }
+    if (!body) {
+      return null
+    }
+    if (!valid_keys(body.previousMembers) || !valid_keys(body.members)) {
+      return null
+    }
+    let change = new this(body, signed.signature)
+    if (!b4a.equals(change.body, signed.body)) {
+      // Not canonically encoded
+      return null
+    }
+    if (!has_key(change.previousMembers, change.proposer)) {
+      return null
+    }
+    if (!crypto.verify(change.body, change.signature, change.proposer)) {
+      return null
+    }
+    return change
+  }
+
+  /// Turn the signed proposal into bytes for the wire
+  encode() {
+    return SignedProposalEncoding.encode({body: this.body, signature: this.signature})
+  }
+
+  /// Get the members whose approval is needed: those in the group both before
+  /// and after.
+  getApprovers() {
+    return this.members.filter((k) => has_key(this.previousMembers, k))
+  }
+
+  /// Get the members who are new in the group
+  getJoiners() {
+    return this.members.filter((k) => !has_key(this.previousMembers, k))
+  }
+
+  /// Returns true if the given key is in the group after the change
+  includes(pubkey) {
+    return has_key(this.members, pubkey)
+  }
+
+  /// Returns true if the given key was in the group before the change
+  included(pubkey) {
+    return has_key(this.previousMembers, pubkey)
+  }
+
+  /// Make our approval signature for the proposal
+  approve(keyPair) {
+    let signature = crypto.sign(this.approvalMessage(), keyPair.secretKey)
+    this.approvals.set(keyPair.publicKey.toString('hex'), signature)
+    return signature
+  }
+
+  /// Record an approval from the given member. Returns false if it is not a
+  /// valid approval from someone who needs to approve.
+  addApproval(pubkey, signature) {
+    if (!has_key(this.getApprovers(), pubkey)) {
+      return false
+    }
+    if (!crypto.verify(this.approvalMessage(), signature, pubkey)) {
+      return false
+    }
+    this.approvals.set(pubkey.toString('hex'), signature)
+    return true
+  }
+
+  /// Returns true if everyone who needs to approve has
+  isAgreed() {
+    return this.getApprovers().every((k) => this.approvals.has(k.toString('hex')))
+  }
+
+  /// Get the message approvers sign
+  approvalMessage() {
+    return b4a.concat([b4a.from(this.constructor.APPROVAL_LABEL), this.hash])
+  }
+}
@@ -0,0 +1,82 @@
+import crypto from 'hypercore-crypto'
+import MembershipChange from './membership_change.js'
+
+const GROUP_ID = 5
+
+/// Wrap a proposal body in a signed proposal from the given key pair, the way
+/// it goes over the wire
+function sign_body(body, keyPair) {
+  let signature = crypto.sign(body, keyPair.secretKey)
+  // Varint lengths for a body under 16 KB and a signature under 128 bytes
+  let length = Buffer.from([(body.length & 0x7f) | 0x80, body.length >> 7])
+  return Buffer.concat([length, body, Buffer.from([signature.length]), signature])
+}
+
+describe('MembershipChange', () => {
+
+  it('survives the trip over the wire', () => {
+    let keys = [crypto.keyPair(), crypto.keyPair(), crypto.keyPair()]
+    let pubkeys = keys.map((k) => k.publicKey)
+    let change = MembershipChange.create(GROUP_ID, 1, 10, pubkeys.slice(0, 2), pubkeys, keys[0])
+
+    let decoded = MembershipChange.decode(change.encode())
+    expect(decoded).toBeTruthy()
+    expect(decoded.hash.equals(change.hash)).toBeTruthy()
+    expect(decoded.startRound).toEqual(10)
+    expect(decoded.getJoiners().length).toEqual(1)
+    expect(decoded.getJoiners()[0].equals(pubkeys[2])).toBeTruthy()
+  })
+
+  it('refuses proposals from outside the group', () => {
+    let keys = [crypto.keyPair(), crypto.keyPair(), crypto.keyPair()]
+    let pubkeys = keys.map((k) => k.publicKey)
+    // Someone who isn't in the group yet can't add themselves
+    let change = MembershipChange.create(GROUP_ID, 1, 10, pubkeys.slice(0, 2), pubkeys, keys[2])
+    expect(MembershipChange.decode(change.encode())).toBeNull()
+  })
+
+  it('refuses proposals with member lists that do not add up', () => {
+    let keys = [crypto.keyPair(), crypto.keyPair(), crypto.keyPair()]
+    let pubkeys = keys.map((k) => k.publicKey)
+    let change = MembershipChange.create(GROUP_ID, 1, 10, pubkeys.slice(0, 2), pubkeys, keys[0])
+    expect(MembershipChange.decode(sign_body(change.body, keys[0]))).toBeTruthy()
+
+    // The last new member's key claims to run past the end of the proposal
+    let overrun = Buffer.from(change.body)
+    overrun[overrun.lastIndexOf(change.members[2]) - 1] = 0x7f
+    expect(MembershipChange.decode(sign_body(overrun, keys[0]))).toBeNull()
+
+    // The previous member list claims more bytes than its keys take up
+    let long = Buffer.from(change.body)
+    long[long.indexOf(change.previousMembers[0]) - 2] = 0x7f
+    expect(MembershipChange.decode(sign_body(long, keys[0]))).toBeNull()
+
+    // The new members are out of order, but properly signed
+    let unsorted = Buffer.from(change.body)
+    let first = unsorted.lastIndexOf(change.members[0])
+    let last = unsorted.lastIndexOf(change.members[2])
+    change.members[2].copy(unsorted, first)
+    change.members[0].copy(unsorted, last)
+    expect(MembershipChange.decode(sign_body(unsorted, keys[0]))).toBeNull()
+
+    // And the signed wrapper itself is cut short
+    expect(MembershipChange.decode(change.encode().subarray(0, 40))).toBeNull()
+  })
+
+  it('needs approval from everyone who stays', () => {
+    let keys = [crypto.keyPair(), crypto.keyPair(), crypto.keyPair()]
+    let pubkeys = keys.map((k) => k.publicKey)
+    // Member 2 is being dropped, so only 0 and 1 get a say
+    let change = MembershipChange.create(GROUP_ID, 1, 10, pubkeys, pubkeys.slice(0, 2), keys[0])
+
+    let signatures = keys.map((k) => change.approve(k))
+    change.approvals.clear()
+    expect(change.addApproval(pubkeys[2], signatures[2])).toBeFalsy()
+    expect(change.addApproval(pubkeys[0], signatures[0])).toBeTruthy()
+    expect(change.isAgreed()).toBeFalsy()
+    expect(change.addApproval(pubkeys[1], signatures[0])).toBeFalsy()
+    expect(change.addApproval(pubkeys[1], signatures[1])).toBeTruthy()
+    expect(change.isAgreed()).toBeTruthy()
+  })
+
+})
@@ -0,0 +1,292 @@
+import { EventEmitter } from 'events'
+
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+
+/**
+ * Packs variable-length application messages into the fixed-size slots of a
+ * SlotScheduler, and puts them back together on the way out.
+ *
+ * Each message is split into one or more frames, each of which fits in a
+ * slot:
+ *
+ * | message ID (8) | channel (1) | fragment index (2) | fragment count (2) | length (2) | payload | checksum (8) |
+ *
+ * Channel 0 carries application messages. The other channels carry control
+ * messages for protocols that run inside the session, like blame.
+ *
+ * The message ID is random, so it says nothing about who sent the message, but
+ * lets the fragments of one message find each other. The checksum covers the
+ * header and payload, so frames that collided or were disrupted in transit are
+ * reported instead of being handed to the application as garbage.
+ *
+ * Since everyone sees every round's result, we get our own messages back too.
+ *
+ * Emits:
+ * 'message' with a reassembled application message buffer, its message ID,
+ * and the sequence number of the round that completed it.
+ * 'control' with the channel number, a reassembled control message buffer,
+ * and the sequence number of the round that completed it.
+ * 'corrupt' with the round sequence number and a reason, for each slot that
+ * did not hold a valid frame.
+ * 'incomplete' with the message ID, when a partial message is given up on.
+ *
+ * Anyone can make a frame that claims to start a huge message, so partial
+ * messages only hold the fragments that actually came in, and the oldest ones
+ * are given up on once they hold more than maxPartialBytes between them.
+ */
+export default class MessageFramer extends EventEmitter {
+
+  /// How many bytes is a message ID?
+  static get MESSAGE_ID_SIZE() {
+    return 8
+  }
+
+  /// How many bytes of header come before the payload?
+  static get HEADER_SIZE() {
+    return this.MESSAGE_ID_SIZE + 7
+  }
+
+  /// What channel numbers are used for what?
+  static get CHANNELS() {
+    return {
+      APPLICATION: 0,
+      BLAME: 1,
+      RATE: 2,
+      PSEUDONYM: 3,
+      SIGNED: 4,
+      POLL: 5,
+      BALLOT: 6,
+      FILE: 7,
+      CHUNK: 8
+    }
+  }
+
+  /// How many bytes of checksum come after the payload?
+  static get CHECKSUM_SIZE() {
+    return 8
+  }
+
+  /// What is the most fragments one message can have?
+  static get MAX_FRAGMENTS() {
+    return 0xFFFF
+  }
+
+  /// How many rounds do we wait for the rest of a message before giving up?
+  static get DEFAULT_REASSEMBLY_ROUNDS() {
+    return 256
+  }
+
+  /// How many bytes of frames can partial messages hold between them?
+  static get DEFAULT_MAX_PARTIAL_BYTES() {
+    return 16 * 1024 * 1024
+  }
+
+  /// Make a new MessageFramer sending and receiving through the given
+  /// SlotScheduler.
+  /// Options can contain "reassemblyRounds", the number of rounds to wait for
+  /// missing fragments before dropping a partial message, and
+  /// "maxPartialBytes", the most frame bytes to hold for partial messages.
+  constructor(scheduler, options) {
+    super()
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    this.scheduler = scheduler
+    this.reassemblyRounds = options.reassemblyRounds || this.constructor.DEFAULT_REASSEMBLY_ROUNDS
+    this.maxPartialBytes = options.maxPartialBytes || this.constructor.DEFAULT_MAX_PARTIAL_BYTES
+
+    // How much message fits in each frame?
+    this.payloadSize = scheduler.slotSize - this.constructor.HEADER_SIZE - this.constructor.CHECKSUM_SIZE
+    if (this.payloadSize < 1) {
+      throw new Error('Slots are too small to hold frames')
+    }
+
+    // Partial messages we are putting back together, by message ID hex string,
+    // oldest first. Each is {fragments, fragmentCount, channel, firstRound},
+    // where fragments maps fragment index to payload.
+    this.partials = new Map()
+    // How many bytes of frames are held in partial messages?
+    this.partialBytes = 0
+
+    this.scheduler.on('data', (slot, sequenceNumber) => {
+      this.receiveFrame(slot, sequenceNumber)
+    })
+  }
+
+  /// Get the largest message we can send, in bytes. Anything bigger would
+  /// not fit in what receivers hold for partial messages.
+  getMaxMessageSize() {
+    let fragments = Math.floor(this.maxPartialBytes / this.scheduler.slotSize)
+    return this.payloadSize * Math.min(fragments, this.constructor.MAX_FRAGMENTS)
+  }
+
+  /// Queue a message to be sent, split across as many slots as it needs.
+  /// Goes to the application channel unless another channel is given. Urgent
+  /// messages go out ahead of anything already queued that isn't.
+  /// Returns the message ID, which can be used to cancel it.
+  send(message, channel, urgent) {
+    if (channel === undefined) {
+      channel = this.constructor.CHANNELS.APPLICATION
+    }
+    if (message.length > this.getMaxMessageSize()) {
+      throw new Error('Message is too big to send')
+    }
+    let messageId = crypto.randomBytes(this.constructor.MESSAGE_ID_SIZE)
+    let fragmentCount = Math.max(1, Math.ceil(message.length / this.payloadSize))
+    for (let i = 0; i < fragmentCount; i++) {
+      let payload = message.subarray(i * this.payloadSize, (i + 1) * this.payloadSize)
+      this.scheduler.send(this.constructor.encodeFrame(messageId, channel, i, fragmentCount, payload), urgent)
+    }
+    return messageId
+  }
+
+  /// Stop sending the fragments of the message with the given ID that
+  /// haven't gone out yet
+  cancel(messageId) {
+    return this.scheduler.cancel((frame) => {
+      return b4a.equals(frame.subarray(0, this.constructor.MESSAGE_ID_SIZE), messageId)
+    })
+  }
+
+  /// Handle a slot's worth of data that came out of a round
+  receiveFrame(slot, sequenceNumber) {
+    this.expirePartials(sequenceNumber)
+
+    let frame = this.constructor.decodeFrame(slot)
+    if (frame.error) {
+      this.emit('corrupt', sequenceNumber, frame.error)
+      return
+    }
+
+    let key = frame.messageId.toString('hex')
+    let partial = this.partials.get(key)
+    if (!partial) {
+      partial = {
+        fragments: new Map(),
+        fragmentCount: frame.fragmentCount,
+        channel: frame.channel,
+        firstRound: sequenceNumber
+      }
+      this.partials.set(key, partial)
+    }
+    if (partial.fragmentCount != frame.fragmentCount || partial.channel != frame.channel) {
+      // Someone else picked the same message ID, or it is an attack
+      this.emit('corrupt', sequenceNumber, 'fragment count does not match message')
+      return
+    }
+    if (!partial.fragments.has(frame.fragmentIndex)) {
+      partial.fragments.set(frame.fragmentIndex, frame.payload)
+      this.partialBytes += this.constructor.frameSize(frame.payload)
+    }
+
+    if (partial.fragments.size == partial.fragmentCount) {
+      this.dropPartial(key)
+      let fragments = []
+      for (let i = 0; i < partial.fragmentCount; i++) {
+        fragments.push(partial.fragments.get(i))
+      }
+      let message = b4a.concat(fragments)
+      if (partial.channel == this.constructor.CHANNELS.APPLICATION) {
+        this.emit('message', message, frame.messageId, sequenceNumber)
+      } else {
+        this.emit('control', partial.channel, message, sequenceNumber)
+      }
+    } else {
+      this.limitPartials(key)
+    }
+  }
+
+  /// Stop holding the partial message with the given message ID hex string
+  dropPartial(key) {
+    let partial = this.partials.get(key)
+    for (let payload of partial.fragments.values()) {
+      this.partialBytes -= this.constructor.frameSize(payload)
+    }
+    this.partials.delete(key)
+  }
+
+  /// Drop partial messages that have been waiting too long as of the given round
+  expirePartials(sequenceNumber) {
+    for (let [key, partial] of this.partials.entries()) {
+      if (sequenceNumber - partial.firstRound > this.reassemblyRounds) {
+        this.dropPartial(key)
+        this.emit('incomplete', key)
+      }
+    }
+  }
+
+  /// Give up on the oldest partial messages until they fit in
+  /// maxPartialBytes. The one with the given message ID hex string, which
+  /// just got a fragment, goes last.
+  limitPartials(newest) {
+    for (let key of this.partials.keys()) {
+      if (this.partialBytes <= this.maxPartialBytes) {
+        return
+      }
+      if (key != newest) {
+        this.dropPartial(key)
+        this.emit('incomplete', key)
+      }
+    }
+    if (this.partialBytes > this.maxPartialBytes) {
+      this.dropPartial(newest)
+      this.emit('incomplete', newest)
+    }
+  }
+
+  /// Get how many bytes a frame with the given payload takes up
+  static frameSize(payload) {
+    return this.HEADER_SIZE + payload.length + this.CHECKSUM_SIZE
+  }
+
+  /// Make a frame holding the given fragment of a message
+  static encodeFrame(messageId, channel, fragmentIndex, fragmentCount, payload) {
+    let frame = b4a.alloc(this.HEADER_SIZE + payload.length + this.CHECKSUM_SIZE)
+    b4a.copy(messageId, frame, 0)
+    frame.writeUInt8(channel, this.MESSAGE_ID_SIZE)
+    frame.writeUInt16BE(fragmentIndex, this.MESSAGE_ID_SIZE + 1)
+    frame.writeUInt16BE(fragmentCount, this.MESSAGE_ID_SIZE + 3)
+    frame.writeUInt16BE(payload.length, this.MESSAGE_ID_SIZE + 5)
+    b4a.copy(payload, frame, this.HEADER_SIZE)
+    let checked = frame.subarray(0, this.HEADER_SIZE + payload.length)
+    b4a.copy(this.checksum(checked), frame, this.HEADER_SIZE + payload.length)
+    return frame
+  }
+
+  /// Parse a frame out of a slot. Returns {messageId, channel, fragmentIndex,
+  /// fragmentCount, payload}, or {error} if the slot doesn't hold a valid frame.
+  static decodeFrame(slot) {
+    if (slot.length < this.HEADER_SIZE + this.CHECKSUM_SIZE) {
+      return {error: 'slot is too small for a frame'}
+    }
+    let channel = slot.readUInt8(this.MESSAGE_ID_SIZE)
+    let fragmentIndex = slot.readUInt16BE(this.MESSAGE_ID_SIZE + 1)
+    let fragmentCount = slot.readUInt16BE(this.MESSAGE_ID_SIZE + 3)
+    let length = slot.readUInt16BE(this.MESSAGE_ID_SIZE + 5)
+    if (this.HEADER_SIZE + length + this.CHECKSUM_SIZE > slot.length) {
+      return {error: 'frame length is too long for slot'}
+    }
+    let checked = slot.subarray(0, this.HEADER_SIZE + length)
+    let checksum = slot.subarray(this.HEADER_SIZE + length, this.HEADER_SIZE + length + this.CHECKSUM_SIZE)
+    if (!b4a.equals(this.checksum(checked), checksum)) {
+      return {error: 'frame checksum does not match'}
+    }
+    if (fragmentCount == 0 || fragmentIndex >= fragmentCount) {
+      return {error: 'fragment index is out of range'}
+    }
+    return {
+      messageId: b4a.from(slot.subarray(0, this.MESSAGE_ID_SIZE)),
+      channel: channel,
+      fragmentIndex: fragmentIndex,
+      fragmentCount: fragmentCount,
+      payload: b4a.from(slot.subarray(this.HEADER_SIZE, this.HEADER_SIZE + length))
+    }
+  }
+
+  /// Compute the checksum for the given header and payload bytes
+  static checksum(data) {
+    return crypto.hash(data).subarray(0, this.CHECKSUM_SIZE)
+  }
+}
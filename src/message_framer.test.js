@@ -0,0 +1,82 @@
+import { EventEmitter } from 'events'
+import crypto from 'hypercore-crypto'
+import MessageFramer from './message_framer.js'
+
+/// Stand-in for a SlotScheduler that delivers every slot right away, in order
+class FakeScheduler extends EventEmitter {
+  constructor(slotSize) {
+    super()
+    this.slotSize = slotSize
+    this.round = 0
+  }
+
+  send(data) {
+    let slot = Buffer.alloc(this.slotSize)
+    data.copy(slot)
+    this.emit('data', slot, this.round++)
+  }
+}
+
+describe('MessageFramer', () => {
+
+  it('reassembles messages bigger than a slot', () => {
+    let framer = new MessageFramer(new FakeScheduler(64))
+    let received = []
+    framer.on('message', (message) => received.push(message))
+
+    let big = crypto.randomBytes(1000)
+    framer.send(big)
+    framer.send(Buffer.from('small'))
+
+    expect(received.length).toEqual(2)
+    expect(received[0].equals(big)).toBeTruthy()
+    expect(received[1].toString()).toEqual('small')
+  })
+
+  it('reports corrupted frames instead of delivering them', () => {
+    let scheduler = new FakeScheduler(64)
+    let framer = new MessageFramer(scheduler)
+    let received = []
+    let corrupt = []
+    framer.on('message', (message) => received.push(message))
+    framer.on('corrupt', (round, reason) => corrupt.push(reason))
+
+    let frame = MessageFramer.encodeFrame(crypto.randomBytes(MessageFramer.MESSAGE_ID_SIZE), MessageFramer.CHANNELS.APPLICATION, 0, 1, Buffer.from('hello'))
+    // Flip a bit, like a collision would
+    frame[MessageFramer.HEADER_SIZE] ^= 1
+    scheduler.send(frame)
+
+    expect(received.length).toEqual(0)
+    expect(corrupt).toEqual(['frame checksum does not match'])
+  })
+
+  it('only holds so much of messages that never finish', () => {
+    let scheduler = new FakeScheduler(64)
+    let framer = new MessageFramer(scheduler, {maxPartialBytes: 64 * 10})
+    let received = []
+    let incomplete = []
+    framer.on('message', (message) => received.push(message))
+    framer.on('incomplete', (messageId) => incomplete.push(messageId))
+
+    // Frames that each claim to start a message of the most fragments there
+    // can be
+    let payload = crypto.randomBytes(framer.payloadSize)
+    for (let i = 0; i < 100; i++) {
+      let messageId = crypto.randomBytes(MessageFramer.MESSAGE_ID_SIZE)
+      scheduler.send(MessageFramer.encodeFrame(messageId, MessageFramer.CHANNELS.APPLICATION, i, MessageFramer.MAX_FRAGMENTS, payload))
+      expect(framer.partialBytes).toBeLessThanOrEqual(64 * 10)
+    }
+    expect(framer.partials.size).toEqual(10)
+    for (let partial of framer.partials.values()) {
+      expect(partial.fragments.size).toEqual(1)
+    }
+    expect(incomplete.length).toEqual(90)
+
+    // Real messages still get through
+    let big = crypto.randomBytes(300)
+    framer.send(big)
+    expect(received.length).toEqual(1)
+    expect(received[0].equals(big)).toBeTruthy()
+  })
+
+})
@@ -0,0 +1,205 @@
+import crypto from 'hypercore-crypto'
+import sodium from 'sodium-universal'
+import b4a from 'b4a'
+
+import SynchronizedKeystream from './synchronized_keystream.js'
+
+/**
+ * Represents our half of an authenticated key agreement with one other peer in
+ * a group, which produces the pairwise secret that the two of us feed into our
+ * SynchronizedKeystreams.
+ *
+ * Each side makes a fresh ephemeral X25519 keypair and sends the public half
+ * in a "hello". Once both ephemeral keys are known, each side signs a
+ * transcript hash covering the group ID, the membership epoch, and both
+ * peers' long-term ed25519 identity keys and ephemeral keys, and sends the
+ * signature in an "auth".
+ *
+ * The pairwise secret is only produced once the other side's signature over
+ * the same transcript checks out against their identity key. So someone who
+ * can read the channel never sees the secret, and someone who can tamper with
+ * the channel can't get us to agree on a secret with anyone but the peer we
+ * meant to talk to.
+ */
+export default class PairwiseHandshake {
+
+  /// What string do we mix into transcripts so they can't be confused with
+  /// anything else we sign?
+  static get TRANSCRIPT_LABEL() {
+    return 'spartic-handshake-v1'
+  }
+
+  /// What string do we mix in when turning the Diffie-Hellman output into a
+  /// keystream secret?
+  static get SECRET_LABEL() {
+    return 'spartic-pairwise-secret-v1'
+  }
+
+  /// Make a new handshake for the given group, between our identity keypair
+  /// ({publicKey, secretKey} ed25519 buffers) and the given identity public key
+  /// of the other peer. Each membership epoch of a group gets fresh
+  /// handshakes; the epoch defaults to 0.
+  constructor(groupId, ourKeyPair, theirPublicKey, epoch) {
+    this.groupId = groupId
+    this.epoch = epoch || 0
+    this.ourKeyPair = ourKeyPair
+    this.theirPublicKey = theirPublicKey
+
+    // Make our ephemeral X25519 keypair for just this handshake
+    this.ephemeral = crypto.encryptionKeyPair()
+    // When we get theirs we put it here
+    this.theirEphemeralKey = null
+
+    // Transcript hash we both sign, once we know both ephemeral keys
+    this.transcript = null
+    // The agreed secret, only once they have authenticated
+    this.sharedSecret = null
+    // Set if the handshake went wrong and can never finish
+    this.failed = false
+  }
+
+  /// Get the ephemeral public key to send the other peer in our hello.
+  getHello() {
+    return this.ephemeral.publicKey
+  }
+
+  /// Returns true if the other peer has proven their identity and we have a
+  /// shared secret.
+  isDone() {
+    return this.sharedSecret != null
+  }
+
+  /// Handle the other peer's hello with their ephemeral public key. Returns
+  /// the signature to send them in our auth.
+  /// Throws if the hello is not acceptable.
+  receiveHello(theirEphemeralKey) {
+    if (this.failed) {
+      throw new Error('handshake already failed')
+    }
+    if (this.theirEphemeralKey) {
+      throw new Error('hello already received')
+    }
+    if (theirEphemeralKey.length != sodium.crypto_box_PUBLICKEYBYTES) {
+      throw new Error('ephemeral key is the wrong size')
+    }
+    this.theirEphemeralKey = theirEphemeralKey
+    this.transcript = this.constructor.makeTranscript(this.groupId, this.epoch,
+      this.ourKeyPair.publicKey, this.ephemeral.publicKey,
+      this.theirPublicKey, this.theirEphemeralKey)
+
+    // Prove we are who we say we are, to them, in this handshake only
+    return crypto.sign(this.transcript, this.ourKeyPair.secretKey)
+  }
+
+  /// Handle the other peer's auth signature. If it is good, derive the shared
+  /// secret and wipe our ephemeral secret key.
+  /// Throws if the auth is not acceptable, after which the handshake is failed.
+  receiveAuth(signature) {
+    if (this.failed) {
+      throw new Error('handshake already failed')
+    }
+    if (this.isDone()) {
+      throw new Error('auth already received')
+    }
+    if (!this.transcript) {
+      throw new Error('auth received before hello')
+    }
+    if (!crypto.verify(this.transcript, signature, this.theirPublicKey)) {
+      // They can't prove they are the peer we wanted to talk to.
+      this.fail()
+      throw new Error('auth signature is not valid')
+    }
+
+    let sharedPoint = b4a.alloc(sodium.crypto_scalarmult_BYTES)
+    try {
+      sodium.crypto_scalarmult(sharedPoint, this.ephemeral.secretKey, this.theirEphemeralKey)
+    } catch (e) {
+      // Low-order points make libsodium refuse
+      this.fail()
+      throw new Error('ephemeral key is not usable')
+    }
+
+    // Hash the DH output together with the transcript so the secret is bound
+    // to both identities and the group.
+    let secret = b4a.alloc(SynchronizedKeystream.SECRET_SIZE)
+    sodium.crypto_generichash(secret, b4a.concat([
+      b4a.from(this.constructor.SECRET_LABEL),
+      this.transcript,
+      sharedPoint
+    ]))
+    sodium.sodium_memzero(sharedPoint)
+    sodium.sodium_memzero(this.ephemeral.secretKey)
+
+    this.sharedSecret = secret
+  }
+
+  /// Wipe the shared secret, once it has been handed off to a keystream that
+  /// will ratchet it forward. The handshake still counts as done.
+  wipe() {
+    if (this.sharedSecret) {
+      sodium.sodium_memzero(this.sharedSecret)
+    }
+  }
+
+  /// Give up on the handshake for good, wiping our ephemeral secret key
+  fail() {
+    this.failed = true
+    sodium.sodium_memzero(this.ephemeral.secretKey)
+  }
+
+  /// Get everything needed to make this handshake again with importState(),
+  /// as a plain object. Until the handshake is done, that includes our
+  /// ephemeral secret key, so it must be kept secret.
+  exportState() {
+    return {
+      epoch: this.epoch,
+      theirPublicKey: this.theirPublicKey,
+      ephemeral: {
+        publicKey: b4a.from(this.ephemeral.publicKey),
+        secretKey: b4a.from(this.ephemeral.secretKey)
+      },
+      theirEphemeralKey: this.theirEphemeralKey,
+      transcript: this.transcript,
+      sharedSecret: this.sharedSecret ? b4a.from(this.sharedSecret) : null,
+      failed: this.failed
+    }
+  }
+
+  /// Make a PairwiseHandshake again from what exportState() gave us, for the
+  /// given group and our identity keypair.
+  static importState(state, groupId, ourKeyPair) {
+    let handshake = new this(groupId, ourKeyPair, state.theirPublicKey, state.epoch)
+    sodium.sodium_memzero(handshake.ephemeral.secretKey)
+    handshake.ephemeral = {
+      publicKey: b4a.from(state.ephemeral.publicKey),
+      secretKey: b4a.from(state.ephemeral.secretKey)
+    }
+    handshake.theirEphemeralKey = state.theirEphemeralKey
+    handshake.transcript = state.transcript
+    handshake.sharedSecret = state.sharedSecret ? b4a.from(state.sharedSecret) : null
+    handshake.failed = state.failed
+    return handshake
+  }
+
+  /// Compute the transcript hash for a handshake in the given group and epoch
+  /// between two peers. Both sides get the same answer regardless of who is
+  /// "us".
+  static makeTranscript(groupId, epoch, publicKeyA, ephemeralKeyA, publicKeyB, ephemeralKeyB) {
+    // Put the peers in a canonical order
+    let parts = [[publicKeyA, ephemeralKeyA], [publicKeyB, ephemeralKeyB]]
+    parts.sort((a, b) => b4a.compare(a[0], b[0]))
+
+    let epochBuffer = b4a.alloc(8)
+    epochBuffer.writeBigUInt64BE(BigInt(epoch))
+
+    let transcript = b4a.alloc(32)
+    sodium.crypto_generichash(transcript, b4a.concat([
+      b4a.from(this.TRANSCRIPT_LABEL),
+      epochBuffer,
+      b4a.from(String(groupId)),
+      parts[0][0], parts[0][1],
+      parts[1][0], parts[1][1]
+    ]))
+    return transcript
+  }
+}
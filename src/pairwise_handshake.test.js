@@ -0,0 +1,72 @@
+import crypto from 'hypercore-crypto'
+import PairwiseHandshake from './pairwise_handshake.js'
+
+const GROUP_ID = 5
+
+/// Run the hello half of a handshake between two PairwiseHandshakes and
+/// return the signatures they would send each other.
+function exchange_hellos(a, b) {
+  let a_auth = a.receiveHello(b.getHello())
+  let b_auth = b.receiveHello(a.getHello())
+  return [a_auth, b_auth]
+}
+
+describe('PairwiseHandshake', () => {
+
+  it('agrees on a secret between two authenticated peers', () => {
+    let alice = crypto.keyPair()
+    let bob = crypto.keyPair()
+
+    let a = new PairwiseHandshake(GROUP_ID, alice, bob.publicKey)
+    let b = new PairwiseHandshake(GROUP_ID, bob, alice.publicKey)
+
+    let [a_auth, b_auth] = exchange_hellos(a, b)
+    a.receiveAuth(b_auth)
+    b.receiveAuth(a_auth)
+
+    expect(a.isDone()).toBeTruthy()
+    expect(b.isDone()).toBeTruthy()
+    expect(a.sharedSecret.equals(b.sharedSecret)).toBeTruthy()
+  })
+
+  it('refuses a peer that signs with the wrong identity', () => {
+    let alice = crypto.keyPair()
+    let bob = crypto.keyPair()
+    let mallory = crypto.keyPair()
+
+    // Alice thinks she is talking to Bob, but Mallory answers
+    let a = new PairwiseHandshake(GROUP_ID, alice, bob.publicKey)
+    let m = new PairwiseHandshake(GROUP_ID, mallory, alice.publicKey)
+
+    let [a_auth, m_auth] = exchange_hellos(a, m)
+    expect(() => a.receiveAuth(m_auth)).toThrow()
+    expect(a.isDone()).toBeFalsy()
+    expect(a.failed).toBeTruthy()
+  })
+
+  it('binds the secret to the group', () => {
+    let alice = crypto.keyPair()
+    let bob = crypto.keyPair()
+
+    let a = new PairwiseHandshake(GROUP_ID, alice, bob.publicKey)
+    let b = new PairwiseHandshake(GROUP_ID + 1, bob, alice.publicKey)
+
+    let [a_auth, b_auth] = exchange_hellos(a, b)
+    // Signatures are over different transcripts, so neither side accepts
+    expect(() => a.receiveAuth(b_auth)).toThrow()
+    expect(() => b.receiveAuth(a_auth)).toThrow()
+  })
+
+  it('binds the secret to the epoch', () => {
+    let alice = crypto.keyPair()
+    let bob = crypto.keyPair()
+
+    let a = new PairwiseHandshake(GROUP_ID, alice, bob.publicKey, 1)
+    let b = new PairwiseHandshake(GROUP_ID, bob, alice.publicKey, 2)
+
+    let [a_auth, b_auth] = exchange_hellos(a, b)
+    expect(() => a.receiveAuth(b_auth)).toThrow()
+    expect(() => b.receiveAuth(a_auth)).toThrow()
+  })
+
+})
@@ -0,0 +1,242 @@
+import SparticSession from './spartic_session.js'
+import WireProtocol from './wire_protocol.js'
+
+/// Turn a public key into the string we keep scores under
+function key_string(pubkey) {
+  return pubkey.toString('hex')
+}
+
+/**
+ * Keeps score of how each peer has been breaking the protocol with us, and
+ * decides what to do about it.
+ *
+ * Every violation has an error code, and each code is worth some number of
+ * penalty points. Some are worth nothing, like sending a block we already
+ * have, since honest peers do that when catching up after a restart. A peer's
+ * score is the points for their violations in the last "window" of time.
+ *
+ * Once a peer's score reaches "throttleAt", they are throttled: we stop
+ * answering their mistakes, and only take "throttleRate" messages a second
+ * from them. At "disconnectAt" they are disconnected whenever they break the
+ * protocol again. At "quarantineAt" they are quarantined: disconnected, and
+ * not let back in until release() is called.
+ */
+export default class PeerPolicy {
+
+  /// Action for a peer who is throttled
+  static get THROTTLE() {
+    return 'throttle'
+  }
+
+  /// Action for a peer who gets disconnected
+  static get DISCONNECT() {
+    return 'disconnect'
+  }
+
+  /// Action for a peer who is quarantined
+  static get QUARANTINE() {
+    return 'quarantine'
+  }
+
+  /// How many penalty points is each error code worth by default? Codes not
+  /// listed are worth UNKNOWN_PENALTY.
+  static get DEFAULT_PENALTIES() {
+    let penalties = {}
+    // Things honest peers do when they are behind, ahead or restarted
+    penalties[SparticSession.ERRORS.DUPLICATE] = 0
+    penalties[SparticSession.ERRORS.WRONG_ROUND] = 1
+    penalties[SparticSession.ERRORS.WRONG_EPOCH] = 1
+    penalties[WireProtocol.ERROR_UNEXPECTED] = 1
+    // Things honest peers shouldn't do, but might if they are buggy
+    penalties[WireProtocol.ERROR_UNKNOWN_TYPE] = 2
+    penalties[SparticSession.ERRORS.NOT_COMMITTING] = 5
+    penalties[WireProtocol.ERROR_MALFORMED] = 10
+    penalties[SparticSession.ERRORS.HANDSHAKE] = 10
+    penalties[SparticSession.ERRORS.WRONG_SIZE] = 10
+    penalties[SparticSession.ERRORS.INVALID_MEMBERSHIP] = 10
+    penalties[SparticSession.ERRORS.INVALID_APPROVAL] = 10
+    penalties[SparticSession.ERRORS.INVALID_REVEAL] = 10
+    // Cheating
+    penalties[SparticSession.ERRORS.BAD_COMMITMENT] = 25
+    return penalties
+  }
+
+  /// How many penalty points is an error code we don't know worth?
+  static get UNKNOWN_PENALTY() {
+    return 5
+  }
+
+  /// At what score do we throttle a peer by default?
+  static get THROTTLE_AT() {
+    return 20
+  }
+
+  /// At what score do we disconnect a peer by default?
+  static get DISCONNECT_AT() {
+    return 50
+  }
+
+  /// At what score do we quarantine a peer by default?
+  static get QUARANTINE_AT() {
+    return 100
+  }
+
+  /// How many messages a second do we take from a throttled peer by default?
+  static get THROTTLE_RATE() {
+    return 20
+  }
+
+  /// How long do violations count against a peer by default, in milliseconds?
+  static get WINDOW() {
+    return 600000
+  }
+
+  /// Make a new PeerPolicy.
+  ///
+  /// Options can set "penalties", an object from error code to penalty
+  /// points, to change what codes are worth. They can also set "throttleAt",
+  /// "disconnectAt" and "quarantineAt" scores, which can be Infinity to never
+  /// take that action, "throttleRate" in messages per second, and "window"
+  /// in milliseconds.
+  constructor(options) {
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    this.penalties = Object.assign(this.constructor.DEFAULT_PENALTIES, options.penalties)
+    this.throttleAt = options.throttleAt != null ? options.throttleAt : this.constructor.THROTTLE_AT
+    this.disconnectAt = options.disconnectAt != null ? options.disconnectAt : this.constructor.DISCONNECT_AT
+    this.quarantineAt = options.quarantineAt != null ? options.quarantineAt : this.constructor.QUARANTINE_AT
+    this.throttleRate = options.throttleRate || this.constructor.THROTTLE_RATE
+    this.window = options.window || this.constructor.WINDOW
+
+    // Violations that still count, by public key hex string, as lists of
+    // {time, points}
+    this.violations = new Map()
+    // The last action we took against each peer, by public key hex string
+    this.actions = new Map()
+    // Public key hex strings of quarantined peers
+    this.quarantined = new Set()
+    // Messages taken from throttled peers, by public key hex string, as
+    // {second, count}
+    this.rates = new Map()
+  }
+
+  /// Get how many penalty points the given error code is worth
+  penaltyFor(code) {
+    if (Object.prototype.hasOwnProperty.call(this.penalties, code)) {
+      return this.penalties[code]
+    }
+    return this.constructor.UNKNOWN_PENALTY
+  }
+
+  /// Get the action for a score: null, THROTTLE, DISCONNECT or QUARANTINE
+  actionFor(score) {
+    if (score >= this.quarantineAt) {
+      return this.constructor.QUARANTINE
+    }
+    if (score >= this.disconnectAt) {
+      return this.constructor.DISCONNECT
+    }
+    if (score >= this.throttleAt) {
+      return this.constructor.THROTTLE
+    }
+    return null
+  }
+
+  /// Count a violation with the given error code against the peer with the
+  /// given public key. Returns {score, action, escalated}, where action is
+  /// what to do about the peer now, and escalated is true if that is worse
+  /// than what we were doing about them before.
+  record(pubkey, code) {
+    let key = key_string(pubkey)
+    let now = Date.now()
+    if (!this.violations.has(key)) {
+      this.violations.set(key, [])
+    }
+    this.violations.get(key).push({time: now, points: this.penaltyFor(code)})
+    let score = this.score(pubkey)
+    let action = this.actionFor(score)
+    if (this.quarantined.has(key)) {
+      // Stays quarantined until released, whatever the score does
+      action = this.constructor.QUARANTINE
+    }
+    let before = this.actions.get(key) || null
+    let escalated = this.severity(action) > this.severity(before)
+    if (escalated) {
+      this.actions.set(key, action)
+    }
+    if (action == this.constructor.QUARANTINE) {
+      this.quarantined.add(key)
+    }
+    return {score: score, action: action, escalated: escalated}
+  }
+
+  /// Get how bad an action is, as a number that goes up with badness
+  severity(action) {
+    return [null, this.constructor.THROTTLE, this.constructor.DISCONNECT, this.constructor.QUARANTINE].indexOf(action)
+  }
+
+  /// Get the score of the peer with the given public key, forgetting any
+  /// violations that are too old to count
+  score(pubkey) {
+    let key = key_string(pubkey)
+    let cutoff = Date.now() - this.window
+    let violations = (this.violations.get(key) || []).filter((violation) => violation.time > cutoff)
+    if (violations.length == 0) {
+      // They have served their time
+      this.violations.delete(key)
+      if (!this.quarantined.has(key)) {
+        this.actions.delete(key)
+      }
+      return 0
+    }
+    this.violations.set(key, violations)
+    let score = violations.reduce((total, violation) => total + violation.points, 0)
+    if (!this.quarantined.has(key) && this.severity(this.actionFor(score)) < this.severity(this.actions.get(key) || null)) {
+      // Their score has come back down, so they can escalate again later
+      this.actions.set(key, this.actionFor(score))
+    }
+    return score
+  }
+
+  /// Returns true if we are throttling the peer with the given public key
+  isThrottled(pubkey) {
+    return this.isQuarantined(pubkey) || this.actionFor(this.score(pubkey)) != null
+  }
+
+  /// Returns true if the peer with the given public key is quarantined
+  isQuarantined(pubkey) {
+    return this.quarantined.has(key_string(pubkey))
+  }
+
+  /// Returns true if we should handle a message that just came in from the
+  /// peer with the given public key, or false if we should drop it
+  admit(pubkey) {
+    if (this.isQuarantined(pubkey)) {
+      return false
+    }
+    if (!this.isThrottled(pubkey)) {
+      return true
+    }
+    let key = key_string(pubkey)
+    let second = Math.floor(Date.now() / 1000)
+    let rate = this.rates.get(key)
+    if (!rate || rate.second != second) {
+      rate = {second: second, count: 0}
+      this.rates.set(key, rate)
+    }
+    rate.count++
+    return rate.count <= this.throttleRate
+  }
+
+  /// Forget everything the peer with the given public key has done, and let
+  /// them back in if they were quarantined
+  release(pubkey) {
+    let key = key_string(pubkey)
+    this.violations.delete(key)
+    this.actions.delete(key)
+    this.quarantined.delete(key)
+    this.rates.delete(key)
+  }
+}
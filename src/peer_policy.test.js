@@ -0,0 +1,51 @@
+import crypto from 'hypercore-crypto'
+import PeerPolicy from './peer_policy.js'
+import SparticSession from './spartic_session.js'
+import WireProtocol from './wire_protocol.js'
+
+describe('PeerPolicy', () => {
+
+  it('escalates as violations add up, and lets old ones go', () => {
+    let policy = new PeerPolicy({throttleAt: 10, disconnectAt: 20, quarantineAt: 30, window: 1000})
+    let peer = crypto.keyPair().publicKey
+    let other = crypto.keyPair().publicKey
+
+    // Catching up after a restart costs nothing
+    for (let i = 0; i < 100; i++) {
+      expect(policy.record(peer, SparticSession.ERRORS.DUPLICATE).action).toBeNull()
+    }
+    expect(policy.record(peer, WireProtocol.ERROR_MALFORMED)).toEqual({score: 10, action: 'throttle', escalated: true})
+    expect(policy.isThrottled(peer)).toBeTruthy()
+    expect(policy.isThrottled(other)).toBeFalsy()
+    expect(policy.record(peer, SparticSession.ERRORS.WRONG_ROUND)).toEqual({score: 11, action: 'throttle', escalated: false})
+    expect(policy.record(peer, SparticSession.ERRORS.BAD_COMMITMENT).action).toEqual('quarantine')
+    expect(policy.isQuarantined(peer)).toBeTruthy()
+    expect(policy.admit(peer)).toBeFalsy()
+
+    // Quarantine outlasts the window, until released
+    for (let violation of policy.violations.get(peer.toString('hex'))) {
+      violation.time -= 2000
+    }
+    expect(policy.score(peer)).toEqual(0)
+    expect(policy.isQuarantined(peer)).toBeTruthy()
+    policy.release(peer)
+    expect(policy.isQuarantined(peer)).toBeFalsy()
+    expect(policy.admit(peer)).toBeTruthy()
+  })
+
+  it('only takes so many messages a second from throttled peers', () => {
+    let policy = new PeerPolicy({throttleAt: 1, throttleRate: 5})
+    let peer = crypto.keyPair().publicKey
+    policy.record(peer, 'something-new')
+    let admitted = 0
+    for (let i = 0; i < 50; i++) {
+      if (policy.admit(peer)) {
+        admitted++
+      }
+    }
+    // Unless the second ticks over while we count
+    expect(admitted).toBeGreaterThanOrEqual(5)
+    expect(admitted).toBeLessThanOrEqual(10)
+  })
+
+})
@@ -0,0 +1,362 @@
+import { EventEmitter } from 'events'
+
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+
+import MessageFramer from './message_framer.js'
+import checked_struct from './checked_struct.js'
+
+/// Anonymous proposal of a poll.
+/// Sent through the session itself, so nobody knows who sent it.
+const ProposalEncoding = checked_struct({
+  /// Random ID of the poll
+  pollId: 'bytes',
+  /// What is being asked?
+  question: 'string',
+  /// What can be chosen?
+  options: ['string'],
+  /// For how many rounds after the proposal comes out are ballots taken?
+  rounds: 'integer'
+})
+
+/// Anonymous ballot in a poll.
+/// Sent through the session itself, so nobody knows who sent it.
+const BallotEncoding = checked_struct({
+  /// Which poll is it for?
+  pollId: 'bytes',
+  /// One bit per option, with bit i of byte floor(i / 8), counting from the
+  /// low bit, for option i. Exactly one set for a vote, and none to abstain.
+  choices: 'bytes'
+})
+
+/// Turn a poll ID into the string we keep polls under
+function poll_key(pollId) {
+  return b4a.toString(pollId, 'hex')
+}
+
+/// Get the option indexes set in a ballot's choices, or null if any bit past
+/// the given number of options is set
+function chosen_options(choices, optionCount) {
+  let chosen = []
+  for (let i = 0; i < choices.length * 8; i++) {
+    if (choices[Math.floor(i / 8)] & (1 << (i % 8))) {
+      if (i >= optionCount) {
+        return null
+      }
+      chosen.push(i)
+    }
+  }
+  return chosen
+}
+
+/**
+ * Runs anonymous polls on top of a session, its SlotScheduler and its
+ * MessageFramer.
+ *
+ * Any member can propose a poll, with a question and some options, on the
+ * poll channel. Everyone sees the proposal come out in the same round, and
+ * takes ballots on the ballot channel for the poll's number of rounds after
+ * that. Each ballot has one bit per option, and a vote sets exactly the bit
+ * for the chosen option. Nobody can tell who sent which ballot, so the tally
+ * is just a count of the bits that came out.
+ *
+ * Every member casts exactly one ballot in every poll: if the application
+ * hasn't voted by halfway through, we abstain, with a ballot that sets no
+ * bits. So a poll with more ballots than members has had someone vote more
+ * than once, and is reported as overvoted. Ballots with bits set for more
+ * than one option, or for options that don't exist, are spoiled, and count
+ * against the poll in the same way. A member who jams the ballots of others
+ * leaves corrupt frames while the poll is open, which are counted too, and
+ * get the jammer found by a BlameProtocol if one is running. A jammed ballot
+ * is sent again, so it may still make it in time. Ballots go out ahead of
+ * anything else we have queued, so they aren't stuck behind other data when
+ * the poll closes.
+ *
+ * A double vote can hide behind a ballot that never made it out: then the
+ * number of ballots comes out right. So if any frames were corrupt while the
+ * poll was open, or ballots are missing and some were spoiled, we can't say
+ * the poll was clean, and report it as undetermined.
+ *
+ * Emits:
+ * 'poll' with {pollId, question, options, openedAt, closesAt} when a poll is
+ * proposed, where ballots are taken in rounds from openedAt through closesAt.
+ * 'closed' with the poll's result, once it is over, as {pollId, question,
+ * options, counts, ballots, abstained, spoiled, voters, corrupt, overvoted,
+ * jammed, undetermined}. Counts has the votes for each option, ballots is how many ballots
+ * there were of any kind, and voters is how many members there were to vote.
+ * Overvoted is true if there were more ballots than voters, and jammed if
+ * any frames were corrupt while the poll was open. Undetermined is true if
+ * the poll wasn't overvoted, but a double vote could be hiding in it.
+ * 'invalid' with the sequence number and a reason, for anything on the poll
+ * or ballot channels that doesn't check out.
+ */
+export default class PollProtocol extends EventEmitter {
+
+  /// How many bytes is a poll ID?
+  static get POLL_ID_SIZE() {
+    return 8
+  }
+
+  /// How many rounds are ballots taken for by default?
+  static get POLL_ROUNDS() {
+    return 32
+  }
+
+  /// What is the fewest rounds a poll can take ballots for? Must leave time
+  /// for everyone to get a slot.
+  static get MIN_POLL_ROUNDS() {
+    return 8
+  }
+
+  /// What is the most rounds a poll can take ballots for?
+  static get MAX_POLL_ROUNDS() {
+    return 4096
+  }
+
+  /// What is the most options a poll can have?
+  static get MAX_OPTIONS() {
+    return 64
+  }
+
+  /// Make a new PollProtocol for the given session, with the SlotScheduler
+  /// and MessageFramer running on it.
+  constructor(session, scheduler, framer) {
+    super()
+    this.session = session
+    this.scheduler = scheduler
+    this.framer = framer
+
+    // Polls we know of, by poll ID hex string, as {pollId, question,
+    // options, openedAt, closesAt, counts, ballots, abstained, spoiled,
+    // corrupt, voted, closed}, where voted is set once we have cast our
+    // ballot
+    this.polls = new Map()
+
+    this.framer.on('control', (channel, message, sequenceNumber) => {
+      if (channel == MessageFramer.CHANNELS.POLL) {
+        this.receiveProposal(message, sequenceNumber)
+      } else if (channel == MessageFramer.CHANNELS.BALLOT) {
+        this.receiveBallot(message, sequenceNumber)
+      }
+    })
+    this.framer.on('corrupt', (sequenceNumber) => {
+      for (let poll of this.polls.values()) {
+        if (!poll.closed && sequenceNumber >= poll.openedAt && sequenceNumber <= poll.closesAt) {
+          poll.corrupt++
+        }
+      }
+    })
+    this.scheduler.on('round', (round) => {
+      this.handleRound(round.sequenceNumber)
+    })
+  }
+
+  /// Anonymously propose a poll with the given question and list of option
+  /// strings, taking ballots for the given number of rounds, or POLL_ROUNDS.
+  /// Returns the poll ID. The poll starts once the proposal comes out.
+  propose(question, options, rounds) {
+    if (rounds == null) {
+      rounds = this.constructor.POLL_ROUNDS
+    }
+    let problem = this.checkProposal(options, rounds)
+    if (problem) {
+      throw new Error(problem)
+    }
+    let pollId = crypto.randomBytes(this.constructor.POLL_ID_SIZE)
+    this.framer.send(ProposalEncoding.encode({
+      pollId: pollId,
+      question: question,
+      options: options,
+      rounds: rounds
+    }), MessageFramer.CHANNELS.POLL)
+    return pollId
+  }
+
+  /// Get what is wrong with a proposal's options and rounds, or null if
+  /// nothing is
+  checkProposal(options, rounds) {
+    if (options.length < 2 || options.length > this.constructor.MAX_OPTIONS) {
+      return 'Polls need from 2 to ' + this.constructor.MAX_OPTIONS + ' options'
+    }
+    if (rounds < this.constructor.MIN_POLL_ROUNDS || rounds > this.constructor.MAX_POLL_ROUNDS) {
+      return 'Polls need to take ballots for ' + this.constructor.MIN_POLL_ROUNDS + ' to ' +
+        this.constructor.MAX_POLL_ROUNDS + ' rounds'
+    }
+    return null
+  }
+
+  /// Get the poll with the given ID, or throw if there is no such open poll
+  /// we haven't voted in yet
+  openPoll(pollId) {
+    let poll = this.polls.get(poll_key(pollId))
+    if (!poll) {
+      throw new Error('No poll ' + poll_key(pollId))
+    }
+    if (poll.closed) {
+      throw new Error('Poll ' + poll_key(pollId) + ' is closed')
+    }
+    if (poll.voted) {
+      throw new Error('Already voted in poll ' + poll_key(pollId))
+    }
+    return poll
+  }
+
+  /// Anonymously vote for the option with the given index or string in the
+  /// poll with the given ID. Can only be done once per poll.
+  vote(pollId, option) {
+    let poll = this.openPoll(pollId)
+    let index = typeof option == 'number' ? option : poll.options.indexOf(option)
+    if (!Number.isInteger(index) || index < 0 || index >= poll.options.length) {
+      throw new Error('Poll ' + poll_key(pollId) + ' has no option ' + option)
+    }
+    let choices = b4a.alloc(Math.ceil(poll.options.length / 8))
+    choices[Math.floor(index / 8)] |= 1 << (index % 8)
+    this.castBallot(poll, choices)
+  }
+
+  /// Anonymously abstain from the poll with the given ID, instead of voting
+  abstain(pollId) {
+    let poll = this.openPoll(pollId)
+    this.castBallot(poll, b4a.alloc(Math.ceil(poll.options.length / 8)))
+  }
+
+  /// Send our one ballot in a poll, ahead of anything else we have queued
+  castBallot(poll, choices) {
+    poll.voted = true
+    this.framer.send(BallotEncoding.encode({pollId: poll.pollId, choices: choices}), MessageFramer.CHANNELS.BALLOT, true)
+  }
+
+  /// Get the poll with the given ID as {pollId, question, options, openedAt,
+  /// closesAt, closed, voted}, or null if we don't know of it
+  getPoll(pollId) {
+    let poll = this.polls.get(poll_key(pollId))
+    if (!poll) {
+      return null
+    }
+    return {
+      pollId: poll.pollId,
+      question: poll.question,
+      options: poll.options,
+      openedAt: poll.openedAt,
+      closesAt: poll.closesAt,
+      closed: poll.closed,
+      voted: poll.voted
+    }
+  }
+
+  /// Handle a proposal that came out of the given round
+  receiveProposal(message, sequenceNumber) {
+    let proposal
+    try {
+      proposal = ProposalEncoding.decode(message)
+    } catch (e) {
+      proposal = null
+    }
+    if (!proposal || proposal.pollId.length != this.constructor.POLL_ID_SIZE) {
+      this.emit('invalid', sequenceNumber, 'proposal could not be decoded')
+      return
+    }
+    let problem = this.checkProposal(proposal.options, proposal.rounds)
+    if (problem) {
+      this.emit('invalid', sequenceNumber, problem)
+      return
+    }
+    let key = poll_key(proposal.pollId)
+    if (this.polls.has(key)) {
+      this.emit('invalid', sequenceNumber, 'poll ' + key + ' was already proposed')
+      return
+    }
+    let poll = {
+      pollId: proposal.pollId,
+      question: proposal.question,
+      options: proposal.options,
+      // Ballots can come out starting the round after this one
+      openedAt: sequenceNumber + 1,
+      closesAt: sequenceNumber + proposal.rounds,
+      counts: proposal.options.map(() => 0),
+      ballots: 0,
+      abstained: 0,
+      spoiled: 0,
+      corrupt: 0,
+      voted: false,
+      closed: false
+    }
+    this.polls.set(key, poll)
+    this.emit('poll', this.getPoll(poll.pollId))
+  }
+
+  /// Handle a ballot that came out of the given round
+  receiveBallot(message, sequenceNumber) {
+    let ballot
+    try {
+      ballot = BallotEncoding.decode(message)
+    } catch (e) {
+      ballot = null
+    }
+    if (!ballot) {
+      this.emit('invalid', sequenceNumber, 'ballot could not be decoded')
+      return
+    }
+    let poll = this.polls.get(poll_key(ballot.pollId))
+    if (!poll) {
+      this.emit('invalid', sequenceNumber, 'ballot is for an unknown poll')
+      return
+    }
+    if (poll.closed || sequenceNumber < poll.openedAt || sequenceNumber > poll.closesAt) {
+      this.emit('invalid', sequenceNumber, 'ballot is outside its poll')
+      return
+    }
+    poll.ballots++
+    let chosen = ballot.choices.length == Math.ceil(poll.options.length / 8) ?
+      chosen_options(ballot.choices, poll.options.length) : null
+    if (chosen == null || chosen.length > 1) {
+      poll.spoiled++
+      this.emit('invalid', sequenceNumber, 'ballot is spoiled')
+    } else if (chosen.length == 0) {
+      poll.abstained++
+    } else {
+      poll.counts[chosen[0]]++
+    }
+  }
+
+  /// Abstain from polls we have let run too long without voting, and close
+  /// polls that are over, now that the round with the given sequence number
+  /// is done. The round's ballots haven't been handled yet.
+  handleRound(sequenceNumber) {
+    for (let poll of this.polls.values()) {
+      if (poll.closed) {
+        continue
+      }
+      if (sequenceNumber > poll.closesAt) {
+        // All the ballots that were going to come out have
+        this.closePoll(poll)
+      } else if (!poll.voted && sequenceNumber >= poll.openedAt + Math.floor((poll.closesAt - poll.openedAt) / 2)) {
+        // Everyone casts a ballot, so we can tell when someone casts two
+        this.castBallot(poll, b4a.alloc(Math.ceil(poll.options.length / 8)))
+      }
+    }
+  }
+
+  /// Count up a poll that is over
+  closePoll(poll) {
+    poll.closed = true
+    let voters = this.session.membersFor(poll.closesAt).length + 1
+    let overvoted = poll.ballots > voters
+    // Could someone's lost ballot have made room for someone else's second?
+    let lost = poll.corrupt > 0 || (poll.ballots < voters && poll.spoiled > 0)
+    this.emit('closed', {
+      pollId: poll.pollId,
+      question: poll.question,
+      options: poll.options,
+      counts: poll.counts,
+      ballots: poll.ballots,
+      abstained: poll.abstained,
+      spoiled: poll.spoiled,
+      voters: voters,
+      corrupt: poll.corrupt,
+      overvoted: overvoted,
+      jammed: poll.corrupt > 0,
+      undetermined: !overvoted && lost
+    })
+  }
+}
@@ -0,0 +1,155 @@
+import crypto from 'hypercore-crypto'
+import PollProtocol from './poll_protocol.js'
+import { make_framed_group, run_until } from './test_group.js'
+
+const GROUP_ID = 7
+
+/// Set up polls on a new group of the given size, and get {sessions,
+/// schedulers, framers, polls}
+function make_polls(count) {
+  let group = make_framed_group(count, GROUP_ID, 4)
+  group.polls = group.sessions.map((s, i) => new PollProtocol(s, group.schedulers[i], group.framers[i]))
+  return group
+}
+
+describe('PollProtocol', () => {
+
+  it('tallies anonymous votes, with abstentions for members who say nothing', () => {
+    const PEERS = 4
+    let group = make_polls(PEERS)
+
+    let proposed = []
+    group.polls[2].on('poll', (poll) => proposed.push(poll))
+    let results = group.polls.map(() => null)
+    group.polls.forEach((p, i) => p.on('closed', (result) => {
+      results[i] = result
+    }))
+
+    let pollId = group.polls[0].propose('Lunch?', ['pizza', 'tacos', 'salad'], 40)
+    run_until(group, () => proposed.length > 0)
+    expect(proposed[0].question).toEqual('Lunch?')
+    expect(proposed[0].closesAt - proposed[0].openedAt).toEqual(39)
+
+    group.polls[0].vote(pollId, 'tacos')
+    group.polls[1].vote(pollId, 1)
+    group.polls[2].vote(pollId, 'pizza')
+    // Member 3 never gets around to it
+    expect(() => group.polls[0].vote(pollId, 'salad')).toThrow(/Already voted/)
+    expect(() => group.polls[3].vote(pollId, 'soup')).toThrow(/no option/)
+
+    run_until(group, () => results.every((result) => result != null))
+
+    for (let result of results) {
+      expect(result.pollId.equals(pollId)).toBeTruthy()
+      expect(result.counts).toEqual([1, 2, 0])
+      expect(result.ballots).toEqual(PEERS)
+      expect(result.abstained).toEqual(1)
+      expect(result.spoiled).toEqual(0)
+      expect(result.voters).toEqual(PEERS)
+      expect(result.overvoted).toBeFalsy()
+      expect(result.jammed).toBeFalsy()
+      expect(result.undetermined).toBeFalsy()
+    }
+    expect(() => group.polls[3].vote(pollId, 'salad')).toThrow(/closed/)
+  })
+
+  it('notices double votes, spoiled ballots and jamming', () => {
+    const PEERS = 3
+    const CHEATER = PEERS - 1
+    let group = make_polls(PEERS)
+
+    let results = group.polls.map(() => null)
+    group.polls.forEach((p, i) => p.on('closed', (result) => {
+      results[i] = result
+    }))
+
+    let pollId = group.polls[0].propose('Who goes first?', ['me', 'you'], 40)
+    run_until(group, () => group.polls[CHEATER].getPoll(pollId) != null)
+
+    // The cheater votes, then stuffs the box with a ballot for both options
+    group.polls[CHEATER].vote(pollId, 'me')
+    group.polls[CHEATER].castBallot(group.polls[CHEATER].polls.get(pollId.toString('hex')), Buffer.from([3]))
+
+    // And jams some rounds while the poll is open
+    let cheater = group.sessions[CHEATER]
+    let honest_participate = cheater.participateInRound.bind(cheater)
+    let jammed = 0
+    cheater.participateInRound = (message) => {
+      if (jammed < 2 && cheater.currentRound.sequenceNumber % 3 == 0) {
+        let garbage = crypto.randomBytes(message.length)
+        garbage.fill(0, 0, group.schedulers[CHEATER].reservationSize)
+        for (let i = 0; i < message.length; i++) {
+          message[i] ^= garbage[i]
+        }
+        jammed++
+      }
+      honest_participate(message)
+    }
+
+    group.polls[0].vote(pollId, 'you')
+    group.polls[1].vote(pollId, 'you')
+
+    run_until(group, () => results.every((result) => result != null))
+
+    for (let result of results) {
+      expect(result.counts).toEqual([1, 2])
+      expect(result.spoiled).toEqual(1)
+      expect(result.ballots).toEqual(PEERS + 1)
+      expect(result.overvoted).toBeTruthy()
+      expect(result.corrupt).toBeGreaterThan(0)
+      expect(result.jammed).toBeTruthy()
+      expect(result.undetermined).toBeFalsy()
+    }
+  })
+
+  it('does not call a poll clean when a double vote could be hiding behind a lost ballot', () => {
+    const PEERS = 3
+    const CHEATER = PEERS - 1
+    let group = make_polls(PEERS)
+
+    let results = group.polls.map(() => null)
+    group.polls.forEach((p, i) => p.on('closed', (result) => {
+      results[i] = result
+    }))
+
+    let pollId = group.polls[0].propose('Who goes first?', ['me', 'you'], 40)
+    run_until(group, () => group.polls[CHEATER].getPoll(pollId) != null)
+
+    // The cheater votes twice
+    group.polls[CHEATER].vote(pollId, 'me')
+    group.polls[CHEATER].castBallot(group.polls[CHEATER].polls.get(pollId.toString('hex')), Buffer.from([1]))
+
+    // And jams a round while the poll is open
+    let cheater = group.sessions[CHEATER]
+    let honest_participate = cheater.participateInRound.bind(cheater)
+    let jammed = false
+    cheater.participateInRound = (message) => {
+      if (!jammed && cheater.currentRound.sequenceNumber % 3 == 0) {
+        let garbage = crypto.randomBytes(message.length)
+        garbage.fill(0, 0, group.schedulers[CHEATER].reservationSize)
+        for (let i = 0; i < message.length; i++) {
+          message[i] ^= garbage[i]
+        }
+        jammed = true
+      }
+      honest_participate(message)
+    }
+
+    group.polls[0].vote(pollId, 'you')
+    group.polls[1].vote(pollId, 'you')
+    // One honest ballot never makes it out
+    group.schedulers[1].cancel(() => true)
+
+    run_until(group, () => results.every((result) => result != null))
+
+    for (let result of results) {
+      // The count looks right, but isn't
+      expect(result.ballots).toEqual(PEERS)
+      expect(result.counts).toEqual([2, 1])
+      expect(result.overvoted).toBeFalsy()
+      expect(result.jammed).toBeTruthy()
+      expect(result.undetermined).toBeTruthy()
+    }
+  })
+
+})
@@ -0,0 +1,228 @@
+import { EventEmitter } from 'events'
+
+import ostruct from 'objectstruct'
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+
+import MessageFramer from './message_framer.js'
+
+/// Anonymous registration of a pseudonym public key.
+/// Sent through the session itself, so nobody knows who sent it.
+const RegistrationEncoding = ostruct({
+  /// The pseudonym's ed25519 public key
+  publicKey: 'bytes',
+  /// Signature over the registration with the pseudonym's secret key, to prove
+  /// whoever registered it holds it
+  signature: 'bytes'
+})
+
+/// Message signed by a registered pseudonym.
+/// Sent through the session itself, so nobody knows who sent it.
+const SignedMessageEncoding = ostruct({
+  /// Which pseudonym signed it?
+  publicKey: 'bytes',
+  /// How many messages had the pseudonym signed before this one? Stops
+  /// replays.
+  counter: 'integer',
+  /// The application message
+  data: 'bytes',
+  /// Signature over the group, pseudonym, counter and data with the
+  /// pseudonym's secret key
+  signature: 'bytes'
+})
+
+/// Turn a number into 8 big-endian bytes, for hashing
+function counter_bytes(counter) {
+  let buffer = b4a.alloc(8)
+  buffer.writeBigUInt64BE(BigInt(counter))
+  return buffer
+}
+
+/**
+ * Lets members of a session speak under pseudonyms, on top of the session and
+ * its MessageFramer.
+ *
+ * Each member makes a pseudonym keypair for the session and anonymously
+ * registers the public key on the pseudonym channel. Then it can send
+ * messages on the signed channel with sendSigned(), each signed by its
+ * pseudonym. Everyone can check that two messages came from the same
+ * pseudonym, and answer it, without learning which member holds it.
+ *
+ * Every message on the signed channel has to carry a valid signature by a
+ * registered pseudonym, and a counter the pseudonym hasn't used before.
+ * Anything else is unsigned, forged or replayed, and is rejected.
+ *
+ * Nobody can tell who registered what, so nothing stops one member
+ * registering several pseudonyms. To limit that, registrations close once
+ * there are as many pseudonyms as members. A member whose own registration
+ * comes out after that finds out from the 'crowded' event that someone has
+ * more than their share. A pseudonym lasts as long as the session; passing
+ * the same "keyPair" after a restart keeps it.
+ *
+ * Emits:
+ * 'registered' with a pseudonym public key and true if it is ours, when a
+ * registration comes out.
+ * 'crowded' with our pseudonym public key, when our registration came out
+ * after registrations closed.
+ * 'message' with the data, the pseudonym public key that signed it, and the
+ * sequence number of the round it came out in, for each valid signed message.
+ * 'invalid' with the sequence number and a reason, for anything on the
+ * pseudonym or signed channels that doesn't check out.
+ */
+export default class PseudonymProtocol extends EventEmitter {
+
+  /// Make a new PseudonymProtocol for the given session, with the
+  /// MessageFramer running on it.
+  /// Options can contain the pseudonym "keyPair" to use, which is made fresh
+  /// otherwise.
+  constructor(session, framer, options) {
+    super()
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    this.session = session
+    this.framer = framer
+    this.keyPair = options.keyPair || crypto.keyPair()
+    // How many messages we have signed
+    this.counter = 0
+    // Set once we have sent our registration
+    this.registering = false
+
+    // Registered pseudonyms, by public key hex string, as {publicKey,
+    // sequenceNumber, counters}, where counters is the set of counters seen
+    // from it
+    this.pseudonyms = new Map()
+
+    this.framer.on('control', (channel, message, sequenceNumber) => {
+      if (channel == MessageFramer.CHANNELS.PSEUDONYM) {
+        this.receiveRegistration(message, sequenceNumber)
+      } else if (channel == MessageFramer.CHANNELS.SIGNED) {
+        this.receiveSigned(message, sequenceNumber)
+      }
+    })
+  }
+
+  /// Get our pseudonym's public key
+  get publicKey() {
+    return this.keyPair.publicKey
+  }
+
+  /// Get what a pseudonym signs to register
+  registrationSignable(publicKey) {
+    return crypto.hash([b4a.from('spartic-pseudonym'), b4a.from(String(this.session.groupId)), publicKey])
+  }
+
+  /// Get what a pseudonym signs for a message
+  messageSignable(publicKey, counter, data) {
+    return crypto.hash([b4a.from('spartic-signed'), b4a.from(String(this.session.groupId)), publicKey, counter_bytes(counter), data])
+  }
+
+  /// Anonymously register our pseudonym with the group, if we haven't yet
+  register() {
+    if (this.registering) {
+      return
+    }
+    this.registering = true
+    this.framer.send(RegistrationEncoding.encode({
+      publicKey: this.keyPair.publicKey,
+      signature: crypto.sign(this.registrationSignable(this.keyPair.publicKey), this.keyPair.secretKey)
+    }), MessageFramer.CHANNELS.PSEUDONYM)
+  }
+
+  /// Send a message to the group, signed by our pseudonym. Registers our
+  /// pseudonym first if needed; the registration goes out before the message.
+  /// Returns the message ID.
+  sendSigned(data) {
+    this.register()
+    let counter = this.counter++
+    return this.framer.send(SignedMessageEncoding.encode({
+      publicKey: this.keyPair.publicKey,
+      counter: counter,
+      data: data,
+      signature: crypto.sign(this.messageSignable(this.keyPair.publicKey, counter, data), this.keyPair.secretKey)
+    }), MessageFramer.CHANNELS.SIGNED)
+  }
+
+  /// Returns true if the given public key is a registered pseudonym
+  isRegistered(publicKey) {
+    return this.pseudonyms.has(publicKey.toString('hex'))
+  }
+
+  /// Get the public keys of all the registered pseudonyms, in the order they
+  /// registered
+  getPseudonyms() {
+    return Array.from(this.pseudonyms.values()).map((pseudonym) => pseudonym.publicKey)
+  }
+
+  /// Get how many pseudonyms can be registered as of the given round: one
+  /// per member
+  getCapacity(sequenceNumber) {
+    return this.session.membersFor(sequenceNumber).length + 1
+  }
+
+  /// Handle a registration that came out of the given round
+  receiveRegistration(message, sequenceNumber) {
+    let registration
+    try {
+      registration = RegistrationEncoding.decode(message)
+    } catch (e) {
+      registration = null
+    }
+    if (!registration) {
+      this.emit('invalid', sequenceNumber, 'registration could not be decoded')
+      return
+    }
+    let ours = b4a.equals(registration.publicKey, this.keyPair.publicKey)
+    if (!crypto.verify(this.registrationSignable(registration.publicKey), registration.signature, registration.publicKey)) {
+      this.emit('invalid', sequenceNumber, 'registration is not signed by its pseudonym')
+      return
+    }
+    if (this.isRegistered(registration.publicKey)) {
+      // Sent again, maybe after a restart
+      return
+    }
+    if (this.pseudonyms.size >= this.getCapacity(sequenceNumber)) {
+      this.emit('invalid', sequenceNumber, 'registrations are closed')
+      if (ours) {
+        this.emit('crowded', registration.publicKey)
+      }
+      return
+    }
+    this.pseudonyms.set(registration.publicKey.toString('hex'), {
+      publicKey: registration.publicKey,
+      sequenceNumber: sequenceNumber,
+      counters: new Set()
+    })
+    this.emit('registered', registration.publicKey, ours)
+  }
+
+  /// Handle a signed message that came out of the given round
+  receiveSigned(message, sequenceNumber) {
+    let signed
+    try {
+      signed = SignedMessageEncoding.decode(message)
+    } catch (e) {
+      signed = null
+    }
+    if (!signed) {
+      this.emit('invalid', sequenceNumber, 'message is not signed')
+      return
+    }
+    let pseudonym = this.pseudonyms.get(signed.publicKey.toString('hex'))
+    if (!pseudonym) {
+      this.emit('invalid', sequenceNumber, 'message is from an unregistered pseudonym')
+      return
+    }
+    if (!crypto.verify(this.messageSignable(signed.publicKey, signed.counter, signed.data), signed.signature, signed.publicKey)) {
+      this.emit('invalid', sequenceNumber, 'message signature is forged')
+      return
+    }
+    if (pseudonym.counters.has(signed.counter)) {
+      this.emit('invalid', sequenceNumber, 'message is replayed')
+      return
+    }
+    pseudonym.counters.add(signed.counter)
+    this.emit('message', signed.data, pseudonym.publicKey, sequenceNumber)
+  }
+}
@@ -0,0 +1,123 @@
+import crypto from 'hypercore-crypto'
+import MessageFramer from './message_framer.js'
+import PseudonymProtocol from './pseudonym_protocol.js'
+import { make_framed_group, run_until } from './test_group.js'
+
+const GROUP_ID = 6
+
+describe('PseudonymProtocol', () => {
+
+  it('registers pseudonyms and checks what they sign', () => {
+    const PEERS = 3
+
+    let group = make_framed_group(PEERS, GROUP_ID, 4)
+    let {sessions, framers} = group
+    let pseudonyms = sessions.map((s, i) => new PseudonymProtocol(s, framers[i]))
+
+    let ours = []
+    pseudonyms[0].on('registered', (publicKey, mine) => {
+      if (mine) {
+        ours.push(publicKey)
+      }
+    })
+    for (let protocol of pseudonyms) {
+      protocol.register()
+    }
+    run_until(group, () => pseudonyms.every((p) => p.getPseudonyms().length == PEERS))
+
+    for (let protocol of pseudonyms) {
+      expect(protocol.getPseudonyms().length).toEqual(PEERS)
+      for (let other of pseudonyms) {
+        expect(protocol.isRegistered(other.publicKey)).toBeTruthy()
+      }
+    }
+    expect(ours.length).toEqual(1)
+    expect(ours[0].equals(pseudonyms[0].publicKey)).toBeTruthy()
+    // Pseudonyms aren't anyone's identity
+    for (let session of sessions) {
+      expect(pseudonyms.some((p) => p.publicKey.equals(session.publicKey))).toBeFalsy()
+    }
+
+    let received = []
+    let invalid = []
+    pseudonyms[1].on('message', (data, publicKey) => received.push([data.toString(), publicKey]))
+    pseudonyms[1].on('invalid', (sequenceNumber, reason) => invalid.push(reason))
+
+    pseudonyms[0].sendSigned(Buffer.from('signed hello'))
+    // Unsigned junk on the signed channel
+    framers[2].send(Buffer.from('not signed at all'), MessageFramer.CHANNELS.SIGNED)
+    // Signed by a pseudonym nobody registered
+    let stranger = new PseudonymProtocol(sessions[2], framers[2], {keyPair: crypto.keyPair()})
+    // Skip registering
+    stranger.registering = true
+    stranger.sendSigned(Buffer.from('from nowhere'))
+
+    run_until(group, () => received.length >= 1 && invalid.length >= 2)
+
+    expect(received.length).toEqual(1)
+    expect(received[0][0]).toEqual('signed hello')
+    expect(received[0][1].equals(pseudonyms[0].publicKey)).toBeTruthy()
+    expect(invalid).toContain('message is not signed')
+    expect(invalid).toContain('message is from an unregistered pseudonym')
+  })
+
+  it('rejects forged and replayed messages', () => {
+    let group = make_framed_group(2, GROUP_ID, 4)
+    let {sessions, framers} = group
+    let pseudonyms = sessions.map((s, i) => new PseudonymProtocol(s, framers[i]))
+
+    // Catch what pseudonym 0 sends, so it can be tampered with
+    let sent = []
+    let honest_send = framers[0].send.bind(framers[0])
+    framers[0].send = (message, channel) => {
+      if (channel == MessageFramer.CHANNELS.SIGNED) {
+        sent.push(message)
+      }
+      return honest_send(message, channel)
+    }
+
+    let received = []
+    let invalid = []
+    pseudonyms[1].on('message', (data) => received.push(data.toString()))
+    pseudonyms[1].on('invalid', (sequenceNumber, reason) => invalid.push(reason))
+
+    pseudonyms[0].sendSigned(Buffer.from('pay alice'))
+    run_until(group, () => received.length >= 1)
+    expect(received).toEqual(['pay alice'])
+
+    // Send it again
+    honest_send(sent[0], MessageFramer.CHANNELS.SIGNED)
+    // Change what it says
+    let forged = Buffer.from(sent[0])
+    let at = forged.indexOf(Buffer.from('alice'))
+    forged.write('mallo', at)
+    honest_send(forged, MessageFramer.CHANNELS.SIGNED)
+
+    run_until(group, () => invalid.length >= 2)
+    expect(received).toEqual(['pay alice'])
+    expect(invalid).toContain('message is replayed')
+    expect(invalid).toContain('message signature is forged')
+  })
+
+  it('stops taking registrations once every member could have one', () => {
+    let group = make_framed_group(2, GROUP_ID, 4)
+    let {sessions, framers} = group
+    let pseudonyms = sessions.map((s, i) => new PseudonymProtocol(s, framers[i]))
+
+    // Member 0 grabs both pseudonyms before member 1 registers
+    let extra = new PseudonymProtocol(sessions[0], framers[0])
+    pseudonyms[0].register()
+    extra.register()
+    run_until(group, () => pseudonyms[1].getPseudonyms().length == 2)
+
+    let crowded = []
+    pseudonyms[1].on('crowded', (publicKey) => crowded.push(publicKey))
+    pseudonyms[1].register()
+    run_until(group, () => crowded.length > 0)
+
+    expect(crowded.length).toEqual(1)
+    expect(crowded[0].equals(pseudonyms[1].publicKey)).toBeTruthy()
+    expect(pseudonyms[1].isRegistered(pseudonyms[1].publicKey)).toBeFalsy()
+  })
+
+})
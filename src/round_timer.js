@@ -0,0 +1,273 @@
+import { EventEmitter } from 'events'
+
+import ostruct from 'objectstruct'
+import crypto from 'hypercore-crypto'
+
+import MessageFramer from './message_framer.js'
+
+/// Message on the rate channel, proposing a new round interval or objecting
+/// to a proposal. Sent through the session itself, so nobody knows who sent it.
+const RateMessageEncoding = ostruct({
+  /// Is this a proposal or an objection?
+  type: 'integer',
+  /// Random ID of the proposal
+  proposalId: 'bytes',
+  /// What round interval, in milliseconds, is proposed?
+  interval: 'integer'
+})
+
+/// Type number for a proposal
+const PROPOSE = 0
+/// Type number for an objection
+const OBJECT = 1
+
+/// How many bytes is a proposal ID?
+const PROPOSAL_ID_SIZE = 8
+
+/**
+ * Drives a session's rounds at a fixed rate on a shared clock.
+ *
+ * We send our block for a round at the next wall-clock time that is a
+ * multiple of the round interval, so with synchronized clocks everyone sends
+ * at the same moments. We send at those moments whether or not we have
+ * anything to say: the SlotScheduler fills the block with zeroes when nothing
+ * is queued. So nothing about our send timing depends on whether we have
+ * data. If the round isn't ready to send in yet (because the last one hasn't
+ * finished), we wait for the next multiple.
+ *
+ * The group can change the interval from inside the session. Anyone can
+ * anonymously propose a new interval on the rate channel. Anyone whose policy
+ * doesn't like it can anonymously object. If no objection has come out by
+ * VOTE_ROUNDS rounds after the proposal, everyone switches to the new interval
+ * at the same round. Since a single objection is enough to stop a change,
+ * nobody can force one through by voting more than once.
+ *
+ * Rate messages go out ahead of anything else we have queued. An objection
+ * can still come out late, if its sender keeps losing slots to collisions or
+ * a jammer. Then the change is called off, or, if it already happened and is
+ * still the latest change, everyone goes back to the old interval at the same
+ * round. So an objection that is still waiting to go out never stops
+ * counting.
+ *
+ * Emits:
+ * 'tick' after each time we try to send a block, so outgoing messages can be
+ * flushed.
+ * 'proposal' with the interval and whether we objected, when a proposal comes
+ * out.
+ * 'agreed' with the interval and the round it starts at, when a proposal
+ * passes.
+ * 'rate' with the interval, when we switch to a new interval.
+ * 'reverted' with the interval, when a late objection takes back a change to
+ * it.
+ */
+export default class RoundTimer extends EventEmitter {
+
+  /// How often do rounds happen by default, in milliseconds?
+  static get DEFAULT_INTERVAL() {
+    return 10000
+  }
+
+  /// What is the smallest interval we accept by default, in milliseconds?
+  static get MIN_INTERVAL() {
+    return 100
+  }
+
+  /// What is the largest interval we accept by default, in milliseconds?
+  static get MAX_INTERVAL() {
+    return 3600000
+  }
+
+  /// How many rounds do members get to object to a proposal?
+  static get VOTE_ROUNDS() {
+    return 8
+  }
+
+  /// Make a new RoundTimer for the given session, with the SlotScheduler and
+  /// MessageFramer running on it.
+  ///
+  /// Options can contain:
+  /// "interval", the starting round interval in milliseconds, which must be
+  /// the same for all members.
+  /// "acceptInterval", a function from a proposed interval to true if we are
+  /// happy with it, or false to object.
+  constructor(session, scheduler, framer, options) {
+    super()
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    this.session = session
+    this.scheduler = scheduler
+    this.framer = framer
+    this.interval = options.interval || this.constructor.DEFAULT_INTERVAL
+    this.acceptInterval = options.acceptInterval || ((interval) => {
+      return interval >= this.constructor.MIN_INTERVAL && interval <= this.constructor.MAX_INTERVAL
+    })
+
+    // Proposals that are open for objections, by ID hex string, as
+    // {interval, sequenceNumber, objected}
+    this.proposals = new Map()
+    // Agreed changes waiting to happen, as {sequenceNumber, interval,
+    // proposalId}, where proposalId is the ID hex string of the proposal, or
+    // null when going back to an old interval
+    this.changes = []
+    // The last change we made for a proposal, as {proposalId,
+    // previousInterval}, in case an objection to it comes out late
+    this.lastChange = null
+
+    // Handle for the timeout for the next send, when running
+    this.timeout = null
+
+    this.scheduler.on('round', (round) => {
+      this.handleRound(round.sequenceNumber)
+    })
+    this.framer.on('control', (channel, message, sequenceNumber) => {
+      if (channel == MessageFramer.CHANNELS.RATE) {
+        this.receiveRateMessage(message, sequenceNumber)
+      }
+    })
+  }
+
+  /// Start sending blocks on the clock
+  start() {
+    if (this.timeout) {
+      return
+    }
+    this.scheduleNext()
+  }
+
+  /// Stop sending blocks
+  stop() {
+    if (this.timeout) {
+      clearTimeout(this.timeout)
+      this.timeout = null
+    }
+  }
+
+  /// Set up the timeout for the next multiple of the interval
+  scheduleNext() {
+    let now = Date.now()
+    let next = Math.floor(now / this.interval + 1) * this.interval
+    this.timeout = setTimeout(() => {
+      this.fire()
+    }, next - now)
+  }
+
+  /// Check the current round's deadline, send our block for the current
+  /// round if we can, and schedule the next send.
+  fire() {
+    // A round that is holding things up may need to be given up on first
+    this.session.checkDeadline()
+    this.scheduler.tick()
+    this.emit('tick')
+    this.scheduleNext()
+  }
+
+  /// Anonymously propose that the group switch to the given round interval
+  propose(interval) {
+    this.framer.send(RateMessageEncoding.encode({
+      type: PROPOSE,
+      proposalId: crypto.randomBytes(PROPOSAL_ID_SIZE),
+      interval: interval
+    }), MessageFramer.CHANNELS.RATE, true)
+  }
+
+  /// Handle a message on the rate channel that came out of the given round
+  receiveRateMessage(message, sequenceNumber) {
+    let decoded
+    try {
+      decoded = RateMessageEncoding.decode(message)
+    } catch (e) {
+      decoded = null
+    }
+    if (!decoded || !decoded.proposalId || decoded.proposalId.length != PROPOSAL_ID_SIZE) {
+      // Nothing we can use
+      return
+    }
+    let key = decoded.proposalId.toString('hex')
+    if (decoded.type == PROPOSE) {
+      if (this.proposals.has(key)) {
+        // Someone is replaying it
+        return
+      }
+      let objected = !this.acceptInterval(decoded.interval)
+      this.proposals.set(key, {
+        interval: decoded.interval,
+        sequenceNumber: sequenceNumber,
+        objected: false
+      })
+      if (objected) {
+        this.framer.send(RateMessageEncoding.encode({
+          type: OBJECT,
+          proposalId: decoded.proposalId,
+          interval: decoded.interval
+        }), MessageFramer.CHANNELS.RATE, true)
+      }
+      this.emit('proposal', decoded.interval, objected)
+    } else if (decoded.type == OBJECT) {
+      let proposal = this.proposals.get(key)
+      if (proposal) {
+        proposal.objected = true
+      } else {
+        this.takeBack(key, sequenceNumber)
+      }
+    }
+  }
+
+  /// Take back the change for the proposal with the given ID hex string,
+  /// because an objection to it came out in the given round, after voting
+  /// closed. Everyone sees the objection in the same round, so everyone takes
+  /// it back the same way.
+  takeBack(proposalId, sequenceNumber) {
+    let waiting = this.changes.findIndex((change) => change.proposalId == proposalId)
+    if (waiting != -1) {
+      // It hasn't happened yet, so it just doesn't
+      let change = this.changes.splice(waiting, 1)[0]
+      this.emit('reverted', change.interval)
+      return
+    }
+    if (this.lastChange && this.lastChange.proposalId == proposalId) {
+      this.changes.push({
+        sequenceNumber: sequenceNumber + 2,
+        interval: this.lastChange.previousInterval,
+        proposalId: null
+      })
+      this.lastChange = null
+      this.emit('reverted', this.interval)
+    }
+  }
+
+  /// Settle proposals and apply changes, once the given round has finished.
+  /// Everyone sees the same rounds, so everyone decides the same way.
+  handleRound(sequenceNumber) {
+    for (let [key, proposal] of this.proposals.entries()) {
+      // Objections from rounds up to VOTE_ROUNDS after the proposal count.
+      // Those have all been seen once the round after that is over.
+      if (sequenceNumber > proposal.sequenceNumber + this.constructor.VOTE_ROUNDS) {
+        this.proposals.delete(key)
+        if (!proposal.objected) {
+          let change = {
+            sequenceNumber: sequenceNumber + 2,
+            interval: proposal.interval,
+            proposalId: key
+          }
+          this.changes.push(change)
+          this.emit('agreed', change.interval, change.sequenceNumber)
+        }
+      }
+    }
+
+    let remaining = []
+    for (let change of this.changes) {
+      if (sequenceNumber + 1 >= change.sequenceNumber) {
+        // The next round we send in uses the new rate
+        this.lastChange = change.proposalId ? {proposalId: change.proposalId, previousInterval: this.interval} : null
+        this.interval = change.interval
+        this.emit('rate', this.interval)
+      } else {
+        remaining.push(change)
+      }
+    }
+    this.changes = remaining
+  }
+}
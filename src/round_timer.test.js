@@ -0,0 +1,122 @@
+import MessageFramer from './message_framer.js'
+import RoundTimer from './round_timer.js'
+import { make_framed_group, pump } from './test_group.js'
+
+const GROUP_ID = 5
+
+/// Make a group with timers, which we drive by hand instead of by the clock
+function make_timed_group(count, policies) {
+  let group = make_framed_group(count, GROUP_ID)
+  group.timers = group.sessions.map((s, i) => new RoundTimer(s, group.schedulers[i], group.framers[i], {
+    interval: 1000,
+    acceptInterval: policies ? policies[i] : undefined
+  }))
+  return group
+}
+
+/// Run the given number of rounds for a group
+function run_rounds(group, count) {
+  for (let round = 0; round < count; round++) {
+    for (let scheduler of group.schedulers) {
+      scheduler.tick()
+    }
+    pump(group.sessions)
+  }
+}
+
+describe('RoundTimer', () => {
+
+  it('switches everyone to a new rate at the same round', () => {
+    let group = make_timed_group(3)
+    let switched = []
+    group.timers.forEach((timer, i) => {
+      timer.on('rate', () => switched.push(group.sessions[i].currentRound.sequenceNumber))
+    })
+
+    group.timers[1].propose(2000)
+    run_rounds(group, RoundTimer.VOTE_ROUNDS + 10)
+
+    for (let timer of group.timers) {
+      expect(timer.interval).toEqual(2000)
+    }
+    expect(switched.length).toEqual(3)
+    expect(new Set(switched).size).toEqual(1)
+  })
+
+  it('lets any one member block a change', () => {
+    let group = make_timed_group(3, [undefined, undefined, (interval) => interval > 5000])
+    let proposals = []
+    group.timers[2].on('proposal', (interval, objected) => proposals.push(objected))
+
+    group.timers[0].propose(2000)
+    run_rounds(group, RoundTimer.VOTE_ROUNDS + 10)
+
+    expect(proposals).toEqual([true])
+    for (let timer of group.timers) {
+      expect(timer.interval).toEqual(1000)
+    }
+  })
+
+  it('gets an objection out ahead of data that was already waiting', () => {
+    let group = make_timed_group(3, [undefined, undefined, (interval) => interval > 5000])
+    // Far more than the objector could send before voting closes
+    for (let i = 0; i < 100; i++) {
+      group.framers[2].send(Buffer.from('backlog ' + i))
+    }
+
+    group.timers[0].propose(2000)
+    run_rounds(group, RoundTimer.VOTE_ROUNDS + 10)
+
+    expect(group.schedulers[2].pending.length).toBeGreaterThan(50)
+    for (let timer of group.timers) {
+      expect(timer.interval).toEqual(1000)
+    }
+  })
+
+  it('ignores rate messages that do not decode', () => {
+    let group = make_timed_group(3)
+    group.framers[0].send(Buffer.from([1]), MessageFramer.CHANNELS.RATE)
+    group.framers[1].send(Buffer.alloc(0), MessageFramer.CHANNELS.RATE)
+    // A proposal with an ID that is too short
+    group.framers[2].send(Buffer.from('000100e807', 'hex'), MessageFramer.CHANNELS.RATE)
+    let proposals = []
+    group.timers[0].on('proposal', (interval) => proposals.push(interval))
+
+    run_rounds(group, 10)
+
+    expect(group.schedulers.every((scheduler) => scheduler.pending.length == 0)).toBeTruthy()
+    expect(proposals).toEqual([])
+    group.timers[1].propose(2000)
+    run_rounds(group, RoundTimer.VOTE_ROUNDS + 10)
+    for (let timer of group.timers) {
+      expect(timer.interval).toEqual(2000)
+    }
+  })
+
+  it('takes a change back when an objection comes out late', () => {
+    let group = make_timed_group(3, [undefined, undefined, (interval) => interval > 5000])
+    // The objector can't get a slot until voting is over
+    group.timers[2].on('proposal', () => {
+      group.schedulers[2].backoff = RoundTimer.VOTE_ROUNDS + 4
+    })
+    let rates = group.timers.map(() => [])
+    let reverted = []
+    group.timers.forEach((timer, i) => {
+      timer.on('rate', (interval) => rates[i].push([interval, group.sessions[i].currentRound.sequenceNumber]))
+      timer.on('reverted', (interval) => reverted.push(interval))
+    })
+
+    group.timers[0].propose(2000)
+    run_rounds(group, RoundTimer.VOTE_ROUNDS + 20)
+
+    // Everyone switched and switched back at the same rounds
+    expect(rates[0].map(([interval]) => interval)).toEqual([2000, 1000])
+    expect(rates[1]).toEqual(rates[0])
+    expect(rates[2]).toEqual(rates[0])
+    expect(reverted).toEqual([2000, 2000, 2000])
+    for (let timer of group.timers) {
+      expect(timer.interval).toEqual(1000)
+    }
+  })
+
+})
@@ -0,0 +1,272 @@
+import fs from 'fs/promises'
+import path from 'path'
+import sodium from 'sodium-universal'
+import ostruct from 'objectstruct'
+import b4a from 'b4a'
+
+import SparticSession from './spartic_session.js'
+import AggregatorSession from './aggregator_session.js'
+
+/// The on-disk format of a saved session: its exported state as JSON,
+/// encrypted under a key made from a passphrase or a keyfile.
+const SavedSessionEncoding = ostruct({
+  /// What kind of file is this? Always FORMAT.
+  format: 'string',
+  /// What version of the file format is this?
+  version: 'integer',
+  /// How was the encryption key made? Either 'passphrase' or 'keyfile'.
+  keySource: 'string',
+  /// Salt for hashing the passphrase
+  salt: 'bytes',
+  /// Argon2id work limits for hashing the passphrase
+  opsLimit: 'integer',
+  memLimit: 'integer',
+  /// Nonce for the encryption
+  nonce: 'bytes',
+  /// The encrypted and authenticated session state
+  ciphertext: 'bytes'
+})
+
+/// Turn exported session state into JSON, with buffers as hex strings
+function state_to_json(state) {
+  return JSON.stringify(state, function (key, value) {
+    // Buffers have already been through their toJSON() by now, so look at
+    // the original.
+    let original = this[key]
+    if (original instanceof Uint8Array) {
+      return {$bytes: b4a.toString(original, 'hex')}
+    }
+    return value
+  })
+}
+
+/// Turn JSON from state_to_json() back into exported session state
+function json_to_state(json) {
+  return JSON.parse(json, (key, value) => {
+    if (value && typeof value == 'object' && typeof value.$bytes == 'string') {
+      return b4a.from(value.$bytes, 'hex')
+    }
+    return value
+  })
+}
+
+/// Bring back a SparticSession, or an AggregatorSession if that is what the
+/// state is from
+function import_state(state, options) {
+  if (state.role == 'aggregator') {
+    return AggregatorSession.importState(state, options)
+  }
+  return SparticSession.importState(state, options)
+}
+
+/**
+ * Saves SparticSessions to a directory and loads them back, so a peer can
+ * pick up where it left off after a restart. AggregatorSessions are saved and
+ * loaded the same way.
+ *
+ * Each session is one file, named after its group ID. Session state includes
+ * the pairwise keys, so it is encrypted with secretbox under a key made from
+ * a passphrase (with Argon2id) or from the contents of a keyfile. Files are
+ * replaced atomically, so a crash while saving leaves the old copy.
+ */
+export default class SessionStore {
+
+  /// What do saved session files say they are?
+  static get FORMAT() {
+    return 'spartic-session'
+  }
+
+  /// What version of the file format do we write?
+  static get VERSION() {
+    return 1
+  }
+
+  /// What do saved session file names end with?
+  static get EXTENSION() {
+    return '.session'
+  }
+
+  /// Make a new SessionStore that keeps sessions in the given directory,
+  /// which is made if needed.
+  ///
+  /// Options must contain either a "passphrase" string or a "keyFile" path to
+  /// a file of at least 32 secret bytes. With a passphrase, "opsLimit" and
+  /// "memLimit" can set how hard it is to hash, and default to libsodium's
+  /// interactive limits.
+  constructor(directory, options) {
+    if (!options || (options.passphrase == null && options.keyFile == null)) {
+      throw new Error('A passphrase or keyFile is required to store sessions')
+    }
+    this.directory = directory
+    this.passphrase = options.passphrase
+    this.keyFile = options.keyFile
+    this.opsLimit = options.opsLimit || sodium.crypto_pwhash_OPSLIMIT_INTERACTIVE
+    this.memLimit = options.memLimit || sodium.crypto_pwhash_MEMLIMIT_INTERACTIVE
+
+    // Passphrase hashing is slow on purpose, so we use one salt for
+    // everything we save and remember the keys we have made, by salt hex
+    // string.
+    this.salt = b4a.alloc(sodium.crypto_pwhash_SALTBYTES)
+    sodium.randombytes_buf(this.salt)
+    this.keys = new Map()
+
+    // Saves in progress, by file name, so saves of the same session happen
+    // one at a time
+    this.saving = new Map()
+  }
+
+  /// Get the path to the file for the given group ID
+  pathFor(groupId) {
+    return path.join(this.directory, b4a.toString(b4a.from(String(groupId)), 'hex') + this.constructor.EXTENSION)
+  }
+
+  /// Get the encryption key for a saved session with the given header fields
+  async getKey(header) {
+    if (header.keySource == 'keyfile') {
+      if (this.keyFile == null) {
+        throw new Error('Session was saved with a keyfile')
+      }
+      if (!this.keys.has('keyfile')) {
+        let contents = await fs.readFile(this.keyFile)
+        if (contents.length < sodium.crypto_secretbox_KEYBYTES) {
+          throw new Error('Keyfile is too short')
+        }
+        let key = b4a.alloc(sodium.crypto_secretbox_KEYBYTES)
+        sodium.crypto_generichash(key, contents)
+        sodium.sodium_memzero(contents)
+        this.keys.set('keyfile', key)
+      }
+      return this.keys.get('keyfile')
+    }
+    if (header.keySource == 'passphrase') {
+      if (this.passphrase == null) {
+        throw new Error('Session was saved with a passphrase')
+      }
+      let cacheKey = [b4a.toString(header.salt, 'hex'), header.opsLimit, header.memLimit].join(':')
+      if (!this.keys.has(cacheKey)) {
+        let key = b4a.alloc(sodium.crypto_secretbox_KEYBYTES)
+        await new Promise((resolve, reject) => {
+          sodium.crypto_pwhash_async(key, b4a.from(this.passphrase), header.salt,
+            header.opsLimit, header.memLimit, sodium.crypto_pwhash_ALG_ARGON2ID13,
+            (err) => err ? reject(err) : resolve())
+        })
+        this.keys.set(cacheKey, key)
+      }
+      return this.keys.get(cacheKey)
+    }
+    throw new Error('Unknown key source ' + header.keySource)
+  }
+
+  /// Encrypt a session's state into the bytes of a saved session file
+  async seal(session) {
+    let header = {
+      format: this.constructor.FORMAT,
+      version: this.constructor.VERSION,
+      keySource: this.keyFile != null ? 'keyfile' : 'passphrase',
+      salt: this.salt,
+      opsLimit: this.opsLimit,
+      memLimit: this.memLimit
+    }
+    let key = await this.getKey(header)
+    let plaintext = b4a.from(state_to_json(session.exportState()))
+    header.nonce = b4a.alloc(sodium.crypto_secretbox_NONCEBYTES)
+    sodium.randombytes_buf(header.nonce)
+    header.ciphertext = b4a.alloc(plaintext.length + sodium.crypto_secretbox_MACBYTES)
+    sodium.crypto_secretbox_easy(header.ciphertext, plaintext, header.nonce, key)
+    sodium.sodium_memzero(plaintext)
+    return SavedSessionEncoding.encode(header)
+  }
+
+  /// Decrypt the bytes of a saved session file into session state.
+  /// Throws if it isn't a saved session we can read.
+  async open(data) {
+    let header
+    try {
+      header = SavedSessionEncoding.decode(data)
+    } catch (e) {
+      header = null
+    }
+    if (!header || header.format != this.constructor.FORMAT) {
+      throw new Error('Not a saved session')
+    }
+    if (header.version != this.constructor.VERSION) {
+      throw new Error('Saved session version ' + header.version + ' is not supported')
+    }
+    if (header.ciphertext.length < sodium.crypto_secretbox_MACBYTES) {
+      throw new Error('Saved session is truncated')
+    }
+    let key = await this.getKey(header)
+    let plaintext = b4a.alloc(header.ciphertext.length - sodium.crypto_secretbox_MACBYTES)
+    if (!sodium.crypto_secretbox_open_easy(plaintext, header.ciphertext, header.nonce, key)) {
+      throw new Error('Saved session could not be decrypted; wrong passphrase or keyfile?')
+    }
+    let state = json_to_state(b4a.toString(plaintext))
+    sodium.sodium_memzero(plaintext)
+    return state
+  }
+
+  /// Save the given session, replacing any saved copy
+  async save(session) {
+    let file = this.pathFor(session.groupId)
+    let previous = this.saving.get(file) || Promise.resolve()
+    let done = previous.catch(() => {}).then(async () => {
+      let data = await this.seal(session)
+      await fs.mkdir(this.directory, {recursive: true})
+      // Write it next to where it goes, then swap it in
+      let temporary = file + '.tmp'
+      await fs.writeFile(temporary, data, {mode: 0o600})
+      await fs.rename(temporary, file)
+    })
+    this.saving.set(file, done)
+    try {
+      await done
+    } finally {
+      if (this.saving.get(file) === done) {
+        this.saving.delete(file)
+      }
+    }
+  }
+
+  /// Load the saved session with the given group ID, or return null if there
+  /// isn't one. Options are passed along to SparticSession.importState(), and
+  /// must include our identity "keyPair".
+  async load(groupId, options) {
+    let data
+    try {
+      data = await fs.readFile(this.pathFor(groupId))
+    } catch (e) {
+      if (e.code == 'ENOENT') {
+        return null
+      }
+      throw e
+    }
+    return import_state(await this.open(data), options)
+  }
+
+  /// Load all the saved sessions. Options are passed along to
+  /// SparticSession.importState(). Returns a list of sessions.
+  async loadAll(options) {
+    let names
+    try {
+      names = await fs.readdir(this.directory)
+    } catch (e) {
+      if (e.code == 'ENOENT') {
+        return []
+      }
+      throw e
+    }
+    let sessions = []
+    for (let name of names.sort()) {
+      if (name.endsWith(this.constructor.EXTENSION)) {
+        let data = await fs.readFile(path.join(this.directory, name))
+        sessions.push(import_state(await this.open(data), options))
+      }
+    }
+    return sessions
+  }
+
+  /// Delete the saved copy of the session with the given group ID, if any
+  async remove(groupId) {
+    await fs.rm(this.pathFor(groupId), {force: true})
+  }
+}
@@ -0,0 +1,92 @@
+import os from 'os'
+import path from 'path'
+import fs from 'fs/promises'
+import sodium from 'sodium-universal'
+import SparticSession from './spartic_session.js'
+import SessionStore from './session_store.js'
+import { make_group, pump } from './test_group.js'
+
+const GROUP_ID = 5
+
+/// Passphrase hashing limits that keep the tests quick
+const FAST = {
+  opsLimit: sodium.crypto_pwhash_OPSLIMIT_MIN,
+  memLimit: sodium.crypto_pwhash_MEMLIMIT_MIN
+}
+
+describe('SessionStore', () => {
+
+  let directory = null
+
+  beforeEach(async () => {
+    directory = await fs.mkdtemp(path.join(os.tmpdir(), 'spartic-sessions-'))
+  })
+
+  afterEach(async () => {
+    await fs.rm(directory, {recursive: true, force: true})
+  })
+
+  it('saves and loads a session under a passphrase', async () => {
+    let sessions = make_group(3, GROUP_ID)
+    pump(sessions)
+
+    let store = new SessionStore(directory, Object.assign({passphrase: 'correct horse'}, FAST))
+    await store.save(sessions[0])
+
+    // Load it with a new store, like after a restart
+    let loaded = await new SessionStore(directory, {passphrase: 'correct horse'}).load(GROUP_ID, {keyPair: sessions[0].keyPair})
+    expect(loaded.getStatus()).toEqual(sessions[0].getStatus())
+    loaded.publicKey = sessions[0].publicKey
+    sessions[0] = loaded
+    pump(sessions)
+
+    // And it still has the right keys
+    let messages = sessions.map(() => Buffer.alloc(SparticSession.BLOCK_SIZE))
+    messages[0].write('still here', 0)
+    for (let i = 0; i < sessions.length; i++) {
+      sessions[i].participateInRound(messages[i])
+    }
+    pump(sessions)
+    for (let session of sessions) {
+      expect(session.popResult().subarray(0, 10).toString()).toEqual('still here')
+    }
+
+    expect(await store.load(GROUP_ID + 1, {keyPair: sessions[0].keyPair})).toBeNull()
+  })
+
+  it('does not load with the wrong passphrase or identity', async () => {
+    let sessions = make_group(2, GROUP_ID)
+    await new SessionStore(directory, Object.assign({passphrase: 'correct horse'}, FAST)).save(sessions[0])
+
+    let wrong = new SessionStore(directory, {passphrase: 'battery staple'})
+    await expect(wrong.load(GROUP_ID, {keyPair: sessions[0].keyPair})).rejects.toThrow(/decrypted/)
+
+    let right = new SessionStore(directory, {passphrase: 'correct horse'})
+    await expect(right.load(GROUP_ID, {keyPair: sessions[1].keyPair})).rejects.toThrow(/identity/)
+  })
+
+  it('saves under a keyfile and loads everything back', async () => {
+    let keyFile = path.join(directory, 'keyfile')
+    let secret = Buffer.alloc(32)
+    sodium.randombytes_buf(secret)
+    await fs.writeFile(keyFile, secret)
+
+    let first = make_group(2, 'first')
+    let second = make_group(2, 'second', {commitBlocks: true})
+    let storage = path.join(directory, 'sessions')
+    let store = new SessionStore(storage, {keyFile: keyFile})
+    await store.save(first[0])
+    await store.save(second[1])
+
+    // Each session is bound to its own identity
+    let reloaded = new SessionStore(storage, {keyFile: keyFile})
+    await expect(reloaded.loadAll({keyPair: first[0].keyPair})).rejects.toThrow(/identity/)
+
+    await store.remove('second')
+    let loaded = await new SessionStore(storage, {keyFile: keyFile}).loadAll({keyPair: first[0].keyPair})
+    expect(loaded.length).toEqual(1)
+    expect(loaded[0].groupId).toEqual('first')
+    expect(loaded[0].commitBlocks).toBeFalsy()
+  })
+
+})
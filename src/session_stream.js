@@ -0,0 +1,56 @@
+import { Duplex } from 'stream'
+
+/**
+ * Duplex stream over a SparticSession's application messages, so existing
+ * tools can be piped through a group.
+ *
+ * Each chunk written goes out to the group as one message, through
+ * SparticSession.send(). Each message that comes out of the group is one
+ * chunk to read. Our own messages come back out of the group too, but are
+ * left out unless the "echo" option is set.
+ *
+ * Ending the writable side doesn't stop us reading, since the group keeps
+ * going; destroy the stream to stop. The group doesn't wait for slow readers,
+ * so messages pile up in the stream if nobody reads them.
+ */
+export default class SessionStream extends Duplex {
+
+  /// Make a new SessionStream over the given session.
+  /// Options can set "echo" to true to read our own messages too. Other
+  /// options are passed along to Duplex.
+  constructor(session, options) {
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    super(options)
+    this.session = session
+    this.echo = !!options.echo
+
+    this.onMessage = (message, info) => {
+      if (this.echo || !info.ours) {
+        this.push(message)
+      }
+    }
+    this.session.on('message', this.onMessage)
+  }
+
+  _write(chunk, encoding, callback) {
+    try {
+      this.session.send(chunk)
+    } catch (e) {
+      callback(e)
+      return
+    }
+    callback()
+  }
+
+  _read() {
+    // Messages show up when the group gets them
+  }
+
+  _destroy(err, callback) {
+    this.session.off('message', this.onMessage)
+    callback(err)
+  }
+}
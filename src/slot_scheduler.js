@@ -0,0 +1,279 @@
+import { EventEmitter } from 'events'
+
+import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
+
+/// Return a uniformly random integer in [0, limit)
+function random_below(limit) {
+  return crypto.randomBytes(4).readUInt32BE(0) % limit
+}
+
+
+/**
+ * Schedules our writes into the slots of a SparticSession's rounds, so that
+ * members don't stomp on each other's data without knowing it.
+ *
+ * Each round's block is split into a reservation area followed by a number of
+ * equal-sized data slots:
+ *
+ * | footprint 0 | footprint 1 | ... | slot 0 | slot 1 | ... |
+ *
+ * To get slot i in round r + 1, a member anonymously writes a random footprint
+ * into reservation entry i in round r. The footprint is the hash of a secret
+ * only the member knows, so it can later prove it owned the slot without
+ * saying who it is. If the footprint comes back unchanged
+ * in the result, nobody else claimed that entry, and the slot is ours. If two
+ * members claim the same entry, their footprints XOR together into something
+ * neither of them wrote, so both notice, back off for a random number of
+ * rounds, and try again.
+ *
+ * When we write into a slot we own, we compare the slot in the round's result
+ * against what we wrote. Since nobody else reserved the slot, if it doesn't
+ * match, our write was disrupted, so we back off and retry it.
+ *
+ * Call tick() whenever the session may have made progress. It collects
+ * finished rounds and, if the session is ready, builds and sends our block for
+ * the current round (which is all zero if we have nothing to say).
+ *
+ * Emits:
+ * 'data' with a slot buffer and the round sequence number, for each non-empty
+ * slot in a result.
+ * 'sent' with the data and sequence number when one of our writes survives.
+ * 'collision' with the sequence number and what collided ('reservation' or
+ * 'slot') when we lose a reservation or a write.
+ * 'disrupted' with the sequence number, slot index, what we wrote, what came
+ * out, and the reservation secret, when a write into a slot we owned was
+ * disrupted.
+ * 'round' with the {sequenceNumber, result, sent} round record, for every
+ * finished round. Rounds the session gave up on have a null result and
+ * "dropped" set.
+ */
+export default class SlotScheduler extends EventEmitter {
+
+  /// How many bytes is each reservation footprint?
+  static get FOOTPRINT_SIZE() {
+    return 8
+  }
+
+  /// How many bytes is the secret behind each footprint?
+  static get FOOTPRINT_SECRET_SIZE() {
+    return 16
+  }
+
+  /// How many slots do blocks get split into by default?
+  static get DEFAULT_SLOT_COUNT() {
+    return 16
+  }
+
+  /// What is the most rounds we will ever back off for?
+  static get MAX_BACKOFF() {
+    return 64
+  }
+
+  /// Make a new SlotScheduler for the given session.
+  /// Options can contain a "slotCount" for how many slots to use per block.
+  /// All members of the group must use the same slot count.
+  constructor(session, options) {
+    super()
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    this.session = session
+    this.slotCount = options.slotCount || this.constructor.DEFAULT_SLOT_COUNT
+    this.blockSize = session.constructor.BLOCK_SIZE
+
+    // Work out the block layout
+    this.reservationSize = this.slotCount * this.constructor.FOOTPRINT_SIZE
+    this.slotSize = Math.floor((this.blockSize - this.reservationSize) / this.slotCount)
+    if (this.slotSize < 1) {
+      throw new Error('Too many slots for the block size')
+    }
+
+    // Data we still need to get through, oldest first, but with urgent data
+    // ahead of the rest
+    this.pending = []
+    // Which of the pending data is urgent
+    this.urgent = new Set()
+
+    // Reservations we made, by sequence number, as {index, footprint, secret}
+    this.claims = new Map()
+    // Slots we own, by sequence number, as {index, secret}
+    this.ownedSlots = new Map()
+    // Writes we made, by sequence number, as {index, data, secret}
+    this.writes = new Map()
+
+    // How many more rounds we need to sit out before claiming again
+    this.backoff = 0
+    // How many collisions in a row we have had
+    this.collisions = 0
+  }
+
+  /// Queue up some data to send in a slot. Data can be at most slotSize bytes.
+  /// If urgent is set, the data goes ahead of everything that isn't urgent
+  /// too, except data we are in the middle of writing.
+  send(data, urgent) {
+    if (data.length > this.slotSize) {
+      throw new Error('Data is too big for a slot')
+    }
+    if (!urgent) {
+      this.pending.push(data)
+      return
+    }
+    let inFlight = Array.from(this.writes.values()).map((write) => write.data)
+    let index = 0
+    while (index < this.pending.length &&
+      (inFlight.indexOf(this.pending[index]) != -1 || this.urgent.has(this.pending[index]))) {
+      index++
+    }
+    this.pending.splice(index, 0, data)
+    this.urgent.add(data)
+  }
+
+  /// Drop queued data that hasn't gone out yet, for which the given function
+  /// returns true. Data we are in the middle of writing stays. Returns the
+  /// number of items dropped.
+  cancel(test) {
+    let inFlight = Array.from(this.writes.values()).map((write) => write.data)
+    let before = this.pending.length
+    this.pending = this.pending.filter((data) => {
+      if (inFlight.indexOf(data) != -1 || !test(data)) {
+        return true
+      }
+      this.urgent.delete(data)
+      return false
+    })
+    return before - this.pending.length
+  }
+
+  /// Get the offset in the block of the given slot's data
+  slotOffset(index) {
+    return this.reservationSize + index * this.slotSize
+  }
+
+  /// Get the given slot's data out of a block
+  readSlot(block, index) {
+    let start = this.slotOffset(index)
+    return block.subarray(start, start + this.slotSize)
+  }
+
+  /// Get the given reservation entry out of a block
+  readFootprint(block, index) {
+    let start = index * this.constructor.FOOTPRINT_SIZE
+    return block.subarray(start, start + this.constructor.FOOTPRINT_SIZE)
+  }
+
+  /// Process any finished rounds, and participate in the current round if we
+  /// can. Returns true if we sent a block.
+  tick() {
+    for (let round = this.session.popRoundResult(); round != null; round = this.session.popRoundResult()) {
+      this.handleRoundResult(round)
+    }
+
+    if (!this.session.readyToParticipate()) {
+      return false
+    }
+    this.session.participateInRound(this.buildBlock(this.session.currentRound.sequenceNumber))
+    return true
+  }
+
+  /// Make the message block to send for the given round
+  buildBlock(sequenceNumber) {
+    let block = b4a.alloc(this.blockSize)
+
+    // How many pending items are already spoken for this round?
+    let inFlight = 0
+    if (this.ownedSlots.has(sequenceNumber) && this.pending.length > 0) {
+      // We won this slot last round, so fill it
+      let owned = this.ownedSlots.get(sequenceNumber)
+      let data = this.pending[0]
+      b4a.copy(data, block, this.slotOffset(owned.index))
+      this.writes.set(sequenceNumber, {index: owned.index, data: data, secret: owned.secret})
+      inFlight = 1
+    }
+    this.ownedSlots.delete(sequenceNumber)
+
+    if (this.pending.length > inFlight) {
+      if (this.backoff > 0) {
+        // Sit this one out
+        this.backoff--
+      } else {
+        // Try to reserve a slot for next round
+        let index = random_below(this.slotCount)
+        let secret = crypto.randomBytes(this.constructor.FOOTPRINT_SECRET_SIZE)
+        let footprint = this.constructor.footprintFor(secret)
+        b4a.copy(footprint, block, index * this.constructor.FOOTPRINT_SIZE)
+        this.claims.set(sequenceNumber, {index: index, footprint: footprint, secret: secret})
+      }
+    }
+
+    return block
+  }
+
+  /// Look at a finished round from the session, see how our reservation and
+  /// write went, and pass along what everyone sent.
+  handleRoundResult(round) {
+    if (round.dropped) {
+      // Nothing came out, so nobody won a slot, and our write, which is
+      // still first in line, has to go again
+      this.claims.delete(round.sequenceNumber)
+      this.writes.delete(round.sequenceNumber)
+      this.emit('round', round)
+      return
+    }
+
+    let claim = this.claims.get(round.sequenceNumber)
+    if (claim) {
+      this.claims.delete(round.sequenceNumber)
+      if (b4a.equals(this.readFootprint(round.result, claim.index), claim.footprint)) {
+        // Nobody else wanted it, so it is ours next round
+        this.ownedSlots.set(round.sequenceNumber + 1, {index: claim.index, secret: claim.secret})
+      } else {
+        this.handleCollision(round.sequenceNumber, 'reservation')
+      }
+    }
+
+    let write = this.writes.get(round.sequenceNumber)
+    if (write) {
+      this.writes.delete(round.sequenceNumber)
+      let expected = b4a.alloc(this.slotSize)
+      b4a.copy(write.data, expected)
+      let actual = this.readSlot(round.result, write.index)
+      if (b4a.equals(actual, expected)) {
+        // It got through; we are done with it
+        this.urgent.delete(this.pending.shift())
+        this.collisions = 0
+        this.emit('sent', write.data, round.sequenceNumber)
+      } else {
+        // Leave it at the front of the queue to try again
+        this.handleCollision(round.sequenceNumber, 'slot')
+        this.emit('disrupted', round.sequenceNumber, write.index, expected, b4a.from(actual), write.secret)
+      }
+    }
+
+    this.emit('round', round)
+
+    for (let i = 0; i < this.slotCount; i++) {
+      let slot = this.readSlot(round.result, i)
+      if (!slot.every((b) => b == 0)) {
+        this.emit('data', b4a.from(slot), round.sequenceNumber)
+      }
+    }
+  }
+
+  /// Get the reservation footprint that proves knowledge of the given secret.
+  /// Never all zero, so a claim always shows up.
+  static footprintFor(secret) {
+    let footprint = b4a.from(crypto.hash(secret).subarray(0, this.FOOTPRINT_SIZE))
+    footprint[0] |= 1
+    return footprint
+  }
+
+  /// Back off for a random, exponentially growing number of rounds
+  handleCollision(sequenceNumber, what) {
+    this.collisions++
+    let window = Math.min(2 ** this.collisions, this.constructor.MAX_BACKOFF)
+    this.backoff = random_below(window)
+    this.emit('collision', sequenceNumber, what)
+  }
+}
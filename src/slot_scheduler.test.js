@@ -0,0 +1,47 @@
+import SlotScheduler from './slot_scheduler.js'
+import { make_group, pump } from './test_group.js'
+
+const GROUP_ID = 5
+
+describe('SlotScheduler', () => {
+
+  it('gets everyone\'s data through, detecting collisions', () => {
+    const PEERS = 4
+    const MESSAGES = 3
+
+    let sessions = make_group(PEERS, GROUP_ID)
+    pump(sessions)
+
+    // Use few slots so collisions actually happen
+    let schedulers = sessions.map((s) => new SlotScheduler(s, {slotCount: 2}))
+    let received = []
+    let collisions = 0
+    schedulers[0].on('data', (data) => {
+      received.push(data.subarray(0, 2).toString())
+    })
+    for (let i = 0; i < PEERS; i++) {
+      schedulers[i].on('collision', () => collisions++)
+      for (let j = 0; j < MESSAGES; j++) {
+        schedulers[i].send(Buffer.from(i + '' + j))
+      }
+    }
+
+    for (let round = 0; round < 500 && schedulers.some((s) => s.pending.length > 0); round++) {
+      for (let scheduler of schedulers) {
+        scheduler.tick()
+      }
+      pump(sessions)
+    }
+
+    for (let scheduler of schedulers) {
+      expect(scheduler.pending.length).toEqual(0)
+    }
+    for (let i = 0; i < PEERS; i++) {
+      for (let j = 0; j < MESSAGES; j++) {
+        expect(received).toContain(i + '' + j)
+      }
+    }
+    expect(collisions).toBeGreaterThan(0)
+  })
+
+})
@@ -1,39 +1,60 @@
+import { EventEmitter } from 'events'
+
 import Protomux from 'protomux'
 import cenc from 'compact-encoding'
-import ostruct from 'objectstruct'
 
 import SparticSession from './spartic_session.js'
+import AggregatorSession from './aggregator_session.js'
+import SlotScheduler from './slot_scheduler.js'
+import MessageFramer from './message_framer.js'
+import BlameProtocol from './blame_protocol.js'
+import RoundTimer from './round_timer.js'
+import PseudonymProtocol from './pseudonym_protocol.js'
+import PollProtocol from './poll_protocol.js'
+import SessionStore from './session_store.js'
+import GroupDescriptor from './group_descriptor.js'
+import WireProtocol from './wire_protocol.js'
+import PeerPolicy from './peer_policy.js'
 import LibP2PSwarm from './libp2p_swarm.js'
 
-/// Message which carries a shared key to one peer in a group.
-/// Needs to be for a particular group.
-const KeyMessageEncoding = ostruct({
-  /// What group does this message belong to?
-  groupId: 'integer',
-  /// What shared key is the sender assigning?
-  sharedKey: 'bytes'
-})
-
-/// Message which carries a broadcast block of data to peers in a group.
-/// Needs to belong to a particular group.
-const BlockMessageEncoding = ostruct({
-  /// What group does this message belong to?
-  groupId: 'string',
-  /// What sequence number in the group is this block of data for?
-  sequenceNumber: 'integer',
-  /// What is the actual data block?
-  block: 'bytes'
-})
-
 /**
  * Main peer class.
  *
  * Takes care of sending and receiving messages, and routing received messages
  * to the appropriate SparticSession state machines.
  *
+ * Finds and connects to other peers through a Swarm, which is a LibP2PSwarm
+ * unless another one is given, like a LoopbackSwarm. Talks to them with the
+ * WireProtocol, and emits 'refused' with {publicKey, code, message, version,
+ * minVersion} if a peer won't talk to us, such as because we have no
+ * protocol version in common.
+ *
+ * When a peer sends us something we can't use, we send them back an error
+ * with a code, and the group and round it was about. We never answer their
+ * errors, but emit 'errorReport' with {publicKey, code, message, groupId,
+ * sequenceNumber} for them. We also count each of their violations against
+ * them in a PeerPolicy, and when that says to throttle, disconnect or
+ * quarantine them, we do so and emit 'penalty' with {publicKey, action,
+ * score, code, message, groupId, sequenceNumber}. A quarantined peer stays
+ * cut off until release() is called.
+ *
  * The promise in .ready must be awaited after construction.
+ *
+ * Groups are identified by string group IDs; anything else given as a group
+ * ID is turned into a string. Groups can be made from a signed
+ * GroupDescriptor, which sets the ID, the members and the session parameters.
+ *
+ * If given a "storage" option, sessions are saved to disk, encrypted, after
+ * every round and before that round's messages go out. A peer restarted with
+ * the same storage and seed gets its sessions back when it is ready, and they
+ * catch up with their groups once rounds are started again.
+ *
+ * A peer can also be one of the aggregators of a group, with
+ * createAggregator(), instead of a member. Members of a group with
+ * aggregators only connect to the aggregators, and aggregators to the
+ * members and each other, so nobody needs a connection to everyone.
  */
-export default class SparticPeer extends LibP2PSwarm {
+export default class SparticPeer extends EventEmitter {
   /// How long are crypto key seeds?
   static get SEED_SIZE() {
     return 32
@@ -51,12 +72,39 @@ export default class SparticPeer extends LibP2PSwarm {
 
 
   /// Make a new SparticPeer.
-  /// Takes options defined for the base "swarm" class, such as a 32-byte buffer "seed"
-  /// for making the private key.
+  /// Takes a "swarm" option with the Swarm to connect through. Otherwise
+  /// makes a LibP2PSwarm, passing along the options, such as a 32-byte buffer
+  /// "seed" for making the private key.
+  /// Can also take "storage", which is {directory, passphrase} or {directory,
+  /// keyFile} to save sessions in. See SessionStore.
+  /// Can also take "policy", a PeerPolicy or the options to make one with,
+  /// for what to do about peers that break the protocol.
+  /// Can also take "log", a function like console.log to log what the peer
+  /// is doing with, which is also passed along to a LibP2PSwarm we make.
   constructor(options) {
-    super(options)
+    super()
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+
+    // Where our log lines go
+    this._log = options.log || console.log
+
+    this.swarm = options.swarm || new LibP2PSwarm(options)
+    // Our identity is the swarm's
+    this.keyPair = this.swarm.keyPair
+
+    // What we do about peers that break the protocol
+    this.policy = options.policy instanceof PeerPolicy ? options.policy : new PeerPolicy(options.policy)
+
+    // Where we save our sessions, if anywhere
+    this._store = null
+    if (options.storage) {
+      this._store = new SessionStore(options.storage.directory, options.storage)
+    }
     
-    this.ready = this.ready.then(() => {
+    this.ready = this.swarm.ready.then(() => {
     
       this.log('My public key is ', this.keyPair.publicKey)
 
@@ -66,13 +114,27 @@ export default class SparticPeer extends LibP2PSwarm {
       this._messengers = new Map()
 
       // We also have a collection of sessions for rings we are in, to keep their state.
-      // Maps from group ID to SparticSession
+      // Maps from group ID string to SparticSession
       this._sessions = new Map()
 
-      this.on('connection', (conn, info) => {
+      // For sessions we are running rounds for, we keep the stack of things
+      // on top of the session.
+      // Maps from group ID string to {scheduler, framer, blame, pseudonyms, polls, timer}
+      this._stacks = new Map()
+
+      this.swarm.on('connection', (conn, info) => {
         this.log('Connected to: ', this.constructor.keyToName(info.publicKey))
+        if (conn.destroyed) {
+          // It closed again before we heard about it
+          return
+        }
+        if (this.policy.isQuarantined(info.publicKey)) {
+          this.log('Hanging up on quarantined peer (' + this.constructor.keyToName(info.publicKey) + ')')
+          conn.destroy()
+          return
+        }
         
-        if (this._messengers.has(info.publicKey)) {
+        if (this._messengers.has(this.constructor.keyToString(info.publicKey))) {
           this.log('Duplicate connection with (' + this.constructor.keyToName(info.publicKey) + ')')
           throw new Error('Duplicate connection!')
         }
@@ -83,165 +145,647 @@ export default class SparticPeer extends LibP2PSwarm {
         
         // Connections are already message-oriented, length-prefixed streams of entire buffers. 
         // We need a real protocol over this though, since among other things we might need to be in multiple simultaneous groups with the same peer.
-        // So define a protocol with Protomux
+        // So define a protocol with Protomux, and speak the WireProtocol over it.
         let mux = new Protomux(conn)
+        let messenger = {
+          conn: conn,
+          mux: mux,
+          channel: null,
+          wireMessage: null,
+          // What we agreed on in the handshake, once it checks out
+          agreed: null
+        }
         let channel = mux.createChannel({
           userData: this,
-          protocol: 'spartic',
-          onopen: () => {
-            // The channel is open.
-            // Could have a handshake argument
-            this.log('Opened Spartic channel with (' + this.constructor.keyToName(info.publicKey) + ')')
+          protocol: WireProtocol.PROTOCOL,
+          handshake: cenc.from(WireProtocol.HandshakeEncoding),
+          onopen: (handshake) => {
+            // The channel is open, and we have their handshake
+            let agreed = WireProtocol.negotiate(this.makeHandshake(info.publicKey), handshake)
+            if (agreed.refusal) {
+              this.log('Refusing (' + this.constructor.keyToName(info.publicKey) + '): ' + agreed.refusal.message)
+              // They hang up when they get it. If they are refusing us too,
+              // we both still hear why.
+              this.sendMessage(messenger, 'refusal', agreed.refusal)
+              return
+            }
+            messenger.agreed = agreed
+            this.log('Opened Spartic channel with (' + this.constructor.keyToName(info.publicKey) + ') at version ' +
+              agreed.version + ', sharing groups [' + agreed.groups + ']')
+            for (let groupId of agreed.groups) {
+              // Send anything that was waiting for them
+              this.flushSession(groupId)
+            }
           },
           onclose: () => {
             // The channel is closed.
             this.log('Closed Spartic channel with (' + this.constructor.keyToName(info.publicKey) + ')')
           }
         })
-        let textMessage = channel.addMessage({
-          encoding: cenc.utf8,
-          onmessage: async (message) => {
-            // A message has arrived
-            this.log('<-', '(' + this.constructor.keyToName(info.publicKey) + ')', 'ALERT!', message)
-          }
-        })
-        let keyMessage = channel.addMessage({
-          encoding: cenc.from(KeyMessageEncoding),
-          onmessage: async (message) => {
-            this.log('<-', '(' + this.constructor.keyToName(info.publicKey) + ')', message)
-            let session = this.sessionFor(message.groupId, info.publicKey)
-            if (session) {
-              // This shared key belongs in this session so put it there
-              session.receiveKey(info.publicKey, message.sharedKey)
-            } else {
-              textMessage.send('unexpected key')
-            }
-          }
-        })
-        let blockMessage = channel.addMessage({
-          encoding: cenc.from(BlockMessageEncoding),
-          onmessage: async (message) => {
-            this.log('<-', '(' + this.constructor.keyToName(info.publicKey) + ')', 'Round ' + message.sequenceNumber + ', ' + message.data.length + ' byte block')
-            let session = this.sessionFor(message.groupId, info.publicKey)
-            if (session) {
-              // This block belongs in this session so put it there
-              session.receiveBlock(info.publicKey, message.sequenceNumber, message.data)
-            } else {
-              textMessage.send('unexpected block')
-            }
+        messenger.channel = channel
+        messenger.wireMessage = channel.addMessage({
+          encoding: cenc.raw,
+          onmessage: (data) => {
+            this.receiveMessage(info.publicKey, messenger, data)
           }
         })
         
-        
         // Save the fancy channel thingy
-        this._messengers.set(info.publicKey, {
-          mux: mux,
-          channel: channel,
-          keyMessage: keyMessage,
-          blockMessage: blockMessage,
-          textMessage: textMessage
-        })
+        this._messengers.set(this.constructor.keyToString(info.publicKey), messenger)
         
         conn.on('close', () => {
           // When the connection closes, remove the fancy channel thingy
           this.log('Closed connection with (' + this.constructor.keyToName(info.publicKey) + ')')
-          this._messengers.delete(info.publicKey)
+          this._messengers.delete(this.constructor.keyToString(info.publicKey))
         })
         
-        // TODO: Protomux API docs say we should open the message, but really we open the channel.
-        channel.open()
+        channel.open(this.makeHandshake(info.publicKey))
       })
+    }).then(async () => {
+      if (this._store) {
+        // Pick up the sessions we were in before we restarted
+        for (let session of await this._store.loadAll({keyPair: this.keyPair})) {
+          this.log('Restored session ' + session.groupId + ': ' + session.getStatus())
+          this.addSession(session)
+        }
+      }
     })
   }
 
   /// Make a new session with the given ID for the given peer keys and start it up.
   /// Returns the session object, which can be used as an inbox/outbox thingy. 
-  createSession(groupId, otherPubkeys) {
-    // Make the session
-    let session = new SparticSession(otherPubkeys)
+  /// Options are passed along to the SparticSession, like "commitBlocks",
+  /// "roundTimeout" and "stallPolicy", or "joining" if we are being added to
+  /// a group that is already running.
+  /// If we already have a session with the ID, like one restored from
+  /// storage, returns that instead.
+  ///
+  /// Can instead be called with a GroupDescriptor, the bytes of one, or an
+  /// invitation token, and then options. The group ID, members and commit
+  /// mode come from the descriptor. Throws if the descriptor isn't properly
+  /// signed, we aren't in it, its parameters don't match ours, or we already
+  /// have a session for its group ID from a different descriptor.
+  createSession(groupId, otherPubkeys, options) {
+    let descriptor = null
+    if (typeof groupId == 'object' || (typeof groupId == 'string' && groupId.startsWith(GroupDescriptor.INVITATION_PREFIX))) {
+      descriptor = this.checkDescriptor(groupId)
+      options = Object.assign({}, otherPubkeys, {
+        commitBlocks: descriptor.commitBlocks,
+        descriptor: descriptor.encode()
+      })
+      otherPubkeys = descriptor.othersThan(this.keyPair.publicKey)
+      groupId = descriptor.groupId
+    }
+    groupId = String(groupId)
+    if (this._sessions.has(groupId)) {
+      let existing = this._sessions.get(groupId)
+      if (descriptor) {
+        let existingDescriptor = existing.descriptor && GroupDescriptor.decode(existing.descriptor)
+        if (!existingDescriptor || !existingDescriptor.hash.equals(descriptor.hash)) {
+          throw new Error('Already in a different group ' + groupId)
+        }
+      }
+      // Probably restored from storage; keep going with what we have
+      return existing
+    }
+    // Make the session, bound to our identity and the group
+    let session = new SparticSession(otherPubkeys, Object.assign({}, options, {
+      keyPair: this.keyPair,
+      groupId: groupId
+    }))
+    this.addSession(session)
+    this.saveSession(groupId).catch((e) => {
+      this.log('Could not save session ' + groupId + ': ' + e.message)
+    })
+    return session
+  }
+
+  /// Serve as one of the aggregators of the group with the given ID, given
+  /// the public keys of all its members, and of all its aggregators,
+  /// including ours. The members make their sessions with createSession()
+  /// and an "aggregators" option listing the same aggregators.
+  /// Options are passed along to the AggregatorSession, like
+  /// "ratchetInterval", which must match the members'.
+  /// If we already aggregate for the group, like after a restart, returns
+  /// that AggregatorSession instead. Throws if we are a member of it.
+  createAggregator(groupId, members, aggregators, options) {
+    groupId = String(groupId)
+    if (this._sessions.has(groupId)) {
+      let existing = this._sessions.get(groupId)
+      if (!(existing instanceof AggregatorSession)) {
+        throw new Error('Already a member of group ' + groupId)
+      }
+      return existing
+    }
+    let session = new AggregatorSession(members, aggregators, Object.assign({}, options, {
+      keyPair: this.keyPair,
+      groupId: groupId
+    }))
+    this.addSession(session)
+    this.saveSession(groupId).catch((e) => {
+      this.log('Could not save session ' + groupId + ': ' + e.message)
+    })
+    return session
+  }
+
+  /// Get a GroupDescriptor from a GroupDescriptor, the bytes of one, or an
+  /// invitation token, and make sure we can make a session from it.
+  /// Throws if we can't.
+  checkDescriptor(descriptor) {
+    if (descriptor instanceof GroupDescriptor) {
+      if (!descriptor.verify()) {
+        descriptor = null
+      }
+    } else if (typeof descriptor == 'string') {
+      descriptor = GroupDescriptor.fromInvitation(descriptor)
+    } else if (descriptor instanceof Uint8Array) {
+      descriptor = GroupDescriptor.decode(descriptor)
+    } else {
+      throw new Error('Groups can only be made from signed GroupDescriptors')
+    }
+    if (!descriptor) {
+      throw new Error('Group descriptor is not properly signed')
+    }
+    if (!descriptor.includes(this.keyPair.publicKey)) {
+      throw new Error('We are not a member of group ' + descriptor.groupId)
+    }
+    if (descriptor.blockSize != SparticSession.BLOCK_SIZE) {
+      throw new Error('Group ' + descriptor.groupId + ' uses ' + descriptor.blockSize +
+        ' byte blocks, but we use ' + SparticSession.BLOCK_SIZE)
+    }
+    return descriptor
+  }
+
+  /// Get the session with the given group ID, or null if we aren't in it
+  getSession(groupId) {
+    return this._sessions.get(String(groupId)) || null
+  }
+
+  /// Get the GroupDescriptor the session with the given ID was made from, or
+  /// null if it wasn't made from one
+  getDescriptor(groupId) {
+    let session = this._sessions.get(String(groupId))
+    if (!session || !session.descriptor) {
+      return null
+    }
+    return GroupDescriptor.decode(session.descriptor)
+  }
+
+  /// Make a signed GroupDescriptor for a new group of us and the members with
+  /// the given public keys, with a random group ID and our block size.
+  /// Options must have the round "interval" in milliseconds, and can have
+  /// "commitBlocks". Hand it out with toInvitation() or encode(), and pass it
+  /// to createSession().
+  describeGroup(otherPubkeys, options) {
+    return GroupDescriptor.create(otherPubkeys, this.keyPair, Object.assign({}, options, {
+      blockSize: SparticSession.BLOCK_SIZE
+    }))
+  }
+
+  /// Start using a session we made or restored: connect to everyone in it
+  /// and route its messages.
+  addSession(session) {
+    let groupId = String(session.groupId)
     this._sessions.set(groupId, session)
-    for (let pubkey of otherPubkeys) {
+    for (let pubkey of session.otherPubkeys) {
       // Connect to everyone
       this.joinPeer(pubkey)
     }
-    // Connect to everyone but in a different way.
-    this.joinTopic(groupId)
+    session.on('outgoing', () => {
+      this.flushSession(groupId)
+    })
+    session.on('protocolError', (error) => {
+      this.penalize(error.pubkey, error.code, error.message, groupId, error.sequenceNumber)
+    })
+    session.on('keys', (epoch, missing) => {
+      if (missing > 0) {
+        this.log('Still missing ' + missing + ' shared keys for epoch ' + epoch + ' of group ' + groupId)
+      } else {
+        this.log('Got all shared keys for epoch ' + epoch + ' of group ' + groupId)
+      }
+    })
+    session.on('membership', () => {
+      for (let pubkey of session.otherPubkeys) {
+        // Connect to anyone new too
+        this.joinPeer(pubkey)
+      }
+    })
+    if (!session.aggregators) {
+      // Connect to everyone but in a different way. With aggregators, the
+      // point is not to.
+      this.joinTopic(groupId)
+    }
+  }
+
+  /// Save the session with the given ID, if we have storage
+  async saveSession(groupId) {
+    let session = this._sessions.get(String(groupId))
+    if (this._store && session) {
+      await this._store.save(session)
+    }
+  }
+
+  /// Save the session with the given ID, if we have storage, and then send
+  /// its pending messages, so we never forget something we already sent.
+  /// Happens whenever the session has new messages to send.
+  async flushSession(groupId) {
+    try {
+      await this.saveSession(groupId)
+    } catch (e) {
+      this.log('Could not save session ' + groupId + ': ' + e.message)
+      return
+    }
+    this.sendSessionMessages(groupId)
+  }
+
+  /// Start running rounds for the session with the given ID, at a fixed rate.
+  /// Sets up a SlotScheduler, MessageFramer, BlameProtocol, PseudonymProtocol,
+  /// PollProtocol and RoundTimer on top of the session, and sends the
+  /// session's messages after every round.
+  /// Options are passed along to the SlotScheduler, MessageFramer and
+  /// RoundTimer, like "interval" and "slotCount". The interval defaults to
+  /// the one in the group's descriptor, if it has one. Options can also have
+  /// a "pseudonymKeyPair" to keep the same pseudonym across restarts.
+  /// Returns {scheduler, framer, blame, pseudonyms, polls, timer}. Send
+  /// messages to the group with session.send() or framer.send(), and get them
+  /// with session.on('message') or framer.on('message'). Send signed messages
+  /// with pseudonyms.sendSigned(), and get them with pseudonyms.on('message').
+  /// Run polls with polls.propose() and polls.vote().
+  startRounds(groupId, options) {
+    groupId = String(groupId)
+    let session = this._sessions.get(groupId)
+    if (!session) {
+      throw new Error('No session ' + groupId)
+    }
+    if (session instanceof AggregatorSession) {
+      throw new Error('Aggregators have no rounds of their own to run in group ' + groupId)
+    }
+    if (this._stacks.has(groupId)) {
+      return this._stacks.get(groupId)
+    }
+    let descriptor = this.getDescriptor(groupId)
+    if (descriptor) {
+      options = Object.assign({interval: descriptor.interval}, options)
+    }
+    let scheduler = new SlotScheduler(session, options)
+    let framer = new MessageFramer(scheduler, options)
+    let blame = new BlameProtocol(session, scheduler, framer)
+    let pseudonyms = new PseudonymProtocol(session, framer, {keyPair: options && options.pseudonymKeyPair})
+    let polls = new PollProtocol(session, scheduler, framer)
+    let timer = new RoundTimer(session, scheduler, framer, options)
+    timer.on('tick', () => {
+      this.flushSession(groupId)
+    })
+    session.attachFramer(framer)
+    let stack = {
+      scheduler: scheduler,
+      framer: framer,
+      blame: blame,
+      pseudonyms: pseudonyms,
+      polls: polls,
+      timer: timer
+    }
+    this._stacks.set(groupId, stack)
+    pseudonyms.register()
+    timer.start()
+    return stack
+  }
+
+  /// Stop running rounds for the session with the given ID
+  stopRounds(groupId) {
+    groupId = String(groupId)
+    let stack = this._stacks.get(groupId)
+    if (stack) {
+      stack.timer.stop()
+      this._sessions.get(groupId).detachFramer()
+      this._stacks.delete(groupId)
+    }
   }
 
   /// Send any pending messages in a session
   sendSessionMessages(groupId) {
+    groupId = String(groupId)
     let session = this._sessions.get(groupId)
-    for (let pubkey of session.otherPubkeys) {
-      let messenger = this._messengers.get(pubkey)
-      if (messenger) {
+    // Members on their way out may still need messages from us, so send to
+    // everyone we have something for.
+    for (let pubkey of session.queues.keys()) {
+      let messenger = this._messengers.get(this.constructor.keyToString(pubkey))
+      if (messenger && messenger.agreed) {
         // We can send any messages we have for this peer
         for (let message = session.popMessage(pubkey); message != null; message = session.popMessage(pubkey)) {
           // For each message we have for the peer
-          if (message[0] == 'key') {
-            // Send keys
-            let packed = {groupId: groupId, sharedKey: message[1]}
-            this.log('-> (' + this.constructor.keyToName(pubkey) + ')', packed)
-            messenger.keyMessage.send(packed)
+          if (message[0] == 'hello') {
+            // Send ephemeral keys
+            this.sendMessage(messenger, 'hello', {groupId: groupId, epoch: message[1], ephemeralKey: message[2]})
+          } else if (message[0] == 'auth') {
+            // Send transcript signatures
+            this.sendMessage(messenger, 'auth', {groupId: groupId, epoch: message[1], signature: message[2]})
+          } else if (message[0] == 'commit') {
+            // Send block commitments
+            this.sendMessage(messenger, 'commit', {groupId: groupId, sequenceNumber: message[1], commitment: message[2]})
           } else if (message[0] == 'block') {
             // Send blocks
-            messenger.blockMessage.send({groupId: groupId, sequenceNumber: message[1], block: message[2]})
+            this.sendMessage(messenger, 'block', {groupId: groupId, sequenceNumber: message[1], block: message[2]})
+          } else if (message[0] == 'result') {
+            // Send round results to members, as an aggregator
+            this.sendMessage(messenger, 'result', {groupId: groupId, sequenceNumber: message[1], result: message[2]})
+          } else if (message[0] == 'reveal') {
+            // Send blame reveals
+            this.sendMessage(messenger, 'reveal', {groupId: groupId, sequenceNumber: message[1], bitOffset: message[2], contributions: message[3]})
+          } else if (message[0] == 'membership') {
+            // Send membership change proposals
+            this.sendMessage(messenger, 'membership', {groupId: groupId, proposal: message[1]})
+          } else if (message[0] == 'approval') {
+            // Send membership change approvals
+            this.sendMessage(messenger, 'approval', {groupId: groupId, proposalHash: message[1], signature: message[2]})
+          } else if (message[0] == 'sync') {
+            // Tell them which round we are on
+            this.sendMessage(messenger, 'sync', {groupId: groupId, sequenceNumber: message[1], reply: message[2]})
           } else if (message[0] == 'error') {
-            // Send back error messages as text
-            messenger.textMessage.send(message[1])
+            // Tell them what went wrong
+            this.sendError(pubkey, messenger, message[1], message[2], groupId, message[3])
           }
         }
       }
     }
   }
 
+  /// Make our handshake for the channel with the peer with the given pubkey,
+  /// listing the groups we are in with them
+  makeHandshake(pubkey) {
+    let groups = []
+    for (let [groupId, session] of this._sessions) {
+      if (session.hasMember(pubkey)) {
+        groups.push(groupId)
+      }
+    }
+    return WireProtocol.makeHandshake(groups)
+  }
+
+  /// Send a message of the given type to a peer, unless it belongs to a
+  /// feature they don't support.
+  sendMessage(messenger, type, fields) {
+    let feature = WireProtocol.featureFor(type)
+    if (feature && messenger.agreed && !messenger.agreed.features.includes(feature)) {
+      this.log('Not sending ' + type + ' message to peer without ' + feature + ' support')
+      return
+    }
+    messenger.wireMessage.send(WireProtocol.encode(type, fields))
+  }
+
+  /// Tell a peer that something they sent was no good, with an error code,
+  /// message, and the group ID and sequence number it was about if not null.
+  /// Peers we are throttling don't get told any more.
+  sendError(pubkey, messenger, code, message, groupId, sequenceNumber) {
+    if (this.policy.isThrottled(pubkey)) {
+      return
+    }
+    this.sendMessage(messenger, 'error', WireProtocol.makeErrorMessage(code, message, groupId, sequenceNumber))
+  }
+
+  /// Count a violation with the given error code and message, about the
+  /// given group ID and sequence number if not null, against the peer with
+  /// the given pubkey, and do what the policy says about it.
+  penalize(pubkey, code, message, groupId, sequenceNumber) {
+    let judgement = this.policy.record(pubkey, code)
+    if (!judgement.action) {
+      return
+    }
+    let name = '(' + this.constructor.keyToName(pubkey) + ')'
+    if (judgement.escalated) {
+      this.log('Peer', name, 'has score ' + judgement.score + ', so will ' + judgement.action + ' them')
+      this.emit('penalty', {
+        publicKey: pubkey,
+        action: judgement.action,
+        score: judgement.score,
+        code: code,
+        message: message,
+        groupId: groupId == null ? null : String(groupId),
+        sequenceNumber: sequenceNumber == null ? null : sequenceNumber
+      })
+    }
+    if (judgement.action != PeerPolicy.THROTTLE) {
+      // Hang up on them. A quarantined peer can't come back.
+      let messenger = this._messengers.get(this.constructor.keyToString(pubkey))
+      if (messenger) {
+        messenger.conn.destroy()
+      }
+    }
+  }
+
+  /// Let a quarantined peer back in, and forget what they have done
+  release(pubkey) {
+    this.policy.release(pubkey)
+    // They may be someone we want to talk to
+    this.joinPeer(pubkey)
+  }
+
+  /// Handle a message from the peer with the given pubkey on their channel
+  receiveMessage(pubkey, messenger, data) {
+    let name = '(' + this.constructor.keyToName(pubkey) + ')'
+    if (!this.policy.admit(pubkey)) {
+      // They are quarantined, or sending too much while throttled
+      return
+    }
+    let message
+    try {
+      message = WireProtocol.decode(data)
+    } catch (e) {
+      this.log('<-', name, e.message)
+      this.sendError(pubkey, messenger, e.code, e.message, null, null)
+      this.penalize(pubkey, e.code, e.message, null, null)
+      return
+    }
+    let fields = message.fields
+    if (message.type == 'refusal') {
+      // They won't talk to us, and are hanging up
+      this.log('<-', name, 'Refused: ' + fields.message)
+      this.emit('refused', {
+        publicKey: pubkey,
+        code: fields.code,
+        message: fields.message,
+        version: fields.version,
+        minVersion: fields.minVersion
+      })
+      messenger.channel.close()
+      return
+    }
+    if (message.type == 'error') {
+      // Never answer an error, even if it is no good
+      this.log('<-', name, 'Error (' + fields.code + '): ' + fields.message)
+      this.emit('errorReport', {
+        publicKey: pubkey,
+        code: fields.code,
+        message: fields.message,
+        groupId: fields.groupId || null,
+        sequenceNumber: fields.hasSequenceNumber ? fields.sequenceNumber : null
+      })
+      return
+    }
+    if (!messenger.agreed) {
+      // Nothing but refusals before the handshake checks out
+      return
+    }
+
+    if (message.type == 'block') {
+      this.log('<-', name, 'Round ' + fields.sequenceNumber + ', ' + fields.block.length + ' byte block')
+    } else if (message.type == 'result') {
+      this.log('<-', name, 'Round ' + fields.sequenceNumber + ' result')
+    } else if (message.type == 'commit') {
+      this.log('<-', name, 'Round ' + fields.sequenceNumber + ' commitment')
+    } else if (message.type == 'reveal') {
+      this.log('<-', name, 'Reveal for round ' + fields.sequenceNumber + ' bit ' + fields.bitOffset)
+    } else if (message.type == 'sync') {
+      this.log('<-', name, 'On round ' + fields.sequenceNumber)
+    } else {
+      this.log('<-', name, message.type, fields)
+    }
+
+    let session = this.sessionFor(fields.groupId, pubkey)
+    if (!session) {
+      let problem = 'unexpected ' + message.type
+      let sequenceNumber = fields.sequenceNumber == null ? null : fields.sequenceNumber
+      this.sendError(pubkey, messenger, WireProtocol.ERROR_UNEXPECTED, problem, fields.groupId, sequenceNumber)
+      this.penalize(pubkey, WireProtocol.ERROR_UNEXPECTED, problem, fields.groupId, sequenceNumber)
+      return
+    }
+    if (session instanceof AggregatorSession && AggregatorSession.MESSAGE_TYPES.indexOf(message.type) == -1) {
+      // Aggregators only agree keys and swap blocks
+      let sequenceNumber = fields.sequenceNumber == null ? null : fields.sequenceNumber
+      session.protocolError(pubkey, SparticSession.ERRORS.UNSUPPORTED, sequenceNumber, 'aggregators do not take ' + message.type + ' messages')
+      return
+    }
+    // Put it in the session it belongs in
+    if (message.type == 'hello') {
+      session.receiveHello(pubkey, fields.epoch, fields.ephemeralKey)
+    } else if (message.type == 'auth') {
+      session.receiveAuth(pubkey, fields.epoch, fields.signature)
+    } else if (message.type == 'commit') {
+      session.receiveCommit(pubkey, fields.sequenceNumber, fields.commitment)
+    } else if (message.type == 'block') {
+      session.receiveBlock(pubkey, fields.sequenceNumber, fields.block)
+    } else if (message.type == 'result') {
+      session.receiveResult(pubkey, fields.sequenceNumber, fields.result)
+    } else if (message.type == 'reveal') {
+      session.receiveReveal(pubkey, fields.sequenceNumber, fields.bitOffset, fields.contributions)
+    } else if (message.type == 'membership') {
+      session.receiveMembership(pubkey, fields.proposal)
+    } else if (message.type == 'approval') {
+      session.receiveApproval(pubkey, fields.proposalHash, fields.signature)
+    } else if (message.type == 'sync') {
+      session.receiveSync(pubkey, fields.sequenceNumber, fields.reply)
+    }
+  }
+
   /// Get the SparticSession for the given group ID, if the given peer pubkey is supposed to be in it.
   /// Otherwise return null
   sessionFor(groupId, pubkey) {
-    let session = this._sessions.get(groupId)
+    let session = this._sessions.get(String(groupId))
     if (session) {
       // Session exists
-      if (session.otherPubkeys.indexOf(pubkey) != -1) {
+      if (session.hasMember(pubkey)) {
         // And this peer is in it
         return session
       } else {
-        this.log('No peer (' + this.constructor.keyToName(pubkey) + ') in session ' + groupId + ': ', session)
+        this.log('No peer (' + this.constructor.keyToName(pubkey) + ') in session ' + groupId)
       }
     } else {
-      this.log('No session ', groupId, 'Sessions: ', this._sessions)
+      this.log('No session ' + groupId + ' for peer (' + this.constructor.keyToName(pubkey) + ')')
     }
     return null
   }
 
+  /// Start listening for connections. Returns a Promise that resolves when we
+  /// are ready for connections, to whatever the swarm says about where we can
+  /// be reached.
+  async listen() {
+    await this.ready
+    return await this.swarm.listen()
+  }
+
+  /// Return a Promise that resolves when all the peers in our sessions are
+  /// connected.
+  flush() {
+    return this.swarm.flush()
+  }
+
+  /// Stop running all rounds, and disconnect from everyone
+  async close() {
+    for (let groupId of Array.from(this._stacks.keys())) {
+      this.stopRounds(groupId)
+    }
+    await this.swarm.close()
+  }
+
+  /// Try to connect directly to the given peer, by pubkey
+  joinPeer(peerKey) {
+    this.swarm.joinPeer(peerKey)
+  }
+
+  /// Try to connect to all other peers interested in the given topic
+  joinTopic(topicString) {
+    this.swarm.joinTopic(topicString)
+  }
+
   /// Get a short name for this peer defined by its key
   getName() {
     return this.constructor.keyToName(this.keyPair.publicKey)
   }
   
-  /// Log status of the peer (connections, pending messages, etc.)
-  logStatus() {
+  /// Get the status of the peer, as {publicKey, name, connections,
+  /// pendingTo, sessions}. Connections and pendingTo are the short names of
+  /// who we are connected to and who we have messages waiting for, and
+  /// sessions is a list of {groupId, round, status} with each session's
+  /// human-readable status.
+  getStatus() {
     // Short names of everyone we have messages to
     let pendingTo = []
     // Short names of everyone we are connected to
     let connectedTo = []
-    for (let [groupId, session] of this._sessions.entries()) {
+    for (let session of this._sessions.values()) {
       for (let [pubkey, queue] of session.queues.entries()) {
         if (queue.length > 0) {
-          pendingTo.push('(' + this.constructor.keyToName(pubkey) + ')')
+          pendingTo.push(this.constructor.keyToName(pubkey))
         }
       }
     }
-    for (let connection of this.connections) {
-      connectedTo.push('(' + this.constructor.keyToName(connection.remotePublicKey) + ')')
+    for (let key of this._messengers.keys()) {
+      connectedTo.push(this.constructor.keyToName(Buffer.from(key, 'hex')))
     }
-    this.log(this.connections.size + ' connections [' + connectedTo + '], ' + this.peers.size + ' peers, pending messages to [' + pendingTo + ']')
+    let sessions = []
     for (let [groupId, session] of this._sessions.entries()) {
-      this.log('\tSession ' + groupId, session.getStatus())
+      sessions.push({groupId: groupId, round: session.roundNumber(), status: session.getStatus()})
+    }
+    return {
+      publicKey: this.constructor.keyToString(this.keyPair.publicKey),
+      name: this.getName(),
+      connections: connectedTo,
+      pendingTo: pendingTo,
+      sessions: sessions
+    }
+  }
+
+  /// Turn a status from getStatus() into lines for people to read
+  static describeStatus(status) {
+    let names = (list) => list.map((name) => '(' + name + ')')
+    let lines = [status.connections.length + ' connections [' + names(status.connections) +
+      '], pending messages to [' + names(status.pendingTo) + ']']
+    for (let session of status.sessions) {
+      lines.push('\tSession ' + session.groupId + ' ' + session.status)
+    }
+    return lines
+  }
+
+  /// Log status of the peer (connections, pending messages, etc.)
+  logStatus() {
+    for (let line of this.constructor.describeStatus(this.getStatus())) {
+      this.log(line)
     }
   }
   
-  /// Log a message to the console, noting it came from this peer
+  /// Log a message, noting it came from this peer
   log(...args) {
-    console.log('(' + this.getName() + ')', ...args)
+    this._log('(' + this.getName() + ')', ...args)
   }
 
 }
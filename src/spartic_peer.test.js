@@ -0,0 +1,371 @@
+import { format } from 'util'
+import crypto from 'hypercore-crypto'
+import SparticPeer from './spartic_peer.js'
+import GroupDescriptor from './group_descriptor.js'
+import WireProtocol from './wire_protocol.js'
+import SessionStream from './session_stream.js'
+import LoopbackSwarm, { LoopbackNetwork } from './loopback_swarm.js'
+
+const GROUP_ID = 5
+
+/// Make peers that can all reach each other, listening on one
+/// LoopbackNetwork
+async function make_peers(count) {
+  let network = new LoopbackNetwork()
+  let peers = []
+  for (let i = 0; i < count; i++) {
+    let peer = new SparticPeer({swarm: new LoopbackSwarm({network: network})})
+    await peer.listen()
+    peers.push(peer)
+  }
+  return peers
+}
+
+/// Put all the peers in a group together, and wait for them to connect
+async function make_group(peers, options) {
+  let sessions = []
+  for (let peer of peers) {
+    let others = peers.filter((p) => p !== peer).map((p) => p.keyPair.publicKey)
+    sessions.push(peer.createSession(GROUP_ID, others, options))
+  }
+  await Promise.all(peers.map((peer) => peer.flush()))
+  return sessions
+}
+
+/// Wait until the given test passes, checking on every round tick of the
+/// given stack
+function wait_for_rounds(stack, test) {
+  return new Promise((resolve) => {
+    let check = () => {
+      if (test()) {
+        stack.timer.off('tick', check)
+        resolve()
+      }
+    }
+    stack.timer.on('tick', check)
+    check()
+  })
+}
+
+/// Wait until the given test passes, checking every so often
+function wait_until(test) {
+  return new Promise((resolve) => {
+    let check = () => {
+      if (test()) {
+        resolve()
+      } else {
+        setTimeout(check, 10)
+      }
+    }
+    check()
+  })
+}
+
+describe('SparticPeer', () => {
+
+  it('runs a group end to end over a loopback swarm', async () => {
+    let peers = await make_peers(3)
+    try {
+      let sessions = await make_group(peers)
+      let stacks = peers.map((peer) => peer.startRounds(GROUP_ID, {interval: 100}))
+      let received = peers.map(() => [])
+      stacks.forEach((stack, i) => {
+        stack.framer.on('message', (message) => received[i].push(message.toString()))
+      })
+
+      stacks[1].framer.send(Buffer.from('hello from somebody'))
+      await wait_for_rounds(stacks[0], () => received.every((messages) => messages.length > 0))
+
+      for (let messages of received) {
+        expect(messages).toEqual(['hello from somebody'])
+      }
+      for (let session of sessions) {
+        expect(session.getStatus()).toMatch(/^RUNNING/)
+      }
+    } finally {
+      await Promise.all(peers.map((peer) => peer.close()))
+    }
+  }, 30000)
+
+  it('streams messages through a group without polling', async () => {
+    let peers = await make_peers(3)
+    let streams = []
+    try {
+      let sessions = await make_group(peers)
+      // This waits for rounds to start
+      sessions[1].send(Buffer.from('early'))
+      streams = sessions.map((session) => new SessionStream(session))
+
+      let controller = new AbortController()
+      let iterated = (async () => {
+        let seen = []
+        try {
+          for await (let message of sessions[0].messages({signal: controller.signal})) {
+            seen.push(message.toString())
+            if (seen.length == 2) {
+              controller.abort()
+            }
+          }
+        } catch (e) {
+          if (e.name != 'AbortError') {
+            throw e
+          }
+        }
+        return seen
+      })()
+      let read = (stream, count) => new Promise((resolve) => {
+        let got = []
+        stream.on('data', (data) => {
+          got.push(data.toString())
+          if (got.length == count) {
+            resolve(got)
+          }
+        })
+      })
+
+      for (let peer of peers) {
+        peer.startRounds(GROUP_ID, {interval: 100})
+      }
+      streams[2].write('piped')
+
+      expect((await read(streams[0], 2)).sort()).toEqual(['early', 'piped'])
+      expect((await iterated).sort()).toEqual(['early', 'piped'])
+      // We don't hear ourselves
+      expect(await read(streams[2], 1)).toEqual(['early'])
+    } finally {
+      for (let stream of streams) {
+        stream.destroy()
+      }
+      await Promise.all(peers.map((peer) => peer.close()))
+    }
+  }, 30000)
+
+  it('gives up on rounds held up by a member who went away', async () => {
+    let peers = await make_peers(3)
+    try {
+      let sessions = await make_group(peers, {roundTimeout: 300, stallPolicy: 'drop'})
+      let stacks = peers.map((peer) => peer.startRounds(GROUP_ID, {interval: 100}))
+      await wait_for_rounds(stacks[0], () => sessions[0].roundNumber() > 1)
+
+      let dropped = new Promise((resolve) => stacks[0].scheduler.on('round', (round) => {
+        if (round.dropped) {
+          resolve(round)
+        }
+      }))
+      let stalled = new Promise((resolve) => sessions[0].once('stalled', resolve))
+      let gone = peers.pop()
+      await gone.close()
+      expect((await stalled).missing.map((k) => k.toString('hex'))).toEqual([gone.keyPair.publicKey.toString('hex')])
+      expect((await dropped).result).toBeNull()
+    } finally {
+      await Promise.all(peers.map((peer) => peer.close()))
+    }
+  }, 30000)
+
+  it('runs a group of dozens through aggregators over a loopback swarm', async () => {
+    const MEMBERS = 24
+    let peers = await make_peers(MEMBERS + 2)
+    try {
+      let members = peers.slice(0, MEMBERS)
+      let aggregators = peers.slice(MEMBERS)
+      let memberKeys = members.map((peer) => peer.keyPair.publicKey)
+      let aggregatorKeys = aggregators.map((peer) => peer.keyPair.publicKey)
+      for (let peer of aggregators) {
+        peer.createAggregator(GROUP_ID, memberKeys, aggregatorKeys)
+      }
+      for (let peer of members) {
+        let others = memberKeys.filter((key) => key !== peer.keyPair.publicKey)
+        peer.createSession(GROUP_ID, others, {aggregators: aggregatorKeys})
+      }
+      await Promise.all(peers.map((peer) => peer.flush()))
+      await wait_until(() => aggregators.every((peer) => peer.getStatus().connections.length == peers.length - 1))
+      // Members only connect to the aggregators
+      for (let peer of members) {
+        expect(peer.getStatus().connections.length).toEqual(aggregators.length)
+      }
+
+      let stacks = members.map((peer) => peer.startRounds(GROUP_ID, {interval: 100}))
+      let received = members.map(() => [])
+      stacks.forEach((stack, i) => {
+        stack.framer.on('message', (message) => received[i].push(message.toString()))
+      })
+      stacks[7].framer.send(Buffer.from('one of many'))
+      stacks[19].framer.send(Buffer.from('another one'))
+      await wait_until(() => received.every((messages) => messages.length == 2))
+
+      for (let messages of received) {
+        expect(messages.sort()).toEqual(['another one', 'one of many'])
+      }
+      expect(() => aggregators[0].startRounds(GROUP_ID)).toThrow(/no rounds/)
+      expect(aggregators[0].getStatus().sessions[0].status).toMatch(/^AGGREGATING/)
+    } finally {
+      await Promise.all(peers.map((peer) => peer.close()))
+    }
+  }, 60000)
+
+  it('forms a group from a signed descriptor and invitations', async () => {
+    let peers = await make_peers(3)
+    try {
+      let descriptor = peers[0].describeGroup(peers.slice(1).map((peer) => peer.keyPair.publicKey), {interval: 100})
+      let sessions = [peers[0].createSession(descriptor)]
+      for (let peer of peers.slice(1)) {
+        // Everyone else gets an invitation to paste in
+        sessions.push(peer.createSession(descriptor.toInvitation()))
+      }
+      await Promise.all(peers.map((peer) => peer.flush()))
+      for (let session of sessions) {
+        expect(session.groupId).toEqual(descriptor.groupId)
+      }
+      // And the same invitation again is fine
+      expect(peers[1].createSession(descriptor.toInvitation())).toBe(sessions[1])
+
+      // The interval comes from the descriptor
+      let stacks = peers.map((peer) => peer.startRounds(descriptor.groupId))
+      expect(stacks[0].timer.interval).toEqual(100)
+      let received = new Promise((resolve) => stacks[2].framer.once('message', resolve))
+      stacks[0].framer.send(Buffer.from('invited'))
+      expect((await received).toString()).toEqual('invited')
+    } finally {
+      await Promise.all(peers.map((peer) => peer.close()))
+    }
+  }, 30000)
+
+  it('refuses descriptors it should not trust', async () => {
+    let peers = await make_peers(2)
+    try {
+      let other = [peers[1].keyPair.publicKey]
+      let descriptor = peers[0].describeGroup(other, {interval: 100})
+
+      let tampered = GroupDescriptor.decode(descriptor.encode())
+      tampered.interval = 1
+      expect(() => peers[1].createSession(tampered)).toThrow(/signed/)
+      expect(() => peers[1].createSession({groupId: descriptor.groupId, members: descriptor.members})).toThrow(/signed/)
+
+      let outsiders = GroupDescriptor.create([crypto.keyPair().publicKey], crypto.keyPair(), {blockSize: 4096, interval: 100})
+      expect(() => peers[1].createSession(outsiders)).toThrow(/member/)
+
+      let wrongSize = GroupDescriptor.create(other, peers[0].keyPair, {blockSize: 1024, interval: 100})
+      expect(() => peers[1].createSession(wrongSize)).toThrow(/byte blocks/)
+
+      // Another group claiming the same ID
+      peers[1].createSession(descriptor)
+      let reused = new GroupDescriptor(Object.assign({}, descriptor, {interval: 200}), Buffer.alloc(0))
+      reused.signature = crypto.sign(reused.body, peers[0].keyPair.secretKey)
+      expect(reused.verify()).toBeTruthy()
+      expect(() => peers[1].createSession(reused)).toThrow(/different group/)
+    } finally {
+      await Promise.all(peers.map((peer) => peer.close()))
+    }
+  })
+
+  it('refuses peers with no protocol version in common', async () => {
+    let network = new LoopbackNetwork()
+    let peers = [new SparticPeer({swarm: new LoopbackSwarm({network: network})})]
+    let future = new SparticPeer({swarm: new LoopbackSwarm({network: network})})
+    future.makeHandshake = () => Object.assign(WireProtocol.makeHandshake([]), {version: 9, minVersion: 8})
+    peers.push(future)
+    try {
+      await Promise.all(peers.map((peer) => peer.listen()))
+      let refused = new Promise((resolve) => future.once('refused', resolve))
+      peers[0].createSession(GROUP_ID, [future.keyPair.publicKey])
+      let refusal = await refused
+      expect(refusal.publicKey.equals(peers[0].keyPair.publicKey)).toBeTruthy()
+      expect(refusal.code).toEqual(WireProtocol.REFUSAL_VERSION)
+      expect(refusal.version).toEqual(WireProtocol.VERSION)
+    } finally {
+      await Promise.all(peers.map((peer) => peer.close()))
+    }
+  })
+
+  it('quarantines a peer that keeps breaking the protocol', async () => {
+    let network = new LoopbackNetwork()
+    let policy = {throttleAt: 20, disconnectAt: Infinity, quarantineAt: 50}
+    let peers = []
+    for (let i = 0; i < 2; i++) {
+      peers.push(new SparticPeer({swarm: new LoopbackSwarm({network: network}), policy: policy}))
+    }
+    let [honest, rude] = peers
+    try {
+      await Promise.all(peers.map((peer) => peer.listen()))
+      await make_group(peers)
+      let messenger = null
+      await wait_until(() => {
+        messenger = rude._messengers.get(SparticPeer.keyToString(honest.keyPair.publicKey))
+        return messenger && messenger.agreed
+      })
+      let penalties = []
+      honest.on('penalty', (penalty) => penalties.push(penalty))
+      let reports = peers.map(() => [])
+      peers.forEach((peer, i) => peer.on('errorReport', (report) => reports[i].push(report)))
+
+      let quarantined = new Promise((resolve) => honest.on('penalty', (penalty) => {
+        if (penalty.action == 'quarantine') {
+          resolve()
+        }
+      }))
+      for (let i = 0; i < 10; i++) {
+        messenger.wireMessage.send(Buffer.from('ff', 'hex'))
+      }
+      await quarantined
+      await wait_until(() => honest._messengers.size == 0)
+
+      expect(penalties.map((penalty) => penalty.action)).toEqual(['throttle', 'quarantine'])
+      expect(penalties[1].publicKey.equals(rude.keyPair.publicKey)).toBeTruthy()
+      expect(penalties[1].code).toEqual(WireProtocol.ERROR_MALFORMED)
+      // We stop telling them what they did wrong once throttled, and they
+      // never answer our errors
+      expect(reports[1].length).toEqual(2)
+      expect(reports[1][0].code).toEqual(WireProtocol.ERROR_MALFORMED)
+      expect(reports[0].length).toEqual(0)
+      expect(honest._messengers.size).toEqual(0)
+
+      // They can't come back until we let them
+      rude.joinPeer(honest.keyPair.publicKey)
+      await new Promise((resolve) => setTimeout(resolve, 100))
+      expect(honest._messengers.size).toEqual(0)
+      honest.release(rude.keyPair.publicKey)
+      await wait_until(() => honest._messengers.size == 1)
+    } finally {
+      await Promise.all(peers.map((peer) => peer.close()))
+    }
+  })
+
+  it('logs nothing secret about messages for groups a peer is not in', async () => {
+    let logs = []
+    let peer = new SparticPeer({
+      swarm: new LoopbackSwarm({network: new LoopbackNetwork()}),
+      log: (...args) => logs.push(format(...args))
+    })
+    try {
+      await peer.listen()
+      peer.createSession(GROUP_ID, [crypto.keyPair().publicKey])
+      let stranger = crypto.keyPair().publicKey
+      expect(peer.sessionFor(GROUP_ID, stranger)).toBeNull()
+      expect(peer.sessionFor('nowhere', stranger)).toBeNull()
+
+      let logged = logs.join('\n')
+      expect(logged).toMatch(/No peer \(.*\) in session 5/)
+      expect(logged).toMatch(/No session nowhere for peer/)
+      expect(logged).not.toMatch(/secretKey/)
+      expect(logged).not.toContain(format(peer.keyPair.secretKey.subarray(0, 8)).slice(8, -1))
+    } finally {
+      await peer.close()
+    }
+  })
+
+  it('connects peers that only share a topic', async () => {
+    let peers = await make_peers(2)
+    try {
+      let connected = new Promise((resolve) => {
+        peers[1].swarm.once('connection', (conn, info) => resolve(info))
+      })
+      peers[0].joinTopic('somewhere')
+      peers[1].joinTopic('somewhere')
+      let info = await connected
+      expect(info.publicKey.equals(peers[0].keyPair.publicKey)).toBeTruthy()
+    } finally {
+      await Promise.all(peers.map((peer) => peer.close()))
+    }
+  })
+
+})
@@ -1,7 +1,15 @@
+import { on } from 'events'
+
+import GroupSession from './group_session.js'
 import SynchronizedKeystream from './synchronized_keystream.js'
+import PairwiseHandshake from './pairwise_handshake.js'
+import MembershipChange from './membership_change.js'
 import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
 import buffer_xor from 'buffer-xor'
 import xor_all from './xor_all.js'
+import MessageFramer from './message_framer.js'
+import FileTransfer from './file_transfer.js'
 
 /**
  * Represents a SparticPeer's membership in a ring.
@@ -10,156 +18,808 @@ import xor_all from './xor_all.js'
  * Determines and queues internally the messages it wants to send.
  * Then has messages it wants to send queries from it.
  *
- * MUST be protected from messages from peers not in the ring.
+ * MUST be protected from messages from peers not in the ring. Use hasMember()
+ * to check.
+ *
+ * Keeping track of keys, message queues and rounds is shared with
+ * AggregatorSession, in GroupSession.
  *
  * To talk to the ring, use readyToParticipate() and participateInRound() to
  * feed in the data you want to post (or zeroes), and popResult() to get back
  * the result blocks with everyone's posted data.
  *
- * TODO: To do collision detection we need to match up the results with what we
- * sent on what round.
+ * To do collision detection, use popRoundResult() instead, which matches up
+ * each result with what we sent in that round. A SlotScheduler can do this
+ * for you.
+ *
+ * Instead of polling, once a SparticPeer is running rounds for the session,
+ * send() data to the group, and get everyone's messages from the 'message'
+ * event or the messages() async iterator. A SessionStream wraps that up as a
+ * Duplex stream. Bigger payloads can go out with sendFile(), which can lose a
+ * few chunks and still be put back together, and come in with receiveFile().
+ *
+ * If a member jams a round, startBlame() has everyone reveal their pairwise
+ * keystream bits at one witness bit of that round, which shows who wrote there
+ * when they shouldn't have. A BlameProtocol works out when to do that. The
+ * culprit is evicted from the session at an agreed-on round, after which
+ * everyone's keystream leaves them out.
+ *
+ * In commit mode, each member first sends everyone a hash commitment to its
+ * block for a round, and only sends the block itself once it has everyone's
+ * commitments. Blocks are only accepted once all commitments are in, and must
+ * match their commitments. This stops the last member to send from seeing
+ * everyone else's blocks first and aiming its jamming at live slots. All
+ * members of a group must agree on whether to use commit mode.
+ *
+ * The member set can change over time, in numbered epochs. Any member can
+ * proposeMembership() with a new member set and a round for it to start at.
+ * Once everyone who is in the group both before and after the change has
+ * signed off on it, everyone in the new member set does fresh key agreement
+ * for the new epoch, and rounds from the start round on use the new member
+ * set and keystream. Rounds before that finish with the old ones, so no round
+ * ever mixes two member sets. A session for a peer that is being added is
+ * made with the "joining" option, and waits for a change that adds it.
+ *
+ * A session can be saved with exportState() and brought back after a restart
+ * with importState(). A SessionStore keeps them on disk, encrypted. Anything
+ * we sent after the state was saved is forgotten, so state should be saved
+ * after every round, before its messages go out. A restored session tells
+ * everyone which round it is on, and they send again anything it missed. If
+ * it turns out the group is past rounds the saved state doesn't know about,
+ * the session is stale: it may have already sent blocks for the rounds it is
+ * on, and making different ones would reuse keystream, so it refuses to send
+ * any more.
+ *
+ * Each round has a deadline, "roundTimeout" after we send our block in it.
+ * Call checkDeadline() every so often; a RoundTimer does it on every tick. If
+ * a round is past its deadline and still missing blocks (or, in commit mode,
+ * commitments), the session is STALLED, and what happens next depends on the
+ * "stallPolicy". STALL_WAIT keeps waiting. STALL_DROP gives up on the round,
+ * which then has no result, and moves on to the next; anything we sent in it
+ * has to be sent again. STALL_EXCLUDE drops rounds too, and once a member has
+ * held up "excludeAfter" rounds in a row, proposes a membership change
+ * without them. Only the first member in key order who isn't holding things
+ * up proposes it, so members don't propose clashing changes. Members who
+ * drop a round and members who finish it can end up seeing different
+ * results, but with a member who sends nobody anything, everyone drops it.
+ *
+ * Emits:
+ * 'verdict' with {sequenceNumber, bitOffset, culprits, disputes} when a blame
+ * finishes. culprits is a list of public keys of members who jammed;
+ * disputes is a list of pairs of public keys who disagree on what their
+ * pairwise keystream was, one of whom is lying.
+ * 'evicted' with the public key of a member who has been removed.
+ * 'protocolError' with {pubkey, code, sequenceNumber, message} when a peer
+ * sends us something we can't use, like a block that doesn't match its
+ * commitment. The code is one of ERRORS, and the sequenceNumber is the round
+ * it was about, or null if it wasn't about a round.
+ * 'proposal' with a MembershipChange when a valid proposal arrives.
+ * 'membership' with a MembershipChange when everyone has agreed to it and it
+ * is scheduled.
+ * 'left' when we reach the start of an epoch we are not in.
+ * 'stale' with {pubkey, sequenceNumber} when a member tells us they are on a
+ * round we can't have gotten to without sending blocks we don't remember.
+ * 'stalled' with {sequenceNumber, missing} when a round passes its deadline,
+ * where missing is the public keys of the members we are waiting on.
+ * 'recovered' with {sequenceNumber} when a stalled round finishes after all.
+ * 'dropped' with {sequenceNumber, missing} when we give up on a stalled
+ * round.
+ * 'excluding' with {missing, change} when we propose a MembershipChange
+ * without members who keep holding up rounds.
+ * 'outgoing' when there are new messages for peers to pop and send.
+ * 'keys' with the epoch number and how many shared keys we are still missing
+ * for it, as key agreement for the epoch goes along. Zero means the epoch's
+ * keystream is ready.
+ * 'message' with an application message buffer and {sequenceNumber, ours}
+ * for each message that comes out of the group, once a framer is attached.
+ * ours is true for messages we sent.
+ * 'fileOffered', 'fileProgress', 'fileReceived' and 'fileFailed' about file
+ * transfers. See FileTransfer.
+ *
+ * A group can also run with "aggregators", a few extra peers that members
+ * send their blocks to instead of to each other, so traffic grows with the
+ * number of members instead of its square. Each member is assigned one
+ * aggregator, and only agrees keys with, sends to and hears from the
+ * aggregators. Its keystream is made from what it shares with each
+ * aggregator, and each aggregator's from what it shares with each member, so
+ * they still all cancel out. The aggregators combine the blocks and their
+ * keystreams, and hand each member the round's result; see AggregatorSession.
+ * Nobody can tell who wrote what as long as one aggregator is honest, though
+ * a member has to trust its own aggregator to hand back the real result.
+ * Members never see each other's blocks, so groups with aggregators can't
+ * assign blame, don't need commit mode, can't change members, and can only
+ * wait out stalled rounds.
  */
-export default class SparticSession {
+export default class SparticSession extends GroupSession {
 
   /// How long are the blocks in each round?
   static get BLOCK_SIZE() {
     return 4096
   }
 
+  /// How many finished rounds do we keep the blocks for, in case we need to
+  /// assign blame for them?
+  static get HISTORY_ROUNDS() {
+    return 32
+  }
+
+  /// How many rounds ahead do membership changes start by default? Must leave
+  /// time for approvals and key agreement.
+  static get MEMBERSHIP_ROUNDS() {
+    return 16
+  }
+
+  /// How long do we wait for everyone's blocks by default, in milliseconds
+  /// after we send ours?
+  static get ROUND_TIMEOUT() {
+    return 60000
+  }
+
+  /// Stall policy where we keep waiting for a stalled round
+  static get STALL_WAIT() {
+    return 'wait'
+  }
+
+  /// Stall policy where we give up on stalled rounds
+  static get STALL_DROP() {
+    return 'drop'
+  }
+
+  /// Stall policy where we give up on stalled rounds and try to remove the
+  /// members holding them up
+  static get STALL_EXCLUDE() {
+    return 'exclude'
+  }
+
+  /// How many rounds in a row does a member have to hold up by default
+  /// before we try to remove them?
+  static get EXCLUDE_AFTER() {
+    return 3
+  }
+
+  /// What version of exportState() output do we make?
+  static get STATE_VERSION() {
+    return 1
+  }
+
+  /// What codes do we report protocol errors with?
+  static get ERRORS() {
+    return {
+      // Key agreement message for an epoch we aren't setting up
+      WRONG_EPOCH: 'wrong-epoch',
+      // Key agreement message that doesn't check out
+      HANDSHAKE: 'handshake',
+      // Message for a round we aren't taking messages for
+      WRONG_ROUND: 'wrong-round',
+      // Message we already have
+      DUPLICATE: 'duplicate',
+      // Block that isn't BLOCK_SIZE long
+      WRONG_SIZE: 'wrong-size',
+      // Commitment in a group that doesn't use them
+      NOT_COMMITTING: 'not-committing',
+      // Block that doesn't match its commitment
+      BAD_COMMITMENT: 'bad-commitment',
+      // Membership change that isn't valid
+      INVALID_MEMBERSHIP: 'invalid-membership',
+      // Approval that isn't valid
+      INVALID_APPROVAL: 'invalid-approval',
+      // Reveal that shows more keystream than the bit under blame
+      INVALID_REVEAL: 'invalid-reveal',
+      // Message for something the session doesn't do, like a result in a
+      // group without aggregators
+      UNSUPPORTED: 'unsupported'
+    }
+  }
+
   /// Make a new SparticSession, given the public keys of the other
   /// participants.
-  constructor(otherPubkeys) {
-    // Remember all the public keys
-    this.otherPubkeys = otherPubkeys
-    
-    // To establish shared keys, we send each peer a key and receive a key from
-    // each. Then we can start round 0.
-    this.ourSharedKeys = new Map()
-    for (let pubkey of this.otherPubkeys) {
-      this.ourSharedKeys.set(pubkey, crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE))
+  ///
+  /// Options must contain our identity "keyPair" ({publicKey, secretKey}
+  /// ed25519 buffers) and the "groupId" of the group, which the key agreement
+  /// is bound to.
+  ///
+  /// Options can also set "commitBlocks" to true to use commit mode.
+  ///
+  /// Options can set "ratchetInterval" to the number of rounds between
+  /// forward-secure ratchets of the pairwise keys, which must be the same for
+  /// all members. See SynchronizedKeystream.
+  ///
+  /// Options can set "keystreamPool" to a KeystreamPool, to make each round's
+  /// keystream ahead of time in worker threads.
+  ///
+  /// Options can set "joining" to true if we are being added to a running
+  /// group, in which case the other public keys are who we expect to be in
+  /// the group once we are added.
+  ///
+  /// Options can set "acceptMembership", a function from a MembershipChange to
+  /// true if we are willing to approve it. By default we approve any valid
+  /// change.
+  ///
+  /// Options can set "descriptor" to the encoded GroupDescriptor the group
+  /// was made from, which is kept with the session.
+  ///
+  /// Options can set "roundTimeout" to how long to wait for a round in
+  /// milliseconds, "stallPolicy" to what to do when that runs out (STALL_WAIT,
+  /// STALL_DROP or STALL_EXCLUDE), and "excludeAfter" to how many rounds in a
+  /// row a member can hold up before STALL_EXCLUDE tries to remove them.
+  ///
+  /// Options can set "maxFileSize" to the biggest file in bytes we will put
+  /// together for receiveFile().
+  ///
+  /// Options can set "aggregators" to the public keys of the group's
+  /// aggregators, which must be the same for all members, to send our blocks
+  /// through them instead of to everyone.
+  constructor(otherPubkeys, options) {
+    super()
+    if (!options || !options.keyPair) {
+      throw new Error('An identity keyPair is required to make a session')
+    }
+    this.keyPair = options.keyPair
+    this.groupId = options.groupId
+    this.commitBlocks = !!options.commitBlocks
+    this.ratchetInterval = options.ratchetInterval
+    this.keystreamPool = options.keystreamPool || null
+    this.acceptMembership = options.acceptMembership || (() => true)
+    this.descriptor = options.descriptor || null
+    this.roundTimeout = options.roundTimeout || this.constructor.ROUND_TIMEOUT
+    this.stallPolicy = options.stallPolicy || this.constructor.STALL_WAIT
+    this.excludeAfter = options.excludeAfter || this.constructor.EXCLUDE_AFTER
+    if ([this.constructor.STALL_WAIT, this.constructor.STALL_DROP, this.constructor.STALL_EXCLUDE].indexOf(this.stallPolicy) == -1) {
+      throw new Error('Unknown stall policy ' + this.stallPolicy)
+    }
+    if (options.aggregators && this.commitBlocks) {
+      throw new Error('Groups with aggregators do not use commit mode')
+    }
+    if (options.aggregators && this.stallPolicy != this.constructor.STALL_WAIT) {
+      throw new Error('Groups with aggregators can only wait out stalled rounds')
     }
-    
-    // When we get the ones from the other peers we put them in here.
-    this.theirSharedKeys = new Map() 
-    for (let pubkey of this.otherPubkeys) {
-      // Make slots for all the keys we expect
-      this.theirSharedKeys.set(pubkey, null)
+
+    // The MessageFramer running on us, once rounds are running, which
+    // application messages go through
+    this.framer = null
+    // Messages waiting for a framer, as {data, channel}
+    this.outbox = []
+    // IDs of application messages we sent that haven't come back out yet, as
+    // hex strings
+    this.ownMessages = new Set()
+    // Handler for messages out of the framer, so we can stop listening
+    this.onFramerMessage = (message, messageId, sequenceNumber) => {
+      this.deliverMessage(message, messageId, sequenceNumber)
+    }
+    // Handler for control messages out of the framer
+    this.onFramerControl = (channel, message, sequenceNumber) => {
+      this.files.receive(channel, message, sequenceNumber)
     }
+    // Files we are sending and putting together
+    this.files = new FileTransfer(this, {maxFileSize: options.maxFileSize})
 
+    // Remember all the public keys
+    let members = otherPubkeys.map((pubkey) => this.rememberKey(pubkey))
+
+    // The group's aggregators, in key order, if it has them, and the one we
+    // send our blocks to and get results from
+    this.aggregators = null
+    this.upstream = null
+    if (options.aggregators) {
+      this.aggregators = options.aggregators.map((pubkey) => this.rememberKey(pubkey)).sort(b4a.compare)
+      this.upstream = this.constructor.aggregatorFor(this.keyPair.publicKey, members.concat([this.keyPair.publicKey]), this.aggregators)
+    }
+    // Who we talk to: the other members, or the aggregators if there are any
+    this.otherPubkeys = this.aggregators || members
+
+    // The member sets we have been and will be using, in order of start round.
+    // Each is {epoch, startRound, members, handshakes, keystream}, where
+    // members is the other members' public keys, or null if we aren't in the
+    // group from that round on.
+    // To establish shared keys for an epoch, we do an authenticated key
+    // agreement with each peer. Nobody contributes to our keystream until they
+    // have proven who they are. Evictions start a new entry in the same epoch,
+    // with the same handshakes, and fewer members.
+    this.epochs = []
+    // Member sets we are done with, whose keys we wipe once our history
+    // doesn't need them anymore
+    this.retiredEpochs = []
 
     // We use these round objects to manage how we might start getting blocks
     // from the next round before we send our block for the next round or have
     // all the blocks for the current round. We never let things get more than
-    // 1 round ahead.
+    // 1 round ahead, except for new members' first round.
     this.currentRound = null
-    this.nextRound = {
-      sequenceNumber: 0,
-      theirBlocks: {},
-      ourBlock: null
-    }
+    this.nextRound = null
+    // Rounds that start new epochs, which new members can get to before we
+    // do, by sequence number.
+    this.pendingRounds = new Map()
 
-    // Holds queued messages for each other peer.
-    // Messages are either ['key', shared key]
-    // Or ['block', sequence number, block]
-    // Or ['error', message] 
-    this.queues = new Map()
-    for (let pubkey of this.otherPubkeys) {
-      this.queues.set(pubkey, [])
-    }
+    // Blocks from recently finished rounds, by sequence number, as {epoch,
+    // members, ourBlock, theirBlocks}.
+    this.history = new Map()
+
+    // Blames in progress, by sequence number and bit offset
+    this.blames = new Map()
+    // Members to evict, as {sequenceNumber, pubkey}, once we reach that round
+    this.evictions = []
+
+    // Membership changes we have heard about but that aren't agreed yet, by
+    // hash hex string
+    this.proposals = new Map()
+    // Approvals that beat their proposal here, by proposal hash hex string, as
+    // lists of [pubkey, signature]
+    this.earlyApprovals = new Map()
+    // The proposal we approved for each epoch, by epoch number
+    this.approved = new Map()
+    // Hellos for the next epoch that beat our agreement on it, by pubkey hex
+    // string, as [epoch, ephemeral key]
+    this.earlyHellos = new Map()
 
     // Holds the finished decoded messages for completed rounds until they can
     // be retrieved
     this.results = []
 
-    this.sendKeys()
+    // Set if we found out we were restored from state older than rounds we
+    // already sent in, so we must not send anything more
+    this.stale = false
+
+    // The current round, if it is past its deadline, as {sequenceNumber,
+    // missing}
+    this.stalled = null
+    // How many stalled rounds in a row each member has held up, by pubkey
+    // hex string
+    this.silentRounds = new Map()
+    // The membership change we proposed to remove silent members, if any
+    this.exclusion = null
+
+    if (!options.joining) {
+      // We start the group, at round 0
+      this.epochs.push(this.makeEpoch(0, 0, members))
+      this.nextRound = this.makeRound(0)
+      this.sendHellos(this.epochs[0])
+    }
+  }
+
+  /// Make an epoch record for a fresh member set, with new handshakes
+  makeEpoch(epoch, startRound, members) {
+    let handshakes = new Map()
+    for (let pubkey of (this.aggregators || members)) {
+      handshakes.set(pubkey.toString('hex'), new PairwiseHandshake(this.groupId, this.keyPair, pubkey, epoch))
+    }
+    return {
+      epoch: epoch,
+      startRound: startRound,
+      members: members,
+      handshakes: handshakes,
+      keystream: null
+    }
+  }
+
+  /// Get the epoch record in effect at the given round, or null if we are not
+  /// in the group yet then.
+  epochFor(sequenceNumber) {
+    let found = null
+    for (let entry of this.epochs) {
+      if (entry.startRound <= sequenceNumber) {
+        found = entry
+      }
+    }
+    return found
   }
-  
+
+  /// Get the other members in the group at the given round, which may be
+  /// empty if we aren't in it.
+  membersFor(sequenceNumber) {
+    let entry = this.epochFor(sequenceNumber)
+    return (entry && entry.members) || []
+  }
+
+  /// Get who we agree keys with in the given epoch record: the other members,
+  /// or the aggregators if the group has them. Empty if we aren't in the
+  /// group then.
+  keyPeersFor(entry) {
+    if (!entry.members) {
+      return []
+    }
+    return this.aggregators || entry.members
+  }
+
+  /// Get who we send our block to in the given round: the other members, or
+  /// just our aggregator if the group has aggregators
+  recipientsFor(sequenceNumber) {
+    return this.aggregators ? [this.upstream] : this.membersFor(sequenceNumber)
+  }
+
+  /// Get which of a group's aggregators the member with the given public key
+  /// sends its blocks to, given all the members and all the aggregators.
+  /// Members are dealt out to the aggregators in key order, so everyone works
+  /// out the same thing.
+  static aggregatorFor(pubkey, members, aggregators) {
+    let index = members.slice().sort(b4a.compare).findIndex((k) => b4a.equals(k, pubkey))
+    return aggregators.slice().sort(b4a.compare)[index % aggregators.length]
+  }
+
+  /// Get the latest epoch record, or null if we aren't in the group yet
+  latestEpoch() {
+    return this.epochs.length > 0 ? this.epochs[this.epochs.length - 1] : null
+  }
+
+  /// Work out who we are talking to, from the round we are on through all
+  /// the member sets we have scheduled.
+  updateMembers() {
+    if (this.epochs.length == 0) {
+      // Still just who we expect to join with
+      return
+    }
+    let sequenceNumber = this.currentRound ? this.currentRound.sequenceNumber : this.nextRound.sequenceNumber
+    let current = this.epochFor(sequenceNumber)
+    let members = []
+    for (let entry of this.epochs.slice(current ? this.epochs.indexOf(current) : 0)) {
+      for (let pubkey of this.keyPeersFor(entry)) {
+        if (members.indexOf(pubkey) == -1) {
+          members.push(pubkey)
+        }
+      }
+    }
+    this.otherPubkeys = members
+  }
+
   /// Report the status of the session as a human-readable string
   getStatus() {
-    if (this.keystream) {
-      if (!this.currentRound) {
-        return 'SETUP: Not in a round'
+    if (this.stale) {
+      return 'STALE: Restored from old state; the group is past round ' + this.roundNumber()
+    }
+    let entry = this.nextRound ? this.epochFor(this.currentRound ? this.currentRound.sequenceNumber : this.nextRound.sequenceNumber) : null
+    if (!entry) {
+      return 'SETUP: Waiting to be added to the group'
+    }
+    if (!entry.members) {
+      return 'LEFT: No longer in the group'
+    }
+    if (entry.keystream && this.currentRound) {
+      if (this.stalled) {
+        return 'STALLED: Round ' + this.currentRound.sequenceNumber + ' of epoch ' + entry.epoch + ' is past its deadline, waiting on ' +
+          this.stalled.missing.length + ' peers [' + this.stalled.missing.map((k) => k.toString('hex').substring(0, 8)) + ']'
       }
       if (this.currentRound.ourBlock) {
-        return 'RUNNING: In round ' + this.currentRound.sequenceNumber + ', block created, ' + this.results.length + ' results available'
+        return 'RUNNING: In round ' + this.currentRound.sequenceNumber + ' of epoch ' + entry.epoch + ', block created, ' + this.results.length + ' results available'
       } else {
-        return 'RUNNING: In round ' + this.currentRound.sequenceNumber + ', block needed, ' + this.results.length + ' results available'
+        return 'RUNNING: In round ' + this.currentRound.sequenceNumber + ' of epoch ' + entry.epoch + ', block needed, ' + this.results.length + ' results available'
       }
     } else {
       let missingPeers = 0
-      for (let pubkey of this.otherPubkeys) {
-        if (!this.theirSharedKeys.get(pubkey)) {
+      let failedPeers = 0
+      for (let pubkey of this.keyPeersFor(entry)) {
+        let handshake = entry.handshakes.get(pubkey.toString('hex'))
+        if (handshake.failed) {
+          failedPeers++
+        } else if (!handshake.isDone()) {
           missingPeers++
         }
       }
-      return 'SETUP: Awaiting shared keys from ' + missingPeers + ' peers'
+      if (failedPeers > 0) {
+        return 'FAILED: ' + failedPeers + ' peers could not authenticate'
+      }
+      return 'SETUP: Awaiting authenticated key agreement with ' + missingPeers + ' peers for epoch ' + entry.epoch
+    }
+  }
+
+  /// Send our ephemeral keys to all the peers in an epoch to start key
+  /// agreement
+  sendHellos(entry) {
+    for (let pubkey of this.keyPeersFor(entry)) {
+      this.queueMessage(pubkey, ['hello', entry.epoch, entry.handshakes.get(pubkey.toString('hex')).getHello()])
     }
   }
 
-  /// Send our half of the shared keys to all the peers
-  sendKeys() {
-    // Start out by telling everyone else our key
-    for (let pubkey of this.otherPubkeys) {
-      this.queues.get(pubkey).push(['key', this.ourSharedKeys.get(pubkey)])
+  /// Get our handshake with the given peer for the given epoch, or null
+  handshakeFor(epoch, pubkey) {
+    for (let entry of this.epochs) {
+      if (entry.epoch == epoch && entry.handshakes) {
+        return entry.handshakes.get(pubkey.toString('hex')) || null
+      }
     }
+    return null
   }
 
-  /// Handle receipt of a shared key from a peer
-  receiveKey(pubkey, sharedKey) {
-    console.log('Got a shared key')
-    if (this.theirSharedKeys.get(pubkey)) {
-      // We already have a key, so complain
-      this.queues.get(pubkey).push(['error', 'public key already received'])
+  /// Handle receipt of an ephemeral key from a peer
+  receiveHello(pubkey, epoch, ephemeralKey) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
       return
     }
-    // Store the key
-    this.theirSharedKeys.set(pubkey, sharedKey)
-    let missingKeys = 0
-    for (let pubkey of this.otherPubkeys) {
-      if (!this.theirSharedKeys.get(pubkey)) {
-        missingKeys++
+    let handshake = this.handshakeFor(epoch, pubkey)
+    if (!handshake) {
+      let latest = this.latestEpoch()
+      if (!latest || epoch == latest.epoch + 1) {
+        // They agreed on the next epoch before we did
+        this.earlyHellos.set(pubkey.toString('hex'), [epoch, ephemeralKey])
+      } else {
+        this.protocolError(pubkey, this.constructor.ERRORS.WRONG_EPOCH, null, 'hello is for an unacceptable epoch')
       }
+      return
     }
-    if (missingKeys > 0) {
-      console.log('Still missing ' + missingKeys + ' shared keys')
+    let signature
+    try {
+      signature = handshake.receiveHello(ephemeralKey)
+    } catch (e) {
+      this.protocolError(pubkey, this.constructor.ERRORS.HANDSHAKE, null, e.message)
       return
     }
-    // Now we are the last key to arrive.
-    
-    // Make a list of all the keys
-    secrets = []
-    for (let pubkey of this.otherPubkeys) {
-      secrets.push(this.ourSharedKeys.get(pubkey))
-      secrets.push(this.theirSharedKeys.get(pubkey))
+    // Prove our identity to them
+    this.queueMessage(pubkey, ['auth', epoch, signature])
+  }
+
+  /// Handle receipt of a transcript signature from a peer
+  receiveAuth(pubkey, epoch, signature) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return
     }
+    let handshake = this.handshakeFor(epoch, pubkey)
+    if (!handshake) {
+      this.protocolError(pubkey, this.constructor.ERRORS.WRONG_EPOCH, null, 'auth is for an unacceptable epoch')
+      return
+    }
+    try {
+      handshake.receiveAuth(signature)
+    } catch (e) {
+      this.protocolError(pubkey, this.constructor.ERRORS.HANDSHAKE, null, e.message)
+      return
+    }
+    this.checkKeysDone()
+  }
 
-    // Prepare the keystream
-    console.log('Got all shared keys; Setting up SynchronizedKeystream')
-    this.keystream = new SynchronizedKeystream(secrets)
+  /// Set up the keystream for any epoch we have all the shared keys for, and
+  /// start running rounds if we can.
+  checkKeysDone() {
+    for (let entry of this.epochs) {
+      if (!entry.members || entry.keystream) {
+        continue
+      }
+      let missingKeys = 0
+      for (let pubkey of this.keyPeersFor(entry)) {
+        if (!entry.handshakes.get(pubkey.toString('hex')).isDone()) {
+          missingKeys++
+        }
+      }
+      this.emit('keys', entry.epoch, missingKeys)
+      if (missingKeys > 0) {
+        continue
+      }
+      // Prepare the keystream
+      entry.keystream = this.makeKeystream(entry, this.keyPeersFor(entry))
+    }
+    for (let entry of this.epochs) {
+      if (entry.keystream && entry.handshakes) {
+        // The keystreams have their own copies, which ratchet forward, so the
+        // original secrets can go.
+        for (let handshake of entry.handshakes.values()) {
+          handshake.wipe()
+        }
+      }
+    }
 
-    // Advance to first round
-    this.advanceRound()
+    if (!this.currentRound && this.nextRound) {
+      let entry = this.epochFor(this.nextRound.sequenceNumber)
+      if (entry && entry.keystream) {
+        // Advance to first round
+        this.advanceRound()
+      }
+    }
+  }
+
+  /// Make a SynchronizedKeystream from our shared secrets in the given epoch
+  /// with the given members, in order.
+  makeKeystream(entry, pubkeys) {
+    let secrets = []
+    for (let pubkey of pubkeys) {
+      secrets.push(entry.handshakes.get(pubkey.toString('hex')).sharedSecret)
+    }
+    return new SynchronizedKeystream(secrets, {
+      ratchetInterval: this.ratchetInterval,
+      // Blame needs to look at old rounds' keystreams
+      retainRounds: this.constructor.HISTORY_ROUNDS,
+      pool: this.keystreamPool
+    })
+  }
+
+  /// Make a SynchronizedKeystream for a smaller member set, from the current
+  /// keys of the keystream for a bigger one.
+  selectKeystream(keystream, fromMembers, toMembers) {
+    return keystream.select(toMembers.map((pubkey) => fromMembers.indexOf(pubkey)))
+  }
+
+  /// Wipe the keys of member sets we are done with that no round in our
+  /// history used.
+  wipeRetiredEpochs() {
+    let remaining = []
+    for (let entry of this.retiredEpochs) {
+      let needed = false
+      for (let past of this.history.values()) {
+        if (past.epoch === entry) {
+          needed = true
+        }
+      }
+      if (needed) {
+        remaining.push(entry)
+      } else if (entry.keystream) {
+        entry.keystream.destroy()
+      }
+    }
+    this.retiredEpochs = remaining
+  }
+
+  /// Make a new empty round object for the given sequence number
+  makeRound(sequenceNumber) {
+    return {
+      sequenceNumber: sequenceNumber,
+      theirBlocks: new Map(),
+      ourBlock: null,
+      ourMessage: null,
+      // In commit mode, we also track commitments, and blocks that showed up
+      // before all the commitments did.
+      theirCommitments: new Map(),
+      earlyBlocks: new Map(),
+      revealed: false,
+      // When we give up waiting, in milliseconds since the epoch, once we
+      // have sent
+      deadline: null,
+      // Set if we gave up on the round
+      dropped: false,
+      // In groups with aggregators, the result our aggregator sent back
+      result: null
+    }
+  }
+
+  /// Get the round object for the given sequence number, if it is the current
+  /// or next round, or null otherwise.
+  ///
+  /// New members don't have any earlier rounds to wait for, so they can send
+  /// for the first round of their epoch before we get there. We hold on to
+  /// those.
+  roundFor(sequenceNumber, pubkey) {
+    let round = super.roundFor(sequenceNumber)
+    if (round) {
+      return round
+    } else if (this.nextRound && sequenceNumber > this.nextRound.sequenceNumber) {
+      let entry = this.epochFor(sequenceNumber)
+      if (entry.startRound == sequenceNumber && entry.members && entry.members.indexOf(pubkey) != -1) {
+        if (!this.pendingRounds.has(sequenceNumber)) {
+          this.pendingRounds.set(sequenceNumber, this.makeRound(sequenceNumber))
+        }
+        return this.pendingRounds.get(sequenceNumber)
+      }
+    }
+    return null
   }
 
   /// Handle receipt of a block with a sequence number from a peer
   receiveBlock(pubkey, sequenceNumber, block) {
-    if (this.currentRound && sequenceNumber == this.currentRound.sequenceNumber) {
-      this.receiveBlockForRound(pubkey, block, this.currentRound)
-    } else if (this.nextRound && sequenceNumber == this.nextRound.sequenceNumber) {
-      this.receiveBlockForRound(pubkey, block, this.nextRound)
-    } else {
-      this.queues.get(pubkey).push(['error', 'block is for an unacceptable round'])
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey || this.membersFor(sequenceNumber).indexOf(pubkey) == -1) {
+      // They aren't in the group for that round, or have been evicted
       return
     }
-    
+    let round = this.roundFor(sequenceNumber, pubkey)
+    if (!round) {
+      this.protocolError(pubkey, this.constructor.ERRORS.WRONG_ROUND, sequenceNumber, 'block is for an unacceptable round')
+      return
+    }
+    if (this.commitBlocks && !round.revealed) {
+      // Hold on to it until everyone is committed
+      if (round.earlyBlocks.has(pubkey)) {
+        this.protocolError(pubkey, this.constructor.ERRORS.DUPLICATE, sequenceNumber, 'block is already here')
+      } else {
+        round.earlyBlocks.set(pubkey, block)
+      }
+      return
+    }
+    this.receiveBlockForRound(pubkey, block, round)
+
+    this.checkRoundDone()
+  }
+
+  /// Handle receipt of a block commitment with a sequence number from a peer
+  receiveCommit(pubkey, sequenceNumber, commitment) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey || this.membersFor(sequenceNumber).indexOf(pubkey) == -1) {
+      // They aren't in the group for that round, or have been evicted
+      return
+    }
+    if (!this.commitBlocks) {
+      this.protocolError(pubkey, this.constructor.ERRORS.NOT_COMMITTING, sequenceNumber, 'not using commitments')
+      return
+    }
+    let round = this.roundFor(sequenceNumber, pubkey)
+    if (!round) {
+      this.protocolError(pubkey, this.constructor.ERRORS.WRONG_ROUND, sequenceNumber, 'commitment is for an unacceptable round')
+      return
+    }
+    if (round.theirCommitments.has(pubkey)) {
+      this.protocolError(pubkey, this.constructor.ERRORS.DUPLICATE, sequenceNumber, 'commitment is already here')
+      return
+    }
+    round.theirCommitments.set(pubkey, commitment)
+    this.checkCommitmentsDone(round)
+  }
+
+  /// Handle receipt of a round's result from our aggregator, in a group with
+  /// aggregators
+  receiveResult(pubkey, sequenceNumber, result) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return
+    }
+    if (!this.aggregators) {
+      this.protocolError(pubkey, this.constructor.ERRORS.UNSUPPORTED, sequenceNumber, 'not using aggregators')
+      return
+    }
+    if (pubkey !== this.upstream) {
+      this.protocolError(pubkey, this.constructor.ERRORS.UNSUPPORTED, sequenceNumber, 'results come from our own aggregator')
+      return
+    }
+    let round = this.roundFor(sequenceNumber, pubkey)
+    if (!round || !round.ourBlock) {
+      // Nobody can have the result before they have our block
+      this.protocolError(pubkey, this.constructor.ERRORS.WRONG_ROUND, sequenceNumber, 'result is for an unacceptable round')
+      return
+    }
+    if (round.result) {
+      this.protocolError(pubkey, this.constructor.ERRORS.DUPLICATE, sequenceNumber, 'result is already here')
+      return
+    }
+    if (result.length != this.constructor.BLOCK_SIZE) {
+      this.protocolError(pubkey, this.constructor.ERRORS.WRONG_SIZE, sequenceNumber, 'result is the wrong size')
+      return
+    }
+    round.result = result
+
+    this.checkRoundDone()
+  }
+
+  /// In commit mode, if we and everyone else have committed to our blocks for
+  /// the given round, send our block and accept any blocks we were holding.
+  checkCommitmentsDone(round) {
+    if (round.revealed || !round.ourBlock) {
+      return
+    }
+    let members = this.membersFor(round.sequenceNumber)
+    for (let pubkey of members) {
+      if (!round.theirCommitments.has(pubkey)) {
+        // Still waiting on someone
+        return
+      }
+    }
+    round.revealed = true
+
+    for (let pubkey of members) {
+      // Now it is safe to tell everyone
+      this.queueMessage(pubkey, ['block', round.sequenceNumber, round.ourBlock])
+    }
+    for (let [pubkey, block] of round.earlyBlocks.entries()) {
+      if (members.indexOf(pubkey) != -1) {
+        this.receiveBlockForRound(pubkey, block, round)
+      }
+    }
+    round.earlyBlocks.clear()
+
+    this.checkRoundDone()
+  }
+
+  /// Advance the round if the current round has all its blocks
+  checkRoundDone() {
     if (this.currentRound) {
       // See if the current round is done
       if (!this.currentRound.ourBlock) {
         // Not done because we haven't done our block yet
         return
       }
-      for (let pubkey of this.otherPubkeys) {
-        if (!this.theirBlocks[pubkey]) {
+      if (this.aggregators) {
+        if (this.currentRound.result) {
+          // Our aggregator finished it
+          this.advanceRound()
+        }
+        return
+      }
+      for (let pubkey of this.membersFor(this.currentRound.sequenceNumber)) {
+        if (!this.currentRound.theirBlocks.get(pubkey)) {
           // Not done because we are missing this peer
           return
         }
@@ -171,37 +831,101 @@ export default class SparticSession {
 
   /// Handle receipt of a block that belongs in the given round
   receiveBlockForRound(pubkey, block, round) {
-    if (round.theirBlocks[pubkey]) {
-      this.queues.get(pubkey).push(['error', 'block is already here'])
+    if (round.theirBlocks.get(pubkey)) {
+      this.protocolError(pubkey, this.constructor.ERRORS.DUPLICATE, round.sequenceNumber, 'block is already here')
       return
     }
-    if (block.length != this.prototype.BLOCK_SIZE) {
-      this.queues.get(pubkey).push(['error', 'block is the wrong size'])
+    if (block.length != this.constructor.BLOCK_SIZE) {
+      this.protocolError(pubkey, this.constructor.ERRORS.WRONG_SIZE, round.sequenceNumber, 'block is the wrong size')
       return
     }
-    round.theirBlocks[pubkey] = block
+    if (this.commitBlocks) {
+      let commitment = this.constructor.commitmentFor(round.sequenceNumber, block)
+      if (!b4a.equals(commitment, round.theirCommitments.get(pubkey))) {
+        this.protocolError(pubkey, this.constructor.ERRORS.BAD_COMMITMENT, round.sequenceNumber, 'block does not match commitment')
+        return
+      }
+    }
+    round.theirBlocks.set(pubkey, block)
   }
 
-  /// Compute the result of the current round and start the next round 
+  /// Compute the result of the current round and start the next round
   advanceRound() {
-    if (this.currentRound) {
+    if (this.currentRound && this.currentRound.dropped) {
+      // Nobody gets anything out of it, but it still happened
+      this.results.push({
+        sequenceNumber: this.currentRound.sequenceNumber,
+        result: null,
+        sent: this.currentRound.ourMessage,
+        dropped: true
+      })
+    } else if (this.currentRound) {
+      if (this.stalled) {
+        this.emit('recovered', {sequenceNumber: this.currentRound.sequenceNumber})
+      }
+      // Everyone came through
+      this.silentRounds.clear()
       // Handle the finished round.
-      // Start with our block
-      blocks = [this.currentRound.ourBlock]
-      for (let pubkey of this.otherPubkeys) {
-        // Collect all their blocks
-        blocks.push(this.currentRound.theirBlocks[pubkey])
+      let entry = this.epochFor(this.currentRound.sequenceNumber)
+      let result = this.currentRound.result
+      if (!this.aggregators) {
+        // Start with our block
+        let blocks = [this.currentRound.ourBlock]
+        for (let pubkey of entry.members) {
+          // Collect all their blocks
+          blocks.push(this.currentRound.theirBlocks.get(pubkey))
+        }
+        result = xor_all(blocks)
       }
-      // Do the XOR and keep the result
-      this.results.push(xor_all(blocks))
+      // Keep the result, along with what we wrote into it so we can tell if
+      // our write survived.
+      this.results.push({
+        sequenceNumber: this.currentRound.sequenceNumber,
+        result: result,
+        sent: this.currentRound.ourMessage
+      })
+
+      // Keep the blocks around for a while in case someone cries foul
+      this.keepHistory(this.currentRound.sequenceNumber, {
+        epoch: entry,
+        members: [this.keyPair.publicKey].concat(entry.members),
+        ourBlock: this.currentRound.ourBlock,
+        theirBlocks: this.currentRound.theirBlocks
+      })
     }
 
-    // Swap the round buffers
+    // Swap the round buffers, picking up anything new members sent early
+    this.stalled = null
     this.currentRound = this.nextRound
-    this.nextRound = {
-      sequenceNumber: this.currentRound.sequenceNumber + 1,
-      theirBlocks: {},
-      ourBlock: null
+    let sequenceNumber = this.currentRound.sequenceNumber + 1
+    this.nextRound = this.pendingRounds.get(sequenceNumber) || this.makeRound(sequenceNumber)
+    this.pendingRounds.delete(sequenceNumber)
+
+    // Drop anyone who was found out, before anyone uses this round's keystream
+    this.applyEvictions()
+
+    // Member sets from before this round are done with. History keeps its
+    // own references for blame.
+    let current = this.epochFor(this.currentRound.sequenceNumber)
+    for (let entry of this.epochs) {
+      if (entry.startRound < current.startRound) {
+        this.retiredEpochs.push(entry)
+      }
+    }
+    this.epochs = this.epochs.filter((entry) => entry.startRound >= current.startRound)
+    this.wipeRetiredEpochs()
+    this.updateMembers()
+
+    if (!current.members && current.startRound == this.currentRound.sequenceNumber) {
+      // We aren't in the group anymore
+      this.emit('left')
+    }
+
+    let upcoming = this.epochFor(this.nextRound.sequenceNumber)
+    if (upcoming.keystream) {
+      // Get a head start on the next round's keystream. If it isn't ready in
+      // time we just make it when we need it.
+      upcoming.keystream.prefetch(this.nextRound.sequenceNumber, this.constructor.BLOCK_SIZE).catch(() => {})
     }
 
     // New current round can't also be ready since we need to generate a block still.
@@ -218,13 +942,137 @@ export default class SparticSession {
     if (this.currentRound.ourBlock) {
       throw new Error('Message already sent this round; cannot send message')
     }
+    if (this.stale) {
+      throw new Error('Restored from old state; cannot send message')
+    }
+    if (this.blameBlocksRound()) {
+      throw new Error('Waiting on a blame verdict; cannot send message')
+    }
+    let entry = this.epochFor(this.currentRound.sequenceNumber)
+    if (!entry.members) {
+      throw new Error('Not in the group anymore; cannot send message')
+    }
+    if (!entry.keystream) {
+      throw new Error('Waiting on key agreement for epoch ' + entry.epoch + '; cannot send message')
+    }
+    // Remember what we wrote, for collision detection
+    this.currentRound.ourMessage = messageBuffer
+    this.currentRound.deadline = Date.now() + this.roundTimeout
     // Read the keystream and do the xor to set the block for the round
-    this.currentRound.ourBlock = buffer_xor(this.keystream.read(this.sequenceNumber, this.constructor.BLOCK_SIZE), messageBuffer)
+    this.currentRound.ourBlock = buffer_xor(entry.keystream.read(this.currentRound.sequenceNumber, this.constructor.BLOCK_SIZE), messageBuffer)
 
-    for (let pubkey of this.otherPubkeys) {
+    if (this.commitBlocks) {
+      // Tell everyone what we will send, but not what it is yet
+      let commitment = this.constructor.commitmentFor(this.currentRound.sequenceNumber, this.currentRound.ourBlock)
+      for (let pubkey of entry.members) {
+        this.queueMessage(pubkey, ['commit', this.currentRound.sequenceNumber, commitment])
+      }
+      // We might have been the last one to commit
+      this.checkCommitmentsDone(this.currentRound)
+      return
+    }
+
+    for (let pubkey of this.recipientsFor(this.currentRound.sequenceNumber)) {
       // And tell everyone about it
-      this.queues.get(pubkey).push(['block', this.currentRound.sequenceNumber, this.currentRound.ourBlock])
+      this.queueMessage(pubkey, ['block', this.currentRound.sequenceNumber, this.currentRound.ourBlock])
+    }
+
+    // We might have been the last one in
+    this.checkRoundDone()
+  }
+
+  /// Get the public keys of the members we are still waiting on for the given
+  /// round: for their commitments, in commit mode before everyone has
+  /// committed, and for their blocks otherwise. In groups with aggregators,
+  /// it is our aggregator, until it sends the result.
+  missingFrom(round) {
+    if (this.aggregators) {
+      return round.result ? [] : [this.upstream]
+    }
+    let members = this.membersFor(round.sequenceNumber)
+    if (this.commitBlocks && !round.revealed) {
+      return members.filter((pubkey) => !round.theirCommitments.has(pubkey))
     }
+    return members.filter((pubkey) => !round.theirBlocks.get(pubkey))
+  }
+
+  /// See if the current round is past its deadline at the given time, which
+  /// defaults to now, and if so do what the stall policy says. Returns true
+  /// if the round is stalled.
+  checkDeadline(now) {
+    if (now === undefined) {
+      now = Date.now()
+    }
+    let round = this.currentRound
+    if (!round || round.deadline == null || now < round.deadline) {
+      return false
+    }
+    if (!this.stalled) {
+      this.stalled = {sequenceNumber: round.sequenceNumber, missing: this.missingFrom(round)}
+      for (let pubkey of this.membersFor(round.sequenceNumber)) {
+        let key = pubkey.toString('hex')
+        if (this.stalled.missing.indexOf(pubkey) == -1) {
+          this.silentRounds.delete(key)
+        } else {
+          this.silentRounds.set(key, (this.silentRounds.get(key) || 0) + 1)
+        }
+      }
+      this.emit('stalled', {sequenceNumber: round.sequenceNumber, missing: this.stalled.missing})
+    }
+    if (this.stallPolicy == this.constructor.STALL_WAIT) {
+      return true
+    }
+    if (this.stallPolicy == this.constructor.STALL_EXCLUDE) {
+      this.excludeSilent()
+    }
+    this.dropRound()
+    return true
+  }
+
+  /// Give up on the current round, which has no result, and move on to the
+  /// next one
+  dropRound() {
+    if (!this.currentRound || !this.currentRound.ourBlock) {
+      throw new Error('Only a round we have sent in can be dropped')
+    }
+    let missing = this.missingFrom(this.currentRound)
+    this.currentRound.dropped = true
+    this.emit('dropped', {sequenceNumber: this.currentRound.sequenceNumber, missing: missing})
+    this.advanceRound()
+  }
+
+  /// Propose removing the members who have held up too many rounds in a row,
+  /// if it is our turn to and nobody is already removing them
+  excludeSilent() {
+    let latest = this.latestEpoch()
+    if (!latest || !latest.members || (this.exclusion && this.exclusion.epoch > latest.epoch)) {
+      // Not in the group, or we are already on it
+      return
+    }
+    let silent = latest.members.filter((pubkey) => (this.silentRounds.get(pubkey.toString('hex')) || 0) >= this.excludeAfter)
+    if (silent.length == 0) {
+      return
+    }
+    let staying = latest.members.filter((pubkey) => silent.indexOf(pubkey) == -1)
+    let first = staying.concat([this.keyPair.publicKey]).sort(b4a.compare)[0]
+    if (first !== this.keyPair.publicKey) {
+      // They will do it
+      return
+    }
+    try {
+      this.exclusion = this.proposeMembership(staying)
+    } catch (e) {
+      // Another change is in the way; try again next time
+      return
+    }
+    this.emit('excluding', {missing: silent, change: this.exclusion})
+  }
+
+  /// Compute the commitment to a block for the given round
+  static commitmentFor(sequenceNumber, block) {
+    let sequenceBuffer = b4a.alloc(8)
+    sequenceBuffer.writeBigUInt64BE(BigInt(sequenceNumber))
+    return crypto.hash([b4a.from('spartic-commit'), sequenceBuffer, block])
   }
 
   /// Returns true if we are ready to participate in the current round
@@ -232,25 +1080,851 @@ export default class SparticSession {
     if (!this.currentRound) {
       return false
     }
-    if (this.currentRound.ourBlock) {
+    if (this.currentRound.ourBlock || this.stale) {
+      return false
+    }
+    if (this.blameBlocksRound()) {
+      // We don't know who will be in this round yet
+      return false
+    }
+    let entry = this.epochFor(this.currentRound.sequenceNumber)
+    if (!entry.members || !entry.keystream) {
+      // We left, or the new epoch's keys aren't agreed yet
       return false
     }
     return true
   }
 
-  /// Get the next queued message for the given peer pubkey, or null
-  /// Message is:
-  /// ['error', message] | ['block', sequenceNumber, data] | ['key', sharedKey]
-  popMessage(pubkey) {
-    if (this.queues.get(pubkey).length > 0) {
-      return this.queues.get(pubkey).shift()
-    } else {
+  /// Returns true if an unfinished blame might evict someone by the current
+  /// round, so we can't safely pick a keystream for it.
+  blameBlocksRound() {
+    for (let blame of this.blames.values()) {
+      if (blame.effectiveRound != null && !blame.verdict && blame.effectiveRound <= this.currentRound.sequenceNumber) {
+        return true
+      }
+    }
+    return false
+  }
+
+  /// Propose changing the group to have the given other members (not
+  /// including us), starting at the given round. The start round defaults to
+  /// MEMBERSHIP_ROUNDS rounds from now. Members who are staying have to
+  /// approve the change before it happens. Returns the MembershipChange.
+  proposeMembership(otherPubkeys, startRound) {
+    let latest = this.latestEpoch()
+    if (!this.nextRound || !latest || !latest.members) {
+      throw new Error('Not in the group; cannot propose a membership change')
+    }
+    if (startRound === undefined) {
+      startRound = this.nextRound.sequenceNumber + this.constructor.MEMBERSHIP_ROUNDS
+    }
+    let change = MembershipChange.create(this.groupId, latest.epoch + 1, startRound,
+      [this.keyPair.publicKey].concat(latest.members),
+      [this.keyPair.publicKey].concat(otherPubkeys),
+      this.keyPair)
+    let problem = this.checkMembership(change)
+    if (problem) {
+      throw new Error(problem)
+    }
+
+    for (let pubkey of this.affectedBy(change)) {
+      this.queueMessage(pubkey, ['membership', change.encode()])
+    }
+    this.proposals.set(change.hash.toString('hex'), change)
+    this.approveMembership(change)
+    return change
+  }
+
+  /// Get our copies of the keys of everyone but us who is in the group before
+  /// or after a change.
+  affectedBy(change) {
+    let affected = []
+    for (let pubkey of change.previousMembers.concat(change.members)) {
+      if (b4a.equals(pubkey, this.keyPair.publicKey)) {
+        continue
+      }
+      pubkey = this.rememberKey(pubkey)
+      if (affected.indexOf(pubkey) == -1) {
+        affected.push(pubkey)
+      }
+    }
+    return affected
+  }
+
+  /// See if a membership change could happen next, from where we are. Returns
+  /// a reason it can't, or null if it can.
+  checkMembership(change) {
+    if (change.groupId != String(this.groupId)) {
+      return 'membership change is for a different group'
+    }
+    if (this.aggregators) {
+      return 'groups with aggregators cannot change members'
+    }
+    let latest = this.latestEpoch()
+    if (!latest) {
+      // We are waiting to join, so it has to add us to the group we expect
+      if (!change.includes(this.keyPair.publicKey) || change.included(this.keyPair.publicKey)) {
+        return 'membership change does not add us'
+      }
+      let others = change.members.filter((k) => !b4a.equals(k, this.keyPair.publicKey))
+      if (others.length != this.otherPubkeys.length || !others.every((k) => this.canonicalKey(k) && this.otherPubkeys.indexOf(this.canonicalKey(k)) != -1)) {
+        return 'membership change does not match the group we expect'
+      }
       return null
     }
+    if (!latest.members) {
+      return 'we are not in the group anymore'
+    }
+    if (change.epoch != latest.epoch + 1) {
+      return 'membership change is for an unacceptable epoch'
+    }
+    let previous = [this.keyPair.publicKey].concat(latest.members)
+    if (change.previousMembers.length != previous.length || !previous.every((k) => change.included(k))) {
+      return 'membership change does not start from the current members'
+    }
+    if (change.startRound <= this.nextRound.sequenceNumber || change.startRound <= latest.startRound) {
+      return 'membership change starts too soon'
+    }
+    return null
+  }
+
+  /// Sign off on a membership change and tell everyone, if we are staying in
+  /// the group and haven't approved a different change for the same epoch
+  /// that might still happen.
+  approveMembership(change) {
+    if (!change.includes(this.keyPair.publicKey) || !change.included(this.keyPair.publicKey)) {
+      // We don't get a say
+      return
+    }
+    let other = this.approved.get(change.epoch)
+    if (other && other !== change && other.startRound > this.nextRound.sequenceNumber) {
+      return
+    }
+    this.approved.set(change.epoch, change)
+    let signature = change.approve(this.keyPair)
+    for (let pubkey of this.affectedBy(change)) {
+      this.queueMessage(pubkey, ['approval', change.hash, signature])
+    }
   }
 
-  /// Get the next finished result, or null
+  /// Handle receipt of a proposed membership change from a peer
+  receiveMembership(pubkey, proposal) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return
+    }
+    let change = MembershipChange.decode(proposal)
+    if (!change) {
+      this.protocolError(pubkey, this.constructor.ERRORS.INVALID_MEMBERSHIP, null, 'membership change is not valid')
+      return
+    }
+    let key = change.hash.toString('hex')
+    if (this.proposals.has(key)) {
+      this.protocolError(pubkey, this.constructor.ERRORS.DUPLICATE, null, 'membership change is already here')
+      return
+    }
+    let problem = this.checkMembership(change)
+    if (problem) {
+      this.protocolError(pubkey, this.constructor.ERRORS.INVALID_MEMBERSHIP, null, problem)
+      return
+    }
+    this.proposals.set(key, change)
+    this.emit('proposal', change)
+
+    if (this.acceptMembership(change)) {
+      this.approveMembership(change)
+    }
+    // Pick up any approvals that got here first
+    for (let [approver, signature] of (this.earlyApprovals.get(key) || [])) {
+      change.addApproval(approver, signature)
+    }
+    this.earlyApprovals.delete(key)
+    this.checkMembershipDone(change)
+  }
+
+  /// Handle receipt of a peer's approval of a membership change
+  receiveApproval(pubkey, proposalHash, signature) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return
+    }
+    let key = proposalHash.toString('hex')
+    let change = this.proposals.get(key)
+    if (!change) {
+      // The proposal may still be on its way
+      if (!this.earlyApprovals.has(key)) {
+        this.earlyApprovals.set(key, [])
+      }
+      this.earlyApprovals.get(key).push([pubkey, signature])
+      return
+    }
+    if (!change.addApproval(pubkey, signature)) {
+      this.protocolError(pubkey, this.constructor.ERRORS.INVALID_APPROVAL, null, 'approval is not valid')
+      return
+    }
+    this.checkMembershipDone(change)
+  }
+
+  /// If everyone has approved a membership change, schedule it
+  checkMembershipDone(change) {
+    if (!change.isAgreed() || !this.proposals.has(change.hash.toString('hex'))) {
+      return
+    }
+    // Nothing else for this epoch can happen now
+    this.proposals.clear()
+    this.earlyApprovals.clear()
+    if (this.checkMembership(change)) {
+      // Too late for it
+      return
+    }
+
+    let entry
+    if (change.includes(this.keyPair.publicKey)) {
+      let members = this.affectedBy(change).filter((k) => change.includes(k))
+      entry = this.makeEpoch(change.epoch, change.startRound, members)
+    } else {
+      // We stop at the start round
+      entry = {
+        epoch: change.epoch,
+        startRound: change.startRound,
+        members: null,
+        handshakes: null,
+        keystream: null
+      }
+    }
+    this.epochs.push(entry)
+    if (!this.nextRound) {
+      // We are joining, and our first round is the start round
+      this.nextRound = this.makeRound(change.startRound)
+    }
+    this.updateMembers()
+    this.emit('membership', change)
+
+    if (entry.members) {
+      // Start key agreement for the new epoch
+      this.sendHellos(entry)
+      let early = this.earlyHellos
+      this.earlyHellos = new Map()
+      for (let [key, [epoch, ephemeralKey]] of early.entries()) {
+        this.receiveHello(this.keys.get(key), epoch, ephemeralKey)
+      }
+    }
+  }
+
+  /// Start assigning blame for the given bit of the given finished round,
+  /// which the slot owner says it wrote a 0 to but came out 1. We reveal our
+  /// pairwise keystream bits there to everyone, and they reveal theirs to us.
+  /// Anyone found to have written there is evicted starting with the given
+  /// round, which must be the same for all members.
+  startBlame(sequenceNumber, bitOffset, effectiveRound) {
+    if (this.aggregators) {
+      throw new Error('Blame needs everyone\'s blocks, which only aggregators see')
+    }
+    let past = this.history.get(sequenceNumber)
+    if (!past) {
+      throw new Error('Round ' + sequenceNumber + ' is too old to assign blame for')
+    }
+    if (bitOffset < 0 || bitOffset >= this.constructor.BLOCK_SIZE * 8) {
+      throw new Error('Bit offset is out of range')
+    }
+    if (this.currentRound.ourBlock && effectiveRound <= this.currentRound.sequenceNumber) {
+      throw new Error('Blame would take effect in a round we already sent')
+    }
+    let blame = this.getBlame(sequenceNumber, bitOffset)
+    if (blame.effectiveRound != null) {
+      // Already started
+      return
+    }
+    blame.effectiveRound = effectiveRound
+
+    // Work out what we have to admit to. Only the bit under blame goes out;
+    // the rest of the byte would strip our keystream from more of the round.
+    let others = past.members.slice(1)
+    let streams = past.epoch.keystream.readPairwise(sequenceNumber, Math.floor(bitOffset / 8), 1)
+    let mask = 0x80 >> (bitOffset % 8)
+    let contributions = []
+    for (let i = 0; i < others.length; i++) {
+      contributions.push({publicKey: others[i], bits: b4a.from([streams[i][0] & mask])})
+    }
+    blame.reveals.set(this.keyPair.publicKey.toString('hex'), contributions)
+
+    for (let pubkey of others) {
+      this.queueMessage(pubkey, ['reveal', sequenceNumber, bitOffset, contributions])
+    }
+
+    this.checkBlameDone(blame)
+  }
+
+  /// Handle receipt of a peer's pairwise keystream reveal for a blame
+  receiveReveal(pubkey, sequenceNumber, bitOffset, contributions) {
+    pubkey = this.canonicalKey(pubkey)
+    if (!pubkey) {
+      return
+    }
+    let past = this.history.get(sequenceNumber)
+    if (!past || past.members.indexOf(pubkey) == -1) {
+      this.protocolError(pubkey, this.constructor.ERRORS.WRONG_ROUND, sequenceNumber, 'reveal is for an unacceptable round')
+      return
+    }
+    let blame = this.getBlame(sequenceNumber, bitOffset)
+    let key = pubkey.toString('hex')
+    if (blame.reveals.has(key)) {
+      this.protocolError(pubkey, this.constructor.ERRORS.DUPLICATE, sequenceNumber, 'reveal is already here')
+      return
+    }
+    let mask = 0x80 >> (bitOffset % 8)
+    if (contributions.some((c) => c.bits.length != 1 || (c.bits[0] & ~mask))) {
+      this.protocolError(pubkey, this.constructor.ERRORS.INVALID_REVEAL, sequenceNumber, 'reveal shows more than the bit under blame')
+      // Count it as revealing nothing, so the blame can still finish
+      contributions = []
+    }
+    blame.reveals.set(key, contributions)
+    this.checkBlameDone(blame)
+  }
+
+  /// Get the blame record for the given round and bit, making it if needed.
+  /// Reveals can arrive before we hear about the blame ourselves.
+  getBlame(sequenceNumber, bitOffset) {
+    let key = sequenceNumber + ':' + bitOffset
+    let blame = this.blames.get(key)
+    if (!blame) {
+      blame = {
+        sequenceNumber: sequenceNumber,
+        bitOffset: bitOffset,
+        effectiveRound: null,
+        // Maps from member pubkey hex to list of {publicKey, bits}
+        reveals: new Map(),
+        verdict: null
+      }
+      this.blames.set(key, blame)
+    }
+    return blame
+  }
+
+  /// If we have everyone's reveals for a blame, work out who did it
+  checkBlameDone(blame) {
+    if (blame.verdict || blame.effectiveRound == null) {
+      return
+    }
+    let past = this.history.get(blame.sequenceNumber)
+    if (!past) {
+      // Too late to ever finish
+      return
+    }
+    for (let member of past.members) {
+      if (!blame.reveals.has(member.toString('hex'))) {
+        // Still waiting on someone
+        return
+      }
+    }
+
+    let byteOffset = Math.floor(blame.bitOffset / 8)
+    let mask = 0x80 >> (blame.bitOffset % 8)
+
+    // Look up what member said it shares with other, or null if they didn't
+    // say
+    let revealed = (member, other) => {
+      let found = blame.reveals.get(member.toString('hex')).find((c) => c.publicKey.equals(other))
+      if (!found || found.bits.length != 1) {
+        return null
+      }
+      return found.bits[0]
+    }
+
+    let culprits = []
+    let disputes = []
+    for (let i = 0; i < past.members.length; i++) {
+      let member = past.members[i]
+      let block = i == 0 ? past.ourBlock : past.theirBlocks.get(member)
+      // Take the pairwise keystreams out of what they sent, and see if they
+      // wrote anything there. Leaving a pair out counts as guilt.
+      let written = block[byteOffset]
+      let complete = true
+      for (let j = 0; j < past.members.length; j++) {
+        if (j == i) {
+          continue
+        }
+        let other = past.members[j]
+        let bits = revealed(member, other)
+        if (bits == null) {
+          complete = false
+          continue
+        }
+        written ^= bits
+        if (j < i) {
+          // Check that the two of them tell the same story, once per pair
+          let theirs = revealed(other, member)
+          if (theirs != null && ((bits ^ theirs) & mask)) {
+            disputes.push([other, member])
+          }
+        }
+      }
+      if (!complete || (written & mask)) {
+        culprits.push(member)
+      }
+    }
+
+    blame.verdict = {
+      sequenceNumber: blame.sequenceNumber,
+      bitOffset: blame.bitOffset,
+      culprits: culprits,
+      disputes: disputes
+    }
+    for (let culprit of culprits) {
+      if (culprit !== this.keyPair.publicKey) {
+        this.evictions.push({sequenceNumber: blame.effectiveRound, pubkey: culprit})
+      }
+    }
+    this.emit('verdict', blame.verdict)
+    this.applyEvictions()
+  }
+
+  /// Evict anyone who is due to be evicted by the current round
+  applyEvictions() {
+    if (!this.currentRound) {
+      return
+    }
+    let remaining = []
+    for (let eviction of this.evictions) {
+      if (eviction.sequenceNumber <= this.currentRound.sequenceNumber) {
+        this.evict(eviction.pubkey, eviction.sequenceNumber)
+      } else {
+        remaining.push(eviction)
+      }
+    }
+    this.evictions = remaining
+  }
+
+  /// Remove a member from the session, from the given round on. Everyone else
+  /// must do the same thing at the same round, or our keystreams won't line up
+  /// anymore.
+  evict(pubkey, sequenceNumber) {
+    let base = this.epochFor(sequenceNumber)
+    if (!base || !base.members || base.members.indexOf(pubkey) == -1) {
+      return
+    }
+    // Start a new member set within the same epoch, keeping everyone else's
+    // shared keys
+    let entry = {
+      epoch: base.epoch,
+      startRound: sequenceNumber,
+      members: base.members.filter((k) => k !== pubkey),
+      handshakes: base.handshakes,
+      keystream: null
+    }
+    if (base.keystream) {
+      // The original secrets are gone, so carry on from where the keys are now
+      entry.keystream = this.selectKeystream(base.keystream, base.members, entry.members)
+    }
+    let index = this.epochs.indexOf(base)
+    if (base.startRound == sequenceNumber) {
+      this.epochs[index] = entry
+      this.retiredEpochs.push(base)
+    } else {
+      this.epochs.splice(index + 1, 0, entry)
+    }
+    for (let later of this.epochs.slice(this.epochs.indexOf(entry) + 1)) {
+      if (later.epoch == entry.epoch && later.members) {
+        // Any other evictions scheduled in the epoch have to leave them out too
+        let members = later.members.filter((k) => k !== pubkey)
+        if (later.keystream) {
+          let keystream = this.selectKeystream(later.keystream, later.members, members)
+          later.keystream.destroy()
+          later.keystream = keystream
+        }
+        later.members = members
+      }
+    }
+
+    for (let round of [this.currentRound, this.nextRound].concat(Array.from(this.pendingRounds.values()))) {
+      if (round && round.sequenceNumber >= sequenceNumber) {
+        round.theirBlocks.delete(pubkey)
+        round.theirCommitments.delete(pubkey)
+        round.earlyBlocks.delete(pubkey)
+      }
+    }
+    this.updateMembers()
+    this.emit('evicted', pubkey)
+  }
+
+  /// Send a peer who says they are on the given round what we sent them for
+  /// it and the round after, given that we are on the round ours
+  catchUp(pubkey, sequenceNumber, ours) {
+    if (sequenceNumber > ours + 1 && this.recipientsFor(ours).indexOf(pubkey) != -1) {
+      // Nobody can get more than a round ahead of a member without its
+      // blocks. So we sent blocks past what we remember, and if we make
+      // different ones for the same rounds we reuse keystream.
+      if (!this.stale) {
+        this.stale = true
+        this.emit('stale', {pubkey: pubkey, sequenceNumber: sequenceNumber})
+      }
+      return
+    }
+    // They might have lost what we sent for the round they are on, and we
+    // might have already sent for the one after.
+    this.resendRound(pubkey, sequenceNumber)
+    this.resendRound(pubkey, sequenceNumber + 1)
+  }
+
+  /// Queue what we sent a peer for the given round again, if we sent anything.
+  /// Repeats are harmless; they are the same blocks from the same keystream.
+  resendRound(pubkey, sequenceNumber) {
+    let block = null
+    let revealed = true
+    let past = this.history.get(sequenceNumber)
+    if (past) {
+      if ((this.aggregators ? [this.upstream] : past.members).indexOf(pubkey) == -1) {
+        return
+      }
+      block = past.ourBlock
+    } else {
+      let round = super.roundFor(sequenceNumber)
+      if (!round || !round.ourBlock || this.recipientsFor(sequenceNumber).indexOf(pubkey) == -1) {
+        return
+      }
+      block = round.ourBlock
+      revealed = !this.commitBlocks || round.revealed
+    }
+    if (this.commitBlocks) {
+      this.queueMessage(pubkey, ['commit', sequenceNumber, this.constructor.commitmentFor(sequenceNumber, block)])
+    }
+    if (revealed) {
+      this.queueMessage(pubkey, ['block', sequenceNumber, block])
+    }
+  }
+
+  /// Get everything needed to bring the session back with importState(), as
+  /// a plain object of numbers, strings, buffers, lists and plain objects.
+  /// It includes the current pairwise keys, so it must be kept secret; a
+  /// SessionStore encrypts it. The "acceptMembership" policy, the stall
+  /// settings and the keystream pool aren't included, and need to be passed
+  /// in again.
+  exportState() {
+    // Member set records can be in the epoch list, the retired list and
+    // history all at once, and share handshakes within an epoch, so we list
+    // each once and refer to them by index.
+    let entries = []
+    let entryIndex = (entry) => {
+      if (entries.indexOf(entry) == -1) {
+        entries.push(entry)
+      }
+      return entries.indexOf(entry)
+    }
+    let handshakeSets = []
+    let handshakeIndex = (handshakes) => {
+      if (handshakeSets.indexOf(handshakes) == -1) {
+        handshakeSets.push(handshakes)
+      }
+      return handshakeSets.indexOf(handshakes)
+    }
+    let exportRound = (round) => round && {
+      sequenceNumber: round.sequenceNumber,
+      ourBlock: round.ourBlock,
+      ourMessage: round.ourMessage,
+      theirBlocks: Array.from(round.theirBlocks.entries()),
+      theirCommitments: Array.from(round.theirCommitments.entries()),
+      earlyBlocks: Array.from(round.earlyBlocks.entries()),
+      revealed: round.revealed,
+      result: round.result
+    }
+    let exportChange = (change) => ({
+      proposal: change.encode(),
+      approvals: Array.from(change.approvals.entries())
+    })
+
+    let epochs = this.epochs.map(entryIndex)
+    let retiredEpochs = this.retiredEpochs.map(entryIndex)
+    let history = []
+    for (let [sequenceNumber, past] of this.history.entries()) {
+      history.push({
+        sequenceNumber: sequenceNumber,
+        epoch: entryIndex(past.epoch),
+        members: past.members,
+        ourBlock: past.ourBlock,
+        theirBlocks: Array.from(past.theirBlocks.entries())
+      })
+    }
+    let entryStates = entries.map((entry) => ({
+      epoch: entry.epoch,
+      startRound: entry.startRound,
+      members: entry.members,
+      handshakes: entry.handshakes ? handshakeIndex(entry.handshakes) : null,
+      keystream: entry.keystream ? entry.keystream.exportState() : null
+    }))
+
+    return {
+      version: this.constructor.STATE_VERSION,
+      groupId: this.groupId,
+      publicKey: this.keyPair.publicKey,
+      commitBlocks: this.commitBlocks,
+      ratchetInterval: this.ratchetInterval,
+      descriptor: this.descriptor,
+      aggregators: this.aggregators,
+      upstream: this.upstream,
+      keys: Array.from(this.keys.values()),
+      otherPubkeys: this.otherPubkeys,
+      entries: entryStates,
+      handshakes: handshakeSets.map((handshakes) => Array.from(handshakes.values()).map((h) => h.exportState())),
+      epochs: epochs,
+      retiredEpochs: retiredEpochs,
+      currentRound: exportRound(this.currentRound),
+      nextRound: exportRound(this.nextRound),
+      pendingRounds: Array.from(this.pendingRounds.values()).map(exportRound),
+      history: history,
+      blames: Array.from(this.blames.values()).map((blame) => ({
+        sequenceNumber: blame.sequenceNumber,
+        bitOffset: blame.bitOffset,
+        effectiveRound: blame.effectiveRound,
+        reveals: Array.from(blame.reveals.entries()),
+        verdict: blame.verdict
+      })),
+      evictions: this.evictions,
+      proposals: Array.from(this.proposals.values()).map(exportChange),
+      earlyApprovals: Array.from(this.earlyApprovals.entries()),
+      approved: Array.from(this.approved.values()).map(exportChange),
+      earlyHellos: Array.from(this.earlyHellos.entries()),
+      queues: Array.from(this.queues.entries()),
+      results: this.results,
+      stale: this.stale
+    }
+  }
+
+  /// Bring back a session from what exportState() gave us. Options are as
+  /// for the constructor, and must have the same identity "keyPair"; the
+  /// group ID and protocol settings come from the state. The restored
+  /// session asks everyone which round they are on, to catch up.
+  /// Throws if the state can't be used.
+  static importState(state, options) {
+    if (state.version != this.STATE_VERSION) {
+      throw new Error('Session state version ' + state.version + ' is not supported')
+    }
+    if (!options || !options.keyPair || !b4a.equals(options.keyPair.publicKey, state.publicKey)) {
+      throw new Error('Session state belongs to a different identity')
+    }
+    let session = new this([], Object.assign({}, options, {
+      groupId: state.groupId,
+      commitBlocks: state.commitBlocks,
+      ratchetInterval: state.ratchetInterval,
+      descriptor: state.descriptor,
+      aggregators: state.aggregators,
+      joining: true
+    }))
+
+    // Get our copy of a key, which for our own key is the one in our keypair
+    let key = (pubkey) => {
+      if (b4a.equals(pubkey, session.keyPair.publicKey)) {
+        return session.keyPair.publicKey
+      }
+      return session.rememberKey(pubkey)
+    }
+    let keyMap = (pairs) => new Map(pairs.map(([pubkey, value]) => [key(pubkey), value]))
+    let importRound = (round) => {
+      if (!round) {
+        return null
+      }
+      let imported = session.makeRound(round.sequenceNumber)
+      imported.ourBlock = round.ourBlock
+      imported.ourMessage = round.ourMessage
+      imported.theirBlocks = keyMap(round.theirBlocks)
+      imported.theirCommitments = keyMap(round.theirCommitments)
+      imported.earlyBlocks = keyMap(round.earlyBlocks)
+      imported.revealed = round.revealed
+      imported.result = round.result || null
+      if (imported.ourBlock) {
+        // Our clock for the round starts over
+        imported.deadline = Date.now() + session.roundTimeout
+      }
+      return imported
+    }
+    let importChange = (saved) => {
+      let change = MembershipChange.decode(saved.proposal)
+      if (!change) {
+        throw new Error('Session state has a bad membership change')
+      }
+      change.approvals = new Map(saved.approvals)
+      return change
+    }
+
+    for (let pubkey of state.keys) {
+      key(pubkey)
+    }
+    session.otherPubkeys = state.otherPubkeys.map(key)
+    if (state.upstream) {
+      session.upstream = key(state.upstream)
+    }
+
+    let handshakeSets = state.handshakes.map((list) => {
+      let handshakes = new Map()
+      for (let handshake of list) {
+        handshakes.set(handshake.theirPublicKey.toString('hex'), PairwiseHandshake.importState(handshake, session.groupId, session.keyPair))
+      }
+      return handshakes
+    })
+    let entries = state.entries.map((entry) => ({
+      epoch: entry.epoch,
+      startRound: entry.startRound,
+      members: entry.members ? entry.members.map(key) : null,
+      handshakes: entry.handshakes != null ? handshakeSets[entry.handshakes] : null,
+      keystream: entry.keystream ? SynchronizedKeystream.importState(entry.keystream, session.keystreamPool) : null
+    }))
+    session.epochs = state.epochs.map((i) => entries[i])
+    session.retiredEpochs = state.retiredEpochs.map((i) => entries[i])
+
+    session.currentRound = importRound(state.currentRound)
+    session.nextRound = importRound(state.nextRound)
+    for (let round of state.pendingRounds) {
+      session.pendingRounds.set(round.sequenceNumber, importRound(round))
+    }
+    for (let past of state.history) {
+      session.history.set(past.sequenceNumber, {
+        epoch: entries[past.epoch],
+        members: past.members.map(key),
+        ourBlock: past.ourBlock,
+        theirBlocks: keyMap(past.theirBlocks)
+      })
+    }
+
+    for (let saved of state.blames) {
+      let blame = session.getBlame(saved.sequenceNumber, saved.bitOffset)
+      blame.effectiveRound = saved.effectiveRound
+      for (let [member, contributions] of saved.reveals) {
+        blame.reveals.set(member, contributions.map((c) => ({publicKey: key(c.publicKey), bits: c.bits})))
+      }
+      if (saved.verdict) {
+        blame.verdict = {
+          sequenceNumber: saved.verdict.sequenceNumber,
+          bitOffset: saved.verdict.bitOffset,
+          culprits: saved.verdict.culprits.map(key),
+          disputes: saved.verdict.disputes.map((pair) => pair.map(key))
+        }
+      }
+    }
+    session.evictions = state.evictions.map((eviction) => ({sequenceNumber: eviction.sequenceNumber, pubkey: key(eviction.pubkey)}))
+
+    for (let saved of state.proposals) {
+      let change = importChange(saved)
+      session.proposals.set(change.hash.toString('hex'), change)
+    }
+    for (let [hash, approvals] of state.earlyApprovals) {
+      session.earlyApprovals.set(hash, approvals.map(([pubkey, signature]) => [key(pubkey), signature]))
+    }
+    for (let saved of state.approved) {
+      // Keep it the same object as the proposal, if we still have that
+      let change = importChange(saved)
+      change = session.proposals.get(change.hash.toString('hex')) || change
+      session.approved.set(change.epoch, change)
+    }
+    session.earlyHellos = new Map(state.earlyHellos)
+
+    for (let [pubkey, messages] of state.queues) {
+      session.queues.set(key(pubkey), messages.slice())
+    }
+    session.results = state.results.slice()
+    session.stale = state.stale
+
+    session.resync()
+    return session
+  }
+
+  /// Start sending and receiving application messages through the given
+  /// MessageFramer, which is running on top of us. Sends anything send() was
+  /// holding on to.
+  attachFramer(framer) {
+    this.detachFramer()
+    this.framer = framer
+    this.framer.on('message', this.onFramerMessage)
+    this.framer.on('control', this.onFramerControl)
+    let waiting = this.outbox
+    this.outbox = []
+    for (let item of waiting) {
+      this.sendFrame(item.data, item.channel)
+    }
+  }
+
+  /// Stop using the attached MessageFramer, if any
+  detachFramer() {
+    if (this.framer) {
+      this.framer.off('message', this.onFramerMessage)
+      this.framer.off('control', this.onFramerControl)
+      this.framer = null
+    }
+  }
+
+  /// Queue application data to go out to the group in the next free slot.
+  /// If rounds aren't running yet, it waits until they are. Data that hasn't
+  /// gone out isn't saved with exportState().
+  send(data) {
+    this.sendFrame(b4a.from(data), MessageFramer.CHANNELS.APPLICATION)
+  }
+
+  /// Queue a message to go out to the group on the given framer channel,
+  /// waiting for a framer if we don't have one yet
+  sendFrame(data, channel) {
+    if (!this.framer) {
+      this.outbox.push({data: data, channel: channel})
+      return
+    }
+    let messageId = this.framer.send(data, channel)
+    if (channel == MessageFramer.CHANNELS.APPLICATION) {
+      this.ownMessages.add(messageId.toString('hex'))
+    }
+  }
+
+  /// Send the contents of a readable stream, or a buffer, to the group as a
+  /// file, split into chunks with extra parity chunks so a few can be lost.
+  /// Returns a Promise for the file ID, once it is all queued. Like send(),
+  /// it waits for rounds to be running.
+  sendFile(source) {
+    return this.files.sendFile(source)
+  }
+
+  /// Get a readable stream of the file with the given ID, which ends once
+  /// the whole file has come out of the group and matched its hash, or
+  /// errors if it doesn't. Files we get are held in memory until they are
+  /// received or discarded with discardFile().
+  receiveFile(fileId) {
+    return this.files.receiveFile(fileId)
+  }
+
+  /// Stop putting together or holding on to the file with the given ID
+  discardFile(fileId) {
+    this.files.discardFile(fileId)
+  }
+
+  /// Handle an application message that came out of the group
+  deliverMessage(message, messageId, sequenceNumber) {
+    let ours = this.ownMessages.delete(messageId.toString('hex'))
+    this.emit('message', message, {sequenceNumber: sequenceNumber, ours: ours})
+  }
+
+  /// Get an async iterator over the application messages that come out of
+  /// the group from now on, as buffers, including our own. Options can have
+  /// an AbortSignal "signal" to stop it with.
+  async *messages(options) {
+    for await (let [message] of on(this, 'message', options)) {
+      yield message
+    }
+  }
+
+  /// Get the next finished result block, or null
   popResult() {
+    let roundResult = this.popRoundResult()
+    while (roundResult && roundResult.dropped) {
+      // Nothing came out of it
+      roundResult = this.popRoundResult()
+    }
+    if (roundResult) {
+      return roundResult.result
+    } else {
+      return null
+    }
+  }
+
+  /// Get the next finished round, or null.
+  /// Round is {sequenceNumber, result, sent}, where result is the XOR of
+  /// everyone's blocks and sent is the message we wrote into the round. If
+  /// we gave up on the round, result is null, and "dropped" is set.
+  popRoundResult() {
     if (this.results.length > 0) {
       return this.results.shift()
     } else {
@@ -0,0 +1,387 @@
+import crypto from 'hypercore-crypto'
+import SparticSession from './spartic_session.js'
+import { make_group, pump } from './test_group.js'
+
+const GROUP_ID = 5
+
+/// Have every session in the group send the given messages for one round
+function run_round(sessions, messages) {
+  for (let i = 0; i < sessions.length; i++) {
+    sessions[i].participateInRound(messages[i])
+  }
+  pump(sessions)
+}
+
+/// Have every session in the group that can send in the current round send a
+/// message naming it
+function run_ready_round(sessions) {
+  for (let i = 0; i < sessions.length; i++) {
+    if (sessions[i].readyToParticipate()) {
+      let message = Buffer.alloc(SparticSession.BLOCK_SIZE)
+      message[i] = 1
+      sessions[i].participateInRound(message)
+    }
+  }
+  pump(sessions)
+}
+
+/// Get all the finished rounds from a session, by sequence number
+function pop_rounds(session) {
+  let rounds = new Map()
+  for (let round = session.popRoundResult(); round != null; round = session.popRoundResult()) {
+    rounds.set(round.sequenceNumber, round.result)
+  }
+  return rounds
+}
+
+describe('SparticSession', () => {
+
+  it('combines everyone\'s messages in a round', () => {
+    let sessions = make_group(3, GROUP_ID)
+    pump(sessions)
+
+    let messages = sessions.map(() => Buffer.alloc(SparticSession.BLOCK_SIZE))
+    messages[1].write('hello', 10)
+    run_round(sessions, messages)
+
+    for (let session of sessions) {
+      let result = session.popResult()
+      expect(result.subarray(10, 15).toString()).toEqual('hello')
+    }
+  })
+
+  it('waits for all commitments before sending blocks in commit mode', () => {
+    let sessions = make_group(3, GROUP_ID, {commitBlocks: true})
+    pump(sessions)
+
+    let messages = sessions.map(() => Buffer.alloc(SparticSession.BLOCK_SIZE))
+    messages[2].write('committed', 0)
+
+    // With one member holding back, nobody can have sent a block yet
+    sessions[0].participateInRound(messages[0])
+    sessions[1].participateInRound(messages[1])
+    pump(sessions)
+    for (let session of sessions) {
+      for (let pubkey of session.otherPubkeys) {
+        expect(session.queues.get(pubkey).some((m) => m[0] == 'block')).toBeFalsy()
+      }
+      expect(session.popResult()).toBeNull()
+    }
+
+    sessions[2].participateInRound(messages[2])
+    pump(sessions)
+    for (let session of sessions) {
+      expect(session.popResult().subarray(0, 9).toString()).toEqual('committed')
+    }
+  })
+
+  it('reveals only the bit under blame, and refuses reveals of more', () => {
+    let sessions = make_group(3, GROUP_ID)
+    pump(sessions)
+    let messages = sessions.map(() => Buffer.alloc(SparticSession.BLOCK_SIZE))
+    messages[1][10] = 0xff
+    run_round(sessions, messages)
+
+    // Watch what goes out for bit 3 of byte 10
+    let revealed = []
+    let queue = sessions[0].queueMessage.bind(sessions[0])
+    sessions[0].queueMessage = (pubkey, message) => {
+      if (message[0] == 'reveal') {
+        revealed.push(...message[3])
+      }
+      queue(pubkey, message)
+    }
+    let verdicts = []
+    sessions[0].on('verdict', (verdict) => verdicts.push(verdict))
+    for (let session of sessions) {
+      session.startBlame(0, 83, 5)
+    }
+    pump(sessions)
+    expect(revealed.length).toBeGreaterThan(0)
+    for (let contribution of revealed) {
+      expect(contribution.bits.length).toEqual(1)
+      expect(contribution.bits[0] & ~0x10).toEqual(0)
+    }
+    expect(verdicts[0].culprits).toEqual([sessions[1].publicKey])
+
+    // Someone who shows a whole byte of keystream is refused, and counted as
+    // showing nothing
+    let errors = []
+    sessions[0].on('protocolError', (error) => errors.push(error.code))
+    sessions[0].receiveReveal(sessions[2].publicKey, 0, 84, [
+      {publicKey: sessions[0].publicKey, bits: Buffer.from([0xff])},
+      {publicKey: sessions[1].publicKey, bits: Buffer.from([0x00])}
+    ])
+    expect(errors).toEqual([SparticSession.ERRORS.INVALID_REVEAL])
+    sessions[0].startBlame(0, 84, 5)
+    sessions[1].startBlame(0, 84, 5)
+    pump(sessions)
+    expect(verdicts[1].culprits).toContain(sessions[2].publicKey)
+  })
+
+  it('says when it has messages to send, once for a batch', async () => {
+    let sessions = make_group(3, GROUP_ID)
+    pump(sessions)
+    let outgoing = 0
+    sessions[0].on('outgoing', () => outgoing++)
+
+    sessions[0].participateInRound(Buffer.alloc(SparticSession.BLOCK_SIZE))
+    await Promise.resolve()
+    expect(outgoing).toEqual(1)
+    expect(sessions[0].queues.get(sessions[1].publicKey).length).toEqual(1)
+  })
+
+  it('names a peer whose block does not match its commitment', () => {
+    let sessions = make_group(3, GROUP_ID, {commitBlocks: true})
+    pump(sessions)
+
+    let errors = []
+    sessions[0].on('protocolError', (error) => errors.push(error))
+
+    // Member 2 swaps its block for a different one after committing
+    let cheater = sessions[2]
+    let original_check = cheater.checkCommitmentsDone.bind(cheater)
+    cheater.checkCommitmentsDone = (round) => {
+      if (!round.revealed && round.ourBlock) {
+        round.ourBlock = crypto.randomBytes(SparticSession.BLOCK_SIZE)
+      }
+      original_check(round)
+    }
+
+    run_round(sessions, sessions.map(() => Buffer.alloc(SparticSession.BLOCK_SIZE)))
+
+    expect(errors.length).toEqual(1)
+    expect(errors[0].pubkey.equals(cheater.publicKey)).toBeTruthy()
+    expect(errors[0].sequenceNumber).toEqual(0)
+    expect(errors[0].code).toEqual(SparticSession.ERRORS.BAD_COMMITMENT)
+    expect(sessions[0].popResult()).toBeNull()
+  })
+
+  it('keeps working as keys ratchet forward', () => {
+    let sessions = make_group(3, GROUP_ID, {ratchetInterval: 2})
+    pump(sessions)
+    for (let session of sessions) {
+      for (let handshake of session.epochs[0].handshakes.values()) {
+        // The original secrets are gone once the keystream has them
+        expect(handshake.sharedSecret.every((b) => b == 0)).toBeTruthy()
+      }
+    }
+
+    for (let i = 0; i < 7; i++) {
+      run_ready_round(sessions)
+    }
+    let rounds = pop_rounds(sessions[0])
+    expect(rounds.size).toEqual(7)
+    for (let result of rounds.values()) {
+      expect(Array.from(result.subarray(0, 4))).toEqual([1, 1, 1, 0])
+    }
+  })
+
+  it('adds a member at the agreed round', () => {
+    let sessions = make_group(3, GROUP_ID)
+    pump(sessions)
+
+    let key_pair = crypto.keyPair()
+    let joiner = new SparticSession(sessions.map((s) => s.publicKey), {keyPair: key_pair, groupId: GROUP_ID, joining: true})
+    joiner.publicKey = key_pair.publicKey
+    let everyone = sessions.concat([joiner])
+
+    let agreed = []
+    for (let session of everyone) {
+      session.on('membership', (change) => agreed.push(change))
+    }
+    sessions[0].proposeMembership([sessions[1].publicKey, sessions[2].publicKey, joiner.publicKey], 3)
+    pump(everyone)
+    expect(agreed.length).toEqual(4)
+
+    for (let i = 0; i < 5; i++) {
+      run_ready_round(everyone)
+    }
+
+    let rounds = everyone.map(pop_rounds)
+    expect(Array.from(rounds[0].keys())).toEqual([0, 1, 2, 3, 4])
+    expect(Array.from(rounds[3].keys())).toEqual([3, 4])
+    for (let [sequenceNumber, result] of rounds[0].entries()) {
+      // Everyone who was there sees the same thing
+      for (let other of rounds) {
+        if (other.has(sequenceNumber)) {
+          expect(other.get(sequenceNumber).equals(result)).toBeTruthy()
+        }
+      }
+      // And the new member is only in rounds from the start round on
+      expect(Array.from(result.subarray(0, 4))).toEqual([1, 1, 1, sequenceNumber >= 3 ? 1 : 0])
+    }
+  })
+
+  it('lets a member leave with fresh keys for the rest', () => {
+    let sessions = make_group(3, GROUP_ID, {commitBlocks: true})
+    pump(sessions)
+
+    let left = false
+    sessions[2].on('left', () => {
+      left = true
+    })
+    sessions[0].proposeMembership([sessions[1].publicKey], 2)
+    pump(sessions)
+    expect(sessions[1].epochs[1].keystream).toBeTruthy()
+
+    for (let i = 0; i < 4; i++) {
+      run_ready_round(sessions)
+    }
+
+    expect(left).toBeTruthy()
+    expect(sessions[0].otherPubkeys.length).toEqual(1)
+    expect(sessions[2].getStatus()).toMatch(/^LEFT/)
+    let rounds = sessions.map(pop_rounds)
+    expect(Array.from(rounds[0].keys())).toEqual([0, 1, 2, 3])
+    expect(Array.from(rounds[2].keys())).toEqual([0, 1])
+    expect(Array.from(rounds[0].get(1).subarray(0, 3))).toEqual([1, 1, 1])
+    expect(Array.from(rounds[0].get(3).subarray(0, 3))).toEqual([1, 1, 0])
+    expect(rounds[1].get(3).equals(rounds[0].get(3))).toBeTruthy()
+  })
+
+  it('does not change membership without every remaining member', () => {
+    let sessions = make_group(3, GROUP_ID, {
+      acceptMembership: (change) => change.members.length > 2
+    })
+    pump(sessions)
+
+    sessions[0].proposeMembership([sessions[1].publicKey], 5)
+    pump(sessions)
+    for (let session of sessions) {
+      expect(session.epochs.length).toEqual(1)
+    }
+  })
+
+  it('stalls on a silent member and says who', () => {
+    let sessions = make_group(3, GROUP_ID)
+    pump(sessions)
+    let stalls = []
+    let recoveries = []
+    sessions[0].on('stalled', (stall) => stalls.push(stall))
+    sessions[0].on('recovered', (recovery) => recoveries.push(recovery))
+
+    // Member 2 goes quiet
+    sessions[0].participateInRound(Buffer.alloc(SparticSession.BLOCK_SIZE))
+    sessions[1].participateInRound(Buffer.alloc(SparticSession.BLOCK_SIZE))
+    pump(sessions)
+    expect(sessions[0].checkDeadline()).toBeFalsy()
+    expect(sessions[0].getStatus()).toMatch(/^RUNNING/)
+
+    let later = Date.now() + SparticSession.ROUND_TIMEOUT
+    expect(sessions[0].checkDeadline(later)).toBeTruthy()
+    expect(sessions[0].checkDeadline(later)).toBeTruthy()
+    expect(stalls.length).toEqual(1)
+    expect(stalls[0].sequenceNumber).toEqual(0)
+    expect(stalls[0].missing).toEqual([sessions[0].canonicalKey(sessions[2].publicKey)])
+    expect(sessions[0].getStatus()).toMatch(/^STALLED: .* waiting on 1 peers \[/)
+    expect(sessions[0].getStatus()).toContain(sessions[2].publicKey.toString('hex').substring(0, 8))
+
+    // By default we wait, so it can still come through
+    sessions[2].participateInRound(Buffer.alloc(SparticSession.BLOCK_SIZE))
+    pump(sessions)
+    expect(recoveries).toEqual([{sequenceNumber: 0}])
+    expect(sessions[0].getStatus()).toMatch(/^RUNNING/)
+    expect(sessions[0].popResult()).toBeTruthy()
+  })
+
+  it('drops stalled rounds and excludes a silent member', () => {
+    let sessions = make_group(4, GROUP_ID, {stallPolicy: SparticSession.STALL_EXCLUDE, excludeAfter: 2})
+    pump(sessions)
+    // Member 3 drops off the face of the earth
+    let active = sessions.slice(0, 3)
+    let exclusions = []
+    for (let session of active) {
+      session.on('excluding', (exclusion) => exclusions.push(exclusion))
+    }
+
+    for (let i = 0; i < SparticSession.MEMBERSHIP_ROUNDS + 4; i++) {
+      run_ready_round(active)
+      let later = Date.now() + SparticSession.ROUND_TIMEOUT
+      for (let session of active) {
+        session.checkDeadline(later)
+      }
+      pump(active)
+    }
+
+    expect(exclusions.length).toEqual(1)
+    expect(exclusions[0].missing.map((k) => k.toString('hex'))).toEqual([sessions[3].publicKey.toString('hex')])
+    let rounds = active.map((session) => {
+      let all = []
+      for (let round = session.popRoundResult(); round != null; round = session.popRoundResult()) {
+        all.push(round)
+      }
+      return all
+    })
+    let start = exclusions[0].change.startRound
+    for (let all of rounds) {
+      expect(all.filter((round) => round.dropped).map((round) => round.sequenceNumber)).toEqual(Array.from(Array(start).keys()))
+      // Once they are gone, rounds go through again
+      let finished = all.filter((round) => !round.dropped)
+      expect(finished.length).toBeGreaterThan(0)
+      expect(Array.from(finished[0].result.subarray(0, 4))).toEqual([1, 1, 1, 0])
+    }
+    for (let session of active) {
+      expect(session.otherPubkeys.length).toEqual(2)
+    }
+  })
+
+  it('picks up where it left off after a restart', () => {
+    let sessions = make_group(3, GROUP_ID, {commitBlocks: true})
+    pump(sessions)
+    run_ready_round(sessions)
+
+    // Everyone sends for round 1, and the first member saves before its
+    // messages go out
+    for (let i = 0; i < sessions.length; i++) {
+      let message = Buffer.alloc(SparticSession.BLOCK_SIZE)
+      message[i] = 1
+      sessions[i].participateInRound(message)
+    }
+    let state = sessions[0].exportState()
+    pump(sessions)
+    let before = pop_rounds(sessions[1])
+
+    // Then it restarts, having missed everyone else's blocks
+    let restored = SparticSession.importState(state, {keyPair: sessions[0].keyPair})
+    restored.publicKey = sessions[0].publicKey
+    sessions[0] = restored
+    pump(sessions)
+    for (let i = 0; i < 2; i++) {
+      run_ready_round(sessions)
+    }
+
+    expect(restored.stale).toBeFalsy()
+    let rounds = sessions.map(pop_rounds)
+    expect(Array.from(rounds[0].keys())).toEqual([0, 1, 2, 3])
+    expect(rounds[0].get(1).equals(before.get(1))).toBeTruthy()
+    for (let sequenceNumber of [2, 3]) {
+      expect(rounds[0].get(sequenceNumber).equals(rounds[1].get(sequenceNumber))).toBeTruthy()
+      expect(Array.from(rounds[0].get(sequenceNumber).subarray(0, 3))).toEqual([1, 1, 1])
+    }
+  })
+
+  it('refuses to send after restarting from state the group is past', () => {
+    let sessions = make_group(3, GROUP_ID)
+    pump(sessions)
+    let state = sessions[0].exportState()
+    run_ready_round(sessions)
+    run_ready_round(sessions)
+
+    let restored = SparticSession.importState(state, {keyPair: sessions[0].keyPair})
+    restored.publicKey = sessions[0].publicKey
+    let stale = null
+    restored.on('stale', (info) => {
+      stale = info
+    })
+    sessions[0] = restored
+    pump(sessions)
+
+    // It already sent blocks for rounds 0 and 1 that it doesn't remember
+    expect(stale.sequenceNumber).toEqual(2)
+    expect(restored.readyToParticipate()).toBeFalsy()
+    expect(restored.getStatus()).toMatch(/^STALE/)
+    expect(() => restored.participateInRound(Buffer.alloc(SparticSession.BLOCK_SIZE))).toThrow()
+  })
+
+})
@@ -0,0 +1,153 @@
+import { EventEmitter } from 'events'
+
+import crypto from 'hypercore-crypto'
+
+/**
+ * Represents information about a peer (i.e. its key Buffer)
+ */
+export class PeerInfo {
+  constructor(publicKey) {
+    this.publicKey = publicKey
+  }
+}
+
+/**
+ * Base class for Hyperswarm-like ways for a SparticPeer to find and connect
+ * to other peers. A SparticPeer can run on any of them.
+ *
+ * Will have a this.keyPair with a {publicKey, secretKey} ed25519 keypair of
+ * Buffers, in the same format hypercore-crypto uses. This is the identity used
+ * to authenticate to other peers in groups.
+ *
+ * Will fire a 'connection' event with a duplex stream and a PeerInfo, when a
+ * peer connects. The stream carries whole messages: each buffer written on
+ * one side comes out as one buffer on the other side. There is at most one
+ * connection with each peer at a time.
+ *
+ * Has a listen() method that starts accepting connections, a joinPeer method
+ * which attempts to find and connect to the peer with the given public key,
+ * and a joinTopic method which attempts to connect to all peers also
+ * interested in the topic.
+ *
+ * Has a flush() method that returns a Promise that resolves when all joinPeer
+ * peers are found.
+ *
+ * Subclasses fill in how this actually happens.
+ */
+export default class Swarm extends EventEmitter {
+
+  /**
+   * Make a new swarm.
+   * Options can contain a 32-byte buffer "seed" for making the private key.
+   * Without one we get a new identity every time; an IdentityStore can keep
+   * one around. They can also contain "log", a function like console.log to
+   * log what the swarm is doing with.
+   *
+   * Construction may be asynchronous, and is not done until this.ready is
+   * resolved.
+   */
+  constructor(options) {
+    super()
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    // Get or make a seed for our keypair
+    this.seed = options.seed
+    if (!this.seed) {
+      this.seed = crypto.randomBytes(32)
+    }
+
+    // Our identity keypair, as plain buffers we can sign with
+    this.keyPair = crypto.keyPair(this.seed)
+    // Where our log lines go
+    this._log = options.log || console.log
+
+    // Peers we want to connect to, by public key hex string
+    this.wantedPeers = new Map()
+    // Open connection streams, by public key hex string
+    this.connections = new Map()
+
+    this.ready = Promise.resolve()
+  }
+
+  /// Get our public key hex string
+  getKey() {
+    return this.keyPair.publicKey.toString('hex')
+  }
+
+  /**
+   * Start listening for connections. Returns a Promise that resolves when we
+   * are ready for connections.
+   */
+  async listen() {
+    throw new Error('listen() is not implemented')
+  }
+
+  /**
+   * Try to connect directly to the given peer, by pubkey.
+   */
+  joinPeer(peerKey) {
+    throw new Error('joinPeer() is not implemented')
+  }
+
+  /**
+   * Try to connect to all other peers interested in the given topic.
+   */
+  joinTopic(topicString) {
+    throw new Error('joinTopic() is not implemented')
+  }
+
+  /**
+   * Return a Promise that resolves when all joinPeer peers are found.
+   */
+  flush() {
+    return new Promise((resolve) => {
+      let check = () => {
+        for (let key of this.wantedPeers.keys()) {
+          if (!this.connections.has(key)) {
+            // Still waiting for them
+            return
+          }
+        }
+        this.off('connection', check)
+        resolve()
+      }
+      this.on('connection', check)
+      check()
+    })
+  }
+
+  /**
+   * Stop listening and close all connections.
+   */
+  async close() {
+    let closed = []
+    for (let stream of Array.from(this.connections.values())) {
+      closed.push(new Promise((resolve) => stream.once('close', resolve)))
+      stream.destroy()
+    }
+    await Promise.all(closed)
+  }
+
+  /// Start using a new connection stream with a peer: keep track of it until
+  /// it closes, and tell whoever is listening about it once the caller is
+  /// done setting up.
+  addConnection(stream, info) {
+    let key = info.publicKey.toString('hex')
+    this.connections.set(key, stream)
+    stream.on('close', () => {
+      if (this.connections.get(key) === stream) {
+        this.connections.delete(key)
+      }
+    })
+    process.nextTick(() => {
+      this.emit('connection', stream, info)
+    })
+  }
+
+  /// Log a message, noting it came from this swarm
+  log(...args) {
+    this._log('(' + this.constructor.name + ')', ...args)
+  }
+}
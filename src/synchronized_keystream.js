@@ -1,5 +1,5 @@
 import crypto from 'hypercore-crypto'
-import xsalsa20 from 'xsalsa20'
+import sodium from 'sodium-universal'
 import b4a from 'b4a'
 
 /**
@@ -48,6 +48,22 @@ import b4a from 'b4a'
  * standard stream cypher keystream; each party's synchronized keystream is the
  * XOR of all the pairwise keystreams they have. Since each pairwise keystream
  * gets XORed into two parties streams, the streams are all synchronized.
+ *
+ * Not every pair of parties has to share a secret, as long as each secret is
+ * held by exactly two of them. In a group with aggregators, each member
+ * shares a secret with each aggregator and with nobody else, so a member's
+ * keystream takes one stream per aggregator, and an aggregator's one per
+ * member. The streams still cancel out, and a member's keystream stays
+ * unpredictable as long as one aggregator keeps its secrets, however many of
+ * the other parties work together.
+ *
+ * So that a secret that leaks later can't be used to unmask earlier rounds,
+ * the pairwise keys ratchet forward: every ratchetInterval rounds, each key is
+ * replaced by a hash of itself and the old one is wiped. Both sides of a pair
+ * do the same thing at the same sequence numbers, so the streams stay
+ * synchronized. We can keep the keys for the last few rounds around if we
+ * might still need to read them (for example, to assign blame), but anything
+ * older than that is gone for good.
  */
 export default class SynchronizedKeystream {
   
@@ -56,35 +72,326 @@ export default class SynchronizedKeystream {
     return 32
   }
 
+  /// How many rounds use each set of keys before we ratchet, by default?
+  static get DEFAULT_RATCHET_INTERVAL() {
+    return 64
+  }
+
+  /// What string do we mix in when ratcheting a key forward?
+  static get RATCHET_LABEL() {
+    return 'spartic-ratchet-v1'
+  }
+
+  /// What is the largest sequence number we can use?
+  static get MAX_SEQUENCE_NUMBER() {
+    return 2n ** 64n - 1n
+  }
+
   /// Make a new SynchronizedKeystream using the given list of shared secrets
   /// with each of the other parties. Each shared secret must be a 32-byte
-  /// buffer.
-  constructor(shared_secrets) {
-    this.keys = shared_secrets.slice(0, shared_secrets.length)
+  /// buffer. We keep our own copies, so the caller should wipe theirs.
+  ///
+  /// Options can contain:
+  /// "ratchetInterval", the number of sequence numbers each set of keys is
+  /// used for before ratcheting, or 0 to never ratchet. All parties must use
+  /// the same interval.
+  /// "retainRounds", how many sequence numbers back from the latest one we
+  /// have read we still need to be able to read. Defaults to 0.
+  /// "pool", a KeystreamPool of worker threads to generate keystream ahead of
+  /// time in, with prefetch().
+  constructor(shared_secrets, options) {
+    if (!options) {
+      // Default the options to something
+      options = {}
+    }
+    this.ratchetInterval = options.ratchetInterval === undefined ? this.constructor.DEFAULT_RATCHET_INTERVAL : options.ratchetInterval
+    this.retainRounds = options.retainRounds || 0
+    this.pool = options.pool || null
+
+    // Key sets we still have, by ratchet period number (as a BigInt). Period
+    // 0 uses the shared secrets themselves.
+    this.periods = new Map()
+    this.periods.set(0n, shared_secrets.map((secret) => b4a.from(secret)))
+    // The latest sequence number we have read, which decides what we can
+    // forget
+    this.latest = 0n
+
+    // Cipher states for where the last read() left off, so reading a round's
+    // keystream in pieces doesn't start over every time. Is {sequenceNumber,
+    // offset, keys, states}, or null.
+    this.cursor = null
+
+    // Keystream being made ahead of time by the pool, by sequence number
+    // string, as {length, promise, data}
+    this.prefetched = new Map()
+  }
+
+  /// Get the ratchet period that a sequence number (as a BigInt) belongs to
+  periodFor(sequence_number) {
+    if (!this.ratchetInterval) {
+      return 0n
+    }
+    return sequence_number / BigInt(this.ratchetInterval)
+  }
+
+  /// Get the pairwise keys for the given sequence number, ratcheting forward
+  /// and wiping keys we will never need again as we go.
+  /// Throws if the keys for that sequence number have already been wiped.
+  keysFor(sequence_number) {
+    if (this.periods.size == 0) {
+      throw new Error('Keystream has been destroyed')
+    }
+    sequence_number = this.constructor.toSequenceNumber(sequence_number)
+    let period = this.periodFor(sequence_number)
+    if (sequence_number > this.latest) {
+      this.latest = sequence_number
+    }
+    let newest = this.newestPeriod()
+    while (newest < period) {
+      // Step every key forward, and drop the old ones as soon as we can
+      this.periods.set(newest + 1n, this.periods.get(newest).map((key) => this.constructor.ratchet(key)))
+      newest++
+      this.forget()
+    }
+    this.forget()
+
+    let keys = this.periods.get(period)
+    if (!keys) {
+      throw new Error('Keys for sequence number ' + sequence_number + ' have been wiped')
+    }
+    return keys
+  }
+
+  /// Get the number of the newest ratchet period we have keys for
+  newestPeriod() {
+    let newest = -1n
+    for (let period of this.periods.keys()) {
+      if (period > newest) {
+        newest = period
+      }
+    }
+    return newest
+  }
+
+  /// Wipe any keys we have that are too old to need anymore
+  forget() {
+    let oldest = this.periodFor(this.latest > BigInt(this.retainRounds) ? this.latest - BigInt(this.retainRounds) : 0n)
+    // We always need the newest keys, to ratchet from
+    let newest = this.newestPeriod()
+    for (let [period, keys] of this.periods.entries()) {
+      if (period < oldest && period < newest) {
+        if (this.cursor && this.cursor.keys === keys) {
+          this.dropCursor()
+        }
+        for (let key of keys) {
+          sodium.sodium_memzero(key)
+        }
+        this.periods.delete(period)
+      }
+    }
+  }
+
+  /// Wipe all our keys, when the keystream is no longer needed
+  destroy() {
+    this.dropCursor()
+    for (let keys of this.periods.values()) {
+      for (let key of keys) {
+        sodium.sodium_memzero(key)
+      }
+    }
+    this.periods.clear()
+    this.prefetched.clear()
+  }
+
+  /// Make a new SynchronizedKeystream that uses only the pairwise keys at the
+  /// given indexes, in the given order, starting where this one is. Useful
+  /// when someone leaves and the original secrets are long gone.
+  select(indexes) {
+    let selected = new this.constructor([], {
+      ratchetInterval: this.ratchetInterval,
+      retainRounds: this.retainRounds,
+      pool: this.pool
+    })
+    selected.periods.clear()
+    for (let [period, keys] of this.periods.entries()) {
+      selected.periods.set(period, indexes.map((i) => b4a.from(keys[i])))
+    }
+    selected.latest = this.latest
+    return selected
+  }
+
+  /// Get everything needed to make this keystream again with importState(),
+  /// as a plain object. It includes copies of the current keys, so it must be
+  /// kept secret.
+  exportState() {
+    let periods = []
+    for (let [period, keys] of this.periods.entries()) {
+      periods.push({period: period.toString(), keys: keys.map((key) => b4a.from(key))})
+    }
+    return {
+      ratchetInterval: this.ratchetInterval,
+      retainRounds: this.retainRounds,
+      latest: this.latest.toString(),
+      periods: periods
+    }
+  }
+
+  /// Make a SynchronizedKeystream again from what exportState() gave us,
+  /// optionally using the given KeystreamPool.
+  static importState(state, pool) {
+    let keystream = new this([], {
+      ratchetInterval: state.ratchetInterval,
+      retainRounds: state.retainRounds,
+      pool: pool
+    })
+    keystream.periods.clear()
+    for (let {period, keys} of state.periods) {
+      keystream.periods.set(BigInt(period), keys.map((key) => b4a.from(key)))
+    }
+    keystream.latest = BigInt(state.latest)
+    return keystream
+  }
+
+  /// Throw away the cached cipher states
+  dropCursor() {
+    if (this.cursor) {
+      for (let state of this.cursor.states) {
+        sodium.sodium_memzero(state)
+      }
+      this.cursor = null
+    }
   }
   
   /// Read a block of data from our keystream, with the given sequence number and length.
   /// We always get the same data for a given sequence number; don't re-use it!
-  read(sequence_number, length) {
-    // TODO: We could just keep some xsalsa20 objects around and not have to
-    // worry about sequence numbers. But then we couldn't ever resume I think?
-  
+  ///
+  /// Sequence numbers can be Numbers (up to Number.MAX_SAFE_INTEGER) or
+  /// BigInts (up to MAX_SEQUENCE_NUMBER).
+  ///
+  /// An offset into the sequence number's keystream can be given, to read it
+  /// in pieces. Reading the piece right after the last one read is cheap.
+  read(sequence_number, length, offset) {
+    offset = offset || 0
+    sequence_number = this.constructor.toSequenceNumber(sequence_number)
+    let keys = this.keysFor(sequence_number)
+
+    for (let other of this.prefetched.keys()) {
+      if (BigInt(other) < sequence_number) {
+        // We went past it without using it
+        this.prefetched.delete(other)
+      }
+    }
+    let key = sequence_number.toString()
+    let prefetched = this.prefetched.get(key)
+    if (prefetched && prefetched.data && offset == 0 && prefetched.length == length) {
+      // The pool already made it
+      this.prefetched.delete(key)
+      return prefetched.data
+    }
+
+    let cursor = this.cursor
+    if (!cursor || cursor.sequenceNumber != sequence_number || cursor.offset != offset || cursor.keys !== keys) {
+      // Start the ciphers for this sequence number, at this offset
+      this.dropCursor()
+      let nonce = this.constructor.makeNonce(sequence_number)
+      cursor = this.cursor = {
+        sequenceNumber: sequence_number,
+        offset: offset,
+        keys: keys,
+        states: keys.map((k) => this.constructor.openStream(nonce, k, offset))
+      }
+    }
+
     // Make the buffer we will do all our XORing in. Starts as 0.
     let scratch = b4a.alloc(length)
-    
-    // Prepare the nonce (same for all streams)
-    // TODO: support more than 53-bit sequence numbers?
-    let nonce = b4a.alloc(xsalsa20.NONCEBYTES)
-    nonce.writeUInt32BE(sequence_number >> 32, 0)
-    nonce.writeUInt32BE(sequence_number & 0xFFFFFFFF, 4)
-    
-    for (let key of this.keys) {
+    for (let state of cursor.states) {
       // XOR what we have so far with each shared keystream
-      let stream = xsalsa20(nonce, key)
-      scratch = stream.update(scratch)
-      stream.finalize()
+      sodium.crypto_stream_xor_update(state, scratch, scratch)
     }
+    cursor.offset += length
     
     return scratch
   }
+
+  /// Start generating the keystream for the given sequence number and length
+  /// in the worker pool, so a later read() of it doesn't have to wait. Returns
+  /// a promise that resolves when it is ready. Does nothing without a pool.
+  prefetch(sequence_number, length) {
+    if (!this.pool) {
+      return Promise.resolve()
+    }
+    sequence_number = this.constructor.toSequenceNumber(sequence_number)
+    let key = sequence_number.toString()
+    if (this.prefetched.has(key)) {
+      return this.prefetched.get(key).promise
+    }
+    let entry = {length: length, data: null, promise: null}
+    entry.promise = this.pool.generate(this.constructor.makeNonce(sequence_number), this.keysFor(sequence_number), length).then((data) => {
+      if (this.prefetched.get(key) === entry) {
+        entry.data = data
+      }
+    })
+    this.prefetched.set(key, entry)
+    return entry.promise
+  }
+
+  /// Read the individual pairwise keystreams that make up our keystream, for
+  /// the given sequence number, at the given byte offset and length. Returns
+  /// an array of buffers, in the same order as the shared secrets.
+  /// This is what we reveal (for just a few bytes) to assign blame.
+  readPairwise(sequence_number, offset, length) {
+    let nonce = this.constructor.makeNonce(sequence_number)
+    let streams = []
+    for (let key of this.keysFor(sequence_number)) {
+      // Run the cipher up to the part we want
+      let state = this.constructor.openStream(nonce, key, offset)
+      let output = b4a.alloc(length)
+      sodium.crypto_stream_xor_update(state, output, output)
+      sodium.sodium_memzero(state)
+      streams.push(output)
+    }
+    return streams
+  }
+
+  /// Get the key that comes after the given key in the ratchet
+  static ratchet(key) {
+    let next = b4a.alloc(this.SECRET_SIZE)
+    sodium.crypto_generichash(next, b4a.from(this.RATCHET_LABEL), key)
+    return next
+  }
+
+  /// Make an xsalsa20 cipher state for the given nonce and key, run up to the
+  /// given offset
+  static openStream(nonce, key, offset) {
+    let state = b4a.alloc(sodium.crypto_stream_xor_STATEBYTES)
+    sodium.crypto_stream_xor_init(state, nonce, key)
+    if (offset > 0) {
+      let skipped = b4a.alloc(offset)
+      sodium.crypto_stream_xor_update(state, skipped, skipped)
+    }
+    return state
+  }
+
+  /// Check a sequence number and turn it into a BigInt.
+  /// Throws if it isn't a whole number we can use.
+  static toSequenceNumber(sequence_number) {
+    if (typeof sequence_number == 'number') {
+      if (!Number.isSafeInteger(sequence_number)) {
+        // Above 2^53 Numbers can't tell neighboring sequence numbers apart
+        throw new Error('Sequence number ' + sequence_number + ' is not a safe integer; use a BigInt')
+      }
+      sequence_number = BigInt(sequence_number)
+    }
+    if (typeof sequence_number != 'bigint' || sequence_number < 0n || sequence_number > this.MAX_SEQUENCE_NUMBER) {
+      throw new Error('Sequence number ' + sequence_number + ' is out of range')
+    }
+    return sequence_number
+  }
+
+  /// Make the nonce for a given sequence number (same for all streams)
+  static makeNonce(sequence_number) {
+    let nonce = b4a.alloc(sodium.crypto_stream_NONCEBYTES)
+    nonce.writeBigUInt64BE(this.toSequenceNumber(sequence_number), 0)
+    return nonce
+  }
 }
@@ -1,6 +1,8 @@
 import buffer_xor from 'buffer-xor'
 import crypto from 'hypercore-crypto'
+import b4a from 'b4a'
 import SynchronizedKeystream from './synchronized_keystream.js'
+import KeystreamPool from './keystream_pool.js'
 import xor_all from './xor_all.js'
 
 
@@ -58,5 +60,128 @@ describe('SynchronizedKeystream', () => {
 
   })
 
+  it('cancels out with secrets shared only between members and aggregators', () => {
+    const MEMBERS = 5
+    const AGGREGATORS = 2
+
+    // Each member shares a secret with each aggregator, and nobody else
+    let member_secrets = []
+    let aggregator_secrets = []
+    for (let j = 0; j < AGGREGATORS; j++) {
+      aggregator_secrets.push([])
+    }
+    for (let i = 0; i < MEMBERS; i++) {
+      member_secrets.push([])
+      for (let j = 0; j < AGGREGATORS; j++) {
+        let secret = crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE)
+        member_secrets[i].push(secret)
+        aggregator_secrets[j].push(secret)
+      }
+    }
+
+    let members = member_secrets.map((secrets) => new SynchronizedKeystream(secrets).read(3, 16))
+    let aggregators = aggregator_secrets.map((secrets) => new SynchronizedKeystream(secrets).read(3, 16))
+    expect(is_all_zero(xor_all(members.concat(aggregators)))).toBeTruthy()
+    // Leaving out one aggregator leaves everyone's streams covered
+    expect(is_all_zero(xor_all(members.concat(aggregators.slice(1))))).toBeFalsy()
+  })
+
+  it('ratchets keys forward and forgets old ones', () => {
+    let secret = crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE)
+    let a = new SynchronizedKeystream([secret], {ratchetInterval: 4, retainRounds: 4})
+    let b = new SynchronizedKeystream([secret], {ratchetInterval: 4})
+    let unratcheted = new SynchronizedKeystream([secret], {ratchetInterval: 0})
+
+    // Both sides agree even when one jumps ahead
+    let late = b.read(21, 16)
+    expect(b4a.equals(a.read(1, 16), unratcheted.read(1, 16))).toBeTruthy()
+    expect(b4a.equals(a.read(21, 16), late)).toBeTruthy()
+    expect(b4a.equals(late, unratcheted.read(21, 16))).toBeFalsy()
+
+    // Recent rounds can still be read, but not old ones
+    expect(() => a.read(17, 16)).not.toThrow()
+    expect(() => a.read(1, 16)).toThrow()
+    expect(() => b.read(17, 16)).toThrow()
+    for (let keys of a.periods.values()) {
+      expect(keys[0].equals(secret)).toBeFalsy()
+    }
+  })
+
+  it('can drop a pair and keep going', () => {
+    let secrets = [crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE), crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE)]
+    let both = new SynchronizedKeystream(secrets, {ratchetInterval: 2})
+    let second = new SynchronizedKeystream([secrets[1]], {ratchetInterval: 2})
+    both.read(5, 16)
+    expect(b4a.equals(both.select([1]).read(9, 16), second.read(9, 16))).toBeTruthy()
+  })
+
+  it('uses all 64 bits of the sequence number', () => {
+    expect(SynchronizedKeystream.makeNonce(2 ** 32).readBigUInt64BE(0)).toEqual(2n ** 32n)
+    expect(SynchronizedKeystream.makeNonce(2n ** 64n - 1n).readBigUInt64BE(0)).toEqual(2n ** 64n - 1n)
+    expect(b4a.equals(SynchronizedKeystream.makeNonce(2 ** 32), SynchronizedKeystream.makeNonce(0))).toBeFalsy()
+    expect(() => SynchronizedKeystream.makeNonce(2 ** 53)).toThrow()
+    expect(() => SynchronizedKeystream.makeNonce(2n ** 64n)).toThrow()
+
+    let stream = new SynchronizedKeystream([crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE)], {ratchetInterval: 0})
+    expect(b4a.equals(stream.read(2 ** 32 + 1, 16), stream.read(2n ** 32n + 1n, 16))).toBeTruthy()
+  })
+
+  it('reads the same keystream in pieces', () => {
+    let secrets = [crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE), crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE)]
+    let whole = new SynchronizedKeystream(secrets).read(7, 100)
+    let pieces = new SynchronizedKeystream(secrets)
+    let joined = b4a.concat([pieces.read(7, 30), pieces.read(7, 50, 30), pieces.read(7, 20, 80)])
+    expect(b4a.equals(joined, whole)).toBeTruthy()
+    // Jumping around works too
+    expect(b4a.equals(pieces.read(7, 10, 45), whole.subarray(45, 55))).toBeTruthy()
+  })
+
+  it('can make keystream ahead of time in workers', async () => {
+    let pool = new KeystreamPool(2)
+    try {
+      let secrets = []
+      for (let i = 0; i < 5; i++) {
+        secrets.push(crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE))
+      }
+      let pooled = new SynchronizedKeystream(secrets, {pool: pool})
+      let plain = new SynchronizedKeystream(secrets)
+      await pooled.prefetch(3, 1024)
+      expect(pooled.prefetched.get('3').data).toBeTruthy()
+      expect(b4a.equals(pooled.read(3, 1024), plain.read(3, 1024))).toBeTruthy()
+      expect(pooled.prefetched.size).toEqual(0)
+    } finally {
+      await pool.close()
+    }
+  })
+
+  it('keeps making keystream when pool workers crash', async () => {
+    let pool = new KeystreamPool(1)
+    try {
+      let secrets = [crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE), crypto.randomBytes(SynchronizedKeystream.SECRET_SIZE)]
+      let plain = new SynchronizedKeystream(secrets)
+      let expected = plain.read(3, 1024)
+      let nonce = SynchronizedKeystream.makeNonce(3n)
+      let keys = plain.keysFor(3n)
+
+      // A crashed worker gets replaced
+      let crashed = pool.workers[0]
+      await crashed.terminate()
+      await new Promise((resolve) => setImmediate(resolve))
+      expect(pool.workers.length).toEqual(1)
+      expect(pool.workers[0]).not.toBe(crashed)
+      expect(b4a.equals(await pool.generate(nonce, keys, 1024), expected)).toBeTruthy()
+
+      // And once they have crashed too often, the work happens here
+      pool.restarts = KeystreamPool.MAX_RESTARTS
+      await pool.workers[0].terminate()
+      await new Promise((resolve) => setImmediate(resolve))
+      expect(pool.workers.length).toEqual(0)
+      expect(b4a.equals(await pool.generate(nonce, keys, 1024), expected)).toBeTruthy()
+    } finally {
+      await pool.close()
+    }
+    await expect(pool.generate(Buffer.alloc(24), [], 16)).rejects.toThrow(/closed/)
+  })
+
 })
 
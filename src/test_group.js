@@ -0,0 +1,129 @@
+import crypto from 'hypercore-crypto'
+import SparticSession from './spartic_session.js'
+import AggregatorSession from './aggregator_session.js'
+import SlotScheduler from './slot_scheduler.js'
+import MessageFramer from './message_framer.js'
+
+/// Helpers for tests that run a whole group of SparticSessions in one process,
+/// passing their messages around directly.
+
+/// Make a group of sessions that know about each other. Each session gets a
+/// publicKey field with its own identity key, for pump() to use. Options are
+/// passed along to every session.
+export function make_group(count, group_id, options) {
+  let key_pairs = []
+  for (let i = 0; i < count; i++) {
+    key_pairs.push(crypto.keyPair())
+  }
+  let sessions = []
+  for (let i = 0; i < count; i++) {
+    let others = key_pairs.filter((k, j) => j != i).map((k) => k.publicKey)
+    let session = new SparticSession(others, Object.assign({}, options, {keyPair: key_pairs[i], groupId: group_id}))
+    session.publicKey = key_pairs[i].publicKey
+    sessions.push(session)
+  }
+  return sessions
+}
+
+/// Make a group of sessions that have agreed on their keys, each with a
+/// SlotScheduler using the given number of slots, or the default, and a
+/// MessageFramer on that, and get {sessions, schedulers, framers}. Options are
+/// passed along to every session.
+export function make_framed_group(count, group_id, slot_count, options) {
+  let sessions = make_group(count, group_id, options)
+  pump(sessions)
+  let schedulers = sessions.map((s) => new SlotScheduler(s, {slotCount: slot_count}))
+  let framers = schedulers.map((s) => new MessageFramer(s))
+  return {sessions: sessions, schedulers: schedulers, framers: framers}
+}
+
+/// Make a group of sessions that send their blocks through the given number
+/// of AggregatorSessions, and get {members, aggregators}. Every session gets
+/// a publicKey field, as with make_group(). Options are passed along to every
+/// session.
+export function make_aggregated_group(count, aggregator_count, group_id, options) {
+  let member_keys = []
+  for (let i = 0; i < count; i++) {
+    member_keys.push(crypto.keyPair())
+  }
+  let aggregator_keys = []
+  for (let i = 0; i < aggregator_count; i++) {
+    aggregator_keys.push(crypto.keyPair())
+  }
+  let aggregator_pubkeys = aggregator_keys.map((k) => k.publicKey)
+  let members = member_keys.map((key_pair) => {
+    let others = member_keys.filter((k) => k !== key_pair).map((k) => k.publicKey)
+    let session = new SparticSession(others, Object.assign({}, options, {
+      keyPair: key_pair,
+      groupId: group_id,
+      aggregators: aggregator_pubkeys
+    }))
+    session.publicKey = key_pair.publicKey
+    return session
+  })
+  let aggregators = aggregator_keys.map((key_pair) => {
+    let session = new AggregatorSession(member_keys.map((k) => k.publicKey), aggregator_pubkeys, Object.assign({}, options, {
+      keyPair: key_pair,
+      groupId: group_id
+    }))
+    session.publicKey = key_pair.publicKey
+    return session
+  })
+  return {members: members, aggregators: aggregators}
+}
+
+/// Deliver all queued messages between sessions until there are none left
+export function pump(sessions) {
+  let moved = true
+  while (moved) {
+    moved = false
+    for (let from of sessions) {
+      for (let to of sessions) {
+        if (to === from) {
+          continue
+        }
+        if (!to.hasMember(from.publicKey)) {
+          // The receiver isn't listening to them, or has thrown them out
+          continue
+        }
+        for (let message = from.popMessage(to.publicKey); message != null; message = from.popMessage(to.publicKey)) {
+          moved = true
+          if (message[0] == 'hello') {
+            to.receiveHello(from.publicKey, message[1], message[2])
+          } else if (message[0] == 'auth') {
+            to.receiveAuth(from.publicKey, message[1], message[2])
+          } else if (message[0] == 'commit') {
+            to.receiveCommit(from.publicKey, message[1], message[2])
+          } else if (message[0] == 'block') {
+            to.receiveBlock(from.publicKey, message[1], message[2])
+          } else if (message[0] == 'result') {
+            to.receiveResult(from.publicKey, message[1], message[2])
+          } else if (message[0] == 'reveal') {
+            to.receiveReveal(from.publicKey, message[1], message[2], message[3])
+          } else if (message[0] == 'membership') {
+            to.receiveMembership(from.publicKey, message[1])
+          } else if (message[0] == 'approval') {
+            to.receiveApproval(from.publicKey, message[1], message[2])
+          } else if (message[0] == 'sync') {
+            to.receiveSync(from.publicKey, message[1], message[2])
+          } else if (message[0] == 'error') {
+            // Errors are only informational for the other side
+          } else {
+            throw new Error('Unexpected message: ' + message)
+          }
+        }
+      }
+    }
+  }
+}
+
+/// Run rounds in a group from make_framed_group() until the test passes or we
+/// give up
+export function run_until(group, test) {
+  for (let round = 0; round < 1000 && !test(); round++) {
+    for (let scheduler of group.schedulers) {
+      scheduler.tick()
+    }
+    pump(group.sessions)
+  }
+}
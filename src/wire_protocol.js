@@ -0,0 +1,350 @@
+import checked_struct from './checked_struct.js'
+
+/// What each side sends when opening the Protomux channel. This layout must
+/// never change, so that peers on any version can tell why they can't talk.
+const HandshakeEncoding = checked_struct({
+  /// What protocol is this? Always PROTOCOL.
+  protocol: 'string',
+  /// What is the newest protocol version the sender speaks?
+  version: 'integer',
+  /// What is the oldest protocol version the sender speaks?
+  minVersion: 'integer',
+  /// What optional parts of the protocol does the sender support?
+  features: ['string'],
+  /// What groups is the sender in that the receiver is also in, by group ID?
+  groups: ['string']
+})
+
+/// Every message on the channel: a type tag, and the message's fields
+/// encoded according to that type. This layout must never change either.
+const EnvelopeEncoding = checked_struct({
+  /// What type of message is this?
+  type: 'string',
+  /// The message's fields, in the encoding for the type
+  body: 'bytes'
+})
+
+/// Message which starts key agreement with one peer in a group.
+/// Needs to be for a particular group.
+const HelloMessageEncoding = checked_struct({
+  /// What group does this message belong to?
+  groupId: 'string',
+  /// What membership epoch of the group is the key agreement for?
+  epoch: 'integer',
+  /// What ephemeral X25519 public key is the sender using for this group?
+  ephemeralKey: 'bytes'
+})
+
+/// Message which proves the sender's identity to one peer in a group, by
+/// signing the key agreement transcript.
+/// Needs to be for a particular group.
+const AuthMessageEncoding = checked_struct({
+  /// What group does this message belong to?
+  groupId: 'string',
+  /// What membership epoch of the group is the key agreement for?
+  epoch: 'integer',
+  /// Signature over the transcript with the sender's identity key
+  signature: 'bytes'
+})
+
+/// Message which commits to a block of data before it is sent, in groups that
+/// use commit mode.
+/// Needs to belong to a particular group.
+const CommitMessageEncoding = checked_struct({
+  /// What group does this message belong to?
+  groupId: 'string',
+  /// What sequence number in the group is this commitment for?
+  sequenceNumber: 'integer',
+  /// What is the hash commitment to the block?
+  commitment: 'bytes'
+})
+
+/// Message which carries a broadcast block of data to peers in a group.
+/// Needs to belong to a particular group.
+const BlockMessageEncoding = checked_struct({
+  /// What group does this message belong to?
+  groupId: 'string',
+  /// What sequence number in the group is this block of data for?
+  sequenceNumber: 'integer',
+  /// What is the actual data block?
+  block: 'bytes'
+})
+
+/// Message which carries the result of a round from an aggregator to one of
+/// its members, in groups with aggregators.
+/// Needs to belong to a particular group.
+const ResultMessageEncoding = checked_struct({
+  /// What group does this message belong to?
+  groupId: 'string',
+  /// What sequence number in the group is this the result of?
+  sequenceNumber: 'integer',
+  /// What is the XOR of everyone's blocks for the round?
+  result: 'bytes'
+})
+
+/// Message which reveals the sender's pairwise keystream bits at one bit of a
+/// past round, so blame can be assigned for jamming it.
+/// Needs to belong to a particular group.
+const RevealMessageEncoding = checked_struct({
+  /// What group does this message belong to?
+  groupId: 'string',
+  /// What sequence number in the group is being investigated?
+  sequenceNumber: 'integer',
+  /// What bit of the round's block is being investigated?
+  bitOffset: 'integer',
+  /// The pairwise keystream bit the sender shares with each other member, as
+  /// a byte with every other bit cleared
+  contributions: [{
+    publicKey: 'bytes',
+    bits: 'bytes'
+  }]
+})
+
+/// Message which proposes changing who is in a group.
+/// Needs to belong to a particular group.
+const MembershipMessageEncoding = checked_struct({
+  /// What group does this message belong to?
+  groupId: 'string',
+  /// The encoded, signed MembershipChange
+  proposal: 'bytes'
+})
+
+/// Message which approves a proposed change to who is in a group.
+/// Needs to belong to a particular group.
+const ApprovalMessageEncoding = checked_struct({
+  /// What group does this message belong to?
+  groupId: 'string',
+  /// Hash of the proposal being approved
+  proposalHash: 'bytes',
+  /// Signature over the proposal hash with the sender's identity key
+  signature: 'bytes'
+})
+
+/// Message which tells a peer in a group which round the sender is on, so they
+/// can send again anything the sender missed.
+/// Needs to belong to a particular group.
+const SyncMessageEncoding = checked_struct({
+  /// What group does this message belong to?
+  groupId: 'string',
+  /// What sequence number is the sender on?
+  sequenceNumber: 'integer',
+  /// Does the sender want to know what sequence number we are on?
+  reply: 'bool'
+})
+
+/// Message which tells a peer something they sent us was no good. Nobody
+/// ever answers one of these, so two peers can't get into a loop of them.
+const ErrorMessageEncoding = checked_struct({
+  /// What kind of problem is it, for programs? One of the ERROR_ codes or
+  /// SparticSession.ERRORS.
+  code: 'string',
+  /// What is the problem, for people?
+  message: 'string',
+  /// What group is it about? Empty if it isn't about a group.
+  groupId: 'string',
+  /// Is it about a particular round?
+  hasSequenceNumber: 'bool',
+  /// What round is it about, if it is?
+  sequenceNumber: 'integer'
+})
+
+/// Message which tells a peer we won't talk to them, right before we close
+/// the channel. This layout must never change.
+const RefusalMessageEncoding = checked_struct({
+  /// Why not, for programs? One of the REFUSAL_ codes.
+  code: 'string',
+  /// Why not, for people?
+  message: 'string',
+  /// What is the newest protocol version the sender speaks?
+  version: 'integer',
+  /// What is the oldest protocol version the sender speaks?
+  minVersion: 'integer'
+})
+
+/// Every message type, by type tag, with its encoding and the optional
+/// feature both sides need to support to use it
+const MESSAGE_TYPES = {
+  hello: {encoding: HelloMessageEncoding, feature: null},
+  auth: {encoding: AuthMessageEncoding, feature: null},
+  commit: {encoding: CommitMessageEncoding, feature: 'commit'},
+  block: {encoding: BlockMessageEncoding, feature: null},
+  result: {encoding: ResultMessageEncoding, feature: 'anytrust'},
+  reveal: {encoding: RevealMessageEncoding, feature: 'blame'},
+  membership: {encoding: MembershipMessageEncoding, feature: 'membership'},
+  approval: {encoding: ApprovalMessageEncoding, feature: 'membership'},
+  sync: {encoding: SyncMessageEncoding, feature: 'sync'},
+  error: {encoding: ErrorMessageEncoding, feature: null},
+  refusal: {encoding: RefusalMessageEncoding, feature: null}
+}
+
+/**
+ * The wire protocol SparticPeers speak with each other over their 'spartic'
+ * Protomux channel.
+ *
+ * When the channel opens, each side sends a handshake with the range of
+ * protocol versions it speaks, the optional features it supports, and the
+ * groups it is in with the other side. If the version ranges don't overlap,
+ * the side that notices sends a refusal saying why and closes the channel.
+ *
+ * After that, every message is an envelope with a type tag and the
+ * message's fields in the encoding for that type, so a peer that gets a
+ * message type it doesn't know can say so instead of misreading it. Messages
+ * that belong to an optional feature are only sent to peers that support it.
+ *
+ * The handshake, the envelope and the refusal are laid out the same in every
+ * version. Anything else that changes how messages are encoded needs a new
+ * version.
+ */
+export default class WireProtocol {
+
+  /// What is the protocol called?
+  static get PROTOCOL() {
+    return 'spartic'
+  }
+
+  /// What is the newest protocol version we speak?
+  static get VERSION() {
+    return 2
+  }
+
+  /// What is the oldest protocol version we speak?
+  static get MIN_VERSION() {
+    return 2
+  }
+
+  /// What optional parts of the protocol do we support?
+  static get FEATURES() {
+    return ['commit', 'blame', 'membership', 'sync', 'anytrust']
+  }
+
+  /// Refusal code for a handshake from some other protocol
+  static get REFUSAL_PROTOCOL() {
+    return 'protocol'
+  }
+
+  /// Refusal code for a peer with no protocol version in common with us
+  static get REFUSAL_VERSION() {
+    return 'version'
+  }
+
+  /// Error code for a message type we don't know
+  static get ERROR_UNKNOWN_TYPE() {
+    return 'unknown-type'
+  }
+
+  /// Error code for a message we can't decode
+  static get ERROR_MALFORMED() {
+    return 'malformed'
+  }
+
+  /// Error code for a message for a group the sender isn't in with us
+  static get ERROR_UNEXPECTED() {
+    return 'unexpected'
+  }
+
+  /// Get the encoding for handshakes, for Protomux
+  static get HandshakeEncoding() {
+    return HandshakeEncoding
+  }
+
+  /// Get all the message type tags
+  static get MESSAGE_TYPES() {
+    return Object.keys(MESSAGE_TYPES)
+  }
+
+  /// Make our handshake, listing the given group IDs
+  static makeHandshake(groups) {
+    return {
+      protocol: this.PROTOCOL,
+      version: this.VERSION,
+      minVersion: this.MIN_VERSION,
+      features: this.FEATURES,
+      groups: groups.map(String)
+    }
+  }
+
+  /// Check the other side's handshake against ours. Returns what we agree on
+  /// as {version, features, groups}, or a refusal to send them as {code,
+  /// message, version, minVersion} if we can't talk.
+  static negotiate(ours, theirs) {
+    let refuse = (code, message) => ({
+      code: code,
+      message: message,
+      version: ours.version,
+      minVersion: ours.minVersion
+    })
+    if (!theirs || theirs.protocol != ours.protocol) {
+      return {refusal: refuse(this.REFUSAL_PROTOCOL, 'Not speaking ' + ours.protocol)}
+    }
+    if (theirs.version < ours.minVersion || theirs.minVersion > ours.version) {
+      return {refusal: refuse(this.REFUSAL_VERSION, 'No protocol version in common: we speak ' +
+        ours.minVersion + ' to ' + ours.version + ' and they speak ' + theirs.minVersion + ' to ' + theirs.version)}
+    }
+    return {
+      version: Math.min(ours.version, theirs.version),
+      features: ours.features.filter((feature) => theirs.features.includes(feature)),
+      groups: ours.groups.filter((groupId) => theirs.groups.includes(groupId))
+    }
+  }
+
+  /// Get the optional feature a message type belongs to, or null if every
+  /// peer supports it
+  static featureFor(type) {
+    return MESSAGE_TYPES[type] ? MESSAGE_TYPES[type].feature : null
+  }
+
+  /// Encode a message of the given type, with the given fields, into bytes
+  /// for the channel
+  static encode(type, fields) {
+    if (!MESSAGE_TYPES[type]) {
+      throw new Error('Unknown message type ' + type)
+    }
+    return EnvelopeEncoding.encode({type: type, body: MESSAGE_TYPES[type].encoding.encode(fields)})
+  }
+
+  /// Decode bytes from the channel into {type, fields}. Throws an error with
+  /// a "code" of ERROR_UNKNOWN_TYPE or ERROR_MALFORMED if it can't.
+  static decode(buffer) {
+    let envelope
+    try {
+      envelope = EnvelopeEncoding.decode(buffer)
+    } catch (e) {
+      envelope = null
+    }
+    if (!envelope) {
+      throw this.makeError(this.ERROR_MALFORMED, 'Message is not a tagged message')
+    }
+    if (!Object.prototype.hasOwnProperty.call(MESSAGE_TYPES, envelope.type)) {
+      throw this.makeError(this.ERROR_UNKNOWN_TYPE, 'Unknown message type ' + envelope.type)
+    }
+    let fields
+    try {
+      fields = MESSAGE_TYPES[envelope.type].encoding.decode(envelope.body)
+    } catch (e) {
+      fields = null
+    }
+    if (!fields) {
+      throw this.makeError(this.ERROR_MALFORMED, 'Malformed ' + envelope.type + ' message')
+    }
+    return {type: envelope.type, fields: fields}
+  }
+
+  /// Make the fields of an error message with the given code and message,
+  /// about the given group ID and sequence number if not null
+  static makeErrorMessage(code, message, groupId, sequenceNumber) {
+    return {
+      code: code,
+      message: message,
+      groupId: groupId == null ? '' : String(groupId),
+      hasSequenceNumber: sequenceNumber != null,
+      sequenceNumber: sequenceNumber == null ? 0 : sequenceNumber
+    }
+  }
+
+  /// Make an Error with the given code
+  static makeError(code, message) {
+    let error = new Error(message)
+    error.code = code
+    return error
+  }
+}
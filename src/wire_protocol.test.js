@@ -0,0 +1,127 @@
+import cenc from 'compact-encoding'
+import WireProtocol from './wire_protocol.js'
+
+/// Make a buffer of the given length, full of the given byte
+function filled(length, byte) {
+  return Buffer.alloc(length, byte)
+}
+
+/// Every message type, with fields and the exact bytes they go on the wire
+/// as. If these change, peers on the old encoding can't understand us any
+/// more, so the protocol version has to change too.
+const VECTORS = [
+  ['hello', {groupId: 'g1', epoch: 2, ephemeralKey: filled(4, 0xaa)},
+    '0568656c6c6f090267310204aaaaaaaa'],
+  ['auth', {groupId: 'g1', epoch: 2, signature: filled(4, 0xbb)},
+    '0461757468090267310204bbbbbbbb'],
+  ['commit', {groupId: 'g1', sequenceNumber: 300, commitment: filled(4, 0xcc)},
+    '06636f6d6d69740a026731ac0204cccccccc'],
+  ['block', {groupId: 'g1', sequenceNumber: 7, block: filled(4, 0xdd)},
+    '05626c6f636b090267310704dddddddd'],
+  ['result', {groupId: 'g1', sequenceNumber: 7, result: filled(4, 0x99)},
+    '06726573756c7409026731070499999999'],
+  ['reveal', {groupId: 'g1', sequenceNumber: 7, bitOffset: 9, contributions: [{publicKey: filled(2, 0x01), bits: filled(1, 0x80)}]},
+    '0672657665616c0b0267310709050201010180'],
+  ['membership', {groupId: 'g1', proposal: filled(3, 0xee)},
+    '0a6d656d626572736869700702673103eeeeee'],
+  ['approval', {groupId: 'g1', proposalHash: filled(2, 0x11), signature: filled(2, 0x22)},
+    '08617070726f76616c09026731021111022222'],
+  ['sync', {groupId: 'g1', sequenceNumber: 5, reply: true},
+    '0473796e63050267310501'],
+  ['error', {code: 'wrong-round', message: 'late', groupId: 'g1', hasSequenceNumber: true, sequenceNumber: 300},
+    '056572726f72170b77726f6e672d726f756e64046c61746502673101ac02'],
+  ['refusal', {code: 'version', message: 'no', version: 1, minVersion: 1},
+    '077265667573616c0d0776657273696f6e026e6f0101']
+]
+
+describe('WireProtocol', () => {
+
+  it('encodes every message type to the expected bytes', () => {
+    expect(VECTORS.map((vector) => vector[0]).sort()).toEqual(WireProtocol.MESSAGE_TYPES.slice().sort())
+    for (let [type, fields, hex] of VECTORS) {
+      expect(WireProtocol.encode(type, fields).toString('hex')).toEqual(hex)
+      let decoded = WireProtocol.decode(Buffer.from(hex, 'hex'))
+      expect(decoded.type).toEqual(type)
+      expect(decoded.fields).toEqual(fields)
+    }
+  })
+
+  it('encodes the handshake to the expected bytes', () => {
+    let encoding = cenc.from(WireProtocol.HandshakeEncoding)
+    let handshake = {protocol: 'spartic', version: 1, minVersion: 1, features: ['commit', 'blame', 'membership', 'sync'], groups: ['g1']}
+    let hex = '077370617274696301011d06636f6d6d697405626c616d650a6d656d626572736869700473796e6303026731'
+    expect(cenc.encode(encoding, handshake).toString('hex')).toEqual(hex)
+    expect(cenc.decode(encoding, Buffer.from(hex, 'hex'))).toEqual(handshake)
+  })
+
+  it('refuses to decode what it does not understand', () => {
+    // A message type from the future
+    let unknown = Buffer.from('0874656c65706f727400', 'hex')
+    expect(() => WireProtocol.decode(unknown)).toThrow(/Unknown message type teleport/)
+    try {
+      WireProtocol.decode(unknown)
+    } catch (e) {
+      expect(e.code).toEqual(WireProtocol.ERROR_UNKNOWN_TYPE)
+    }
+    expect(() => WireProtocol.encode('teleport', {})).toThrow()
+    // And something that isn't even an envelope
+    expect(() => WireProtocol.decode(Buffer.from('ff', 'hex'))).toThrow(/not a tagged message/)
+  })
+
+  it('refuses lists that do not add up, instead of hanging', () => {
+    // Reveals for g1, round 7, bit 9, with broken contribution lists
+    let reveals = [
+      // An item whose key runs past the end of the list
+      '0267310709020501',
+      // A list longer than the message
+      '02673107090501',
+      // An item that fits the message but not the list
+      '02673107090201aa01bb'
+    ]
+    for (let body of reveals) {
+      let bytes = Buffer.from(body, 'hex')
+      let envelope = Buffer.concat([Buffer.from('0672657665616c', 'hex'), Buffer.from([bytes.length]), bytes])
+      expect(() => WireProtocol.decode(envelope)).toThrow(/Malformed reveal/)
+    }
+
+    // Handshakes with broken feature or group lists
+    let encoding = cenc.from(WireProtocol.HandshakeEncoding)
+    let handshakes = [
+      // A feature name that runs past the end of the list
+      '077370617274696301010205610000',
+      // A group list longer than the message
+      '0773706172746963010100056731',
+      // A group ID with no length
+      '077370617274696301010001'
+    ]
+    for (let hex of handshakes) {
+      let handshake
+      try {
+        handshake = cenc.decode(encoding, Buffer.from(hex, 'hex'))
+      } catch (e) {
+        handshake = null
+      }
+      expect(handshake).toBeFalsy()
+      // Which the peer takes as someone not speaking the protocol
+      let agreed = WireProtocol.negotiate(WireProtocol.makeHandshake(['g1']), handshake)
+      expect(agreed.refusal.code).toEqual(WireProtocol.REFUSAL_PROTOCOL)
+    }
+  })
+
+  it('agrees on a version, features and groups, or says why not', () => {
+    let ours = WireProtocol.makeHandshake(['a', 'b'])
+    let agreed = WireProtocol.negotiate(ours, {protocol: 'spartic', version: 3, minVersion: 1, features: ['sync', 'teleport'], groups: ['b', 'c']})
+    expect(agreed.version).toEqual(WireProtocol.VERSION)
+    expect(agreed.features).toEqual(['sync'])
+    expect(agreed.groups).toEqual(['b'])
+
+    let tooNew = WireProtocol.negotiate(ours, {protocol: 'spartic', version: 5, minVersion: 4, features: [], groups: []})
+    expect(tooNew.refusal.code).toEqual(WireProtocol.REFUSAL_VERSION)
+    expect(tooNew.refusal.version).toEqual(WireProtocol.VERSION)
+    expect(tooNew.refusal.minVersion).toEqual(WireProtocol.MIN_VERSION)
+
+    let stranger = WireProtocol.negotiate(ours, {protocol: 'chat', version: 1, minVersion: 1, features: [], groups: []})
+    expect(stranger.refusal.code).toEqual(WireProtocol.REFUSAL_PROTOCOL)
+  })
+
+})